@@ -12,11 +12,41 @@ let metadata = null;
 let traderPortfolios = null;
 let aggregatedPortfolio = null;
 let recentChanges = null;
+let positionChanges = null;
+let resolvedMarkets = null;
+let scorecards = null;
+let historySeries = null;
 let lastActivityTime = Date.now();
 let inactivityTimer = null;
 
-// Portfolio sort state
+// Live mode: the page is served by scripts/server.js and updates arrive as events
+let liveSource = null;
+let liveConnected = false;
+let liveChangeKeys = new Set();
+let liveUnseenChanges = 0;
+
+// Portfolio and leaderboard sort state
 let portfolioSort = { column: 'totalExposure', direction: 'desc' };
+let leaderboardSort = { column: 'roi', direction: 'desc' };
+
+// Events expanded in the portfolio table (eventSlug)
+const expandedEvents = new Set();
+
+// Last checked wallet, kept so the rebalancing plan can be recomputed without refetching
+let checkerState = null;
+
+// Last computed rebalancing plan (for export)
+let rebalancePlan = null;
+
+// Model weighting scheme picked in the UI (null = the pipeline's model_weighting)
+let modelWeighting = null;
+
+// Selected watchlist id (null = all traders) and the all-traders data it replaces
+let activeWatchlist = null;
+let combinedData = null;
+
+// Category picked in the portfolio or changes tab (null = all categories)
+let activeCategory = null;
 
 // DOM Elements
 const tabs = document.querySelectorAll('.tab');
@@ -106,6 +136,47 @@ function truncateAddress(address) {
   return address.slice(0, 6) + '...' + address.slice(-4);
 }
 
+/**
+ * Outcome index of a position or change (binary markets list Yes as 0, No as 1)
+ */
+function outcomeIndexOf(item) {
+  if (item.outcomeIndex !== undefined && item.outcomeIndex !== null) return item.outcomeIndex;
+  return item.outcome === 'No' ? 1 : 0;
+}
+
+/**
+ * Key identifying one outcome: the CLOB token id, else conditionId-outcomeIndex
+ */
+function outcomeKeyOf(item) {
+  return item.asset ? String(item.asset) : `${item.conditionId}-${outcomeIndexOf(item)}`;
+}
+
+/**
+ * Share of the model portfolio held by an aggregated position (0-1) under the
+ * selected weighting scheme; data published before modelWeights falls back to raw dollars
+ */
+function modelShare(pos) {
+  const scheme = modelWeighting || aggregatedPortfolio?.summary?.modelWeighting || 'raw';
+  const share = pos.modelWeights?.[scheme];
+  if (share !== undefined) return share;
+  const total = aggregatedPortfolio?.summary?.totalExposure || 0;
+  return total > 0 ? (pos.totalExposure || 0) / total : 0;
+}
+
+const POSITIVE_OUTCOMES = ['yes', 'up', 'over'];
+const NEGATIVE_OUTCOMES = ['no', 'down', 'under'];
+
+/**
+ * CSS class for an outcome label: green/red for Yes/No, Up/Down and Over/Under,
+ * one of a few neutral colours (by outcome index) for named outcomes such as teams
+ */
+function outcomeClassOf(item) {
+  const label = (item.outcome || '').trim().toLowerCase();
+  if (POSITIVE_OUTCOMES.includes(label)) return 'outcome-yes';
+  if (NEGATIVE_OUTCOMES.includes(label)) return 'outcome-no';
+  return `outcome-named outcome-named-${outcomeIndexOf(item) % 4}`;
+}
+
 /**
  * Copy to clipboard
  */
@@ -125,6 +196,14 @@ function polymarketUrl(path) {
   return `${POLYMARKET_BASE}${path}${REFERRAL}`;
 }
 
+/**
+ * Internal market link with a small external link to Polymarket
+ */
+function marketLinks(conditionId, title, externalUrl) {
+  return `<a href="${marketRoute(conditionId)}" class="market-link">${title}</a>` +
+    `<a href="${externalUrl}" target="_blank" class="external-link" title="Open on Polymarket">&#8599;</a>`;
+}
+
 /**
  * Update last updated display
  */
@@ -140,15 +219,31 @@ function updateLastUpdated() {
   const now = new Date();
   const diffMinutes = (now - updated) / 60000;
 
-  el.querySelector('.timestamp').textContent = `Updated ${formatRelativeTime(updated.getTime() / 1000)}`;
+  const liveLabel = liveSource ? (liveConnected ? 'Live · ' : 'Reconnecting · ') : '';
+  el.querySelector('.timestamp').textContent = `${liveLabel}Updated ${formatRelativeTime(updated.getTime() / 1000)}`;
 
-  if (diffMinutes > 30) {
+  if (diffMinutes > 30 || (liveSource && !liveConnected)) {
     el.querySelector('.status-dot').classList.add('stale');
   } else {
     el.querySelector('.status-dot').classList.remove('stale');
   }
 }
 
+/**
+ * Hover text describing where a trader's PnL comes from
+ */
+function buildPnLTitle(trader) {
+  const lines = [`Source: ${trader.pnlSource || 'unknown'}`];
+  if (trader.pnlSource === 'activity') {
+    lines.push(`Realized: ${formatUSD(trader.realizedPnL || 0)}`);
+    lines.push(`Unrealized: ${formatUSD(trader.unrealizedPnL || 0)}`);
+  }
+  if (trader.pnlCrossCheck) {
+    lines.push(`Polymarket profile: ${formatUSD(trader.pnlCrossCheck.scraped)}`);
+  }
+  return lines.join('&#10;');
+}
+
 /**
  * Render traders table
  */
@@ -159,7 +254,9 @@ function renderTradersTable(searchTerm = '') {
     return;
   }
 
+  const members = watchlistMembers();
   const traders = Object.values(traderPortfolios)
+    .filter(t => !members || members.has(t.address))
     .filter(t => {
       if (!searchTerm) return true;
       const term = searchTerm.toLowerCase();
@@ -184,14 +281,14 @@ function renderTradersTable(searchTerm = '') {
           <div class="trader-cell">
             <div class="trader-avatar">${trader.label?.charAt(0) || '?'}</div>
             <div>
-              <a href="${polymarketUrl('/profile/' + trader.address)}" target="_blank" class="trader-label">${trader.label || 'Unknown'}</a>
+              <a href="${traderRoute(trader.address)}" class="trader-label">${trader.label || 'Unknown'}</a>
               <div class="trader-address">${truncateAddress(trader.address)}</div>
             </div>
           </div>
         </td>
         <td>${formatUSD(trader.totalValue)}</td>
         <td>${formatUSD(trader.usdcBalance || 0)}</td>
-        <td class="${pnlClass}">${pnlSign}${formatUSD(trader.totalPnL || 0)}</td>
+        <td class="${pnlClass}" title="${buildPnLTitle(trader)}">${pnlSign}${formatUSD(trader.totalPnL || 0)}</td>
         <td>${trader.positions?.length || 0}</td>
         <td>
           <span class="status-badge ${trader.fetchSuccess ? 'success' : 'error'}">
@@ -202,6 +299,7 @@ function renderTradersTable(searchTerm = '') {
           <button class="btn btn-copy" onclick="copyToClipboard('${trader.address}').then(() => this.textContent = 'Copied!').finally(() => setTimeout(() => this.textContent = 'Copy', 1500))">
             Copy
           </button>
+          <a href="${polymarketUrl('/profile/' + trader.address)}" target="_blank" class="btn" title="Open on Polymarket">&#8599;</a>
         </td>
       </tr>
     `;
@@ -224,6 +322,12 @@ function renderPortfolioSummary() {
   const flow24h = document.getElementById('net-flow-24h');
   flow24h.textContent = formatUSD(s.netFlow24h);
   flow24h.className = 'card-value ' + (s.netFlow24h >= 0 ? 'positive' : 'negative');
+
+  // Until the user picks a scheme, show the one the pipeline was configured with
+  const weightingSelect = document.getElementById('model-weighting');
+  if (weightingSelect && !modelWeighting) {
+    weightingSelect.value = s.modelWeighting || 'raw';
+  }
 }
 
 /**
@@ -252,21 +356,153 @@ function groupPositionsByMarket(positions) {
   for (const [key, market] of grouped) {
     market.totalExposure = market.outcomes.reduce((sum, o) => sum + (o.totalExposure || 0), 0);
     market.traderCount = market.outcomes.reduce((max, o) => Math.max(max, o.traderCount || 0), 0);
+    market.consensusScore = market.outcomes.reduce((max, o) => Math.max(max, o.consensusScore || 0), 0);
     market._change1h = market.outcomes.reduce((sum, o) => sum + (o._change1h || 0), 0);
     market._change1d = market.outcomes.reduce((sum, o) => sum + (o._change1d || 0), 0);
     market._change1w = market.outcomes.reduce((sum, o) => sum + (o._change1w || 0), 0);
+    // Largest 1d price move among the outcomes, so a market sorts by its biggest mover
+    market._priceChange1d = market.outcomes.reduce((max, o) => Math.max(max, o.priceChange1d || 0), 0);
 
-    // Sort outcomes: Yes first, then No
-    market.outcomes.sort((a, b) => {
-      if (a.outcome === 'Yes' && b.outcome !== 'Yes') return -1;
-      if (a.outcome !== 'Yes' && b.outcome === 'Yes') return 1;
-      return 0;
-    });
+    // Sort outcomes in market order (Yes before No, first team before second)
+    market.outcomes.sort((a, b) => outcomeIndexOf(a) - outcomeIndexOf(b));
   }
 
   return Array.from(grouped.values());
 }
 
+/**
+ * Fold markets that belong to a multi-market event (aggregatedPortfolio.events)
+ * into one sortable event unit; other markets pass through unchanged
+ */
+function groupMarketsByEvent(markets) {
+  const eventInfo = new Map((aggregatedPortfolio?.events || []).map(e => [e.eventSlug, e]));
+  const units = [];
+  const byEvent = new Map();
+
+  for (const market of markets) {
+    const info = market.eventSlug ? eventInfo.get(market.eventSlug) : null;
+    if (!info) {
+      units.push(market);
+      continue;
+    }
+    if (!byEvent.has(info.eventSlug)) {
+      const unit = { isEvent: true, event: info, eventSlug: info.eventSlug, title: humanizeSlug(info.eventSlug), markets: [] };
+      byEvent.set(info.eventSlug, unit);
+      units.push(unit);
+    }
+    byEvent.get(info.eventSlug).markets.push(market);
+  }
+
+  return units.map(unit => {
+    if (!unit.isEvent) return unit;
+    // Only one leg is above the exposure filter: show it as a plain market
+    if (unit.markets.length < 2) return unit.markets[0];
+
+    unit.totalExposure = unit.markets.reduce((sum, m) => sum + (m.totalExposure || 0), 0);
+    unit.traderCount = unit.event.traderCount;
+    unit.consensusScore = unit.markets.reduce((max, m) => Math.max(max, m.consensusScore || 0), 0);
+    unit._change1h = unit.markets.reduce((sum, m) => sum + (m._change1h || 0), 0);
+    unit._change1d = unit.markets.reduce((sum, m) => sum + (m._change1d || 0), 0);
+    unit._change1w = unit.markets.reduce((sum, m) => sum + (m._change1w || 0), 0);
+    unit._priceChange1d = unit.markets.reduce((max, m) => Math.max(max, m._priceChange1d || 0), 0);
+    unit.endDate = unit.event.endDate;
+    unit.markets = sortPositions(unit.markets);
+    return unit;
+  });
+}
+
+/**
+ * Toggle an event group in the portfolio table
+ */
+function toggleEvent(eventSlug) {
+  if (expandedEvents.has(eventSlug)) {
+    expandedEvents.delete(eventSlug);
+  } else {
+    expandedEvents.add(eventSlug);
+  }
+  renderPortfolioTable();
+}
+
+/**
+ * Render the collapsible summary row of an event
+ */
+function renderEventRow(unit, index) {
+  const expanded = expandedEvents.has(unit.eventSlug);
+  const allocPct = unit.markets.reduce((sum, m) => sum + m.outcomes.reduce((s, o) => s + modelShare(o), 0), 0) * 100;
+  const changeCell = value => `<td class="${value >= 0 ? 'positive' : 'negative'}">${value >= 0 ? '+' : ''}${formatUSD(value)}</td>`;
+
+  return `
+    <tr class="event-group-row" onclick="toggleEvent('${unit.eventSlug}')">
+      <td class="market-index">${index}</td>
+      <td>
+        <div class="market-cell">
+          <span class="event-toggle">${expanded ? '&#9662;' : '&#9656;'}</span>
+          <a href="${polymarketUrl('/event/' + unit.eventSlug)}" target="_blank" class="market-link" onclick="event.stopPropagation()">${unit.title}</a>
+          <span class="muted">${unit.markets.length} markets</span>
+        </div>
+      </td>
+      <td>-</td>
+      <td class="expiration-date">${formatExpirationDate(unit.endDate)}</td>
+      <td>-</td>
+      <td>-</td>
+      <td>${unit.traderCount}</td>
+      <td>-</td>
+      <td>${formatUSD(unit.totalExposure)}</td>
+      <td>${allocPct.toFixed(2)}%</td>
+      ${changeCell(unit._change1h)}
+      ${changeCell(unit._change1d)}
+      ${changeCell(unit._change1w)}
+    </tr>
+  `;
+}
+
+/**
+ * Render the implied vs Tier1 probability distribution of a neg-risk event
+ */
+function renderEventDistribution(event) {
+  const rows = event.markets
+    .filter(m => m.impliedProb !== null || m.tier1Prob !== null)
+    .map(m => {
+      const implied = (m.impliedProb || 0) * 100;
+      const tier1 = (m.tier1Prob || 0) * 100;
+      const edge = tier1 - implied;
+      return `
+        <div class="distribution-row">
+          <span class="distribution-label" title="${m.title}">${m.title}</span>
+          <div class="distribution-bars">
+            <div class="distribution-bar implied" style="width: ${Math.min(100, implied).toFixed(1)}%"></div>
+            <div class="distribution-bar tier1" style="width: ${Math.min(100, tier1).toFixed(1)}%"></div>
+          </div>
+          <span class="distribution-value">${implied.toFixed(1)}%</span>
+          <span class="distribution-value">${tier1.toFixed(1)}%</span>
+          <span class="distribution-value ${edge >= 0 ? 'positive' : 'negative'}">${edge >= 0 ? '+' : ''}${edge.toFixed(1)}</span>
+        </div>
+      `;
+    });
+  if (rows.length === 0) return '';
+
+  const other = event.impliedOther > 0
+    ? `<div class="muted">Candidates without Tier1 positions: ${(event.impliedOther * 100).toFixed(1)}% implied</div>`
+    : '';
+
+  return `
+    <tr class="event-distribution-row">
+      <td></td>
+      <td colspan="12">
+        <div class="distribution-row distribution-header">
+          <span class="distribution-label">Candidate</span>
+          <div class="distribution-bars muted"><span class="legend-implied">Market implied</span> <span class="legend-tier1">Tier1 weighted</span></div>
+          <span class="distribution-value">Implied</span>
+          <span class="distribution-value">Tier1</span>
+          <span class="distribution-value">Edge</span>
+        </div>
+        ${rows.join('')}
+        ${other}
+      </td>
+    </tr>
+  `;
+}
+
 /**
  * Sort positions for portfolio table
  */
@@ -282,6 +518,10 @@ function sortPositions(positions) {
         aVal = a.totalExposure || 0;
         bVal = b.totalExposure || 0;
         break;
+      case 'consensusScore':
+        aVal = a.consensusScore || 0;
+        bVal = b.consensusScore || 0;
+        break;
       case 'change1h':
         aVal = a._change1h || 0;
         bVal = b._change1h || 0;
@@ -294,6 +534,10 @@ function sortPositions(positions) {
         aVal = a._change1w || 0;
         bVal = b._change1w || 0;
         break;
+      case 'priceChange1d':
+        aVal = a._priceChange1d || 0;
+        bVal = b._priceChange1d || 0;
+        break;
       case 'endDate':
         aVal = parseExpirationDate(a.endDate);
         bVal = parseExpirationDate(b.endDate);
@@ -344,10 +588,9 @@ function build24hTooltip(pos) {
   const now = Date.now() / 1000;
   const cutoff24h = now - 24 * 3600;
 
+  const key = outcomeKeyOf(pos);
   const activities = recentChanges.changes.filter(c => {
-    return c.conditionId === pos.conditionId &&
-           c.outcomeIndex === pos.outcomeIndex &&
-           c.timestamp >= cutoff24h;
+    return outcomeKeyOf(c) === key && c.timestamp >= cutoff24h;
   });
 
   if (activities.length === 0) {
@@ -372,11 +615,139 @@ function build24hTooltip(pos) {
   return lines.join('<br>');
 }
 
+/**
+ * Build consensus score cell for an outcome row
+ */
+function buildConsensusCell(outcome) {
+  const c = outcome.consensus;
+  if (!c) return '<td>-</td>';
+
+  const score = outcome.consensusScore || 0;
+  const cls = score > 0 ? 'positive' : score < 0 ? 'negative' : '';
+  const sign = score > 0 ? '+' : '';
+  const netSign = c.netExposure >= 0 ? '+' : '';
+
+  const tooltip = [
+    `Agreement: ${Math.round(Math.abs(c.agreement) * 100)}%`,
+    `Traders on this side: ${c.tradersFor} vs ${c.tradersAgainst}`,
+    `Net exposure on this side: ${netSign}${formatUSD(c.netExposure)}`
+  ].join('<br>');
+
+  return `
+    <td class="tooltip ${cls}">
+      ${sign}${score}
+      <span class="tooltip-text">${tooltip}</span>
+    </td>
+  `;
+}
+
+/**
+ * Format a price move in cents, e.g. +2.5c
+ */
+function formatPriceChange(change) {
+  const cents = Math.round(change * 1000) / 10;
+  return `${cents >= 0 ? '+' : ''}${cents}c`;
+}
+
+/**
+ * Whether Tier1 flow went with or against the price over the same window
+ */
+function flowVsPrice(flow, priceChange) {
+  if (!flow || priceChange === null || priceChange === undefined || priceChange === 0) return '';
+  const side = flow > 0 ? 'Buying' : 'Selling';
+  return `${side} into ${priceChange > 0 ? 'strength' : 'weakness'}`;
+}
+
+/**
+ * Build the mark price cell of an outcome row: mark price and 1d move
+ */
+function buildPriceCell(outcome) {
+  if (!(outcome.markPrice > 0)) return '<td>-</td>';
+
+  const fallback = outcome.markSource === 'positions'
+    ? '<span class="mark-fallback" title="No recent price history: median price of the holders\' positions">*</span>'
+    : '';
+  const lines = ['1h', '1d', '1w']
+    .filter(w => outcome[`priceChange${w}`] !== null && outcome[`priceChange${w}`] !== undefined)
+    .map(w => {
+      const change = outcome[`priceChange${w}`];
+      return `<span class="${change >= 0 ? 'positive' : 'negative'}">${w}: ${formatPriceChange(change)}</span>`;
+    });
+  const change1d = outcome.priceChange1d;
+  const changeHtml = change1d !== null && change1d !== undefined
+    ? `<span class="entry-change ${change1d >= 0 ? 'positive' : 'negative'}">${formatPriceChange(change1d)}</span>`
+    : '';
+
+  return `
+    <td class="${lines.length > 0 ? 'tooltip' : ''}">
+      <div class="entry-price">
+        <span class="entry-main">${formatCents(outcome.markPrice)}${fallback}</span>
+        ${changeHtml}
+      </div>
+      ${lines.length > 0 ? `<span class="tooltip-text">${lines.join('<br>')}</span>` : ''}
+    </td>
+  `;
+}
+
+/**
+ * Build a 1h/1d/1w flow cell with the outcome's price move over the same window
+ */
+function buildFlowCell(flow, details, priceChange) {
+  const cls = flow >= 0 ? 'positive' : 'negative';
+  const sign = flow >= 0 ? '+' : '';
+  const hasPrice = priceChange !== null && priceChange !== undefined;
+  const reading = flowVsPrice(flow, priceChange);
+
+  const tooltip = [];
+  if (details.length > 0) tooltip.push(buildChangeTooltip(details));
+  if (reading) tooltip.push(`<span class="muted">${reading}</span>`);
+
+  return `
+    <td class="tooltip ${cls}">
+      ${sign}${formatUSD(flow)}
+      ${hasPrice ? `<span class="flow-price ${priceChange >= 0 ? 'positive' : 'negative'}">${formatPriceChange(priceChange)}</span>` : ''}
+      ${tooltip.length > 0 ? `<span class="tooltip-text">${tooltip.join('<br>')}</span>` : ''}
+    </td>
+  `;
+}
+
+/**
+ * Liquidity badge of an aggregated outcome (published liquidity), with the
+ * spread, depth and slippage estimates in its tooltip
+ */
+function liquidityBadge(liquidity) {
+  if (!liquidity) return '';
+  if (liquidity.rating === 'none') {
+    return '<span class="liquidity-badge liquidity-none">no book</span>';
+  }
+
+  const size = formatUSD(liquidity.tradeUsd);
+  const cents = value => `${Math.round(value * 1000) / 10}c`;
+  const fill = (filled, slippage, side) => {
+    if (slippage === null) return `${side} ${size}: no ${side === 'Buy' ? 'asks' : 'bids'}`;
+    return `${side} ${size}: ${cents(slippage)} slippage${filled ? '' : ' (book too small)'}`;
+  };
+  const lines = [
+    `Spread: ${liquidity.spread !== null ? cents(liquidity.spread) : '-'}`,
+    `Depth ±1c: ${formatUSD(liquidity.depth1c.bid)} bid / ${formatUSD(liquidity.depth1c.ask)} ask`,
+    `Depth ±5c: ${formatUSD(liquidity.depth5c.bid)} bid / ${formatUSD(liquidity.depth5c.ask)} ask`,
+    fill(liquidity.buyFilled, liquidity.buySlippage, 'Buy'),
+    fill(liquidity.sellFilled, liquidity.sellSlippage, 'Sell')
+  ];
+
+  return `
+    <span class="liquidity-badge liquidity-${liquidity.rating} tooltip">
+      ${liquidity.rating === 'thin' ? 'thin' : 'liquid'}
+      <span class="tooltip-text">${lines.join('<br>')}</span>
+    </span>
+  `;
+}
+
 /**
  * Render a single outcome row for the portfolio table
  */
-function renderOutcomeRow(outcome, totalExposure, isFirst, rowSpanCount, marketInfo) {
-  const outcomeClass = outcome.outcome === 'Yes' ? 'outcome-yes' : 'outcome-no';
+function renderOutcomeRow(outcome, isFirst, rowSpanCount, marketInfo) {
+  const outcomeClass = outcomeClassOf(outcome);
 
   // Format entry price with change %
   let entryHtml = '-';
@@ -401,25 +772,17 @@ function renderOutcomeRow(outcome, totalExposure, isFirst, rowSpanCount, marketI
     traderCountHtml = `${outcome.traderCount} <span class="${changeClass}">(${changeSign}${traderChange})</span>`;
   }
 
-  // Calculate allocation % for this outcome
-  const allocPct = totalExposure > 0 ? (outcome.totalExposure / totalExposure) * 100 : 0;
+  // Share of the model portfolio under the selected weighting
+  const allocPct = modelShare(outcome) * 100;
 
   // Get changes for this specific outcome
-  const changes = calculatePositionChanges(outcome.conditionId, outcome.outcomeIndex);
+  const changes = calculatePositionChanges(outcomeKeyOf(outcome));
   outcome._change1h = changes.h1;
   outcome._change1d = changes.d1;
   outcome._change1w = changes.w1;
 
-  const h1Class = changes.h1 >= 0 ? 'positive' : 'negative';
-  const d1Class = changes.d1 >= 0 ? 'positive' : 'negative';
-  const w1Class = changes.w1 >= 0 ? 'positive' : 'negative';
-
-  const h1Sign = changes.h1 >= 0 ? '+' : '';
-  const d1Sign = changes.d1 >= 0 ? '+' : '';
-  const w1Sign = changes.w1 >= 0 ? '+' : '';
-
   // Build the row HTML
-  let rowHtml = `<tr class="${isFirst ? 'market-first-row' : 'market-continuation-row'}">`;
+  let rowHtml = `<tr class="${isFirst ? 'market-first-row' : 'market-continuation-row'}${marketInfo.grouped ? ' event-sibling-row' : ''}">`;
 
   // Only include market info cells on first row (with rowspan for multi-outcome markets)
   if (isFirst) {
@@ -432,36 +795,45 @@ function renderOutcomeRow(outcome, totalExposure, isFirst, rowSpanCount, marketI
       <td ${rowSpanCount > 1 ? `rowspan="${rowSpanCount}"` : ''}>
         <div class="market-cell">
           ${marketInfo.icon ? `<img src="${marketInfo.icon}" class="market-icon" alt="">` : '<div class="market-icon"></div>'}
-          <a href="${marketUrl}" target="_blank" class="market-link">${marketInfo.title || 'Unknown Market'}</a>
+          ${marketLinks(marketInfo.conditionId, marketInfo.title || 'Unknown Market', marketUrl)}
         </div>
       </td>
     `;
   }
 
+  const resultHtml = outcome.result
+    ? `<span class="result-badge result-${outcome.result}">${outcome.result}</span>`
+    : '';
+
   rowHtml += `
-    <td><span class="${outcomeClass}">${outcome.outcome || '-'}</span></td>
+    <td><span class="${outcomeClass}">${outcome.outcome || '-'}</span>${resultHtml}${liquidityBadge(outcome.liquidity)}</td>
     ${isFirst ? `<td ${rowSpanCount > 1 ? `rowspan="${rowSpanCount}"` : ''} class="expiration-date">${formatExpirationDate(marketInfo.endDate)}</td>` : ''}
     <td>${entryHtml}</td>
+    ${buildPriceCell(outcome)}
     <td>${traderCountHtml}</td>
+    ${buildConsensusCell(outcome)}
     <td>${formatUSD(outcome.totalExposure)}</td>
     <td>${allocPct.toFixed(2)}%</td>
-    <td class="tooltip ${h1Class}">
-      ${h1Sign}${formatUSD(changes.h1)}
-      ${changes.h1Details.length > 0 ? `<span class="tooltip-text">${buildChangeTooltip(changes.h1Details)}</span>` : ''}
-    </td>
-    <td class="tooltip ${d1Class}">
-      ${d1Sign}${formatUSD(changes.d1)}
-      ${changes.d1Details.length > 0 ? `<span class="tooltip-text">${buildChangeTooltip(changes.d1Details)}</span>` : ''}
-    </td>
-    <td class="tooltip ${w1Class}">
-      ${w1Sign}${formatUSD(changes.w1)}
-      ${changes.w1Details.length > 0 ? `<span class="tooltip-text">${buildChangeTooltip(changes.w1Details)}</span>` : ''}
-    </td>
+    ${buildFlowCell(changes.h1, changes.h1Details, outcome.priceChange1h)}
+    ${buildFlowCell(changes.d1, changes.d1Details, outcome.priceChange1d)}
+    ${buildFlowCell(changes.w1, changes.w1Details, outcome.priceChange1w)}
   </tr>`;
 
   return rowHtml;
 }
 
+const POSITION_STATUSES = ['live', 'awaiting', 'resolved'];
+const STATUS_LABELS = { live: 'Live', awaiting: 'Awaiting resolution', resolved: 'Resolved' };
+
+/**
+ * Status of a market or event row: the least settled of its outcomes
+ * (data published before statuses counts as live)
+ */
+function unitStatus(unit) {
+  const outcomes = unit.isEvent ? unit.markets.flatMap(m => m.outcomes) : unit.outcomes;
+  return POSITION_STATUSES.find(status => outcomes.some(o => (o.status || 'live') === status)) || 'live';
+}
+
 /**
  * Render portfolio table
  */
@@ -470,7 +842,7 @@ function renderPortfolioTable() {
   const thead = document.getElementById('portfolio-thead');
 
   if (!aggregatedPortfolio?.positions) {
-    tbody.innerHTML = '<tr><td colspan="11" class="loading">Loading...</td></tr>';
+    tbody.innerHTML = '<tr><td colspan="13" class="loading">Loading...</td></tr>';
     return;
   }
 
@@ -483,7 +855,9 @@ function renderPortfolioTable() {
         <th>Side</th>
         <th class="sortable" onclick="handlePortfolioSort('endDate')">Expiration${getSortIndicator('endDate')}</th>
         <th>Avg Entry</th>
+        <th class="sortable tooltip-header" onclick="handlePortfolioSort('priceChange1d')">Price${getSortIndicator('priceChange1d')}<span class="header-info">Mark, 1d move</span></th>
         <th class="sortable" onclick="handlePortfolioSort('traderCount')">Traders${getSortIndicator('traderCount')}</th>
+        <th class="sortable tooltip-header" onclick="handlePortfolioSort('consensusScore')">Consensus${getSortIndicator('consensusScore')}<span class="header-info">-100 to +100</span></th>
         <th class="sortable" onclick="handlePortfolioSort('totalExposure')">Exposure${getSortIndicator('totalExposure')}</th>
         <th>% Alloc</th>
         <th class="sortable tooltip-header" onclick="handlePortfolioSort('change1h')">1h Change${getSortIndicator('change1h')}<span class="header-info">Hover for details</span></th>
@@ -494,50 +868,68 @@ function renderPortfolioTable() {
   }
 
   // First calculate changes for all positions (needed for grouping)
-  for (const pos of aggregatedPortfolio.positions) {
-    const changes = calculatePositionChanges(pos.conditionId, pos.outcomeIndex);
+  const positions = aggregatedPortfolio.positions.filter(inActiveCategory);
+  for (const pos of positions) {
+    const changes = calculatePositionChanges(outcomeKeyOf(pos));
     pos._change1h = changes.h1;
     pos._change1d = changes.d1;
     pos._change1w = changes.w1;
   }
 
   // Group positions by market
-  const groupedMarkets = groupPositionsByMarket(aggregatedPortfolio.positions);
+  const groupedMarkets = groupPositionsByMarket(positions);
 
   if (groupedMarkets.length === 0) {
-    tbody.innerHTML = '<tr><td colspan="11" class="loading">No positions found</td></tr>';
+    tbody.innerHTML = '<tr><td colspan="13" class="loading">No positions found</td></tr>';
     return;
   }
 
-  // Sort grouped markets
-  const sortedMarkets = sortPositions(groupedMarkets);
-
-  // Calculate total exposure for allocation %
-  const totalExposure = aggregatedPortfolio.summary?.totalExposure ||
-    sortedMarkets.reduce((sum, m) => sum + (m.totalExposure || 0), 0);
-
-  // Render rows
-  let html = '';
-  sortedMarkets.forEach((market, idx) => {
+  // Render rows; events expand into their markets
+  const renderMarket = (market, index, grouped) => {
     const marketInfo = {
-      index: idx + 1,
+      index,
+      conditionId: market.conditionId,
       title: market.title,
       slug: market.slug,
       icon: market.icon,
       eventSlug: market.eventSlug,
-      endDate: market.endDate
+      endDate: market.endDate,
+      grouped
     };
+    return market.outcomes.map((outcome, outcomeIdx) => renderOutcomeRow(
+      outcome,
+      outcomeIdx === 0,
+      market.outcomes.length,
+      marketInfo
+    )).join('');
+  };
 
-    market.outcomes.forEach((outcome, outcomeIdx) => {
-      html += renderOutcomeRow(
-        outcome,
-        totalExposure,
-        outcomeIdx === 0,
-        market.outcomes.length,
-        marketInfo
-      );
+  // Live markets first, then ended markets awaiting resolution, then resolved ones
+  const units = sortPositions(groupMarketsByEvent(groupedMarkets));
+  const groups = POSITION_STATUSES
+    .map(status => ({ status, units: units.filter(unit => unitStatus(unit) === status) }))
+    .filter(group => group.units.length > 0);
+
+  let html = '';
+  for (const group of groups) {
+    if (groups.length > 1) {
+      html += `<tr class="status-group-row"><td colspan="13">${STATUS_LABELS[group.status]} (${group.units.length})</td></tr>`;
+    }
+    group.units.forEach((unit, idx) => {
+      if (!unit.isEvent) {
+        html += renderMarket(unit, idx + 1, false);
+        return;
+      }
+      html += renderEventRow(unit, idx + 1);
+      if (!expandedEvents.has(unit.eventSlug)) return;
+      if (unit.event.negRisk) {
+        html += renderEventDistribution(unit.event);
+      }
+      unit.markets.forEach((market, marketIdx) => {
+        html += renderMarket(market, `${idx + 1}.${marketIdx + 1}`, true);
+      });
     });
-  });
+  }
 
   tbody.innerHTML = html;
 }
@@ -561,21 +953,100 @@ function renderChangesSummary() {
   });
 }
 
+// ===========================================
+// CATEGORIES
+// ===========================================
+
+/**
+ * Per-category breakdown of the loaded aggregate, largest exposure first
+ */
+function getCategories() {
+  return aggregatedPortfolio?.categories || [];
+}
+
+/**
+ * Whether a position or change row passes the category filter
+ */
+function inActiveCategory(item) {
+  return !activeCategory || (item.category || 'other') === activeCategory;
+}
+
+/**
+ * Category of each market, from the aggregated positions and the trades
+ * (position change events carry no category of their own)
+ */
+function marketCategories() {
+  const categories = new Map();
+  for (const row of [...(recentChanges?.changes || []), ...(aggregatedPortfolio?.positions || [])]) {
+    if (row.category) categories.set(row.conditionId, row.category);
+  }
+  return categories;
+}
+
+/**
+ * Fill the category selects of the portfolio and changes tabs
+ */
+function renderCategoryFilters() {
+  const names = getCategories().map(c => c.category);
+  if (activeCategory && !names.includes(activeCategory)) names.push(activeCategory);
+
+  for (const id of ['category-filter', 'changes-category-filter']) {
+    const select = document.getElementById(id);
+    if (!select) continue;
+    select.innerHTML = '<option value="">All categories</option>' +
+      names.map(name => `<option value="${name}">${name}</option>`).join('');
+    select.value = activeCategory || '';
+  }
+}
+
+/**
+ * Render the category breakdown cards: exposure share, holders and flow per
+ * category; clicking a category filters both tabs by it
+ */
+function renderCategoryBreakdown() {
+  const categories = getCategories();
+  const flowCell = value => `<td class="${value >= 0 ? 'positive' : 'negative'}">${value >= 0 ? '+' : ''}${formatUSD(value)}</td>`;
+  const rows = categories.map(c => `
+    <tr class="category-row ${activeCategory === c.category ? 'active' : ''}" onclick="selectCategory('${activeCategory === c.category ? '' : c.category}')">
+      <td>${c.category}</td>
+      <td><div class="allocation-bar"><div class="allocation-bar-fill" style="width: ${Math.min(100, c.share * 100).toFixed(1)}%"></div></div></td>
+      <td>${formatUSD(c.exposure)} <span class="muted">${(c.share * 100).toFixed(1)}%</span></td>
+      <td>${c.traderCount}</td>
+      ${flowCell(c.flow24h)}
+      ${flowCell(c.flow7d)}
+    </tr>
+  `).join('');
+
+  for (const id of ['portfolio-categories', 'changes-categories']) {
+    const container = document.getElementById(id);
+    const tbody = document.getElementById(`${id}-tbody`);
+    if (!container || !tbody) continue;
+    container.style.display = categories.length > 0 ? '' : 'none';
+    tbody.innerHTML = rows;
+  }
+}
+
+/**
+ * Filter the portfolio and changes tabs by a category ('' or null = all)
+ */
+function selectCategory(category) {
+  activeCategory = category || null;
+  renderCategoryFilters();
+  renderCategoryBreakdown();
+  renderPortfolioTable();
+  renderChangesViews();
+}
+
 /**
- * Get trader's average entry price for a specific position
+ * Get trader's average entry price for a specific outcome
  */
-function getTraderAvgEntry(traderAddress, conditionId, outcomeIndex) {
+function getTraderAvgEntry(traderAddress, key) {
   if (!traderPortfolios) return null;
 
   const trader = traderPortfolios[traderAddress?.toLowerCase()];
   if (!trader?.positions) return null;
 
-  const position = trader.positions.find(p =>
-    p.conditionId === conditionId &&
-    (p.outcomeIndex === outcomeIndex ||
-     (p.outcome === 'Yes' && outcomeIndex === 1) ||
-     (p.outcome === 'No' && outcomeIndex === 0))
-  );
+  const position = trader.positions.find(p => outcomeKeyOf(p) === key);
 
   return position?.avgPrice || null;
 }
@@ -599,7 +1070,14 @@ function renderChangesTable(deltaFilter = 0, timeFilter = 'all') {
     'all': 0
   };
 
-  const changes = recentChanges.changes.filter(c => {
+  // Redemptions (payouts of resolved positions) are listed alongside the trades
+  const rows = [
+    ...recentChanges.changes,
+    ...(recentChanges.redemptions || []).map(r => ({ ...r, delta: r.payout }))
+  ].sort((a, b) => b.timestamp - a.timestamp);
+
+  const changes = rows.filter(c => {
+    if (!inActiveCategory(c)) return false;
     if (Math.abs(c.delta) < deltaFilter) return false;
     if (timeFilter !== 'all' && c.timestamp < timeThresholds[timeFilter]) return false;
     return true;
@@ -615,11 +1093,30 @@ function renderChangesTable(deltaFilter = 0, timeFilter = 'all') {
       ? polymarketUrl('/event/' + c.eventSlug)
       : polymarketUrl('/market/' + c.marketSlug);
 
+    if (c.action === 'redeemed') {
+      return `
+      <tr>
+        <td>${formatRelativeTime(c.timestamp)}</td>
+        <td>
+          <a href="${traderRoute(c.traderAddress)}" class="market-link">${c.trader}</a>
+        </td>
+        <td>
+          ${marketLinks(c.conditionId, c.market, marketUrl)}
+        </td>
+        <td>-</td>
+        <td>-</td>
+        <td class="action-resolved">redeemed</td>
+        <td>${formatUSD(c.payout)} payout</td>
+        <td>${formatUSD(Math.abs(c.size))}</td>
+      </tr>
+    `;
+    }
+
     const actionClass = c.action === 'increased' ? 'action-increased' : 'action-decreased';
-    const outcomeClass = c.outcome === 'Yes' ? 'outcome-yes' : 'outcome-no';
+    const outcomeClass = outcomeClassOf(c);
 
     // Get trader's average entry for this position
-    const avgEntry = getTraderAvgEntry(c.traderAddress, c.conditionId, c.outcomeIndex);
+    const avgEntry = getTraderAvgEntry(c.traderAddress, outcomeKeyOf(c));
     const avgEntryDisplay = avgEntry ? formatCents(avgEntry) : '-';
 
     // Format delta with trade price in brackets
@@ -627,13 +1124,13 @@ function renderChangesTable(deltaFilter = 0, timeFilter = 'all') {
     const deltaDisplay = `${c.delta >= 0 ? '+' : ''}${formatUSD(c.delta)}${tradePrice ? ` (${tradePrice})` : ''}`;
 
     return `
-      <tr>
+      <tr class="${liveChangeKeys.has(changeKeyOf(c)) ? 'live-new' : ''}">
         <td>${formatRelativeTime(c.timestamp)}</td>
         <td>
-          <a href="${polymarketUrl('/profile/' + c.traderAddress)}" target="_blank" class="market-link">${c.trader}</a>
+          <a href="${traderRoute(c.traderAddress)}" class="market-link">${c.trader}</a>
         </td>
         <td>
-          <a href="${marketUrl}" target="_blank" class="market-link">${c.market}</a>
+          ${marketLinks(c.conditionId, c.market, marketUrl)}
         </td>
         <td><span class="${outcomeClass}">${c.outcome || '-'}</span></td>
         <td>${avgEntryDisplay}</td>
@@ -645,31 +1142,140 @@ function renderChangesTable(deltaFilter = 0, timeFilter = 'all') {
   }).join('');
 }
 
+/**
+ * Format a position size change, e.g. "1.2K → 3.4K shares"
+ */
+function formatSizeChange(prevSize, size) {
+  const fmt = v => formatUSD(v).replace('$', '');
+  return `${fmt(prevSize || 0)} → ${fmt(size || 0)}`;
+}
+
+/**
+ * Render position changes table (opens, closes, flips, resizes, resolutions)
+ */
+function renderPositionChangesTable(deltaFilter = 0, timeFilter = 'all') {
+  const tbody = document.getElementById('position-changes-tbody');
+  if (!positionChanges?.events) {
+    tbody.innerHTML = '<tr><td colspan="7" class="loading">No position changes recorded yet</td></tr>';
+    return;
+  }
+
+  const now = Date.now() / 1000;
+  const timeThresholds = {
+    '1h': now - 3600,
+    '6h': now - 6 * 3600,
+    '24h': now - 24 * 3600,
+    '7d': now - 7 * 24 * 3600,
+    'all': 0
+  };
+
+  const members = watchlistMembers();
+  const categories = activeCategory ? marketCategories() : null;
+  const events = positionChanges.events.filter(e => {
+    if (members && !members.has(e.traderAddress)) return false;
+    if (categories && (categories.get(e.conditionId) || 'other') !== activeCategory) return false;
+    if (Math.abs(e.valueDelta || 0) < deltaFilter) return false;
+    if (timeFilter !== 'all' && e.timestamp < timeThresholds[timeFilter]) return false;
+    return true;
+  });
+
+  if (events.length === 0) {
+    tbody.innerHTML = '<tr><td colspan="7" class="loading">No position changes match filters</td></tr>';
+    return;
+  }
+
+  const actionClasses = {
+    opened: 'action-opened',
+    closed: 'action-closed',
+    added: 'action-increased',
+    trimmed: 'action-decreased',
+    flipped: 'action-flipped',
+    resolved: 'action-resolved',
+    redeemed: 'action-resolved'
+  };
+
+  tbody.innerHTML = events.map(e => {
+    const marketUrl = e.eventSlug
+      ? polymarketUrl('/event/' + e.eventSlug)
+      : polymarketUrl('/market/' + e.marketSlug);
+
+    const outcomeClass = outcomeClassOf(e);
+    const sideHtml = e.type === 'flipped'
+      ? `${e.fromOutcome || '-'} → <span class="${outcomeClass}">${e.outcome || '-'}</span>`
+      : `<span class="${outcomeClass}">${e.outcome || '-'}</span>`;
+    const eventLabel = e.result ? `${e.type} (${e.result})` : e.type;
+
+    return `
+      <tr>
+        <td>${formatRelativeTime(e.timestamp)}</td>
+        <td>
+          <a href="${traderRoute(e.traderAddress)}" class="market-link">${e.trader}</a>
+        </td>
+        <td>
+          ${marketLinks(e.conditionId, e.market, marketUrl)}
+        </td>
+        <td>${sideHtml}</td>
+        <td class="${actionClasses[e.type] || ''}">${eventLabel}</td>
+        <td>${formatSizeChange(e.prevSize, e.size)}</td>
+        <td class="${e.valueDelta >= 0 ? 'positive' : 'negative'}">${e.valueDelta >= 0 ? '+' : ''}${formatUSD(e.valueDelta)}</td>
+      </tr>
+    `;
+  }).join('');
+}
+
 /**
  * Switch tab
  */
-function switchTab(sectionId) {
+function switchTab(sectionId, activeTab = sectionId) {
   tabs.forEach(tab => {
-    tab.classList.toggle('active', tab.dataset.section === sectionId);
+    tab.classList.toggle('active', tab.dataset.section === activeTab);
   });
   sections.forEach(section => {
     section.classList.toggle('active', section.id === `${sectionId}-section`);
   });
 }
 
+/**
+ * Render the selected changes view with the current filters
+ */
+function renderChangesViews() {
+  const showPositions = document.getElementById('changes-view')?.value === 'positions';
+  const deltaFilter = parseInt(document.getElementById('delta-filter')?.value) || 0;
+  const timeFilter = document.getElementById('time-filter')?.value || 'all';
+  document.getElementById('changes-container').style.display = showPositions ? 'none' : '';
+  document.getElementById('position-changes-container').style.display = showPositions ? '' : 'none';
+
+  if (showPositions) {
+    renderPositionChangesTable(deltaFilter, timeFilter);
+  } else {
+    renderChangesTable(deltaFilter, timeFilter);
+  }
+}
+
 /**
  * Initialize filters
  */
 function initFilters() {
+  const viewSelect = document.getElementById('changes-view');
   const deltaFilter = document.getElementById('delta-filter');
   const timeFilter = document.getElementById('time-filter');
 
-  deltaFilter?.addEventListener('change', () => {
-    renderChangesTable(parseInt(deltaFilter.value), timeFilter.value);
-  });
-
-  timeFilter?.addEventListener('change', () => {
-    renderChangesTable(parseInt(deltaFilter.value), timeFilter.value);
+  viewSelect?.addEventListener('change', renderChangesViews);
+  deltaFilter?.addEventListener('change', renderChangesViews);
+  timeFilter?.addEventListener('change', renderChangesViews);
+  document.getElementById('flow-history-window')?.addEventListener('change', renderFlowHistory);
+  document.getElementById('category-filter')?.addEventListener('change', e => selectCategory(e.target.value));
+  document.getElementById('changes-category-filter')?.addEventListener('change', e => selectCategory(e.target.value));
+
+  // Model weighting drives % Alloc, the checker's Model % and the rebalancing plan
+  const weightingSelect = document.getElementById('model-weighting');
+  weightingSelect?.addEventListener('change', () => {
+    modelWeighting = weightingSelect.value;
+    renderPortfolioTable();
+    if (checkerState) {
+      renderCheckerTable();
+      renderRebalancePlan();
+    }
   });
 }
 
@@ -699,6 +1305,9 @@ function trackActivity() {
  * Check for inactivity and show refresh prompt
  */
 function checkInactivity() {
+  // Live updates keep the page current without a refresh
+  if (liveSource) return;
+
   const now = Date.now();
   const inactive = now - lastActivityTime > INACTIVITY_TIMEOUT;
   const statusDot = document.querySelector('.status-dot');
@@ -739,45 +1348,536 @@ function initRefresh() {
   setInterval(checkInactivity, 60000);
 }
 
+// ============================================
+// LIVE UPDATES
+// ============================================
+
 /**
- * Load all data
+ * Whether the page is served by the local API server (scripts/server.js);
+ * static hosting has no api/status
  */
-async function loadData() {
+async function detectLiveServer() {
   try {
-    [metadata, traderPortfolios, aggregatedPortfolio, recentChanges] = await Promise.all([
-      fetchJSON('metadata.json'),
-      fetchJSON('trader_portfolios.json'),
-      fetchJSON('aggregated_portfolio.json'),
-      fetchJSON('recent_changes.json')
-    ]);
-
-    updateLastUpdated();
-    renderTradersTable();
-    renderPortfolioSummary();
-    renderPortfolioTable();
-    renderChangesSummary();
-    renderChangesTable();
-  } catch (error) {
-    console.error('Failed to load data:', error);
-    document.getElementById('traders-tbody').innerHTML =
-      '<tr><td colspan="7" class="loading">Failed to load data. Run the fetch script first.</td></tr>';
+    const response = await fetch(`api/status?t=${Date.now()}`);
+    if (!response.ok) return false;
+    return (await response.json()).live === true;
+  } catch {
+    return false;
   }
 }
 
 /**
- * Initialize app
+ * Identity of a change row, matching the server's
  */
-function init() {
-  // Tab switching
-  tabs.forEach(tab => {
-    tab.addEventListener('click', () => switchTab(tab.dataset.section));
-  });
-
-  initFilters();
-  initSearch();
-  initRefresh();
-  initChecker();
-  loadData();
+function changeKeyOf(c) {
+  return [c.timestamp, c.traderAddress, c.conditionId, c.outcomeIndex, c.action, c.delta].join(':');
+}
+
+/**
+ * Count of changes pushed while the Recent Changes tab was not open
+ */
+function renderLiveBadge() {
+  const tab = document.querySelector('.tab[data-section="changes"]');
+  if (!tab) return;
+  let badge = tab.querySelector('.live-badge');
+  if (liveUnseenChanges === 0) {
+    badge?.remove();
+    return;
+  }
+  if (!badge) {
+    badge = document.createElement('span');
+    badge.className = 'live-badge';
+    tab.appendChild(badge);
+  }
+  badge.textContent = liveUnseenChanges;
+}
+
+/**
+ * Follow the server's events: pushed changes are highlighted, and every
+ * aggregate update reloads the data. EventSource reconnects by itself; after
+ * a dropped connection the data is reloaded in case an update was missed.
+ */
+function connectLive() {
+  let dropped = false;
+  liveSource = new EventSource('api/events');
+
+  liveSource.addEventListener('open', () => {
+    liveConnected = true;
+    if (dropped) loadData();
+    dropped = false;
+    updateLastUpdated();
+  });
+  liveSource.addEventListener('error', () => {
+    liveConnected = false;
+    dropped = true;
+    updateLastUpdated();
+  });
+  liveSource.addEventListener('changes', event => {
+    const members = watchlistMembers();
+    const changes = JSON.parse(event.data).changes.filter(c => !members || members.has(c.traderAddress));
+    liveChangeKeys = new Set(changes.map(changeKeyOf));
+    if (parseRoute().view !== 'changes') liveUnseenChanges += changes.length;
+    renderLiveBadge();
+  });
+  liveSource.addEventListener('aggregate', event => {
+    metadata = JSON.parse(event.data).metadata || metadata;
+    updateLastUpdated();
+    loadData();
+  });
+}
+
+// ============================================
+// HISTORY CHARTS
+// ============================================
+
+/**
+ * Chart points from a series aligned with historySeries.timestamps, skipping gaps
+ */
+function historyPoints(values) {
+  return (historySeries?.timestamps || [])
+    .map((x, i) => ({ x, y: values?.[i] }))
+    .filter(p => typeof p.y === 'number');
+}
+
+/**
+ * History is recorded for the whole roster; say so while a watchlist is selected
+ */
+function renderHistoryScope() {
+  document.querySelectorAll('.history-scope').forEach(el => {
+    el.textContent = activeWatchlist ? 'all traders' : '';
+  });
+}
+
+/**
+ * Total and relative exposure over time
+ */
+function renderPortfolioHistory() {
+  const totalEl = document.getElementById('exposure-history-chart');
+  const relativeEl = document.getElementById('relative-exposure-history-chart');
+  if (!totalEl || !relativeEl) return;
+
+  renderHistoryScope();
+  renderLineChart(totalEl, [
+    { label: 'Total exposure', points: historyPoints(historySeries?.summary?.totalExposure) },
+    { label: 'Total capital', points: historyPoints(historySeries?.summary?.totalCapital) }
+  ], { formatY: formatUSD });
+  renderLineChart(relativeEl, [
+    { label: 'Relative exposure', points: historyPoints(historySeries?.summary?.relativeExposure) }
+  ], { formatY: v => v.toFixed(1) + '%' });
+}
+
+/**
+ * Net flow of one window over time, against its average over the charted period
+ */
+function renderFlowHistory() {
+  const container = document.getElementById('flow-history-chart');
+  if (!container) return;
+
+  const windowKey = document.getElementById('flow-history-window')?.value || '24h';
+  const points = historyPoints(historySeries?.flows?.[windowKey]);
+  const average = points.length > 0 ? points.reduce((sum, p) => sum + p.y, 0) / points.length : 0;
+  const series = [{ label: `${windowKey} net flow`, points }];
+  if (points.length > 1) {
+    series.push({
+      label: 'Period average',
+      points: [{ x: points[0].x, y: average }, { x: points[points.length - 1].x, y: average }],
+      color: '#8b949e',
+      dashed: true
+    });
+  }
+
+  renderHistoryScope();
+  renderLineChart(container, series, { formatY: formatUSD });
+}
+
+// ============================================
+// RESOLVED MARKETS
+// ============================================
+
+/**
+ * Totals of one resolved market's positions (mirrors scripts/resolutions.js)
+ */
+function summarizeResolvedPositions(positions) {
+  const known = positions.filter(p => p.realizedPnL !== null);
+  const costByOutcome = new Map();
+  for (const p of positions) {
+    if (p.outcomeIndex === null) continue;
+    costByOutcome.set(p.outcomeIndex, (costByOutcome.get(p.outcomeIndex) || 0) + (p.cost || 0));
+  }
+  const [consensusIndex] = [...costByOutcome.entries()].sort((a, b) => b[1] - a[1])[0] || [null];
+
+  return {
+    traders: new Set(positions.map(p => p.traderAddress)).size,
+    won: positions.filter(p => p.result === 'won').length,
+    lost: positions.filter(p => p.result === 'lost').length,
+    cost: known.reduce((sum, p) => sum + p.cost, 0),
+    payout: positions.reduce((sum, p) => sum + (p.payout || 0), 0),
+    realizedPnL: known.reduce((sum, p) => sum + p.realizedPnL, 0),
+    consensusResult: consensusIndex === null
+      ? null
+      : positions.find(p => p.outcomeIndex === consensusIndex).result
+  };
+}
+
+/**
+ * Ledger markets of the selected watchlist's traders, with their totals recomputed
+ */
+function resolvedMarketsInView() {
+  const markets = resolvedMarkets?.markets || [];
+  const members = watchlistMembers();
+  if (!members) return markets;
+  return markets
+    .map(m => ({ ...m, positions: m.positions.filter(p => members.has(p.traderAddress)) }))
+    .filter(m => m.positions.length > 0)
+    .map(m => ({ ...m, summary: summarizeResolvedPositions(m.positions) }));
+}
+
+/**
+ * Render the resolved markets ledger and the group's hit rate
+ */
+function renderResolvedMarkets() {
+  const tbody = document.getElementById('resolved-tbody');
+  if (!tbody) return;
+
+  const markets = resolvedMarketsInView();
+  const won = markets.reduce((sum, m) => sum + m.summary.won, 0);
+  const lost = markets.reduce((sum, m) => sum + m.summary.lost, 0);
+  const called = markets.filter(m => m.summary.consensusResult);
+  const pnl = markets.reduce((sum, m) => sum + m.summary.realizedPnL, 0);
+  const pct = (n, d) => d > 0 ? (n / d * 100).toFixed(1) + '%' : '-';
+
+  document.getElementById('resolved-count').textContent = markets.length;
+  document.getElementById('resolved-hit-rate').textContent = pct(won, won + lost);
+  document.getElementById('resolved-consensus-hit-rate').textContent =
+    pct(called.filter(m => m.summary.consensusResult === 'won').length, called.length);
+  const pnlEl = document.getElementById('resolved-pnl');
+  pnlEl.textContent = formatUSD(pnl);
+  pnlEl.className = 'card-value ' + (pnl >= 0 ? 'positive' : 'negative');
+
+  if (markets.length === 0) {
+    tbody.innerHTML = '<tr><td colspan="7" class="loading">No resolved markets recorded yet</td></tr>';
+    return;
+  }
+
+  tbody.innerHTML = markets.map(m => {
+    const marketUrl = m.eventSlug
+      ? polymarketUrl('/event/' + m.eventSlug)
+      : polymarketUrl('/market/' + m.slug);
+    const winner = { outcome: m.winningOutcome, outcomeIndex: m.winningOutcomeIndex };
+    const winnerHtml = m.winningOutcome
+      ? `<span class="${outcomeClassOf(winner)}">${m.winningOutcome}</span>`
+      : '-';
+    const s = m.summary;
+
+    const lines = m.positions.slice(0, 8).map(p => {
+      const pnlText = p.realizedPnL !== null ? ` ${p.realizedPnL >= 0 ? '+' : ''}${formatUSD(p.realizedPnL)}` : '';
+      const redeemed = p.redeemedAt ? ' <span class="muted">redeemed</span>' : '';
+      return `<span class="${p.result === 'won' ? 'positive' : 'negative'}">${p.trader}: ${p.outcome || '?'} ${p.result}${pnlText}</span>${redeemed}`;
+    });
+    if (m.positions.length > 8) {
+      lines.push(`<span class="muted">+${m.positions.length - 8} more...</span>`);
+    }
+
+    return `
+      <tr>
+        <td>${formatRelativeTime(m.resolvedAt)}</td>
+        <td>${marketLinks(m.conditionId, m.title, marketUrl)}</td>
+        <td>${winnerHtml}</td>
+        <td class="tooltip">
+          ${s.won} won / ${s.lost} lost
+          <span class="tooltip-text">${lines.join('<br>')}</span>
+        </td>
+        <td>${formatUSD(s.cost)}</td>
+        <td>${formatUSD(s.payout)}</td>
+        <td class="${s.realizedPnL >= 0 ? 'positive' : 'negative'}">${s.realizedPnL >= 0 ? '+' : ''}${formatUSD(s.realizedPnL)}</td>
+      </tr>
+    `;
+  }).join('');
+}
+
+// ============================================
+// LEADERBOARD
+// ============================================
+
+const LEADERBOARD_COLUMNS = [
+  { key: 'label', label: 'Trader' },
+  { key: 'winRate', label: 'Win Rate', info: 'Resolved outcomes' },
+  { key: 'roi', label: 'ROI' },
+  { key: 'entryEdge', label: 'Entry Edge', info: 'Result - entry price' },
+  { key: 'brierScore', label: 'Brier', info: 'Lower is better' },
+  { key: 'avgHoldHours', label: 'Avg Hold' },
+  { key: 'maxDrawdown', label: 'Max Drawdown' },
+  { key: 'topCategory', label: 'Top Category' },
+  { key: 'totalPnL', label: 'PnL' },
+  { key: 'leaderboardRank', label: 'Polymarket Rank' }
+];
+
+/**
+ * Handle leaderboard column sort click
+ */
+function handleLeaderboardSort(column) {
+  if (leaderboardSort.column === column) {
+    leaderboardSort.direction = leaderboardSort.direction === 'asc' ? 'desc' : 'asc';
+  } else {
+    leaderboardSort.column = column;
+    // Ranks and Brier scores are better when lower
+    leaderboardSort.direction = ['leaderboardRank', 'brierScore', 'label'].includes(column) ? 'asc' : 'desc';
+  }
+  renderLeaderboard();
+}
+
+/**
+ * Format a holding time in hours as hours or days
+ */
+function formatHoldTime(hours) {
+  if (hours === null || hours === undefined) return '-';
+  return hours < 48 ? `${hours.toFixed(1)}h` : `${(hours / 24).toFixed(1)}d`;
+}
+
+/**
+ * Render the scorecard leaderboard for the selected watchlist
+ */
+function renderLeaderboard() {
+  const thead = document.getElementById('leaderboard-thead');
+  const tbody = document.getElementById('leaderboard-tbody');
+  if (!thead || !tbody) return;
+
+  const indicator = key => leaderboardSort.column !== key ? '' : (leaderboardSort.direction === 'asc' ? ' ▲' : ' ▼');
+  thead.innerHTML = `
+    <tr>
+      <th>#</th>
+      ${LEADERBOARD_COLUMNS.map(c => `<th class="sortable${c.info ? ' tooltip-header' : ''}" onclick="handleLeaderboardSort('${c.key}')">${c.label}${indicator(c.key)}${c.info ? `<span class="header-info">${c.info}</span>` : ''}</th>`).join('')}
+    </tr>
+  `;
+
+  if (!scorecards?.traders) {
+    tbody.innerHTML = '<tr><td colspan="11" class="loading">No scorecards published yet</td></tr>';
+    return;
+  }
+
+  const note = document.getElementById('leaderboard-note');
+  if (note) note.textContent = `Traders with fewer than ${scorecards.minResolved} resolved outcomes are dimmed`;
+
+  const members = watchlistMembers();
+  const { column, direction } = leaderboardSort;
+  const rows = scorecards.traders
+    .filter(t => !members || members.has(t.address))
+    .sort((a, b) => {
+      const av = a[column];
+      const bv = b[column];
+      // Missing values sort last either way
+      if (av === null || av === undefined) return 1;
+      if (bv === null || bv === undefined) return -1;
+      const cmp = typeof av === 'string' ? av.localeCompare(bv) : av - bv;
+      return direction === 'asc' ? cmp : -cmp;
+    });
+
+  if (rows.length === 0) {
+    tbody.innerHTML = '<tr><td colspan="11" class="loading">No traders in this watchlist</td></tr>';
+    return;
+  }
+
+  const pct = value => value === null || value === undefined ? '-' : (value * 100).toFixed(1) + '%';
+  const signed = (value, text) => `<td class="${value >= 0 ? 'positive' : 'negative'}">${value >= 0 ? '+' : ''}${text}</td>`;
+
+  tbody.innerHTML = rows.map((t, idx) => {
+    const mix = Object.entries(t.categoryMix || {}).map(([category, share]) => `${category}: ${pct(share)}`);
+    return `
+      <tr class="${t.sufficientSample ? '' : 'low-sample'}">
+        <td>${idx + 1}</td>
+        <td><a href="${traderRoute(t.address)}" class="market-link">${t.label}</a></td>
+        <td>${pct(t.winRate)} <span class="muted">(${t.wins}/${t.resolvedCount})</span></td>
+        ${t.roi === null ? '<td>-</td>' : signed(t.roi, pct(t.roi))}
+        ${t.entryEdge === null ? '<td>-</td>' : signed(t.entryEdge, formatCents(t.entryEdge))}
+        <td>${t.brierScore === null ? '-' : t.brierScore.toFixed(3)}</td>
+        <td>${formatHoldTime(t.avgHoldHours)}</td>
+        <td>${t.maxDrawdown > 0 ? '-' + formatUSD(t.maxDrawdown) : formatUSD(0)}</td>
+        <td class="tooltip">
+          ${t.topCategory ? `${t.topCategory} ${pct(t.categoryMix[t.topCategory])}` : '-'}
+          ${mix.length > 0 ? `<span class="tooltip-text">${mix.join('<br>')}</span>` : ''}
+        </td>
+        ${signed(t.totalPnL, formatUSD(t.totalPnL))}
+        <td>${t.leaderboardRank ? `#${t.leaderboardRank}` : '-'}</td>
+      </tr>
+    `;
+  }).join('');
+}
+
+// ============================================
+// WATCHLISTS
+// ============================================
+
+/**
+ * Watchlists published with the data (metadata.watchlists)
+ */
+function getWatchlists() {
+  return metadata?.watchlists || [];
+}
+
+/**
+ * Addresses of the selected watchlist, or null when all traders are shown
+ */
+function watchlistMembers() {
+  const list = getWatchlists().find(w => w.id === activeWatchlist);
+  return list ? new Set(list.addresses) : null;
+}
+
+/**
+ * Swap the portfolio and changes data for the selected watchlist's
+ * (published under data/watchlists/<id>/), or back to all traders
+ */
+async function loadWatchlistData() {
+  if (activeWatchlist && !getWatchlists().some(w => w.id === activeWatchlist)) {
+    activeWatchlist = null;
+  }
+  if (!activeWatchlist) {
+    ({ aggregatedPortfolio, recentChanges } = combinedData);
+    return;
+  }
+  [aggregatedPortfolio, recentChanges] = await Promise.all([
+    fetchJSON(`watchlists/${activeWatchlist}/aggregated_portfolio.json`),
+    fetchJSON(`watchlists/${activeWatchlist}/recent_changes.json`)
+  ]);
+}
+
+/**
+ * Fill the watchlist picker; hidden while the roster has a single list
+ */
+function renderWatchlistPicker() {
+  const picker = document.getElementById('watchlist-picker');
+  const select = document.getElementById('watchlist-select');
+  const lists = getWatchlists();
+  if (!picker || !select) return;
+
+  picker.style.display = lists.length > 1 ? '' : 'none';
+  select.innerHTML = [
+    '<option value="">All traders</option>',
+    ...lists.map(w => `<option value="${w.id}">${w.name}${w.include ? ' (combined)' : ''} - ${w.trader_count}</option>`)
+  ].join('');
+  select.value = activeWatchlist || '';
+}
+
+/**
+ * Per-list totals above the portfolio; click a row to switch to it
+ */
+function renderWatchlistOverview() {
+  const container = document.getElementById('watchlists-overview');
+  const tbody = document.getElementById('watchlists-tbody');
+  const lists = getWatchlists();
+  if (!container || !tbody) return;
+
+  container.style.display = lists.length > 1 ? '' : 'none';
+  const row = (id, name, traderCount, exposure, flow) => `
+    <tr class="watchlist-row ${(activeWatchlist || '') === id ? 'active' : ''}" onclick="selectWatchlist('${id}')">
+      <td>${name}</td>
+      <td>${traderCount}</td>
+      <td>${formatUSD(exposure)}</td>
+      <td class="${flow >= 0 ? 'positive' : 'negative'}">${flow >= 0 ? '+' : ''}${formatUSD(flow)}</td>
+    </tr>
+  `;
+  const all = combinedData?.aggregatedPortfolio?.summary || {};
+  tbody.innerHTML = row('', 'All traders', metadata?.trader_count || 0, all.totalExposure || 0, all.netFlow24h || 0) +
+    lists.map(w => row(w.id, w.include ? `${w.name} <span class="muted">(combined)</span>` : w.name,
+      w.trader_count, w.total_exposure, w.net_flow_24h || 0)).join('');
+}
+
+/**
+ * Switch every view to a watchlist ('' or null = all traders)
+ */
+async function selectWatchlist(id) {
+  activeWatchlist = id || null;
+  try {
+    await loadWatchlistData();
+  } catch (error) {
+    console.error('Failed to load watchlist:', error);
+    activeWatchlist = null;
+    await loadWatchlistData();
+  }
+  renderDataViews();
+}
+
+/**
+ * Render every view that depends on the loaded data
+ */
+function renderDataViews() {
+  renderWatchlistPicker();
+  renderWatchlistOverview();
+  renderTradersTable(document.getElementById('trader-search')?.value || '');
+  renderPortfolioSummary();
+  renderCategoryFilters();
+  renderCategoryBreakdown();
+  renderPortfolioTable();
+  renderChangesSummary();
+  renderChangesViews();
+  renderResolvedMarkets();
+  renderLeaderboard();
+  if (checkerState) {
+    renderCheckerTable();
+    renderRebalancePlan();
+  }
+  handleRoute();
+}
+
+/**
+ * Load all data
+ */
+async function loadData() {
+  try {
+    [metadata, traderPortfolios, aggregatedPortfolio, recentChanges] = await Promise.all([
+      fetchJSON('metadata.json'),
+      fetchJSON('trader_portfolios.json'),
+      fetchJSON('aggregated_portfolio.json'),
+      fetchJSON('recent_changes.json')
+    ]);
+    combinedData = { aggregatedPortfolio, recentChanges };
+    // Position changes only exist once the pipeline has run twice, chart series once history is on
+    [positionChanges, historySeries, resolvedMarkets, scorecards] = await Promise.all([
+      fetchJSON('position_changes.json').catch(() => null),
+      fetchJSON('history_series.json').catch(() => null),
+      fetchJSON('resolved_markets.json').catch(() => null),
+      fetchJSON('scorecards.json').catch(() => null)
+    ]);
+    // Keep the selected watchlist across refreshes
+    await loadWatchlistData().catch(error => {
+      console.error('Failed to load watchlist:', error);
+      activeWatchlist = null;
+      ({ aggregatedPortfolio, recentChanges } = combinedData);
+    });
+
+    updateLastUpdated();
+    renderDataViews();
+  } catch (error) {
+    console.error('Failed to load data:', error);
+    document.getElementById('traders-tbody').innerHTML =
+      '<tr><td colspan="7" class="loading">Failed to load data. Run the fetch script first.</td></tr>';
+  }
+}
+
+/**
+ * Initialize app
+ */
+function init() {
+  // Tab switching goes through the hash router so views can be linked to
+  tabs.forEach(tab => {
+    tab.addEventListener('click', () => {
+      location.hash = tab.dataset.section;
+    });
+  });
+  window.addEventListener('hashchange', handleRoute);
+  handleRoute();
+
+  document.getElementById('watchlist-select')?.addEventListener('change', e => selectWatchlist(e.target.value));
+
+  initFilters();
+  initSearch();
+  initRefresh();
+  initChecker();
+  loadData();
+
+  // Served by scripts/server.js: take pushed updates instead of polling
+  detectLiveServer().then(live => {
+    if (live) connectLive();
+  });
 }
 
 // ============================================
@@ -877,9 +1977,9 @@ async function fetchCheckerPnL(address) {
 }
 
 /**
- * Calculate time-windowed changes for a position from recent changes data
+ * Calculate time-windowed changes for an outcome (see outcomeKeyOf) from recent changes data
  */
-function calculatePositionChanges(conditionId, outcomeIndex) {
+function calculatePositionChanges(key) {
   if (!recentChanges?.changes) return { h1: 0, d1: 0, w1: 0, h1Details: [], d1Details: [], w1Details: [] };
 
   const now = Date.now() / 1000;
@@ -896,9 +1996,7 @@ function calculatePositionChanges(conditionId, outcomeIndex) {
   const traderChanges1w = new Map();
 
   for (const c of recentChanges.changes) {
-    if (c.conditionId !== conditionId) continue;
-    if (c.outcomeIndex !== outcomeIndex &&
-        !((c.outcome === 'Yes' && outcomeIndex === 1) || (c.outcome === 'No' && outcomeIndex === 0))) continue;
+    if (outcomeKeyOf(c) !== key) continue;
 
     const ts = c.timestamp || 0;
     const delta = c.delta || 0;
@@ -971,15 +2069,10 @@ function buildChangeTooltip(details) {
 /**
  * Find model portfolio position info
  */
-function findModelPosition(conditionId, outcomeIndex) {
+function findModelPosition(key) {
   if (!aggregatedPortfolio?.positions) return null;
 
-  return aggregatedPortfolio.positions.find(p =>
-    p.conditionId === conditionId &&
-    (p.outcomeIndex === outcomeIndex ||
-     (p.outcome === 'Yes' && outcomeIndex === 1) ||
-     (p.outcome === 'No' && outcomeIndex === 0))
-  );
+  return aggregatedPortfolio.positions.find(p => outcomeKeyOf(p) === key);
 }
 
 /**
@@ -1015,9 +2108,6 @@ async function runChecker(address) {
     // Total capital = exposure + USDC
     const totalCapital = totalExposure + usdcBalance;
 
-    // Calculate model portfolio total exposure
-    const modelTotalExposure = aggregatedPortfolio?.summary?.totalExposure || 0;
-
     // Portfolio size = exposure + USDC balance
     const portfolioSize = totalExposure + usdcBalance;
 
@@ -1035,82 +2125,365 @@ async function runChecker(address) {
       pnlEl.className = 'card-value';
     }
 
-    if (positions.length === 0) {
-      tbody.innerHTML = '<tr><td colspan="9" class="loading">No positions found for this address</td></tr>';
-      return;
+    checkerState = { address, positions, capital: totalCapital };
+    renderRebalancePlan();
+    renderCheckerTable();
+
+  } catch (error) {
+    console.error('Checker error:', error);
+    tbody.innerHTML = `<tr><td colspan="9" class="loading">Error: ${error.message}</td></tr>`;
+  }
+}
+
+/**
+ * Render the checked wallet's positions against the model portfolio
+ */
+function renderCheckerTable() {
+  const tbody = document.getElementById('checker-tbody');
+  if (!checkerState) return;
+  const { positions, capital: totalCapital } = checkerState;
+
+  // Build positions table
+  const rows = positions.map(pos => {
+    const exposure = Math.abs(parseFloat(pos.currentValue || 0));
+    const userPct = totalCapital > 0 ? (exposure / totalCapital) * 100 : 0;
+
+    // Find matching model position
+    const key = outcomeKeyOf(pos);
+    const modelPos = findModelPosition(key);
+    const modelPct = modelPos ? modelShare(modelPos) * 100 : 0;
+
+    // Trader count
+    const traderCount = modelPos?.traderCount || 0;
+    const traderChange = modelPos?.traderCountChange || 0;
+    let traderHtml = `${traderCount}`;
+    if (traderChange !== 0) {
+      const cls = traderChange > 0 ? 'positive' : 'negative';
+      const sign = traderChange > 0 ? '+' : '';
+      traderHtml += ` <span class="${cls}">(${sign}${traderChange})</span>`;
     }
 
-    // Build positions table
-    const rows = positions.map(pos => {
-      const exposure = Math.abs(parseFloat(pos.currentValue || 0));
-      const userPct = totalCapital > 0 ? (exposure / totalCapital) * 100 : 0;
+    // Time-based changes
+    const changes = calculatePositionChanges(key);
 
-      // Find matching model position
-      const outcomeIndex = pos.outcomeIndex !== undefined ? pos.outcomeIndex : (pos.outcome === 'Yes' ? 1 : 0);
-      const modelPos = findModelPosition(pos.conditionId, outcomeIndex);
-      const modelPct = modelPos && modelTotalExposure > 0
-        ? (modelPos.totalExposure / modelTotalExposure) * 100
-        : 0;
+    const h1Class = changes.h1 >= 0 ? 'positive' : 'negative';
+    const d1Class = changes.d1 >= 0 ? 'positive' : 'negative';
+    const w1Class = changes.w1 >= 0 ? 'positive' : 'negative';
 
-      // Trader count
-      const traderCount = modelPos?.traderCount || 0;
-      const traderChange = modelPos?.traderCountChange || 0;
-      let traderHtml = `${traderCount}`;
-      if (traderChange !== 0) {
-        const cls = traderChange > 0 ? 'positive' : 'negative';
-        const sign = traderChange > 0 ? '+' : '';
-        traderHtml += ` <span class="${cls}">(${sign}${traderChange})</span>`;
-      }
+    const h1Sign = changes.h1 >= 0 ? '+' : '';
+    const d1Sign = changes.d1 >= 0 ? '+' : '';
+    const w1Sign = changes.w1 >= 0 ? '+' : '';
 
-      // Time-based changes
-      const changes = calculatePositionChanges(pos.conditionId, outcomeIndex);
+    const marketUrl = pos.eventSlug
+      ? polymarketUrl('/event/' + pos.eventSlug)
+      : polymarketUrl('/market/' + pos.slug);
 
-      const h1Class = changes.h1 >= 0 ? 'positive' : 'negative';
-      const d1Class = changes.d1 >= 0 ? 'positive' : 'negative';
-      const w1Class = changes.w1 >= 0 ? 'positive' : 'negative';
+    const outcomeClass = outcomeClassOf(pos);
 
-      const h1Sign = changes.h1 >= 0 ? '+' : '';
-      const d1Sign = changes.d1 >= 0 ? '+' : '';
-      const w1Sign = changes.w1 >= 0 ? '+' : '';
+    return `
+      <tr>
+        <td>
+          ${marketLinks(pos.conditionId, pos.title || 'Unknown Market', marketUrl)}
+        </td>
+        <td><span class="${outcomeClass}">${pos.outcome || '-'}</span>${liquidityBadge(modelPos?.liquidity)}</td>
+        <td>${formatUSD(exposure)}</td>
+        <td>${userPct.toFixed(2)}%</td>
+        <td>${modelPct > 0 ? modelPct.toFixed(2) + '%' : '-'}</td>
+        <td>${traderCount > 0 ? traderHtml : '-'}</td>
+        <td class="tooltip ${h1Class}">
+          ${h1Sign}${formatUSD(changes.h1)}
+          ${changes.h1Details.length > 0 ? `<span class="tooltip-text">${buildChangeTooltip(changes.h1Details)}</span>` : ''}
+        </td>
+        <td class="tooltip ${d1Class}">
+          ${d1Sign}${formatUSD(changes.d1)}
+          ${changes.d1Details.length > 0 ? `<span class="tooltip-text">${buildChangeTooltip(changes.d1Details)}</span>` : ''}
+        </td>
+        <td class="tooltip ${w1Class}">
+          ${w1Sign}${formatUSD(changes.w1)}
+          ${changes.w1Details.length > 0 ? `<span class="tooltip-text">${buildChangeTooltip(changes.w1Details)}</span>` : ''}
+        </td>
+      </tr>
+    `;
+  });
 
-      const marketUrl = pos.eventSlug
-        ? polymarketUrl('/event/' + pos.eventSlug)
-        : polymarketUrl('/market/' + pos.slug);
+  // Model positions the wallet does not hold at all
+  const heldKeys = new Set(positions.filter(p => parseFloat(p.size) > 0).map(outcomeKeyOf));
+  const missing = (aggregatedPortfolio?.positions || []).filter(m => !heldKeys.has(outcomeKeyOf(m)));
+  const missingRows = missing.map(m => {
+    const marketUrl = m.eventSlug
+      ? polymarketUrl('/event/' + m.eventSlug)
+      : polymarketUrl('/market/' + m.slug);
+    const modelPct = modelShare(m) * 100;
+    return `
+      <tr class="checker-missing-row">
+        <td>${marketLinks(m.conditionId, m.title || 'Unknown Market', marketUrl)}</td>
+        <td><span class="${outcomeClassOf(m)}">${m.outcome || '-'}</span></td>
+        <td class="muted">Not held</td>
+        <td>-</td>
+        <td>${modelPct.toFixed(2)}%</td>
+        <td>${m.traderCount || 0}</td>
+        <td colspan="3"></td>
+      </tr>
+    `;
+  });
 
-      const outcomeClass = pos.outcome === 'Yes' ? 'outcome-yes' : 'outcome-no';
+  if (rows.length === 0 && missingRows.length === 0) {
+    tbody.innerHTML = '<tr><td colspan="9" class="loading">No positions found for this address</td></tr>';
+    return;
+  }
 
-      return `
-        <tr>
-          <td>
-            <a href="${marketUrl}" target="_blank" class="market-link">${pos.title || 'Unknown Market'}</a>
-          </td>
-          <td><span class="${outcomeClass}">${pos.outcome || '-'}</span></td>
-          <td>${formatUSD(exposure)}</td>
-          <td>${userPct.toFixed(2)}%</td>
-          <td>${modelPct > 0 ? modelPct.toFixed(2) + '%' : '-'}</td>
-          <td>${traderCount > 0 ? traderHtml : '-'}</td>
-          <td class="tooltip ${h1Class}">
-            ${h1Sign}${formatUSD(changes.h1)}
-            ${changes.h1Details.length > 0 ? `<span class="tooltip-text">${buildChangeTooltip(changes.h1Details)}</span>` : ''}
-          </td>
-          <td class="tooltip ${d1Class}">
-            ${d1Sign}${formatUSD(changes.d1)}
-            ${changes.d1Details.length > 0 ? `<span class="tooltip-text">${buildChangeTooltip(changes.d1Details)}</span>` : ''}
-          </td>
-          <td class="tooltip ${w1Class}">
-            ${w1Sign}${formatUSD(changes.w1)}
-            ${changes.w1Details.length > 0 ? `<span class="tooltip-text">${buildChangeTooltip(changes.w1Details)}</span>` : ''}
-          </td>
-        </tr>
-      `;
+  tbody.innerHTML = rows.join('') + (missingRows.length > 0
+    ? `<tr><td colspan="9" class="checker-missing-header">Model positions you do not hold (${missingRows.length})</td></tr>` + missingRows.join('')
+    : '');
+}
+
+/**
+ * Read the planner options from the form
+ */
+function readPlanOptions() {
+  const num = id => {
+    const value = parseFloat(document.getElementById(id)?.value);
+    return Number.isFinite(value) ? value : null;
+  };
+  return {
+    bankroll: num('plan-bankroll'),
+    investedPct: num('plan-invested'),
+    minTrade: num('plan-min-trade') ?? 0,
+    maxMarketPct: num('plan-max-market'),
+    skipDays: num('plan-skip-days') ?? 0
+  };
+}
+
+/**
+ * Orders that would make a wallet mirror the model portfolio.
+ * Each model outcome's target is its model share (selected weighting) times the invested part
+ * of the bankroll; outcomes the wallet holds outside the model target zero.
+ * @param {Array<object>} userPositions - Open positions of the checked wallet
+ * @param {number} capital - Wallet exposure + USDC, used when no target bankroll is given
+ * @param {object} options - { bankroll, investedPct, minTrade, maxMarketPct, skipDays, now }
+ * @returns {object} { bankroll, investedPct, orders, skipped, totals }
+ */
+function buildRebalancePlan(userPositions, capital, options = {}) {
+  const model = aggregatedPortfolio?.positions || [];
+  // Shares are renormalised over the listed outcomes (min_usd_filter hides some)
+  const modelTotal = model.reduce((sum, p) => sum + modelShare(p), 0);
+  const bankroll = options.bankroll > 0 ? options.bankroll : capital;
+  // Default to the Tier1 group's own invested share, keeping the rest in USDC as they do
+  const investedPct = options.investedPct ?? aggregatedPortfolio?.summary?.relativeExposure ?? 100;
+  const investable = bankroll * Math.min(100, Math.max(0, investedPct)) / 100;
+  const marketCap = options.maxMarketPct > 0 ? bankroll * options.maxMarketPct / 100 : Infinity;
+  const now = options.now ?? Date.now();
+  const skipBefore = now + (options.skipDays || 0) * 86400 * 1000;
+
+  const rows = new Map();
+  const rowFor = item => {
+    const key = outcomeKeyOf(item);
+    if (!rows.has(key)) {
+      rows.set(key, {
+        key,
+        asset: item.asset || null,
+        conditionId: item.conditionId,
+        title: item.title || 'Unknown Market',
+        slug: item.slug || '',
+        eventSlug: item.eventSlug || '',
+        outcome: item.outcome || '',
+        outcomeIndex: outcomeIndexOf(item),
+        endDate: item.endDate || null,
+        price: 0,
+        current: 0,
+        target: 0,
+        held: false,
+        inModel: false
+      });
+    }
+    return rows.get(key);
+  };
+
+  for (const pos of userPositions) {
+    if (!(parseFloat(pos.size) > 0)) continue;
+    const row = rowFor(pos);
+    row.held = true;
+    row.current += Math.abs(parseFloat(pos.currentValue) || 0);
+    row.price = parseFloat(pos.curPrice) || row.price;
+  }
+
+  for (const m of model) {
+    const row = rowFor(m);
+    row.inModel = true;
+    row.target = modelTotal > 0 ? investable * modelShare(m) / modelTotal : 0;
+    row.price = row.price || m.curPrice || 0;
+  }
+
+  // Cap the combined target of all outcomes of a market
+  const marketTargets = new Map();
+  for (const row of rows.values()) {
+    marketTargets.set(row.conditionId, (marketTargets.get(row.conditionId) || 0) + row.target);
+  }
+  for (const row of rows.values()) {
+    const marketTarget = marketTargets.get(row.conditionId);
+    if (marketTarget > marketCap) {
+      row.target *= marketCap / marketTarget;
+      row.capped = true;
+    }
+  }
+
+  const orders = [];
+  const skipped = [];
+  for (const row of rows.values()) {
+    const expiry = parseExpirationDate(row.endDate);
+    if (expiry && expiry < skipBefore) {
+      skipped.push({ ...row, reason: 'expiring' });
+      continue;
+    }
+    const amount = row.target - row.current;
+    if (Math.abs(amount) < Math.max(options.minTrade || 0, 0.01)) continue;
+    orders.push({
+      ...row,
+      action: amount > 0 ? 'BUY' : 'SELL',
+      amount: Math.abs(amount),
+      shares: row.price > 0 ? Math.abs(amount) / row.price : null,
+      isNew: amount > 0 && !row.held
     });
+  }
 
-    tbody.innerHTML = rows.join('');
+  // Sells first to free up cash, then the largest buys
+  orders.sort((a, b) => (a.action === b.action ? b.amount - a.amount : a.action === 'SELL' ? -1 : 1));
 
-  } catch (error) {
-    console.error('Checker error:', error);
-    tbody.innerHTML = `<tr><td colspan="9" class="loading">Error: ${error.message}</td></tr>`;
+  const toBuy = orders.filter(o => o.action === 'BUY').reduce((sum, o) => sum + o.amount, 0);
+  const toSell = orders.filter(o => o.action === 'SELL').reduce((sum, o) => sum + o.amount, 0);
+  return {
+    bankroll,
+    investedPct,
+    orders,
+    skipped,
+    totals: {
+      toBuy,
+      toSell,
+      netCash: toSell - toBuy,
+      newPositions: orders.filter(o => o.isNew).length
+    }
+  };
+}
+
+/**
+ * Render the rebalancing plan for the last checked wallet
+ */
+function renderRebalancePlan() {
+  const tbody = document.getElementById('plan-tbody');
+  if (!tbody || !checkerState) return;
+
+  const options = readPlanOptions();
+  const invested = document.getElementById('plan-invested');
+  if (invested && !invested.value) {
+    invested.placeholder = `${(aggregatedPortfolio?.summary?.relativeExposure ?? 100).toFixed(0)} (Tier1)`;
+  }
+
+  rebalancePlan = buildRebalancePlan(checkerState.positions, checkerState.capital, options);
+  const { orders, skipped, totals } = rebalancePlan;
+
+  document.getElementById('plan-bankroll-value').textContent = formatUSD(rebalancePlan.bankroll);
+  document.getElementById('plan-buy').textContent = formatUSD(totals.toBuy);
+  document.getElementById('plan-sell').textContent = formatUSD(totals.toSell);
+  document.getElementById('plan-new').textContent = totals.newPositions;
+  const netEl = document.getElementById('plan-net');
+  netEl.textContent = `${totals.netCash >= 0 ? '+' : ''}${formatUSD(totals.netCash)}`;
+  netEl.className = 'card-value ' + (totals.netCash >= 0 ? 'positive' : 'negative');
+
+  const skippedNote = skipped.length > 0
+    ? `<tr><td colspan="8" class="muted">${skipped.length} outcome${skipped.length === 1 ? '' : 's'} expiring within ${options.skipDays} days left as is</td></tr>`
+    : '';
+
+  if (orders.length === 0) {
+    tbody.innerHTML = '<tr><td colspan="8" class="loading">Nothing to do: the wallet already mirrors the model within the minimum trade size</td></tr>' + skippedNote;
+    return;
+  }
+
+  tbody.innerHTML = orders.map(o => {
+    const marketUrl = o.eventSlug
+      ? polymarketUrl('/event/' + o.eventSlug)
+      : polymarketUrl('/market/' + o.slug);
+    const tags = [
+      o.isNew ? '<span class="plan-tag">new</span>' : '',
+      !o.inModel ? '<span class="plan-tag">not in model</span>' : '',
+      o.capped ? '<span class="plan-tag">capped</span>' : '',
+      liquidityBadge(findModelPosition(o.key)?.liquidity)
+    ].join('');
+
+    return `
+      <tr>
+        <td class="${o.action === 'BUY' ? 'action-increased' : 'action-decreased'}">${o.action}</td>
+        <td>${marketLinks(o.conditionId, o.title, marketUrl)} ${tags}</td>
+        <td><span class="${outcomeClassOf(o)}">${o.outcome || '-'}</span></td>
+        <td>${formatUSD(o.current)}</td>
+        <td>${formatUSD(o.target)}</td>
+        <td class="${o.action === 'BUY' ? 'positive' : 'negative'}">${o.action === 'BUY' ? '+' : '-'}${formatUSD(o.amount)}</td>
+        <td>${o.price > 0 ? formatCents(o.price) : '-'}</td>
+        <td>${o.shares !== null ? formatUSD(o.shares).replace('$', '') : '-'}</td>
+      </tr>
+    `;
+  }).join('') + skippedNote;
+}
+
+/**
+ * Offer a file for download
+ */
+function downloadFile(filename, content, type) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Quote a CSV field when needed (RFC 4180)
+ */
+function csvField(value) {
+  const str = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+/**
+ * Export the current rebalancing plan as CSV or JSON
+ */
+function exportRebalancePlan(format) {
+  if (!rebalancePlan || !checkerState) return;
+
+  const orders = rebalancePlan.orders.map(o => ({
+    action: o.action,
+    market: o.title,
+    outcome: o.outcome,
+    conditionId: o.conditionId,
+    asset: o.asset,
+    currentUsd: Math.round(o.current * 100) / 100,
+    targetUsd: Math.round(o.target * 100) / 100,
+    amountUsd: Math.round(o.amount * 100) / 100,
+    price: o.price,
+    shares: o.shares !== null ? Math.round(o.shares * 100) / 100 : null,
+    newPosition: o.isNew,
+    inModel: o.inModel
+  }));
+  const base = `rebalance-${checkerState.address.slice(0, 10)}-${new Date().toISOString().slice(0, 10)}`;
+
+  if (format === 'json') {
+    const data = {
+      address: checkerState.address,
+      generatedAt: new Date().toISOString(),
+      modelUpdatedAt: metadata?.last_updated || null,
+      bankroll: rebalancePlan.bankroll,
+      investedPct: rebalancePlan.investedPct,
+      options: readPlanOptions(),
+      totals: rebalancePlan.totals,
+      orders
+    };
+    downloadFile(`${base}.json`, JSON.stringify(data, null, 2), 'application/json');
+    return;
   }
+
+  const headers = Object.keys(orders[0] || { action: '' });
+  const lines = [headers.join(','), ...orders.map(o => headers.map(h => csvField(o[h])).join(','))];
+  downloadFile(`${base}.csv`, lines.join('\r\n') + '\r\n', 'text/csv');
 }
 
 /**
@@ -1131,6 +2504,461 @@ function initChecker() {
       runChecker(address);
     }
   });
+
+  for (const id of ['plan-bankroll', 'plan-invested', 'plan-min-trade', 'plan-max-market', 'plan-skip-days']) {
+    document.getElementById(id)?.addEventListener('input', renderRebalancePlan);
+  }
+  document.getElementById('plan-export-csv')?.addEventListener('click', () => exportRebalancePlan('csv'));
+  document.getElementById('plan-export-json')?.addEventListener('click', () => exportRebalancePlan('json'));
+}
+
+// ============================================
+// ROUTING & DETAIL VIEWS
+// ============================================
+
+/**
+ * Hash route for a market detail view
+ */
+function marketRoute(conditionId) {
+  return `#market/${conditionId || ''}`;
+}
+
+/**
+ * Hash route for a trader detail view
+ */
+function traderRoute(address) {
+  return `#trader/${(address || '').toLowerCase()}`;
+}
+
+/**
+ * Parse the location hash into a route, e.g. "#trader/0xabc" -> { view: 'trader', param: '0xabc' }
+ */
+function parseRoute() {
+  const hash = decodeURIComponent(location.hash.replace(/^#/, ''));
+  const [view, ...rest] = hash.split('/');
+  return { view: view || 'traders', param: rest.join('/') };
+}
+
+/**
+ * Show the view for the current hash route
+ */
+function handleRoute() {
+  const { view, param } = parseRoute();
+
+  if (view === 'trader' && param) {
+    switchTab('trader-detail', 'traders');
+    renderTraderDetail(param.toLowerCase());
+    return;
+  }
+
+  if (view === 'market' && param) {
+    switchTab('market-detail', 'portfolio');
+    renderMarketDetail(param);
+    return;
+  }
+
+  const isTab = [...tabs].some(tab => tab.dataset.section === view);
+  const section = isTab ? view : 'traders';
+  switchTab(section);
+
+  // Charts size themselves to their container, so they are drawn once it is visible
+  if (section === 'portfolio') renderPortfolioHistory();
+  if (section === 'changes') {
+    renderFlowHistory();
+    liveUnseenChanges = 0;
+    renderLiveBadge();
+  }
+}
+
+/**
+ * Index of holders per outcome across all traders: outcome key -> { conditionId, addresses }
+ */
+function buildHoldersIndex() {
+  const index = new Map();
+  for (const trader of Object.values(traderPortfolios || {})) {
+    if (!trader.fetchSuccess) continue;
+    for (const pos of trader.positions || []) {
+      if (!(parseFloat(pos.size) > 0)) continue;
+      const key = outcomeKeyOf(pos);
+      if (!index.has(key)) index.set(key, { conditionId: pos.conditionId, addresses: new Set() });
+      index.get(key).addresses.add(trader.address);
+    }
+  }
+  return index;
+}
+
+/**
+ * Unrealized PnL of a single position
+ */
+function positionUnrealizedPnL(pos) {
+  if (pos.cashPnl !== undefined && pos.cashPnl !== null) {
+    return parseFloat(pos.cashPnl) || 0;
+  }
+  return ((parseFloat(pos.curPrice) || 0) - (parseFloat(pos.avgPrice) || 0)) * (parseFloat(pos.size) || 0);
+}
+
+/**
+ * Turn an event slug into a readable title
+ */
+function humanizeSlug(slug) {
+  if (!slug) return 'Unknown Event';
+  return slug
+    .split('-')
+    .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+    .join(' ');
+}
+
+/**
+ * Render allocation breakdown by event for a list of positions
+ */
+function renderAllocationList(container, positions, totalValue) {
+  const events = new Map();
+  for (const pos of positions) {
+    const key = pos.eventSlug || pos.slug || pos.conditionId;
+    if (!events.has(key)) {
+      events.set(key, { key, titles: new Set(), value: 0 });
+    }
+    const event = events.get(key);
+    event.titles.add(pos.title);
+    event.value += parseFloat(pos.currentValue) || 0;
+  }
+
+  const sorted = [...events.values()].sort((a, b) => b.value - a.value);
+  const top = sorted.slice(0, 10);
+  const otherValue = sorted.slice(10).reduce((sum, e) => sum + e.value, 0);
+  if (otherValue > 0) {
+    top.push({ key: 'other', titles: new Set([`Other (${sorted.length - 10} events)`]), value: otherValue });
+  }
+
+  if (top.length === 0) {
+    container.innerHTML = '<div class="loading">No open positions</div>';
+    return;
+  }
+
+  container.innerHTML = top.map(e => {
+    const pct = totalValue > 0 ? (e.value / totalValue) * 100 : 0;
+    const label = e.titles.size === 1 ? [...e.titles][0] : humanizeSlug(e.key);
+    return `
+      <div class="allocation-row">
+        <span class="allocation-label" title="${label}">${label}</span>
+        <div class="allocation-bar"><div class="allocation-bar-fill" style="width: ${Math.min(100, pct).toFixed(1)}%"></div></div>
+        <span class="allocation-value">${formatUSD(e.value)}</span>
+        <span class="allocation-value">${pct.toFixed(1)}%</span>
+      </div>
+    `;
+  }).join('');
+}
+
+/**
+ * Render the trader detail view
+ */
+function renderTraderDetail(address) {
+  const positionsTbody = document.getElementById('trader-positions-tbody');
+  const tradesTbody = document.getElementById('trader-trades-tbody');
+
+  if (!traderPortfolios) {
+    positionsTbody.innerHTML = '<tr><td colspan="9" class="loading">Loading...</td></tr>';
+    return;
+  }
+
+  const trader = traderPortfolios[address];
+  if (!trader) {
+    document.getElementById('trader-detail-title').textContent = 'Trader not found';
+    document.getElementById('trader-detail-address').textContent = address;
+    positionsTbody.innerHTML = '<tr><td colspan="9" class="loading">This address is not on the watchlist</td></tr>';
+    tradesTbody.innerHTML = '<tr><td colspan="6" class="loading">-</td></tr>';
+    return;
+  }
+
+  // Header
+  document.getElementById('trader-detail-title').textContent = trader.label || truncateAddress(trader.address);
+  document.getElementById('trader-detail-address').textContent = trader.address;
+  document.getElementById('trader-detail-actions').innerHTML = `
+    <button class="btn btn-copy" onclick="copyToClipboard('${trader.address}').then(() => this.textContent = 'Copied!').finally(() => setTimeout(() => this.textContent = 'Copy', 1500))">Copy</button>
+    <a href="${polymarketUrl('/profile/' + trader.address)}" target="_blank" class="btn">Polymarket &#8599;</a>
+  `;
+
+  const positions = (trader.positions || [])
+    .filter(p => parseFloat(p.size) > 0)
+    .sort((a, b) => (parseFloat(b.currentValue) || 0) - (parseFloat(a.currentValue) || 0));
+  const positionsValue = positions.reduce((sum, p) => sum + (parseFloat(p.currentValue) || 0), 0);
+  const portfolioSize = positionsValue + (trader.usdcBalance || 0);
+  const holders = buildHoldersIndex();
+
+  // Summary cards
+  const setValue = (id, value, signed = false) => {
+    const el = document.getElementById(id);
+    el.textContent = signed ? `${value >= 0 ? '+' : ''}${formatUSD(value)}` : formatUSD(value);
+    el.className = 'card-value' + (signed ? (value >= 0 ? ' positive' : ' negative') : '');
+  };
+  setValue('trader-detail-value', trader.totalValue || 0);
+  setValue('trader-detail-usdc', trader.usdcBalance || 0);
+  setValue('trader-detail-pnl', trader.totalPnL || 0, true);
+  setValue('trader-detail-unrealized', positions.reduce((sum, p) => sum + positionUnrealizedPnL(p), 0), true);
+  document.getElementById('trader-detail-positions').textContent = positions.length;
+
+  const sharedValue = positions
+    .filter(p => (holders.get(outcomeKeyOf(p))?.addresses.size || 0) > 1)
+    .reduce((sum, p) => sum + (parseFloat(p.currentValue) || 0), 0);
+  document.getElementById('trader-detail-overlap').textContent =
+    (positionsValue > 0 ? (sharedValue / positionsValue) * 100 : 0).toFixed(1) + '%';
+
+  renderLineChart(document.getElementById('trader-value-chart'), [
+    { label: 'Portfolio value', points: historyPoints(historySeries?.traders?.[address]?.value) }
+  ], { formatY: formatUSD, emptyText: 'No history for this trader yet' });
+
+  renderAllocationList(document.getElementById('trader-detail-allocation'), positions, positionsValue);
+
+  // Positions table
+  if (positions.length === 0) {
+    positionsTbody.innerHTML = '<tr><td colspan="9" class="loading">No open positions</td></tr>';
+  } else {
+    positionsTbody.innerHTML = positions.map(pos => {
+      const marketUrl = pos.eventSlug
+        ? polymarketUrl('/event/' + pos.eventSlug)
+        : polymarketUrl('/market/' + pos.slug);
+      const outcomeClass = outcomeClassOf(pos);
+      const value = parseFloat(pos.currentValue) || 0;
+      const pnl = positionUnrealizedPnL(pos);
+      const pnlPct = (parseFloat(pos.avgPrice) || 0) > 0
+        ? ((parseFloat(pos.curPrice) - parseFloat(pos.avgPrice)) / parseFloat(pos.avgPrice)) * 100
+        : 0;
+      const key = outcomeKeyOf(pos);
+      const sameSide = (holders.get(key)?.addresses.size || 1) - 1;
+      const opposite = [...holders.entries()]
+        .filter(([otherKey, h]) => h.conditionId === pos.conditionId && otherKey !== key)
+        .reduce((sum, [, h]) => sum + h.addresses.size, 0);
+
+      return `
+        <tr>
+          <td>
+            <div class="market-cell">
+              ${pos.icon ? `<img src="${pos.icon}" class="market-icon" alt="">` : '<div class="market-icon"></div>'}
+              ${marketLinks(pos.conditionId, pos.title || 'Unknown Market', marketUrl)}
+            </div>
+          </td>
+          <td><span class="${outcomeClass}">${pos.outcome || '-'}</span></td>
+          <td>${formatUSD(pos.size).replace('$', '')}</td>
+          <td>${formatCents(pos.avgPrice)}</td>
+          <td>${formatCents(pos.curPrice)}</td>
+          <td>${formatUSD(value)}</td>
+          <td class="${pnl >= 0 ? 'positive' : 'negative'}">${pnl >= 0 ? '+' : ''}${formatUSD(pnl)} (${pnlPct >= 0 ? '+' : ''}${pnlPct.toFixed(1)}%)</td>
+          <td>${portfolioSize > 0 ? ((value / portfolioSize) * 100).toFixed(2) : '0.00'}%</td>
+          <td>
+            <span class="${sameSide > 0 ? 'positive' : 'muted'}">${sameSide}</span> /
+            <span class="${opposite > 0 ? 'negative' : 'muted'}">${opposite}</span>
+          </td>
+        </tr>
+      `;
+    }).join('');
+  }
+
+  // Recent trades
+  const trades = (recentChanges?.changes || [])
+    .filter(c => c.traderAddress?.toLowerCase() === address)
+    .slice(0, 100);
+
+  if (trades.length === 0) {
+    tradesTbody.innerHTML = '<tr><td colspan="6" class="loading">No recent trades</td></tr>';
+    return;
+  }
+
+  tradesTbody.innerHTML = trades.map(c => {
+    const marketUrl = c.eventSlug
+      ? polymarketUrl('/event/' + c.eventSlug)
+      : polymarketUrl('/market/' + c.marketSlug);
+    const actionClass = c.action === 'increased' ? 'action-increased' : 'action-decreased';
+    const outcomeClass = outcomeClassOf(c);
+    const tradePrice = c.price ? ` (${formatCents(c.price)})` : '';
+
+    return `
+      <tr>
+        <td>${formatRelativeTime(c.timestamp)}</td>
+        <td>${marketLinks(c.conditionId, c.market, marketUrl)}</td>
+        <td><span class="${outcomeClass}">${c.outcome || '-'}</span></td>
+        <td class="${actionClass}">${c.action}</td>
+        <td class="${c.delta >= 0 ? 'positive' : 'negative'}">${c.delta >= 0 ? '+' : ''}${formatUSD(c.delta)}${tradePrice}</td>
+        <td>${formatUSD(Math.abs(c.size))}</td>
+      </tr>
+    `;
+  }).join('');
+}
+
+/**
+ * Find display info for a market from any loaded dataset
+ */
+function findMarketInfo(conditionId) {
+  const aggregated = aggregatedPortfolio?.positions?.find(p => p.conditionId === conditionId);
+  if (aggregated) return aggregated;
+
+  for (const trader of Object.values(traderPortfolios || {})) {
+    const pos = trader.positions?.find(p => p.conditionId === conditionId);
+    if (pos) return pos;
+  }
+
+  const change = recentChanges?.changes?.find(c => c.conditionId === conditionId);
+  if (change) {
+    return { conditionId, title: change.market, slug: change.marketSlug, eventSlug: change.eventSlug };
+  }
+  return null;
+}
+
+/**
+ * Render the market detail view
+ */
+function renderMarketDetail(conditionId) {
+  const holdersTbody = document.getElementById('market-holders-tbody');
+  const tradesTbody = document.getElementById('market-trades-tbody');
+
+  if (!traderPortfolios || !recentChanges) {
+    holdersTbody.innerHTML = '<tr><td colspan="8" class="loading">Loading...</td></tr>';
+    return;
+  }
+
+  const info = findMarketInfo(conditionId);
+  if (!info) {
+    document.getElementById('market-detail-title').textContent = 'Market not found';
+    document.getElementById('market-detail-meta').textContent = conditionId;
+    holdersTbody.innerHTML = '<tr><td colspan="8" class="loading">No Tier1 trader holds or traded this market</td></tr>';
+    tradesTbody.innerHTML = '<tr><td colspan="7" class="loading">-</td></tr>';
+    document.getElementById('market-flow-chart').innerHTML = '';
+    document.getElementById('market-exposure-chart').innerHTML = '';
+    document.getElementById('market-price-chart').innerHTML = '';
+    return;
+  }
+
+  const marketUrl = info.eventSlug
+    ? polymarketUrl('/event/' + info.eventSlug)
+    : polymarketUrl('/market/' + info.slug);
+
+  // Header
+  document.getElementById('market-detail-title').textContent = info.title || 'Unknown Market';
+  document.getElementById('market-detail-meta').textContent =
+    `Expires ${formatExpirationDate(info.endDate)}` + (info.eventSlug ? ` · ${humanizeSlug(info.eventSlug)}` : '');
+  document.getElementById('market-detail-actions').innerHTML =
+    `<a href="${marketUrl}" target="_blank" class="btn">Polymarket &#8599;</a>`;
+
+  // Holders on every outcome
+  const holders = [];
+  for (const trader of Object.values(traderPortfolios)) {
+    if (!trader.fetchSuccess) continue;
+    const traderValue = (trader.positions || []).reduce((sum, p) => sum + (parseFloat(p.currentValue) || 0), 0) +
+      (trader.usdcBalance || 0);
+    for (const pos of trader.positions || []) {
+      if (pos.conditionId !== conditionId || !(parseFloat(pos.size) > 0)) continue;
+      holders.push({ trader, pos, traderValue });
+    }
+  }
+  holders.sort((a, b) =>
+    (outcomeIndexOf(a.pos) - outcomeIndexOf(b.pos)) ||
+    ((parseFloat(b.pos.currentValue) || 0) - (parseFloat(a.pos.currentValue) || 0))
+  );
+
+  const exposure = holders.reduce((sum, h) => sum + (parseFloat(h.pos.currentValue) || 0), 0);
+  const pnl = holders.reduce((sum, h) => sum + positionUnrealizedPnL(h.pos), 0);
+  document.getElementById('market-detail-exposure').textContent = formatUSD(exposure);
+  document.getElementById('market-detail-holders').textContent = new Set(holders.map(h => h.trader.address)).size;
+  const pnlEl = document.getElementById('market-detail-pnl');
+  pnlEl.textContent = `${pnl >= 0 ? '+' : ''}${formatUSD(pnl)}`;
+  pnlEl.className = 'card-value ' + (pnl >= 0 ? 'positive' : 'negative');
+
+  if (holders.length === 0) {
+    holdersTbody.innerHTML = '<tr><td colspan="8" class="loading">No Tier1 trader currently holds this market</td></tr>';
+  } else {
+    holdersTbody.innerHTML = holders.map(({ trader, pos, traderValue }) => {
+      const outcomeClass = outcomeClassOf(pos);
+      const value = parseFloat(pos.currentValue) || 0;
+      const posPnl = positionUnrealizedPnL(pos);
+      return `
+        <tr>
+          <td><span class="${outcomeClass}">${pos.outcome || '-'}</span></td>
+          <td><a href="${traderRoute(trader.address)}" class="market-link">${trader.label || truncateAddress(trader.address)}</a></td>
+          <td>${formatUSD(pos.size).replace('$', '')}</td>
+          <td>${formatCents(pos.avgPrice)}</td>
+          <td>${formatCents(pos.curPrice)}</td>
+          <td>${formatUSD(value)}</td>
+          <td class="${posPnl >= 0 ? 'positive' : 'negative'}">${posPnl >= 0 ? '+' : ''}${formatUSD(posPnl)}</td>
+          <td>${traderValue > 0 ? ((value / traderValue) * 100).toFixed(2) : '0.00'}%</td>
+        </tr>
+      `;
+    }).join('');
+  }
+
+  // Tier1 exposure and market price per outcome from the published history
+  const outcomeSeries = Object.values(historySeries?.markets || {})
+    .filter(m => m.conditionId === conditionId)
+    .sort((a, b) => outcomeIndexOf(a) - outcomeIndexOf(b));
+  const labelOf = m => m.outcome || `Outcome ${outcomeIndexOf(m)}`;
+  renderLineChart(document.getElementById('market-exposure-chart'),
+    outcomeSeries.map(m => ({ label: labelOf(m), points: historyPoints(m.exposure) })), {
+      formatY: formatUSD,
+      legend: true,
+      emptyText: 'No exposure history for this market'
+    });
+  renderLineChart(document.getElementById('market-price-chart'),
+    outcomeSeries.map(m => ({ label: labelOf(m), points: historyPoints(m.price) })), {
+      formatY: formatCents,
+      legend: true,
+      emptyText: 'No price history for this market'
+    });
+
+  // Trades, oldest first for the cumulative flow
+  const trades = recentChanges.changes
+    .filter(c => c.conditionId === conditionId)
+    .sort((a, b) => a.timestamp - b.timestamp);
+
+  const cutoff24h = Date.now() / 1000 - 86400;
+  const flow = trades.reduce((sum, c) => sum + (c.delta || 0), 0);
+  const flow24h = trades.filter(c => c.timestamp >= cutoff24h).reduce((sum, c) => sum + (c.delta || 0), 0);
+  for (const [id, value] of [['market-detail-flow', flow], ['market-detail-flow24h', flow24h]]) {
+    const el = document.getElementById(id);
+    el.textContent = `${value >= 0 ? '+' : ''}${formatUSD(value)}`;
+    el.className = 'card-value ' + (value >= 0 ? 'positive' : 'negative');
+  }
+
+  // Cumulative net flow per outcome
+  const seriesByOutcome = new Map();
+  for (const c of trades) {
+    const label = c.outcome || `Outcome ${outcomeIndexOf(c)}`;
+    if (!seriesByOutcome.has(label)) {
+      seriesByOutcome.set(label, { label, points: [], total: 0 });
+    }
+    const s = seriesByOutcome.get(label);
+    s.total += c.delta || 0;
+    s.points.push({ x: c.timestamp, y: s.total });
+  }
+  // Extend every line to now so they end together
+  const nowTs = Math.floor(Date.now() / 1000);
+  for (const s of seriesByOutcome.values()) {
+    s.points.push({ x: nowTs, y: s.total });
+  }
+  renderLineChart(document.getElementById('market-flow-chart'), [...seriesByOutcome.values()], {
+    stepped: true,
+    formatY: formatUSD,
+    legend: true,
+    emptyText: 'No Tier1 trades in this market in the recent changes window'
+  });
+
+  if (trades.length === 0) {
+    tradesTbody.innerHTML = '<tr><td colspan="7" class="loading">No recent Tier1 trades</td></tr>';
+    return;
+  }
+
+  tradesTbody.innerHTML = [...trades].reverse().map(c => {
+    const actionClass = c.action === 'increased' ? 'action-increased' : 'action-decreased';
+    const outcomeClass = outcomeClassOf(c);
+    return `
+      <tr>
+        <td title="${new Date(c.timestamp * 1000).toLocaleString()}">${formatRelativeTime(c.timestamp)}</td>
+        <td><a href="${traderRoute(c.traderAddress)}" class="market-link">${c.trader}</a></td>
+        <td><span class="${outcomeClass}">${c.outcome || '-'}</span></td>
+        <td class="${actionClass}">${c.action}</td>
+        <td class="${c.delta >= 0 ? 'positive' : 'negative'}">${c.delta >= 0 ? '+' : ''}${formatUSD(c.delta)}</td>
+        <td>${c.price ? formatCents(c.price) : '-'}</td>
+        <td>${formatUSD(Math.abs(c.size))}</td>
+      </tr>
+    `;
+  }).join('');
 }
 
 // Start
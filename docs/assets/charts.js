@@ -0,0 +1,166 @@
+/**
+ * Tier1 Traders Watch - Dependency-free SVG charts
+ */
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const CHART_COLORS = ['#58a6ff', '#3fb950', '#f85149', '#d29922', '#bc8cff', '#39c5cf'];
+
+/**
+ * Create an SVG element with attributes
+ */
+function svgEl(tag, attrs = {}) {
+  const el = document.createElementNS(SVG_NS, tag);
+  for (const [key, value] of Object.entries(attrs)) {
+    el.setAttribute(key, value);
+  }
+  return el;
+}
+
+/**
+ * Format a unix timestamp (seconds) as a short axis label
+ */
+function formatChartTime(ts, span) {
+  const date = new Date(ts * 1000);
+  if (span <= 2 * 86400) {
+    return date.toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit' });
+  }
+  return date.toLocaleDateString(undefined, { day: '2-digit', month: 'short' });
+}
+
+/**
+ * Render a line chart into a container
+ * @param {HTMLElement} container - Element to render into (its content is replaced)
+ * @param {Array<{label: string, points: Array<{x: number, y: number}>, color?: string, dashed?: boolean}>} series - x is a unix timestamp in seconds
+ * @param {object} options - { height, formatY, stepped, emptyText }
+ */
+function renderLineChart(container, series, options = {}) {
+  const height = options.height || 220;
+  const formatY = options.formatY || (v => v.toFixed(2));
+  const padding = { top: 12, right: 16, bottom: 28, left: 64 };
+
+  container.innerHTML = '';
+  container.classList.add('chart');
+
+  const allPoints = series.flatMap(s => s.points);
+  if (allPoints.length < 2) {
+    container.innerHTML = `<div class="chart-empty">${options.emptyText || 'Not enough data to chart yet'}</div>`;
+    return;
+  }
+
+  const width = Math.max(container.clientWidth || 0, 320);
+  const innerWidth = width - padding.left - padding.right;
+  const innerHeight = height - padding.top - padding.bottom;
+
+  const minX = Math.min(...allPoints.map(p => p.x));
+  const maxX = Math.max(...allPoints.map(p => p.x));
+  let minY = Math.min(...allPoints.map(p => p.y));
+  let maxY = Math.max(...allPoints.map(p => p.y));
+  if (options.includeZero !== false) {
+    minY = Math.min(minY, 0);
+    maxY = Math.max(maxY, 0);
+  }
+  if (minY === maxY) {
+    maxY = minY + 1;
+  }
+
+  const scaleX = x => padding.left + (maxX === minX ? innerWidth / 2 : ((x - minX) / (maxX - minX)) * innerWidth);
+  const scaleY = y => padding.top + innerHeight - ((y - minY) / (maxY - minY)) * innerHeight;
+
+  const svg = svgEl('svg', { width, height, viewBox: `0 0 ${width} ${height}` });
+
+  // Y grid and labels
+  for (let i = 0; i <= 4; i++) {
+    const value = minY + ((maxY - minY) * i) / 4;
+    const y = scaleY(value);
+    svg.appendChild(svgEl('line', { x1: padding.left, x2: width - padding.right, y1: y, y2: y, class: 'chart-grid' }));
+    const label = svgEl('text', { x: padding.left - 8, y: y + 4, 'text-anchor': 'end', class: 'chart-label' });
+    label.textContent = formatY(value);
+    svg.appendChild(label);
+  }
+
+  // Zero line
+  if (minY < 0 && maxY > 0) {
+    svg.appendChild(svgEl('line', {
+      x1: padding.left, x2: width - padding.right, y1: scaleY(0), y2: scaleY(0), class: 'chart-zero'
+    }));
+  }
+
+  // X labels
+  for (let i = 0; i <= 4; i++) {
+    const ts = minX + ((maxX - minX) * i) / 4;
+    const label = svgEl('text', {
+      x: scaleX(ts),
+      y: height - 8,
+      'text-anchor': i === 0 ? 'start' : i === 4 ? 'end' : 'middle',
+      class: 'chart-label'
+    });
+    label.textContent = formatChartTime(ts, maxX - minX);
+    svg.appendChild(label);
+  }
+
+  // Series
+  series.forEach((s, idx) => {
+    if (s.points.length === 0) return;
+    const color = s.color || CHART_COLORS[idx % CHART_COLORS.length];
+    const sorted = [...s.points].sort((a, b) => a.x - b.x);
+    let d = '';
+    sorted.forEach((p, i) => {
+      const x = scaleX(p.x);
+      const y = scaleY(p.y);
+      if (i === 0) {
+        d += `M${x},${y}`;
+      } else if (options.stepped) {
+        d += `H${x}V${y}`;
+      } else {
+        d += `L${x},${y}`;
+      }
+    });
+    svg.appendChild(svgEl('path', {
+      d, fill: 'none', stroke: color, 'stroke-width': 2, class: 'chart-line', ...(s.dashed ? { 'stroke-dasharray': '6 4' } : {})
+    }));
+  });
+
+  // Hover readout
+  const cursor = svgEl('line', { y1: padding.top, y2: padding.top + innerHeight, class: 'chart-cursor', visibility: 'hidden' });
+  svg.appendChild(cursor);
+  const readout = document.createElement('div');
+  readout.className = 'chart-readout';
+
+  svg.addEventListener('mousemove', event => {
+    const rect = svg.getBoundingClientRect();
+    const px = event.clientX - rect.left;
+    const ts = minX + ((px - padding.left) / innerWidth) * (maxX - minX);
+    if (ts < minX || ts > maxX) return;
+
+    cursor.setAttribute('x1', px);
+    cursor.setAttribute('x2', px);
+    cursor.setAttribute('visibility', 'visible');
+
+    const lines = series.map((s, idx) => {
+      const color = s.color || CHART_COLORS[idx % CHART_COLORS.length];
+      const before = s.points.filter(p => p.x <= ts).sort((a, b) => b.x - a.x)[0];
+      const value = before ? formatY(before.y) : '-';
+      return `<span style="color: ${color}">${s.label}: ${value}</span>`;
+    });
+    readout.innerHTML = `${new Date(ts * 1000).toLocaleString()}<br>${lines.join('<br>')}`;
+    readout.style.display = 'block';
+  });
+  svg.addEventListener('mouseleave', () => {
+    cursor.setAttribute('visibility', 'hidden');
+    readout.style.display = 'none';
+  });
+
+  container.appendChild(svg);
+
+  // Legend
+  if (series.length > 1 || options.legend) {
+    const legend = document.createElement('div');
+    legend.className = 'chart-legend';
+    legend.innerHTML = series.map((s, idx) => {
+      const color = s.color || CHART_COLORS[idx % CHART_COLORS.length];
+      return `<span><i style="background: ${color}"></i>${s.label}</span>`;
+    }).join('');
+    container.appendChild(legend);
+  }
+  container.appendChild(readout);
+}
@@ -0,0 +1,301 @@
+/**
+ * Incremental activity sync with a persistent per-trader activity log
+ *
+ * Each trader's activity is appended to gzipped JSON-lines files split by
+ * UTC month (data/activity/<address>/YYYY-MM.jsonl.gz), so a run only
+ * touches the current month's file. A cursor per trader (cursors.json)
+ * records the newest timestamp/transaction seen, whether the backfill
+ * has reached the start of the wallet's history, and any gaps still to fill.
+ *
+ * First sync: page backwards from now, up to activity_max_pages pages.
+ * Later syncs: fetch only activity at or after the cursor, then continue
+ * an incomplete backfill by activity_backfill_pages older pages per run.
+ * When new activity runs past activity_max_pages, the range between the
+ * previous cursor and the oldest row fetched is kept as a gap and filled by
+ * activity_backfill_pages pages per run.
+ * Rows are de-duplicated against the log before appending.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import zlib from 'zlib';
+import { fileURLToPath } from 'url';
+import { fetchActivityRange, batchFetch } from './polymarket_api.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const ROOT_DIR = path.join(__dirname, '..');
+
+const FILE_SUFFIX = '.jsonl.gz';
+const CURSORS_FILE = 'cursors.json';
+
+// Profile fields repeated on every row; not needed downstream
+const DROPPED_FIELDS = ['proxyWallet', 'name', 'pseudonym', 'bio', 'profileImage', 'profileImageOptimized', 'icon'];
+
+// Parsed month files by path, reused while their size and mtime are unchanged
+// (in watch mode only the current month's file is read again each cycle)
+const fileCache = new Map();
+
+/**
+ * Resolve the activity log directory from config
+ */
+export function getActivityDir(config = {}) {
+  const dir = config.activity_dir || 'data/activity';
+  return path.isAbsolute(dir) ? dir : path.join(ROOT_DIR, dir);
+}
+
+/**
+ * UTC month key (YYYY-MM) for a unix timestamp in seconds
+ */
+function monthKey(ts) {
+  return new Date((ts || 0) * 1000).toISOString().slice(0, 7);
+}
+
+/**
+ * De-duplication key for an activity row.
+ * One transaction can touch several outcomes (or be a trade plus a redeem),
+ * so the hash alone is not unique.
+ */
+export function activityKey(a) {
+  const id = a.transactionHash || `${a.timestamp}:${a.size}:${a.usdcSize}`;
+  return `${id}:${a.type || 'TRADE'}:${a.asset || a.conditionId || ''}:${a.side || ''}`;
+}
+
+/**
+ * Oldest timestamp among rows, or null when there are none
+ */
+function oldestTimestamp(rows) {
+  const timestamps = rows.map(a => a.timestamp).filter(t => t > 0);
+  return timestamps.length > 0 ? Math.min(...timestamps) : null;
+}
+
+/**
+ * Strip fields that are identical on every row of a wallet
+ */
+function compactRow(a) {
+  const row = { ...a };
+  for (const field of DROPPED_FIELDS) {
+    delete row[field];
+  }
+  return row;
+}
+
+/**
+ * Read the full activity log of a trader
+ * @param {string} address - Wallet address
+ * @param {object} config - Config object
+ * @returns {Array} Activity rows, newest first
+ */
+export function readActivityLog(address, config = {}) {
+  const dir = path.join(getActivityDir(config), address.toLowerCase());
+  if (!fs.existsSync(dir)) return [];
+
+  const rows = [];
+  for (const file of fs.readdirSync(dir).filter(f => f.endsWith(FILE_SUFFIX))) {
+    const filepath = path.join(dir, file);
+    try {
+      const { size, mtimeMs } = fs.statSync(filepath);
+      let cachedFile = fileCache.get(filepath);
+      if (!cachedFile || cachedFile.size !== size || cachedFile.mtimeMs !== mtimeMs) {
+        const content = zlib.gunzipSync(fs.readFileSync(filepath)).toString('utf-8');
+        const fileRows = [];
+        for (const line of content.split('\n')) {
+          if (line.trim()) fileRows.push(JSON.parse(line));
+        }
+        cachedFile = { size, mtimeMs, rows: fileRows };
+        fileCache.set(filepath, cachedFile);
+      }
+      for (const row of cachedFile.rows) rows.push(row);
+    } catch (e) {
+      console.warn(`Skipping unreadable activity log ${filepath}: ${e.message}`);
+    }
+  }
+
+  rows.sort((a, b) => (b.timestamp || 0) - (a.timestamp || 0));
+  return rows;
+}
+
+/**
+ * Append rows to a trader's log, one gzip member per month file
+ */
+function appendActivityLog(address, rows, config = {}) {
+  const dir = path.join(getActivityDir(config), address.toLowerCase());
+  fs.mkdirSync(dir, { recursive: true });
+
+  const byMonth = new Map();
+  for (const row of rows) {
+    const month = monthKey(row.timestamp);
+    if (!byMonth.has(month)) byMonth.set(month, []);
+    byMonth.get(month).push(JSON.stringify(row));
+  }
+
+  for (const [month, lines] of byMonth) {
+    fs.appendFileSync(path.join(dir, month + FILE_SUFFIX), zlib.gzipSync(lines.join('\n') + '\n'));
+  }
+}
+
+/**
+ * Load sync cursors (address -> cursor)
+ */
+export function loadCursors(config = {}) {
+  const cursorsPath = path.join(getActivityDir(config), CURSORS_FILE);
+  try {
+    if (fs.existsSync(cursorsPath)) {
+      return JSON.parse(fs.readFileSync(cursorsPath, 'utf-8')).traders || {};
+    }
+  } catch (e) {
+    console.warn('Could not load activity cursors:', e.message);
+  }
+  return {};
+}
+
+/**
+ * Persist sync cursors
+ */
+function saveCursors(cursors, config = {}, now = Math.floor(Date.now() / 1000)) {
+  const dir = getActivityDir(config);
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(
+    path.join(dir, CURSORS_FILE),
+    JSON.stringify({ updatedAt: new Date(now * 1000).toISOString(), traders: cursors }, null, 2),
+    'utf-8'
+  );
+}
+
+/**
+ * Sync one trader: fetch new (and, while incomplete, older) activity and append it to the log
+ * @param {string} address - Wallet address
+ * @param {object|undefined} cursor - Cursor from the previous sync
+ * @param {object} config - Config object
+ * @param {number} now - Unix timestamp in seconds
+ * @returns {Promise<{activity: Array, added: number, cursor: object}>} Full log after the sync
+ */
+export async function syncTraderActivity(address, cursor, config = {}, now = Math.floor(Date.now() / 1000)) {
+  const log = readActivityLog(address, config);
+  const known = new Set(log.map(activityKey));
+  const fetched = [];
+  let complete = cursor?.complete ?? false;
+  let gaps = cursor?.gaps || [];
+
+  if (!cursor || log.length === 0) {
+    const initial = await fetchActivityRange(address, {
+      end: now,
+      maxPages: config.activity_max_pages || 30
+    }, config);
+    fetched.push(...initial.activity);
+    complete = initial.complete;
+    gaps = [];
+  } else {
+    const maxPages = config.activity_max_pages || 30;
+    const backfillPages = config.activity_backfill_pages ?? 5;
+
+    // Gaps left by earlier floods are filled from their newest end, like the backfill
+    const openGaps = [];
+    for (const gap of gaps) {
+      const filled = await fetchActivityRange(address, { start: gap.start, end: gap.end, maxPages: backfillPages }, config);
+      fetched.push(...filled.activity);
+      if (!filled.complete) openGaps.push({ start: gap.start, end: oldestTimestamp(filled.activity) ?? gap.end });
+    }
+    gaps = openGaps;
+
+    const newer = await fetchActivityRange(address, {
+      start: cursor.lastTimestamp,
+      end: now,
+      maxPages
+    }, config);
+    fetched.push(...newer.activity);
+    if (!newer.complete) {
+      // More new activity than maxPages: keep what lies between the previous
+      // cursor and the oldest row fetched for later runs
+      const gap = { start: cursor.lastTimestamp, end: oldestTimestamp(newer.activity) ?? now };
+      console.warn(`Activity for ${address} exceeded ${maxPages} pages since the last sync; backfilling ${gap.start}-${gap.end} on later runs`);
+      gaps.push(gap);
+    }
+
+    if (!complete && cursor.oldestTimestamp) {
+      const older = await fetchActivityRange(address, {
+        end: cursor.oldestTimestamp,
+        maxPages: backfillPages
+      }, config);
+      fetched.push(...older.activity);
+      complete = older.complete;
+    }
+  }
+
+  const added = [];
+  for (const a of fetched) {
+    const key = activityKey(a);
+    if (known.has(key)) continue;
+    known.add(key);
+    added.push(compactRow(a));
+  }
+
+  if (added.length > 0) {
+    appendActivityLog(address, added, config);
+  }
+
+  const activity = [...log, ...added].sort((a, b) => (b.timestamp || 0) - (a.timestamp || 0));
+  const newest = activity[0];
+  const oldest = activity[activity.length - 1];
+
+  return {
+    activity,
+    added: added.length,
+    cursor: {
+      lastTimestamp: newest?.timestamp || cursor?.lastTimestamp || 0,
+      lastTransactionHash: newest?.transactionHash || cursor?.lastTransactionHash || '',
+      oldestTimestamp: oldest?.timestamp || 0,
+      complete,
+      gaps,
+      count: activity.length,
+      syncedAt: new Date(now * 1000).toISOString()
+    }
+  };
+}
+
+/**
+ * Sync activity for all traders
+ * Traders whose sync fails keep their cursor and fall back to the existing log.
+ * @param {Array} traders - Traders from the CSV
+ * @param {object} config - Config object
+ * @param {number} now - Unix timestamp in seconds
+ * @returns {Promise<Map<string, {activity: Array, added: number, success: boolean}>>} address -> full log
+ */
+export async function syncActivity(traders, config = {}, now = Math.floor(Date.now() / 1000)) {
+  const cursors = loadCursors(config);
+
+  const results = await batchFetch(
+    traders.map(t => t.address.toLowerCase()),
+    (address, cfg) => syncTraderActivity(address, cursors[address], cfg, now),
+    config.concurrency_limit || 5,
+    config
+  );
+
+  const logs = new Map();
+  let totalAdded = 0;
+  for (const trader of traders) {
+    const addr = trader.address.toLowerCase();
+    const result = results.get(addr);
+    if (result?.success) {
+      cursors[addr] = result.data.cursor;
+      totalAdded += result.data.added;
+      logs.set(addr, { activity: result.data.activity, added: result.data.added, cursor: result.data.cursor, success: true });
+    } else {
+      console.warn(`Activity sync failed for ${trader.label || addr}: ${result?.error || 'unknown error'}`);
+      logs.set(addr, { activity: readActivityLog(addr, config), added: 0, cursor: cursors[addr] || null, success: false });
+    }
+  }
+
+  saveCursors(cursors, config, now);
+  console.log(`Activity sync: ${totalAdded} new rows across ${traders.length} traders`);
+  return logs;
+}
+
+export default {
+  getActivityDir,
+  activityKey,
+  readActivityLog,
+  loadCursors,
+  syncTraderActivity,
+  syncActivity
+};
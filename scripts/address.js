@@ -0,0 +1,158 @@
+/**
+ * Ethereum address format and EIP-55 checksum validation
+ *
+ * Includes a small Keccak-256 implementation (Node's crypto only ships
+ * SHA3-256, which uses different padding).
+ */
+
+const MASK_64 = (1n << 64n) - 1n;
+
+const ROUND_CONSTANTS = [
+  0x0000000000000001n, 0x0000000000008082n, 0x800000000000808an, 0x8000000080008000n,
+  0x000000000000808bn, 0x0000000080000001n, 0x8000000080008081n, 0x8000000000008009n,
+  0x000000000000008an, 0x0000000000000088n, 0x0000000080008009n, 0x000000008000000an,
+  0x000000008000808bn, 0x800000000000008bn, 0x8000000000008089n, 0x8000000000008003n,
+  0x8000000000008002n, 0x8000000000000080n, 0x000000000000800an, 0x800000008000000an,
+  0x8000000080008081n, 0x8000000000008080n, 0x0000000080000001n, 0x8000000080008008n
+];
+
+// Rotation offsets indexed [x][y]
+const ROTATIONS = [
+  [0, 36, 3, 41, 18],
+  [1, 44, 10, 45, 2],
+  [62, 6, 43, 15, 61],
+  [28, 55, 25, 21, 56],
+  [27, 20, 39, 8, 14]
+];
+
+const RATE_BYTES = 136;
+
+/**
+ * Rotate a 64-bit lane left
+ */
+function rotl(value, shift) {
+  if (shift === 0) return value;
+  const n = BigInt(shift);
+  return ((value << n) | (value >> (64n - n))) & MASK_64;
+}
+
+/**
+ * Keccak-f[1600] permutation over 25 lanes (index x + 5y)
+ */
+function keccakF(state) {
+  const c = new Array(5);
+  const b = new Array(25);
+
+  for (const rc of ROUND_CONSTANTS) {
+    // Theta
+    for (let x = 0; x < 5; x++) {
+      c[x] = state[x] ^ state[x + 5] ^ state[x + 10] ^ state[x + 15] ^ state[x + 20];
+    }
+    for (let x = 0; x < 5; x++) {
+      const d = c[(x + 4) % 5] ^ rotl(c[(x + 1) % 5], 1);
+      for (let y = 0; y < 25; y += 5) {
+        state[x + y] ^= d;
+      }
+    }
+
+    // Rho and pi
+    for (let x = 0; x < 5; x++) {
+      for (let y = 0; y < 5; y++) {
+        b[y + 5 * ((2 * x + 3 * y) % 5)] = rotl(state[x + 5 * y], ROTATIONS[x][y]);
+      }
+    }
+
+    // Chi
+    for (let x = 0; x < 5; x++) {
+      for (let y = 0; y < 25; y += 5) {
+        state[x + y] = b[x + y] ^ (~b[((x + 1) % 5) + y] & MASK_64 & b[((x + 2) % 5) + y]);
+      }
+    }
+
+    // Iota
+    state[0] ^= rc;
+  }
+}
+
+/**
+ * Keccak-256 digest
+ * @param {Buffer|string} input - Bytes or a UTF-8 string
+ * @returns {string} Hex digest (64 chars)
+ */
+export function keccak256(input) {
+  const data = Buffer.isBuffer(input) ? input : Buffer.from(input, 'utf-8');
+
+  // Multi-rate padding: 0x01 ... 0x80
+  const padLength = RATE_BYTES - (data.length % RATE_BYTES);
+  const padded = Buffer.alloc(data.length + padLength);
+  data.copy(padded);
+  padded[data.length] ^= 0x01;
+  padded[padded.length - 1] ^= 0x80;
+
+  const state = new Array(25).fill(0n);
+  for (let offset = 0; offset < padded.length; offset += RATE_BYTES) {
+    for (let i = 0; i < RATE_BYTES / 8; i++) {
+      state[i] ^= padded.readBigUInt64LE(offset + i * 8);
+    }
+    keccakF(state);
+  }
+
+  const out = Buffer.alloc(32);
+  for (let i = 0; i < 4; i++) {
+    out.writeBigUInt64LE(state[i], i * 8);
+  }
+  return out.toString('hex');
+}
+
+/**
+ * Whether a string is a 0x-prefixed 20-byte hex address (any case)
+ */
+export function isAddressFormat(value) {
+  return /^0x[0-9a-fA-F]{40}$/.test(value || '');
+}
+
+/**
+ * EIP-55 mixed-case checksum form of an address
+ * @param {string} address - 0x-prefixed hex address
+ * @returns {string} Checksummed address
+ */
+export function toChecksumAddress(address) {
+  if (!isAddressFormat(address)) {
+    throw new Error(`Invalid address format: ${address}`);
+  }
+  const lower = address.slice(2).toLowerCase();
+  const hash = keccak256(lower);
+  let result = '0x';
+  for (let i = 0; i < lower.length; i++) {
+    result += parseInt(hash[i], 16) >= 8 ? lower[i].toUpperCase() : lower[i];
+  }
+  return result;
+}
+
+/**
+ * Validate an address.
+ * All-lowercase and all-uppercase addresses carry no checksum and are accepted;
+ * mixed-case addresses must match their EIP-55 checksum.
+ * @param {string} address - Address to check
+ * @returns {{valid: boolean, error?: string}}
+ */
+export function validateAddress(address) {
+  if (!isAddressFormat(address)) {
+    return { valid: false, error: 'expected 0x followed by 40 hex characters' };
+  }
+  const body = address.slice(2);
+  if (body === body.toLowerCase() || body === body.toUpperCase()) {
+    return { valid: true };
+  }
+  if (toChecksumAddress(address) !== address) {
+    return { valid: false, error: 'EIP-55 checksum mismatch' };
+  }
+  return { valid: true };
+}
+
+export default {
+  keccak256,
+  isAddressFormat,
+  toChecksumAddress,
+  validateAddress
+};
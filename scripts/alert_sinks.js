@@ -0,0 +1,183 @@
+/**
+ * Alert delivery sinks
+ *
+ * Each sink is configured by an entry in `alert_sinks` in config.json:
+ *   { "type": "webhook",  "url": "https://..." }            generic JSON POST
+ *   { "type": "telegram", "bot_token_env": "TELEGRAM_BOT_TOKEN", "chat_id_env": "TELEGRAM_CHAT_ID" }
+ *   { "type": "discord",  "url_env": "DISCORD_WEBHOOK_URL" }
+ *   { "type": "file",     "path": "data/alerts.log" }          JSON lines, for testing
+ *   { "type": "stdout" }
+ *
+ * Secrets are read from the environment variable named by the `*_env` keys so
+ * they never have to be committed to config.json.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const ROOT_DIR = path.join(__dirname, '..');
+
+const TELEGRAM_API_BASE = 'https://api.telegram.org';
+const DISCORD_MAX_EMBEDS = 10;
+
+const SEVERITY_COLORS = {
+  high: 0xf85149,
+  medium: 0xd29922,
+  low: 0x58a6ff
+};
+
+/**
+ * Read a sink setting either directly or from the environment variable it names
+ */
+function resolveSetting(sink, key) {
+  if (sink[key]) return sink[key];
+  const envName = sink[`${key}_env`];
+  return envName ? process.env[envName] : undefined;
+}
+
+/**
+ * POST a JSON body and throw on a non-2xx response or after request_timeout_ms
+ */
+async function postJSON(url, body, config = {}) {
+  const timeoutMs = config.request_timeout_ms ?? 10000;
+  let response;
+  try {
+    response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+      signal: AbortSignal.timeout(timeoutMs)
+    });
+  } catch (error) {
+    if (error.name === 'TimeoutError' || error.name === 'AbortError') {
+      throw new Error(`no response within ${timeoutMs}ms`);
+    }
+    throw error;
+  }
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+  }
+}
+
+/**
+ * Plain-text rendering of an alert
+ */
+export function formatAlertText(alert) {
+  const lines = [alert.title, alert.message];
+  if (alert.url) lines.push(alert.url);
+  return lines.filter(Boolean).join('\n');
+}
+
+/**
+ * Escape text for Telegram HTML parse mode
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+const SINKS = {
+  async webhook(sink, alerts, config) {
+    const url = resolveSetting(sink, 'url');
+    if (!url) throw new Error('webhook sink has no url');
+    await postJSON(url, {
+      source: 'tier1-traders-watch',
+      sentAt: new Date().toISOString(),
+      alerts
+    }, config);
+  },
+
+  async telegram(sink, alerts, config) {
+    const token = resolveSetting(sink, 'bot_token');
+    const chatId = resolveSetting(sink, 'chat_id');
+    if (!token || !chatId) throw new Error('telegram sink needs bot_token and chat_id');
+
+    for (const alert of alerts) {
+      const text = [
+        `<b>${escapeHtml(alert.title)}</b>`,
+        escapeHtml(alert.message),
+        alert.url ? `<a href="${escapeHtml(alert.url)}">Open market</a>` : ''
+      ].filter(Boolean).join('\n');
+
+      await postJSON(`${TELEGRAM_API_BASE}/bot${token}/sendMessage`, {
+        chat_id: chatId,
+        text,
+        parse_mode: 'HTML',
+        disable_web_page_preview: true
+      }, config);
+    }
+  },
+
+  async discord(sink, alerts, config) {
+    const url = resolveSetting(sink, 'url');
+    if (!url) throw new Error('discord sink has no url');
+
+    for (let i = 0; i < alerts.length; i += DISCORD_MAX_EMBEDS) {
+      const batch = alerts.slice(i, i + DISCORD_MAX_EMBEDS);
+      await postJSON(url, {
+        username: sink.username || 'Tier1 Traders Watch',
+        embeds: batch.map(alert => ({
+          title: alert.title,
+          description: alert.message,
+          url: alert.url || undefined,
+          color: SEVERITY_COLORS[alert.severity] || SEVERITY_COLORS.low,
+          timestamp: new Date(alert.timestamp * 1000).toISOString()
+        }))
+      }, config);
+    }
+  },
+
+  async file(sink, alerts) {
+    const target = sink.path || 'data/alerts.log';
+    const filepath = path.isAbsolute(target) ? target : path.join(ROOT_DIR, target);
+    fs.mkdirSync(path.dirname(filepath), { recursive: true });
+    fs.appendFileSync(filepath, alerts.map(a => JSON.stringify(a)).join('\n') + '\n', 'utf-8');
+  },
+
+  async stdout(sink, alerts) {
+    for (const alert of alerts) {
+      console.log(`[ALERT:${alert.severity}] ${formatAlertText(alert)}`);
+    }
+  }
+};
+
+/**
+ * Deliver alerts to every configured sink; a sink that errors or times out counts as failed
+ * @param {Array<object>} alerts - Alerts from evaluateAlerts()
+ * @param {Array<object>} sinks - Sink configurations
+ * @param {object} config - Config object (request_timeout_ms)
+ * @returns {Promise<{delivered: number, failed: number}>} Number of sinks that succeeded/failed
+ */
+export async function deliverAlerts(alerts, sinks = [], config = {}) {
+  let delivered = 0;
+  let failed = 0;
+  if (alerts.length === 0) return { delivered, failed };
+
+  for (const sink of sinks) {
+    const send = SINKS[sink.type];
+    if (!send) {
+      console.warn(`Unknown alert sink type: ${sink.type}`);
+      failed++;
+      continue;
+    }
+    try {
+      await send(sink, alerts, config);
+      delivered++;
+    } catch (error) {
+      console.warn(`Alert sink ${sink.type} failed: ${error.message}`);
+      failed++;
+    }
+  }
+
+  return { delivered, failed };
+}
+
+export default {
+  formatAlertText,
+  deliverAlerts
+};
@@ -0,0 +1,292 @@
+/**
+ * Alert engine for large Tier1 moves
+ *
+ * Evaluates rules over the changes and aggregates computed by a run, drops
+ * anything already fired by an earlier run (state kept in alert_state_file)
+ * and hands the rest to the configured sinks.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { deliverAlerts } from './alert_sinks.js';
+import { outcomeKey, indexKey, createOutcomeKeyResolver } from './outcomes.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const ROOT_DIR = path.join(__dirname, '..');
+const POLYMARKET_BASE = 'https://polymarket.com';
+
+/**
+ * Format a USD amount for alert text
+ */
+function formatUSD(value) {
+  return '$' + Math.round(Math.abs(value)).toLocaleString('en-US');
+}
+
+/**
+ * Link to a market on Polymarket
+ */
+function marketUrl(item) {
+  if (item.eventSlug) return `${POLYMARKET_BASE}/event/${item.eventSlug}`;
+  if (item.marketSlug || item.slug) return `${POLYMARKET_BASE}/market/${item.marketSlug || item.slug}`;
+  return '';
+}
+
+/**
+ * Rule: any single trade above alert_large_trade_usd
+ */
+function largeTradeAlerts(changes, config, now) {
+  const threshold = config.alert_large_trade_usd ?? 50000;
+  const since = now - (config.alert_lookback_hours ?? 1) * 3600;
+
+  return changes
+    .filter(c => c.timestamp >= since && Math.abs(c.delta) >= threshold)
+    .map(c => ({
+      id: `large_trade:${c.transactionHash || `${c.traderAddress}-${c.timestamp}`}:${c.conditionId}-${c.outcomeIndex}`,
+      rule: 'large_trade',
+      severity: Math.abs(c.delta) >= threshold * 5 ? 'high' : 'medium',
+      timestamp: c.timestamp,
+      title: `${c.trader} ${c.delta >= 0 ? 'bought' : 'sold'} ${formatUSD(c.delta)} of ${c.outcome || '?'}`,
+      message: `${c.market} @ ${Math.round((c.price || 0) * 100)}c`,
+      url: marketUrl(c),
+      data: {
+        traderAddress: c.traderAddress,
+        conditionId: c.conditionId,
+        outcomeIndex: c.outcomeIndex,
+        asset: c.asset || null,
+        delta: c.delta,
+        price: c.price
+      }
+    }));
+}
+
+/**
+ * Rule: alert_cluster_min_traders or more traders buying the same outcome within a window
+ */
+function clusterEntryAlerts(changes, config, now) {
+  const minTraders = config.alert_cluster_min_traders ?? 3;
+  const since = now - (config.alert_cluster_window_hours ?? 6) * 3600;
+  const clusters = new Map();
+
+  for (const c of changes) {
+    if (c.timestamp < since || c.delta <= 0) continue;
+    const key = outcomeKey(c);
+    if (!clusters.has(key)) {
+      clusters.set(key, { sample: c, traders: new Map() });
+    }
+    const cluster = clusters.get(key);
+    cluster.traders.set(c.traderAddress, (cluster.traders.get(c.traderAddress) || 0) + c.delta);
+  }
+
+  const alerts = [];
+  for (const { sample, traders } of clusters.values()) {
+    if (traders.size < minTraders) continue;
+    const total = [...traders.values()].reduce((sum, v) => sum + v, 0);
+    // Fires again only when the cluster grows
+    alerts.push({
+      id: `cluster_entry:${indexKey(sample)}:${traders.size}`,
+      rule: 'cluster_entry',
+      severity: traders.size >= minTraders * 2 ? 'high' : 'medium',
+      timestamp: now,
+      title: `${traders.size} Tier1 traders bought ${sample.outcome || '?'} within ${config.alert_cluster_window_hours ?? 6}h`,
+      message: `${sample.market} - ${formatUSD(total)} combined`,
+      url: marketUrl(sample),
+      data: {
+        conditionId: sample.conditionId,
+        outcomeIndex: sample.outcomeIndex,
+        asset: sample.asset || null,
+        traders: [...traders.keys()],
+        totalBought: Math.round(total * 100) / 100
+      }
+    });
+  }
+  return alerts;
+}
+
+/**
+ * Rank outcomes of a snapshot by total Tier1 exposure
+ */
+function topSnapshotKeys(snapshot, limit, keyOf) {
+  const exposure = new Map();
+  for (const trader of Object.values(snapshot?.traders || {})) {
+    for (const pos of trader.positions || []) {
+      const key = keyOf(pos);
+      exposure.set(key, (exposure.get(key) || 0) + (pos.currentValue || 0));
+    }
+  }
+  return new Set(
+    [...exposure.entries()]
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, limit)
+      .map(([key]) => key)
+  );
+}
+
+/**
+ * Rule: a trader fully exiting one of the group's top positions (as of the previous run)
+ */
+function topExitAlerts(positionEvents, previousSnapshot, config) {
+  const rank = config.alert_top_exit_rank ?? 5;
+  const snapshotPositions = Object.values(previousSnapshot?.traders || {}).flatMap(t => t.positions || []);
+  const keyOf = createOutcomeKeyResolver([...snapshotPositions, ...positionEvents]);
+  const topKeys = topSnapshotKeys(previousSnapshot, rank, keyOf);
+
+  return positionEvents
+    .filter(e => e.type === 'closed' || e.type === 'flipped')
+    .filter(e => {
+      const exited = e.type === 'flipped'
+        ? { conditionId: e.conditionId, outcomeIndex: e.fromOutcomeIndex, asset: e.fromAsset }
+        : e;
+      return topKeys.has(keyOf(exited));
+    })
+    .map(e => ({
+      id: `top_exit:${e.id}`,
+      rule: 'top_exit',
+      severity: 'high',
+      timestamp: e.timestamp,
+      title: e.type === 'flipped'
+        ? `${e.trader} flipped a top-${rank} position from ${e.fromOutcome} to ${e.outcome}`
+        : `${e.trader} fully exited a top-${rank} position (${e.outcome})`,
+      message: `${e.market} - ${formatUSD(e.valueDelta)}`,
+      url: marketUrl(e),
+      data: {
+        traderAddress: e.traderAddress,
+        conditionId: e.conditionId,
+        outcomeIndex: e.outcomeIndex,
+        asset: e.asset || null,
+        prevSize: e.prevSize
+      }
+    }));
+}
+
+/**
+ * Evaluate all alert rules
+ * @param {object} inputs - { changes, positionEvents, previousSnapshot }
+ * @param {object} config - Config object
+ * @param {number} now - Unix timestamp in seconds
+ * @returns {Array<object>} Alerts (not yet de-duplicated)
+ */
+export function evaluateAlerts({ changes = [], positionEvents = [], previousSnapshot = null }, config = {}, now = Math.floor(Date.now() / 1000)) {
+  return [
+    ...largeTradeAlerts(changes, config, now),
+    ...clusterEntryAlerts(changes, config, now),
+    ...topExitAlerts(positionEvents, previousSnapshot, config)
+  ];
+}
+
+/**
+ * Resolve the alert state file from config
+ */
+function getStatePath(config) {
+  const target = config.alert_state_file || 'data/alerts_state.json';
+  return path.isAbsolute(target) ? target : path.join(ROOT_DIR, target);
+}
+
+/**
+ * Stable id of a sink configuration, so delivery survives reordering alert_sinks
+ * (hashed: sink settings may hold webhook URLs with tokens)
+ */
+export function sinkKey(sink) {
+  const digest = crypto.createHash('sha256').update(JSON.stringify(sink)).digest('hex').slice(0, 12);
+  return `${sink.type}-${digest}`;
+}
+
+/**
+ * Load the alert state of earlier runs
+ * @returns {object} { fired: Map of alert id -> unix timestamp delivered to every sink,
+ *   pending: Map of alert id -> { firstAt, sinks: sinkKey()s it was delivered to } }
+ */
+export function loadAlertState(config = {}) {
+  const statePath = getStatePath(config);
+  try {
+    if (fs.existsSync(statePath)) {
+      const state = JSON.parse(fs.readFileSync(statePath, 'utf-8'));
+      return { fired: state.fired || {}, pending: state.pending || {} };
+    }
+  } catch (e) {
+    console.warn('Could not load alert state:', e.message);
+  }
+  return { fired: {}, pending: {} };
+}
+
+/**
+ * Persist the alert state, dropping alerts older than alert_dedup_hours
+ */
+export function saveAlertState({ fired = {}, pending = {} }, config = {}, now = Math.floor(Date.now() / 1000)) {
+  const cutoff = now - (config.alert_dedup_hours ?? 72) * 3600;
+  const state = {
+    updatedAt: new Date(now * 1000).toISOString(),
+    fired: Object.fromEntries(Object.entries(fired).filter(([, ts]) => ts >= cutoff)),
+    pending: Object.fromEntries(Object.entries(pending).filter(([, entry]) => entry.firstAt >= cutoff))
+  };
+  const statePath = getStatePath(config);
+  fs.mkdirSync(path.dirname(statePath), { recursive: true });
+  fs.writeFileSync(statePath, JSON.stringify(state, null, 2), 'utf-8');
+}
+
+/**
+ * Evaluate, de-duplicate and deliver alerts for one run
+ * Each sink gets the alerts it has not accepted yet; an alert counts as fired
+ * once every configured sink has accepted it, so a failing sink receives it
+ * on a later run.
+ * @param {object} inputs - See evaluateAlerts()
+ * @param {object} config - Config object
+ * @param {number} now - Unix timestamp in seconds
+ * @returns {Promise<Array<object>>} Alerts delivered to at least one sink this run
+ */
+export async function runAlerts(inputs, config = {}, now = Math.floor(Date.now() / 1000)) {
+  if (!config.alerts_enabled) return [];
+
+  const state = loadAlertState(config);
+  const fresh = evaluateAlerts(inputs, config, now).filter(a => !state.fired[a.id]);
+
+  if (fresh.length === 0) {
+    console.log('No new alerts');
+    saveAlertState(state, config, now);
+    return [];
+  }
+
+  const sinks = config.alert_sinks || [{ type: 'stdout' }];
+  const keys = sinks.map(sinkKey);
+  const deliveredIds = new Set();
+  let delivered = 0;
+  let failed = 0;
+
+  for (const [i, sink] of sinks.entries()) {
+    const unsent = fresh.filter(a => !state.pending[a.id]?.sinks.includes(keys[i]));
+    if (unsent.length === 0) continue;
+    const result = await deliverAlerts(unsent, [sink], config);
+    if (result.delivered === 0) {
+      failed++;
+      continue;
+    }
+    delivered++;
+    for (const alert of unsent) {
+      const entry = state.pending[alert.id] ||= { firstAt: now, sinks: [] };
+      entry.sinks.push(keys[i]);
+      deliveredIds.add(alert.id);
+    }
+  }
+  console.log(`Alerts: ${fresh.length} new, delivered to ${delivered} sink(s), ${failed} failed`);
+
+  for (const alert of fresh) {
+    const accepted = state.pending[alert.id]?.sinks || [];
+    if (keys.every(key => accepted.includes(key))) {
+      state.fired[alert.id] = now;
+      delete state.pending[alert.id];
+    }
+  }
+  saveAlertState(state, config, now);
+
+  return fresh.filter(a => deliveredIds.has(a.id));
+}
+
+export default {
+  evaluateAlerts,
+  sinkKey,
+  loadAlertState,
+  saveAlertState,
+  runAlerts
+};
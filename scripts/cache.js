@@ -0,0 +1,57 @@
+/**
+ * In-process cache for slow-changing upstream data
+ *
+ * A one-off run starts with an empty cache, so nothing changes there. In
+ * watch mode (fetch_data.js --watch) the process lives on and later cycles
+ * reuse values younger than cache_ttl_seconds (scraped profile PnL, the
+ * profit leaderboard) instead of fetching them again.
+ */
+
+const entries = new Map();
+
+/**
+ * Return the cached value of a key, loading and storing it when missing or expired
+ * @param {string} key - Cache key
+ * @param {number} ttlSeconds - Lifetime of a stored value (0 disables caching)
+ * @param {function(): Promise<*>} load - Loads a fresh value
+ * @param {object} options - { keep(value) -> boolean: whether a loaded value may be
+ *   stored (default: anything but null/undefined), now: time in ms }
+ * @returns {Promise<*>}
+ */
+export async function cached(key, ttlSeconds, load, { keep = value => value !== null && value !== undefined, now = Date.now() } = {}) {
+  const entry = entries.get(key);
+  if (entry && entry.expiresAt > now) {
+    entry.hits++;
+    return entry.value;
+  }
+
+  const value = await load();
+  if (ttlSeconds > 0 && keep(value)) {
+    entries.set(key, { value, expiresAt: now + ttlSeconds * 1000, hits: 0 });
+  } else {
+    entries.delete(key);
+  }
+  return value;
+}
+
+/**
+ * Drop every cached value
+ */
+export function clearCache() {
+  entries.clear();
+}
+
+/**
+ * Number of stored values and of hits served from them
+ */
+export function cacheStats() {
+  let hits = 0;
+  for (const entry of entries.values()) hits += entry.hits;
+  return { size: entries.size, hits };
+}
+
+export default {
+  cached,
+  clearCache,
+  cacheStats
+};
@@ -0,0 +1,188 @@
+/**
+ * Market categories
+ *
+ * Markets carry a title, slug and eventSlug but no category. A market's
+ * category comes from, in order:
+ *   1. the manual override file (category_overrides_file), by conditionId,
+ *      slug or eventSlug
+ *   2. its Gamma API metadata: the category field or the first tag that
+ *      TAG_CATEGORIES maps (scripts/market_metadata.js)
+ *   3. keyword rules: the first rule with a keyword among the market's words
+ *      (or phrase in its title); markets matching no rule are 'other'
+ */
+
+// Sports comes after the narrower rules: its words (cup, league, ...) also
+// turn up in other markets' titles
+export const CATEGORY_RULES = [
+  { category: 'crypto', keywords: ['bitcoin', 'btc', 'ethereum', 'eth', 'solana', 'sol', 'xrp', 'doge', 'crypto', 'token', 'airdrop', 'etf'] },
+  { category: 'economics', keywords: ['fed', 'fomc', 'rate', 'rates', 'inflation', 'cpi', 'gdp', 'recession', 'unemployment', 'jobs', 'tariff', 'tariffs', 'stock', 'stocks', 's&p', 'nasdaq'] },
+  { category: 'politics', keywords: ['election', 'president', 'presidential', 'senate', 'house', 'congress', 'governor', 'mayor', 'nominee', 'nomination', 'primary', 'parliament', 'minister', 'democrat', 'democrats', 'republican', 'republicans', 'trump', 'vote', 'poll'] },
+  { category: 'sports', keywords: ['nba', 'nfl', 'mlb', 'nhl', 'ufc', 'epl', 'fifa', 'cup', 'league', 'championship', 'playoffs', 'super bowl', 'grand prix', 'tennis', 'golf', 'boxing'] },
+  { category: 'culture', keywords: ['oscar', 'oscars', 'grammy', 'grammys', 'movie', 'album', 'box office', 'tweet', 'tweets', 'youtube', 'spotify', 'emmy'] }
+];
+
+export const CATEGORIES = [...CATEGORY_RULES.map(r => r.category), 'other'];
+
+// Gamma API categories and tag slugs that name one of CATEGORIES
+export const TAG_CATEGORIES = {
+  sports: 'sports', nba: 'sports', nfl: 'sports', mlb: 'sports', nhl: 'sports', ufc: 'sports', soccer: 'sports',
+  football: 'sports', basketball: 'sports', baseball: 'sports', hockey: 'sports', tennis: 'sports', golf: 'sports',
+  boxing: 'sports', f1: 'sports', esports: 'sports',
+  crypto: 'crypto', bitcoin: 'crypto', ethereum: 'crypto', solana: 'crypto', 'crypto-prices': 'crypto',
+  economy: 'economics', economics: 'economics', business: 'economics', finance: 'economics', fed: 'economics',
+  'fed-rates': 'economics', inflation: 'economics', stocks: 'economics', tariffs: 'economics',
+  politics: 'politics', 'us-politics': 'politics', elections: 'politics', 'global-elections': 'politics',
+  geopolitics: 'politics', 'us-current-affairs': 'politics', trump: 'politics',
+  'pop-culture': 'culture', culture: 'culture', entertainment: 'culture', movies: 'culture', music: 'culture',
+  awards: 'culture', celebrities: 'culture'
+};
+
+// Windows of the per-category flow
+const FLOW_WINDOWS = { flow24h: 24 * 3600, flow7d: 7 * 24 * 3600 };
+
+/**
+ * Words of a market's title, slug and eventSlug, lowercased
+ */
+function marketWords(market) {
+  const text = [market.title, market.slug, market.eventSlug].filter(Boolean).join(' ').toLowerCase();
+  return new Set(text.split(/[^a-z0-9&]+/).filter(Boolean));
+}
+
+/**
+ * Category of a market
+ * @param {object} market - Position, activity row or market ({ title, slug, eventSlug })
+ * @returns {string} One of CATEGORIES
+ */
+export function categoryOf(market) {
+  const words = marketWords(market);
+  const title = (market.title || '').toLowerCase();
+  for (const rule of CATEGORY_RULES) {
+    if (rule.keywords.some(k => (k.includes(' ') ? title.includes(k) : words.has(k)))) {
+      return rule.category;
+    }
+  }
+  return 'other';
+}
+
+/**
+ * Category named by a market's Gamma API metadata
+ * @param {object} metadata - { category, tags } (fetchMarketMetadata())
+ * @returns {string|null} One of CATEGORIES, or null when nothing maps
+ */
+export function categoryFromMetadata(metadata) {
+  const names = [metadata?.category, ...(metadata?.tags || [])].filter(Boolean);
+  for (const name of names) {
+    const category = TAG_CATEGORIES[String(name).toLowerCase().trim().replace(/\s+/g, '-')];
+    if (category) return category;
+  }
+  return null;
+}
+
+/**
+ * Category and tags of a market
+ * @param {object} market - { conditionId, title, slug, eventSlug }
+ * @param {object} context - { metadata: conditionId -> { category, tags }, overrides: lowercased key -> category }
+ * @returns {object} { category, tags, categorySource ('override', 'metadata' or 'keywords') }
+ */
+export function resolveCategory(market, context = {}) {
+  const conditionId = (market.conditionId || '').toLowerCase();
+  const overrides = context.overrides || {};
+  const metadata = context.metadata?.[conditionId];
+  const tags = metadata?.tags || [];
+
+  // Override keys are lowercased on load (loadCategoryOverrides()), so look up lowercased ids
+  const override = [conditionId, market.slug, market.eventSlug]
+    .map(key => overrides[(key || '').toLowerCase()])
+    .find(Boolean);
+  if (override) return { category: override, tags, categorySource: 'override' };
+
+  const fromMetadata = metadata ? categoryFromMetadata(metadata) : null;
+  if (fromMetadata) return { category: fromMetadata, tags, categorySource: 'metadata' };
+
+  return { category: categoryOf(market), tags, categorySource: 'keywords' };
+}
+
+/**
+ * Exposure, holders and flow per category
+ * @param {Array<object>} positions - Aggregated positions with a category (applyCategories())
+ * @param {Array<object>} activity - Recent activity (collectRecentActivity()); trades count as flow
+ * @param {object} context - Category context (resolveCategory())
+ * @param {number} now - Unix timestamp in seconds
+ * @returns {Array<object>} { category, exposure, share, positionCount, traderCount, flow24h, flow7d },
+ *   largest exposure first
+ */
+export function aggregateCategories(positions, activity, context = {}, now = Math.floor(Date.now() / 1000)) {
+  const byCategory = new Map();
+  const entry = category => {
+    if (!byCategory.has(category)) {
+      byCategory.set(category, { category, exposure: 0, positionCount: 0, traders: new Set(), flow24h: 0, flow7d: 0 });
+    }
+    return byCategory.get(category);
+  };
+
+  for (const pos of positions) {
+    const e = entry(pos.category || 'other');
+    e.exposure += pos.totalExposure || 0;
+    e.positionCount++;
+    for (const t of pos.traders || []) e.traders.add(t.address);
+  }
+
+  for (const a of activity) {
+    if (a.type && a.type !== 'TRADE') continue;
+    const age = now - (a.timestamp || 0);
+    if (age > FLOW_WINDOWS.flow7d) continue;
+    // size is a share count, not USD: rows without usdcSize are left out
+    if (a.usdcSize === undefined || a.usdcSize === null || a.usdcSize === '') continue;
+    const usd = parseFloat(a.usdcSize) || 0;
+    const delta = a.side === 'BUY' ? usd : -usd;
+    const { category } = resolveCategory({ conditionId: a.conditionId, title: a.title, slug: a.slug, eventSlug: a.eventSlug }, context);
+    const e = entry(category);
+    for (const [field, seconds] of Object.entries(FLOW_WINDOWS)) {
+      if (age <= seconds) e[field] += delta;
+    }
+  }
+
+  const totalExposure = positions.reduce((sum, pos) => sum + (pos.totalExposure || 0), 0);
+  const round2 = value => Math.round(value * 100) / 100;
+  return [...byCategory.values()]
+    .map(e => ({
+      category: e.category,
+      exposure: round2(e.exposure),
+      share: totalExposure > 0 ? Math.round(e.exposure / totalExposure * 10000) / 10000 : 0,
+      positionCount: e.positionCount,
+      traderCount: e.traders.size,
+      flow24h: round2(e.flow24h),
+      flow7d: round2(e.flow7d)
+    }))
+    .sort((a, b) => b.exposure - a.exposure || Math.abs(b.flow7d) - Math.abs(a.flow7d));
+}
+
+/**
+ * Tag the positions and changes of one aggregate with their category and add
+ * the per-category breakdown (aggregatedPortfolio.categories)
+ * @param {object} aggregatedPortfolio - aggregatePortfolios() result, changed in place
+ * @param {object} recentChanges - processRecentChanges() result, changed in place
+ * @param {Array<object>} activity - The activity the aggregate was built from
+ * @param {object} context - Category context (resolveCategory())
+ * @param {number} now - Unix timestamp in seconds
+ */
+export function applyCategories(aggregatedPortfolio, recentChanges, activity, context = {}, now = Math.floor(Date.now() / 1000)) {
+  for (const pos of aggregatedPortfolio.positions) {
+    Object.assign(pos, resolveCategory(pos, context));
+  }
+  for (const row of [...recentChanges.changes, ...(recentChanges.redemptions || [])]) {
+    row.category = resolveCategory({ conditionId: row.conditionId, title: row.market, slug: row.marketSlug, eventSlug: row.eventSlug }, context).category;
+  }
+  aggregatedPortfolio.categories = aggregateCategories(aggregatedPortfolio.positions, activity, context, now);
+}
+
+export default {
+  CATEGORY_RULES,
+  CATEGORIES,
+  TAG_CATEGORIES,
+  categoryOf,
+  categoryFromMetadata,
+  resolveCategory,
+  aggregateCategories,
+  applyCategories
+};
@@ -7,79 +7,96 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import {
   fetchWalletPositions,
-  fetchWalletActivity,
   fetchWalletValue,
   fetchUsdcBalance,
   fetchAllActivity,
-  calculatePnLFromActivity,
-  fetchProfitLeaderboard,
   batchFetch
 } from './polymarket_api.js';
 import { scrapeProfilePnL } from './scrape_profile.js';
+import { cached } from './cache.js';
+import { buildSnapshot, appendSnapshot, compactHistory, getLatestSnapshot } from './history_store.js';
+import { loadHistorySeries } from './history_series.js';
+import {
+  diffPortfolios,
+  loadPreviousPositionEvents,
+  mergePositionEvents,
+  countEventTypes
+} from './position_diff.js';
+import { runAlerts } from './alerts.js';
+import { computeConsensusScores } from './consensus.js';
+import { aggregateEvents } from './events.js';
+import { computeModelWeights, WEIGHTING_SCHEMES } from './model_weights.js';
+import { resolveWatchlists } from './watchlists.js';
+import {
+  POSITION_STATUSES,
+  positionStatus,
+  positionResult,
+  loadPreviousResolvedMarkets,
+  updateResolvedMarkets
+} from './resolutions.js';
+import { computeScorecards } from './scorecards.js';
+import { heldTokenIds, priceMarks, updatePriceHistory } from './price_history.js';
+import { applyLiquidity, fetchLiquidity, liquidityTokens } from './liquidity.js';
+import { applyCategories } from './categories.js';
+import { loadCategoryContext } from './market_metadata.js';
+import { computePnL } from './pnl_engine.js';
+import { syncActivity } from './activity_sync.js';
+import { parseCSV, TRADERS_CSV_PATH } from './csv.js';
+import { loadConfig as loadValidatedConfig } from './config.js';
+import { configureTransport, setTransport } from './transport.js';
+import {
+  resolveOutcomeIndex,
+  hasOutcomeIndex,
+  resolveOutcomeLabel,
+  indexKey,
+  outcomeKey,
+  createOutcomeKeyResolver,
+  isNegRisk
+} from './outcomes.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 const ROOT_DIR = path.join(__dirname, '..');
+const OUTPUT_DIR = path.join(ROOT_DIR, 'docs', 'data');
 
-/**
- * Parse CSV file
- */
-function parseCSV(content) {
-  const lines = content.trim().split('\n');
-  const headers = lines[0].split(',').map(h => h.trim());
-  const rows = [];
-
-  for (let i = 1; i < lines.length; i++) {
-    const values = lines[i].split(',').map(v => v.trim());
-    if (values.length >= 2 && values[0]) {
-      const row = {};
-      headers.forEach((h, idx) => {
-        row[h] = values[idx] || '';
-      });
-      rows.push(row);
-    }
-  }
-  return rows;
-}
+export { TRADERS_CSV_PATH };
 
 /**
  * Load traders from CSV
+ * @param {string} csvPath - Roster file (defaults to data/tier1_traders.csv)
+ * @returns {Array<object>} Rows with an address, keyed by the CSV header
  */
-export function loadTraders() {
-  const csvPath = path.join(ROOT_DIR, 'data', 'tier1_traders.csv');
+export function loadTraders(csvPath = TRADERS_CSV_PATH) {
   const content = fs.readFileSync(csvPath, 'utf-8');
-  return parseCSV(content);
+  return parseCSV(content).rows.filter(row => row.address);
 }
 
 /**
- * Load config
+ * Load config (validated, with T1W_* env and CLI flag overrides)
+ * @throws {ConfigError} If config.json or an override is invalid
  */
-export function loadConfig() {
-  const configPath = path.join(ROOT_DIR, 'config.json');
-  if (fs.existsSync(configPath)) {
-    return JSON.parse(fs.readFileSync(configPath, 'utf-8'));
-  }
-  return {
-    poll_interval_seconds: 300,
-    max_recent_events: 200,
-    min_usd_filter: 50,
-    concurrency_limit: 5
-  };
+export function loadConfig(options = {}) {
+  return loadValidatedConfig(options);
 }
 
+export { resolveOutcomeIndex };
+
 /**
  * Compute exposure from position
  */
-function computeExposure(position) {
+export function computeExposure(position) {
   // Use currentValue if available, otherwise use size * price, or just size
-  if (position.currentValue !== undefined && position.currentValue !== null) {
-    return Math.abs(parseFloat(position.currentValue));
+  const currentValue = parseFloat(position.currentValue);
+  if (Number.isFinite(currentValue)) {
+    return Math.abs(currentValue);
   }
-  if (position.size !== undefined && position.curPrice !== undefined) {
-    return Math.abs(parseFloat(position.size) * parseFloat(position.curPrice));
+  const size = parseFloat(position.size);
+  const curPrice = parseFloat(position.curPrice);
+  if (Number.isFinite(size) && Number.isFinite(curPrice)) {
+    return Math.abs(size * curPrice);
   }
-  if (position.size !== undefined) {
-    return Math.abs(parseFloat(position.size));
+  if (Number.isFinite(size)) {
+    return Math.abs(size);
   }
   return 0;
 }
@@ -121,16 +138,23 @@ export async function fetchAllPortfolios(traders, config) {
 
   // Scrape profile pages for accurate PnL (directly from Polymarket)
   console.log('Scraping profile pages for accurate PnL...');
+  // Watch mode reuses profiles scraped less than cache_ttl_seconds ago
   const pnlMap = new Map();
+  let scraped = false;
+  const scrape = identifier => cached(`profile:${identifier.toLowerCase()}`, config.cache_ttl_seconds ?? 3600, () => {
+    scraped = true;
+    return scrapeProfilePnL(identifier, config);
+  });
   for (const trader of traders) {
     const identifier = trader.label || trader.address;
+    scraped = false;
     try {
-      const pnlData = await scrapeProfilePnL(identifier);
+      const pnlData = await scrape(identifier);
       if (pnlData) {
         pnlMap.set(trader.address.toLowerCase(), pnlData);
       } else if (identifier !== trader.address) {
         // Fallback: try with address
-        const pnlByAddr = await scrapeProfilePnL(trader.address);
+        const pnlByAddr = await scrape(trader.address);
         if (pnlByAddr) {
           pnlMap.set(trader.address.toLowerCase(), pnlByAddr);
         }
@@ -139,7 +163,9 @@ export async function fetchAllPortfolios(traders, config) {
       console.warn(`Failed to scrape ${identifier}: ${e.message}`);
     }
     // Rate limit to avoid being blocked
-    await new Promise(r => setTimeout(r, 500));
+    if (scraped) {
+      await new Promise(r => setTimeout(r, config.profile_scrape_delay_ms ?? 500));
+    }
   }
 
   // Build trader portfolios with scraped PnL
@@ -177,6 +203,7 @@ export async function fetchAllPortfolios(traders, config) {
       tradingVolume: scrapedPnL?.amount || 0,
       fetchSuccess: posResult?.success && valResult?.success,
       pnlSource: scrapedPnL ? 'scraped' : 'calculated',
+      scrapedPnL: scrapedPnL?.pnl ?? null,
       lastUpdated: new Date().toISOString()
     };
   }
@@ -185,52 +212,116 @@ export async function fetchAllPortfolios(traders, config) {
 }
 
 /**
- * Fetch recent activity for all traders (for changes display)
+ * Compute PnL for every trader from their full activity history.
+ * Once the activity log is complete (first sync finished, no gaps left) the engine result becomes
+ * the primary PnL and the scraped profile number is kept as a cross-check; until then the scraped
+ * number stays primary, as an engine run over a partial log misses cost basis and realized trades.
+ * @param {Array} traders - Traders from the CSV
+ * @param {object} traderPortfolios - Map of address -> portfolio
+ * @param {object} config - Config object
+ * @param {Map} activityLogs - Output of syncActivity()
+ * @returns {object} Map of address -> engine result (per-market breakdown and daily series)
  */
-export async function fetchRecentActivity(traders, config) {
-  console.log(`Fetching activity for ${traders.length} traders...`);
+export function computeTraderPnL(traders, traderPortfolios, config, activityLogs) {
+  if (config.pnl_engine_enabled === false) return {};
 
-  const allActivity = [];
-  const concurrency = config.concurrency_limit || 5;
-  const maxEvents = config.max_recent_events || 200;
+  const method = config.pnl_method || 'fifo';
+  const pnlByTrader = {};
+  for (const trader of traders) {
+    const addr = trader.address.toLowerCase();
+    const portfolio = traderPortfolios[addr];
+    const log = activityLogs.get(addr);
+    if (!portfolio || !portfolio.fetchSuccess || !log || log.activity.length === 0) continue;
+
+    const pnl = computePnL(log.activity, portfolio.positions, { method });
+    const historyComplete = Boolean(log.cursor?.complete) && (log.cursor.gaps || []).length === 0;
+    pnlByTrader[addr] = { ...pnl, activityCount: log.activity.length, historyComplete };
+    if (!historyComplete) continue;
+
+    portfolio.totalPnL = pnl.totalPnL;
+    portfolio.realizedPnL = pnl.realizedPnL;
+    portfolio.unrealizedPnL = pnl.unrealizedPnL;
+    portfolio.pnlSource = 'activity';
+    portfolio.pnlCrossCheck = portfolio.scrapedPnL !== null && portfolio.scrapedPnL !== undefined
+      ? {
+          scraped: portfolio.scrapedPnL,
+          difference: Math.round((pnl.totalPnL - portfolio.scrapedPnL) * 100) / 100
+        }
+      : null;
 
-  // Calculate timestamp for 30 days ago
-  const thirtyDaysAgo = Math.floor(Date.now() / 1000) - (30 * 24 * 60 * 60);
-  const activityLimit = config.activity_limit_per_trader || 500;
+    if (portfolio.pnlCrossCheck && Math.abs(portfolio.pnlCrossCheck.difference) > Math.max(1000, Math.abs(pnl.totalPnL) * 0.1)) {
+      console.warn(`PnL cross-check for ${trader.label || addr}: engine ${pnl.totalPnL} vs scraped ${portfolio.scrapedPnL}`);
+    }
+  }
 
-  const activityResults = await batchFetch(
-    traders.map(t => t.address),
-    (address, cfg) => fetchWalletActivity(address, thirtyDaysAgo, activityLimit, cfg),
-    concurrency,
-    config
-  );
+  return pnlByTrader;
+}
 
-  // Map trader addresses to labels
-  const labelMap = new Map(traders.map(t => [t.address.toLowerCase(), t.label]));
-
-  // Combine all activity
-  for (const [address, result] of activityResults) {
-    if (result.success && result.data) {
-      for (const activity of result.data) {
-        allActivity.push({
-          ...activity,
-          traderAddress: address,
-          traderLabel: labelMap.get(address) || address.slice(0, 10)
-        });
-      }
+/**
+ * Shape engine results for the published trader_pnl.json
+ */
+function summarizeTraderPnL(pnlByTrader, maxMarkets = 100) {
+  const summary = {};
+  for (const [address, pnl] of Object.entries(pnlByTrader)) {
+    summary[address] = {
+      method: pnl.method,
+      totalPnL: pnl.totalPnL,
+      realizedPnL: pnl.realizedPnL,
+      unrealizedPnL: pnl.unrealizedPnL,
+      rewards: pnl.rewards,
+      unmatchedShares: pnl.unmatchedShares,
+      activityCount: pnl.activityCount,
+      historyComplete: pnl.historyComplete,
+      marketCount: pnl.markets.length,
+      daily: pnl.daily,
+      markets: [...pnl.markets]
+        .sort((a, b) => Math.abs(b.realizedPnL + b.unrealizedPnL) - Math.abs(a.realizedPnL + a.unrealizedPnL))
+        .slice(0, maxMarkets)
+    };
+  }
+  return summary;
+}
+
+/**
+ * Collect recent activity for all traders from the synced activity logs (for changes display)
+ * @param {Array} traders - Traders from the CSV
+ * @param {Map} activityLogs - Output of syncActivity()
+ * @param {object} config - Config object
+ * @param {number} now - Unix timestamp in seconds
+ * @returns {Array} Activity within recent_activity_days, newest first
+ */
+export function collectRecentActivity(traders, activityLogs, config, now = Math.floor(Date.now() / 1000)) {
+  const since = now - (config.recent_activity_days || 30) * 24 * 60 * 60;
+  const allActivity = [];
+
+  for (const trader of traders) {
+    const address = trader.address.toLowerCase();
+    const log = activityLogs.get(address);
+    if (!log) continue;
+
+    for (const activity of log.activity) {
+      // Logs are sorted newest first
+      if ((activity.timestamp || 0) < since) break;
+      allActivity.push({
+        ...activity,
+        traderAddress: address,
+        traderLabel: trader.label || address.slice(0, 10)
+      });
     }
   }
 
-  // Sort by timestamp descending and limit
   allActivity.sort((a, b) => (b.timestamp || 0) - (a.timestamp || 0));
-  return allActivity.slice(0, maxEvents);
+  return allActivity;
 }
 
 /**
  * Build 24h change map from activity
+ * @param {Array} activity - Activity rows
+ * @param {number} now - Unix timestamp in seconds
+ * @param {function(object): string} keyOf - Outcome key of a row (see outcomes.js)
+ * @returns {Map<string, number>} outcome key -> net USD bought in the last 24h
  */
-function build24hChangeMap(activity) {
-  const now = Math.floor(Date.now() / 1000);
+export function build24hChangeMap(activity, now = Math.floor(Date.now() / 1000), keyOf = outcomeKey) {
   const cutoff24h = now - 24 * 3600;
   const changeMap = new Map();
 
@@ -239,8 +330,7 @@ function build24hChangeMap(activity) {
     if (a.type && a.type !== 'TRADE') continue;
 
     // Create key matching position aggregation
-    const outcomeIdx = a.outcomeIndex !== undefined ? a.outcomeIndex : (a.outcome === 'Yes' ? 1 : 0);
-    const key = `${a.conditionId}-${outcomeIdx}`;
+    const key = keyOf(a);
 
     const delta = a.side === 'BUY'
       ? parseFloat(a.usdcSize || a.size || 0)
@@ -254,9 +344,11 @@ function build24hChangeMap(activity) {
 
 /**
  * Load previous aggregated portfolio for comparison
+ * @param {string} prevPath - Previously published aggregated_portfolio.json
+ * @returns {Map<string, number>} outcome key -> trader count; conditionId-outcomeIndex
+ *   keys are kept as well so files published before asset ids still match
  */
-function loadPreviousPortfolio() {
-  const prevPath = path.join(ROOT_DIR, 'docs', 'data', 'aggregated_portfolio.json');
+export function loadPreviousPortfolio(prevPath = path.join(OUTPUT_DIR, 'aggregated_portfolio.json')) {
   try {
     if (fs.existsSync(prevPath)) {
       const data = JSON.parse(fs.readFileSync(prevPath, 'utf-8'));
@@ -264,8 +356,8 @@ function loadPreviousPortfolio() {
       const traderCountMap = new Map();
       if (data.positions) {
         for (const pos of data.positions) {
-          const key = `${pos.conditionId}-${pos.outcomeIndex}`;
-          traderCountMap.set(key, pos.traderCount || 0);
+          traderCountMap.set(outcomeKey(pos), pos.traderCount || 0);
+          traderCountMap.set(indexKey(pos), pos.traderCount || 0);
         }
       }
       return traderCountMap;
@@ -278,37 +370,47 @@ function loadPreviousPortfolio() {
 
 /**
  * Aggregate positions across all traders
+ * @param {object} traderPortfolios - Map of address -> portfolio
+ * @param {object} config - Config object
+ * @param {Array} activity - Recent activity (24h changes and consensus recency)
+ * @param {number} now - Unix timestamp in seconds
+ * @param {string} outputDir - Directory holding the previously published JSON
+ * @param {object|null} priceHistory - Price history cache (updatePriceHistory()) for mark prices
  */
-export function aggregatePortfolios(traderPortfolios, config, activity = []) {
+export function aggregatePortfolios(traderPortfolios, config, activity = [], now = Math.floor(Date.now() / 1000), outputDir = OUTPUT_DIR, priceHistory = null) {
   // Load previous trader counts for comparison
-  const prevTraderCounts = loadPreviousPortfolio();
+  const prevTraderCounts = loadPreviousPortfolio(path.join(outputDir, 'aggregated_portfolio.json'));
+
+  // Outcomes are keyed by token id; rows without one borrow it from a sibling row
+  const fetched = Object.values(traderPortfolios).filter(p => p.fetchSuccess);
+  const keyOf = createOutcomeKeyResolver([...fetched.flatMap(p => p.positions || []), ...activity]);
 
   // Build 24h change map from activity
-  const change24hMap = build24hChangeMap(activity);
+  const change24hMap = build24hChangeMap(activity, now, keyOf);
+
+  // Consensus score per outcome
+  const consensusScores = computeConsensusScores(traderPortfolios, activity, config, now);
 
-  // Map: conditionId-outcome -> aggregated data
+  // Map: outcome key -> aggregated data
   const aggregated = new Map();
 
   for (const [address, portfolio] of Object.entries(traderPortfolios)) {
     if (!portfolio.positions || !portfolio.fetchSuccess) continue;
 
     for (const pos of portfolio.positions) {
-      // Determine outcome index and string
-      let outcomeIndex = pos.outcomeIndex;
-      let outcomeStr = pos.outcome;
+      // Skip closed-out positions the API still reports
+      if (pos.size !== undefined && pos.size !== null && !(parseFloat(pos.size) > 0)) continue;
 
-      if (outcomeIndex === undefined) {
-        outcomeIndex = outcomeStr === 'Yes' ? 1 : 0;
-      }
-      if (!outcomeStr) {
-        outcomeStr = outcomeIndex === 0 ? 'No' : 'Yes';
-      }
+      // Determine outcome index and string
+      const outcomeIndex = resolveOutcomeIndex(pos);
+      const outcomeStr = resolveOutcomeLabel(pos, outcomeIndex);
 
-      const key = `${pos.conditionId}-${outcomeIndex}`;
+      const key = keyOf(pos);
 
       if (!aggregated.has(key)) {
         aggregated.set(key, {
           conditionId: pos.conditionId,
+          asset: pos.asset ? String(pos.asset) : (key === indexKey(pos) ? null : key),
           title: pos.title || 'Unknown Market',
           slug: pos.slug || '',
           icon: pos.icon || '',
@@ -316,16 +418,22 @@ export function aggregatePortfolios(traderPortfolios, config, activity = []) {
           endDate: pos.endDate || null,
           outcome: outcomeStr,
           outcomeIndex: outcomeIndex,
+          oppositeOutcome: pos.oppositeOutcome || null,
+          negRisk: isNegRisk(pos),
+          redeemable: false,
           traders: [],
           totalExposure: 0,
           positions: [],
           weightedAvgPriceSum: 0,
-          totalSize: 0,
-          curPrice: 0
+          totalSize: 0
         });
       }
 
       const agg = aggregated.get(key);
+      // The first holder may only have had a label; prefer a reported index
+      if (hasOutcomeIndex(pos)) {
+        agg.outcomeIndex = resolveOutcomeIndex(pos);
+      }
       const exposure = computeExposure(pos);
       const avgPrice = parseFloat(pos.avgPrice || 0);
       const curPrice = parseFloat(pos.curPrice || 0);
@@ -341,16 +449,13 @@ export function aggregatePortfolios(traderPortfolios, config, activity = []) {
       });
       agg.totalExposure += exposure;
       agg.positions.push(pos);
+      agg.redeemable = agg.redeemable || !!pos.redeemable;
 
       // Track weighted average entry price
       if (avgPrice > 0 && size > 0) {
         agg.weightedAvgPriceSum += avgPrice * size;
         agg.totalSize += size;
       }
-      // Use the most recent curPrice
-      if (curPrice > 0) {
-        agg.curPrice = curPrice;
-      }
     }
   }
 
@@ -360,7 +465,14 @@ export function aggregatePortfolios(traderPortfolios, config, activity = []) {
     const avgEntry = agg.totalSize > 0
       ? agg.weightedAvgPriceSum / agg.totalSize
       : 0;
-    const curPrice = agg.curPrice;
+    // One mark price per outcome, however the holders' rows differ
+    const marks = priceMarks(
+      priceHistory?.tokens?.[agg.asset]?.points,
+      agg.traders.map(t => t.curPrice),
+      now,
+      config
+    );
+    const curPrice = marks.markPrice;
 
     // Calculate price change percentage from entry
     let priceChangePct = 0;
@@ -370,11 +482,17 @@ export function aggregatePortfolios(traderPortfolios, config, activity = []) {
 
     // Calculate trader count change vs previous snapshot
     const currentTraderCount = agg.traders.length;
-    const prevTraderCount = prevTraderCounts.get(key) || 0;
+    const prevTraderCount = prevTraderCounts.get(key) ?? prevTraderCounts.get(indexKey(agg)) ?? 0;
     const traderCountChange = prevTraderCount > 0 ? currentTraderCount - prevTraderCount : 0;
 
+    const consensus = consensusScores.get(indexKey(agg)) || null;
+    const consensusScore = consensus ? consensus.score : 0;
+
+    const status = positionStatus(agg, now);
+
     return {
       conditionId: agg.conditionId,
+      asset: agg.asset,
       title: agg.title,
       slug: agg.slug,
       icon: agg.icon,
@@ -382,6 +500,10 @@ export function aggregatePortfolios(traderPortfolios, config, activity = []) {
       endDate: agg.endDate,
       outcome: agg.outcome,
       outcomeIndex: agg.outcomeIndex,
+      oppositeOutcome: agg.oppositeOutcome,
+      negRisk: agg.negRisk,
+      status,
+      result: status === 'resolved' ? positionResult(curPrice) : null,
       traderCount: currentTraderCount,
       traderCountChange: traderCountChange,
       traders: agg.traders,
@@ -389,13 +511,40 @@ export function aggregatePortfolios(traderPortfolios, config, activity = []) {
       change24h: Math.round((change24hMap.get(key) || 0) * 100) / 100,
       avgEntry: Math.round(avgEntry * 100) / 100,
       curPrice: Math.round(curPrice * 100) / 100,
-      priceChangePct: Math.round(priceChangePct * 10) / 10
+      markPrice: marks.markPrice,
+      markSource: marks.markSource,
+      priceChange1h: marks.priceChange1h,
+      priceChange1d: marks.priceChange1d,
+      priceChange1w: marks.priceChange1w,
+      priceChangePct: Math.round(priceChangePct * 10) / 10,
+      consensusScore,
+      consensus
     };
   });
 
   // Sort by total exposure descending
   positions.sort((a, b) => b.totalExposure - a.totalExposure);
 
+  // Model share of every outcome under each weighting scheme (before filtering);
+  // resolved outcomes can no longer be traded and get none
+  const modelWeighting = config.model_weighting || 'raw';
+  const tradable = positions.filter(p => p.status !== 'resolved');
+  for (const pos of positions) {
+    pos.modelWeights = Object.fromEntries(WEIGHTING_SCHEMES.map(scheme => [scheme, 0]));
+    pos.modelWeight = 0;
+  }
+  computeModelWeights(tradable, traderPortfolios, config).forEach((weights, i) => {
+    tradable[i].modelWeights = weights;
+    tradable[i].modelWeight = weights[modelWeighting] ?? 0;
+  });
+
+  const statusCounts = Object.fromEntries(POSITION_STATUSES.map(status => [
+    status, positions.filter(p => p.status === status).length
+  ]));
+
+  // Events spanning several markets (before the exposure filter hides small legs)
+  const events = aggregateEvents(positions);
+
   // Compute summary stats
   const totalExposure = positions.reduce((sum, p) => sum + p.totalExposure, 0);
   const distinctMarkets = new Set(positions.map(p => p.conditionId)).size;
@@ -421,11 +570,15 @@ export function aggregatePortfolios(traderPortfolios, config, activity = []) {
 
   return {
     positions: positions.filter(p => p.totalExposure >= (config.min_usd_filter || 0)),
+    events: events.filter(e => e.totalExposure >= (config.min_usd_filter || 0)),
     summary: {
       totalExposure,
       totalCapital: Math.round(totalCapital * 100) / 100,
       relativeExposure: Math.round(relativeExposure * 100) / 100,
       distinctMarkets,
+      distinctEvents: events.length,
+      modelWeighting,
+      statusCounts,
       top1Share: Math.round(top1Share * 100) / 100,
       top5Share: Math.round(top5Share * 100) / 100,
       netFlow24h: 0 // Will be computed from activity
@@ -436,8 +589,7 @@ export function aggregatePortfolios(traderPortfolios, config, activity = []) {
 /**
  * Process activity into recent changes format
  */
-export function processRecentChanges(activity, traderPortfolios) {
-  const now = Math.floor(Date.now() / 1000);
+export function processRecentChanges(activity, traderPortfolios, config = {}, now = Math.floor(Date.now() / 1000)) {
   const windows = {
     '1h': now - 3600,
     '6h': now - 6 * 3600,
@@ -478,10 +630,8 @@ export function processRecentChanges(activity, traderPortfolios) {
       }
 
       // Determine outcome
-      let outcome = a.outcome || '';
-      if (!outcome && a.outcomeIndex !== undefined) {
-        outcome = a.outcomeIndex === 0 ? 'No' : 'Yes';
-      }
+      const outcomeIndex = resolveOutcomeIndex(a);
+      const outcome = resolveOutcomeLabel(a, outcomeIndex);
 
       return {
         timestamp: ts,
@@ -491,71 +641,274 @@ export function processRecentChanges(activity, traderPortfolios) {
         marketSlug: a.slug || '',
         eventSlug: a.eventSlug || '',
         conditionId: a.conditionId || '',
+        asset: a.asset ? String(a.asset) : null,
         outcome: outcome,
-        outcomeIndex: a.outcomeIndex,
+        outcomeIndex,
         action,
         delta: Math.round(delta * 100) / 100,
         size: parseFloat(a.size || 0),
-        price: parseFloat(a.price || 0)
+        price: parseFloat(a.price || 0),
+        transactionHash: a.transactionHash || ''
       };
     });
 
+  // Redemptions pay out resolved positions: listed apart, outside the flow windows
+  const redemptions = activity
+    .filter(a => a.type === 'REDEEM')
+    .map(a => ({
+      timestamp: a.timestamp || 0,
+      trader: a.traderLabel || a.proxyWallet?.slice(0, 10),
+      traderAddress: a.traderAddress || a.proxyWallet,
+      market: a.title || 'Unknown Market',
+      marketSlug: a.slug || '',
+      eventSlug: a.eventSlug || '',
+      conditionId: a.conditionId || '',
+      action: 'redeemed',
+      payout: Math.round(parseFloat(a.usdcSize || 0) * 100) / 100,
+      size: parseFloat(a.size || 0),
+      transactionHash: a.transactionHash || ''
+    }));
+
   // Round summaries
   for (const key of Object.keys(windowSummaries)) {
     windowSummaries[key] = Math.round(windowSummaries[key] * 100) / 100;
   }
 
+  // Summaries cover the whole window; only the published lists are capped
   return {
-    changes,
+    changes: changes.slice(0, config.max_recent_events || 200),
+    redemptions: redemptions.slice(0, config.max_recent_events || 200),
     windowSummaries
   };
 }
 
+/**
+ * Aggregate each watchlist from the portfolios and activity fetched for the whole roster
+ * @param {Array} traders - Traders from the CSV
+ * @param {object} traderPortfolios - Map of address -> portfolio
+ * @param {Array} activity - Recent activity of all traders (collectRecentActivity())
+ * @param {object} config - Config object
+ * @param {number} now - Unix timestamp in seconds
+ * @param {string} outputDir - Published data directory; each list's previous
+ *   aggregate is read from watchlists/<id>/ below it
+ * @param {object|null} priceHistory - Price history cache for mark prices
+ * @returns {Array<object>} { id, name, include, addresses, aggregatedPortfolio, recentChanges } per list
+ */
+export function computeWatchlists(traders, traderPortfolios, activity, config, now = Math.floor(Date.now() / 1000), outputDir = OUTPUT_DIR, priceHistory = null) {
+  return resolveWatchlists(traders, config).map(list => {
+    const members = new Set(list.addresses);
+    const portfolios = Object.fromEntries(
+      Object.entries(traderPortfolios).filter(([address]) => members.has(address))
+    );
+    const listActivity = activity.filter(a => members.has(a.traderAddress));
+
+    const aggregatedPortfolio = aggregatePortfolios(
+      portfolios, config, listActivity, now, path.join(outputDir, 'watchlists', list.id), priceHistory
+    );
+    const recentChanges = processRecentChanges(listActivity, portfolios, config, now);
+    aggregatedPortfolio.summary.netFlow24h = recentChanges.windowSummaries['24h'];
+
+    return { ...list, aggregatedPortfolio, recentChanges };
+  });
+}
+
 /**
  * Main computation function
+ * @param {object} options - Injectable inputs for offline runs and tests:
+ *   { config, traders, now, transport, outputDir } (default: loadConfig(), loadTraders(), the current
+ *   time, the transport described by config.transport_mode, docs/data for previously published JSON)
  */
-export async function computeAll() {
-  const config = loadConfig();
-  const traders = loadTraders();
+export async function computeAll(options = {}) {
+  const config = options.config || loadConfig();
+  const traders = options.traders || loadTraders();
+  const now = options.now ?? Math.floor(Date.now() / 1000);
+  const outputDir = options.outputDir || OUTPUT_DIR;
+
+  if (options.transport) {
+    setTransport(options.transport);
+  } else {
+    configureTransport(config);
+  }
 
   console.log(`Loaded ${traders.length} traders from CSV`);
   console.log('Config:', config);
 
   // Fetch all data
   const traderPortfolios = await fetchAllPortfolios(traders, config);
-  const activity = await fetchRecentActivity(traders, config);
+  console.log(`Syncing activity for ${traders.length} traders...`);
+  const activityLogs = await syncActivity(traders, config, now);
+  // A trader whose very first sync failed has no log yet: try one full fetch
+  for (const [address, log] of activityLogs) {
+    if (log.success || log.activity.length > 0) continue;
+    log.activity = await fetchAllActivity(address, config);
+  }
+  const pnlByTrader = computeTraderPnL(traders, traderPortfolios, config, activityLogs);
+  const activity = collectRecentActivity(traders, activityLogs, config, now);
+
+  // Price history of every held token, for mark prices and price changes
+  let priceHistory = null;
+  if (config.price_history_enabled !== false) {
+    const tokenIds = heldTokenIds(traderPortfolios);
+    console.log(`Fetching price history for ${tokenIds.length} tokens...`);
+    priceHistory = await updatePriceHistory(tokenIds, config, now);
+  }
 
   // Aggregate - pass activity for 24h change calculation
-  const aggregatedPortfolio = aggregatePortfolios(traderPortfolios, config, activity);
-  const recentChanges = processRecentChanges(activity, traderPortfolios);
+  const aggregatedPortfolio = aggregatePortfolios(traderPortfolios, config, activity, now, outputDir, priceHistory);
+  const recentChanges = processRecentChanges(activity, traderPortfolios, config, now);
 
   // Update 24h flow in summary
   aggregatedPortfolio.summary.netFlow24h = recentChanges.windowSummaries['24h'];
 
+  // Same data, aggregated per watchlist
+  const watchlists = computeWatchlists(traders, traderPortfolios, activity, config, now, outputDir, priceHistory);
+  console.log(`Aggregated ${watchlists.length} watchlist(s): ${watchlists.map(w => w.id).join(', ')}`);
+
+  // Order book liquidity of every tradable outcome, shared by all watchlists
+  if (config.liquidity_enabled !== false) {
+    const tokenIds = liquidityTokens(aggregatedPortfolio.positions, ...watchlists.map(w => w.aggregatedPortfolio.positions));
+    console.log(`Fetching order books for ${tokenIds.length} tokens...`);
+    const liquidity = await fetchLiquidity(tokenIds, config);
+    applyLiquidity(aggregatedPortfolio, liquidity);
+    for (const list of watchlists) applyLiquidity(list.aggregatedPortfolio, liquidity);
+  }
+
+  // Categories of every held or traded market, and the per-category breakdown
+  const categoryContext = await loadCategoryContext(
+    [...aggregatedPortfolio.positions.map(p => p.conditionId), ...activity.map(a => a.conditionId)],
+    config,
+    now
+  );
+  applyCategories(aggregatedPortfolio, recentChanges, activity, categoryContext, now);
+  for (const list of watchlists) {
+    const members = new Set(list.addresses);
+    applyCategories(list.aggregatedPortfolio, list.recentChanges, activity.filter(a => members.has(a.traderAddress)), categoryContext, now);
+  }
+
+  // Diff holdings against the previous snapshot (read before this run is appended)
+  let previousSnapshot = null;
+  try {
+    previousSnapshot = getLatestSnapshot(config);
+  } catch (e) {
+    console.warn('Could not read previous snapshot:', e.message);
+  }
+  const newPositionEvents = previousSnapshot
+    ? diffPortfolios(previousSnapshot.traders, traderPortfolios, config, now)
+    : [];
+  const positionChanges = {
+    generatedAt: new Date(now * 1000).toISOString(),
+    previousSnapshotAt: previousSnapshot?.timestamp || null,
+    lastRunCounts: countEventTypes(newPositionEvents),
+    events: mergePositionEvents(
+      newPositionEvents,
+      loadPreviousPositionEvents(path.join(outputDir, 'position_changes.json')),
+      config,
+      now
+    )
+  };
+  console.log(`Detected ${newPositionEvents.length} position changes since ${previousSnapshot?.timestamp || 'never'}`);
+
+  // Ledger of resolved markets, carried over from the published one
+  const resolvedMarkets = updateResolvedMarkets(
+    loadPreviousResolvedMarkets(path.join(outputDir, 'resolved_markets.json')),
+    traderPortfolios,
+    activity,
+    previousSnapshot?.traders || null,
+    config,
+    now
+  );
+  console.log(`Resolved markets ledger: ${resolvedMarkets.summary.marketCount} markets, hit rate ${resolvedMarkets.summary.hitRate ?? 'n/a'}`);
+
+  // Per-trader performance from the full activity logs and the ledger
+  let scorecards = null;
+  if (config.scorecards_enabled !== false) {
+    try {
+      scorecards = await computeScorecards(traders, traderPortfolios, activityLogs, pnlByTrader, resolvedMarkets, categoryContext, config, now);
+    } catch (e) {
+      console.warn('Could not compute scorecards:', e.message);
+    }
+  }
+
+  // Append this run to the history store
+  if (config.history_enabled !== false) {
+    try {
+      const snapshot = buildSnapshot(traderPortfolios, aggregatedPortfolio, recentChanges.windowSummaries, config, now, previousSnapshot?.traders);
+      const historyFile = appendSnapshot(snapshot, config);
+      const { removed, compacted } = compactHistory(config, now);
+      console.log(`History snapshot appended to ${historyFile} (compacted ${compacted}, removed ${removed} day files)`);
+    } catch (e) {
+      console.warn('Could not update history store:', e.message);
+    }
+  }
+
+  // Chart series for the dashboard, including this run
+  let historySeries = null;
+  if (config.history_enabled !== false) {
+    try {
+      historySeries = loadHistorySeries(aggregatedPortfolio, config, now);
+    } catch (e) {
+      console.warn('Could not build history series:', e.message);
+    }
+  }
+
+  // Evaluate alert rules over this run's changes
+  try {
+    await runAlerts({
+      changes: recentChanges.changes,
+      positionEvents: newPositionEvents,
+      previousSnapshot
+    }, config, now);
+  } catch (e) {
+    console.warn('Alert evaluation failed:', e.message);
+  }
+
   // Generate metadata
   const metadata = {
-    last_updated: new Date().toISOString(),
+    last_updated: new Date(now * 1000).toISOString(),
     trader_count: traders.length,
     traders_fetched: Object.values(traderPortfolios).filter(p => p.fetchSuccess).length,
     market_count: aggregatedPortfolio.summary.distinctMarkets,
     total_exposure: aggregatedPortfolio.summary.totalExposure,
-    activity_count: activity.length
+    activity_count: activity.length,
+    position_event_count: newPositionEvents.length,
+    resolved_market_count: resolvedMarkets.summary.marketCount,
+    watchlists: watchlists.map(w => ({
+      id: w.id,
+      name: w.name,
+      include: w.include,
+      addresses: w.addresses,
+      trader_count: w.addresses.length,
+      total_exposure: w.aggregatedPortfolio.summary.totalExposure,
+      net_flow_24h: w.aggregatedPortfolio.summary.netFlow24h
+    }))
   };
 
   return {
     metadata,
     aggregatedPortfolio,
     traderPortfolios,
-    recentChanges
+    recentChanges,
+    positionChanges,
+    resolvedMarkets,
+    scorecards,
+    watchlists,
+    historySeries,
+    traderPnL: summarizeTraderPnL(pnlByTrader)
   };
 }
 
 export default {
   loadTraders,
   loadConfig,
+  resolveOutcomeIndex,
+  computeExposure,
+  build24hChangeMap,
+  loadPreviousPortfolio,
   fetchAllPortfolios,
-  fetchRecentActivity,
+  computeTraderPnL,
+  collectRecentActivity,
   aggregatePortfolios,
   processRecentChanges,
+  computeWatchlists,
   computeAll
 };
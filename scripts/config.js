@@ -0,0 +1,430 @@
+#!/usr/bin/env node
+/**
+ * Typed configuration with schema validation and overrides
+ *
+ * Values are resolved in order, later sources winning:
+ *   1. defaults from CONFIG_SCHEMA
+ *   2. config.json
+ *   3. environment variables: T1W_<KEY> (e.g. T1W_CONCURRENCY_LIMIT=3), ignored when empty
+ *   4. CLI flags: --<key> <value> or --<key>=<value>, with dashes or underscores
+ *      (e.g. --concurrency-limit 3, --alerts-enabled, --no-alerts-enabled)
+ *
+ * Unknown keys, wrong types and out-of-range values throw a ConfigError
+ * listing every problem at once; DEPRECATED_KEYS only log a warning.
+ *
+ * Usage:
+ *   node scripts/config.js [--flags]   Print the effective config and where each value came from
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { LIST_ID_PATTERN } from './watchlists.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const ROOT_DIR = path.join(__dirname, '..');
+
+export const CONFIG_PATH = path.join(ROOT_DIR, 'config.json');
+export const ENV_PREFIX = 'T1W_';
+
+const SINK_TYPES = ['webhook', 'telegram', 'discord', 'file', 'stdout'];
+
+export const CONFIG_SCHEMA = {
+  // Fetching
+  poll_interval_seconds: { type: 'integer', default: 300, min: 10, description: 'Seconds between runs in watch mode' },
+  max_recent_events: { type: 'integer', default: 2000, min: 1, description: 'Trades published in recent_changes.json' },
+  min_usd_filter: { type: 'number', default: 50, min: 0, description: 'Hide aggregated positions below this exposure (USD)' },
+  concurrency_limit: { type: 'integer', default: 5, min: 1, max: 50, description: 'Parallel API requests' },
+  retry_attempts: { type: 'integer', default: 3, min: 1, max: 10, description: 'Attempts per API request' },
+  retry_base_delay_ms: { type: 'integer', default: 1000, min: 0, max: 60000, description: 'Base delay for exponential backoff' },
+  request_timeout_ms: { type: 'integer', default: 10000, min: 100, max: 300000, description: 'Timeout of each alert sink request (webhook, Telegram, Discord)' },
+  positions_limit_per_trader: { type: 'integer', default: 1000, min: 1, max: 10000, description: 'Positions fetched per trader' },
+  profile_scrape_delay_ms: { type: 'integer', default: 500, min: 0, max: 60000, description: 'Pause between profile page scrapes' },
+  watch_max_backoff_seconds: { type: 'integer', default: 3600, min: 10, description: 'Longest pause between failing runs in watch mode' },
+  cache_ttl_seconds: { type: 'integer', default: 3600, min: 0, description: 'Reuse scraped profiles and the profit leaderboard for this long in watch mode (0 disables)' },
+
+  // Endpoints and transport
+  data_api_base: { type: 'url', default: 'https://data-api.polymarket.com', description: 'Polymarket Data API' },
+  lb_api_base: { type: 'url', default: 'https://lb-api.polymarket.com', description: 'Polymarket leaderboard API' },
+  polygon_rpc_url: { type: 'url', default: 'https://polygon-rpc.com', description: 'Polygon JSON-RPC endpoint for USDC balances' },
+  polymarket_web_base: { type: 'url', default: 'https://polymarket.com', description: 'Polymarket site (profile pages)' },
+  clob_api_base: { type: 'url', default: 'https://clob.polymarket.com', description: 'Polymarket CLOB API (price history)' },
+  gamma_api_base: { type: 'url', default: 'https://gamma-api.polymarket.com', description: 'Polymarket Gamma API (market categories and tags)' },
+  transport_mode: { type: 'enum', values: ['live', 'record', 'replay'], default: 'live', description: 'live, record fixtures, or replay fixtures offline' },
+  fixtures_dir: { type: 'string', default: 'test/fixtures/api', description: 'Fixture directory for record/replay' },
+
+  // Activity and PnL
+  pnl_engine_enabled: { type: 'boolean', default: true, description: 'Compute PnL from activity instead of the scraped profile value' },
+  pnl_method: { type: 'enum', values: ['fifo', 'average'], default: 'fifo', description: 'Cost basis method' },
+  activity_max_pages: { type: 'integer', default: 30, min: 1, max: 500, description: 'Activity pages (of 1000) per sync' },
+  activity_backfill_pages: { type: 'integer', default: 5, min: 0, max: 500, description: 'Older pages fetched per run until history is complete' },
+  activity_dir: { type: 'string', default: 'data/activity', description: 'Activity log directory' },
+  recent_activity_days: { type: 'integer', default: 30, min: 1, max: 365, description: 'Window of the Recent Changes feed' },
+
+  // History
+  history_enabled: { type: 'boolean', default: true, description: 'Append a snapshot per run' },
+  history_dir: { type: 'string', default: 'data/history', description: 'History store directory' },
+  history_min_position_value: { type: 'number', default: 1, min: 0, description: 'Positions below this value (USD) are not stored' },
+  history_full_resolution_hours: { type: 'number', default: 48, min: 0, description: 'Keep every snapshot this recent' },
+  history_hourly_retention_days: { type: 'number', default: 14, min: 0, description: 'Keep one snapshot per hour this recent' },
+  history_retention_days: { type: 'number', default: 365, min: 1, description: 'Keep one snapshot per day this recent' },
+  history_chart_days: { type: 'number', default: 30, min: 1, description: 'Period covered by the dashboard charts (history_series.json)' },
+  history_chart_points: { type: 'integer', default: 120, min: 2, description: 'Max points per chart series' },
+  history_chart_markets: { type: 'integer', default: 100, min: 0, description: 'Largest outcomes that get exposure/price series' },
+
+  // Prices
+  price_history_enabled: { type: 'boolean', default: true, description: 'Fetch price history of held outcomes for mark prices and 1h/1d/1w changes' },
+  price_history_file: { type: 'string', default: 'data/price_history.json', description: 'Price history cache' },
+  price_history_fidelity_minutes: { type: 'integer', default: 60, min: 1, max: 1440, description: 'Resolution of fetched price history' },
+
+  // Liquidity
+  liquidity_enabled: { type: 'boolean', default: true, description: 'Fetch order books of aggregated outcomes for spread, depth and slippage' },
+  liquidity_trade_usd: { type: 'number', default: 10000, min: 1, description: 'Trade size (USD) the slippage estimates are for' },
+  liquidity_thin_slippage_cents: { type: 'number', default: 2, min: 0, description: 'Buy slippage (cents vs the midpoint) above which a book is rated thin' },
+
+  // Categories
+  market_metadata_enabled: { type: 'boolean', default: true, description: 'Fetch category and tags of new markets from the Gamma API' },
+  market_metadata_file: { type: 'string', default: 'data/market_metadata.json', description: 'Market metadata cache' },
+  category_overrides_file: { type: 'string', default: 'data/category_overrides.json', description: 'Manual categories by conditionId, slug or eventSlug (optional)' },
+
+  // Position diffs
+  position_diff_min_usd: { type: 'number', default: 10, min: 0, description: 'Minimum value change for added/trimmed events' },
+  position_diff_min_pct: { type: 'number', default: 1, min: 0, max: 100, description: 'Minimum size change (%) for added/trimmed events' },
+  max_position_events: { type: 'integer', default: 2000, min: 1, description: 'Events kept in position_changes.json' },
+  position_events_retention_days: { type: 'number', default: 30, min: 1, description: 'Age limit of position events' },
+
+  // Resolutions
+  resolved_markets_max: { type: 'integer', default: 1000, min: 1, description: 'Markets kept in resolved_markets.json' },
+
+  // Scorecards
+  scorecards_enabled: { type: 'boolean', default: true, description: 'Compute trader scorecards (scorecards.json)' },
+  scorecard_min_resolved: { type: 'integer', default: 5, min: 1, description: 'Resolved outcomes needed before rates count as a full sample' },
+  scorecard_leaderboard_limit: { type: 'integer', default: 5000, min: 1, description: 'Profit leaderboard rows searched for rank and all-time profit' },
+
+  // Consensus
+  consensus_recency_half_life_hours: { type: 'number', default: 72, min: 1, description: 'Half-life of the entry recency weight' },
+  consensus_pnl_scale: { type: 'number', default: 10000, min: 1, description: 'PnL (USD) at which the track record weight reaches ~1.3' },
+  consensus_breadth_traders: { type: 'number', default: 3, min: 0.1, description: 'Trader count scale of the breadth factor' },
+
+  // Model portfolio
+  model_weighting: { type: 'enum', values: ['raw', 'equal', 'bankroll', 'pnl', 'tier'], default: 'raw', description: 'Default weighting of trader contributions to the model portfolio' },
+  tier_weight_decay: { type: 'number', default: 0.5, min: 0, max: 1, description: 'Weight multiplier per tier below tier 1 (tier weighting)' },
+
+  // Watchlists
+  watchlists: { type: 'array', items: 'watchlist', default: [], description: 'Names of roster lists and combined lists ({ id, name, include })' },
+
+  // Local server
+  server_host: { type: 'string', default: '127.0.0.1', description: 'Interface scripts/server.js listens on' },
+  server_port: { type: 'integer', default: 8080, min: 1, max: 65535, description: 'Port of scripts/server.js' },
+
+  // Alerts
+  alerts_enabled: { type: 'boolean', default: false, description: 'Evaluate alert rules' },
+  alert_state_file: { type: 'string', default: 'data/alerts_state.json', description: 'De-duplication state' },
+  alert_dedup_hours: { type: 'number', default: 72, min: 1, description: 'How long fired alert ids are remembered' },
+  alert_lookback_hours: { type: 'number', default: 1, min: 0.1, description: 'Window of the large trade rule' },
+  alert_large_trade_usd: { type: 'number', default: 50000, min: 0, description: 'Large trade threshold (USD)' },
+  alert_cluster_min_traders: { type: 'integer', default: 3, min: 2, description: 'Traders needed for a cluster entry' },
+  alert_cluster_window_hours: { type: 'number', default: 6, min: 0.1, description: 'Window of the cluster entry rule' },
+  alert_top_exit_rank: { type: 'integer', default: 5, min: 1, description: 'Top positions watched for full exits' },
+  alert_sinks: { type: 'array', items: 'sink', default: [{ type: 'stdout' }], description: 'Alert destinations' }
+};
+
+// Keys dropped from the schema that older config files may still set:
+// accepted with a warning and ignored, so an upgrade does not stop the pipeline
+export const DEPRECATED_KEYS = {
+  activity_limit_per_trader: 'activity is synced incrementally; activity_max_pages bounds each sync'
+};
+
+/**
+ * Raised when the configuration is invalid
+ */
+export class ConfigError extends Error {
+  constructor(problems) {
+    super(`Invalid configuration:\n  - ${problems.join('\n  - ')}`);
+    this.name = 'ConfigError';
+    this.problems = problems;
+  }
+}
+
+/**
+ * Deep copy of the schema defaults
+ */
+export function getDefaults() {
+  return Object.fromEntries(
+    Object.entries(CONFIG_SCHEMA).map(([key, spec]) => [key, structuredClone(spec.default)])
+  );
+}
+
+/**
+ * Levenshtein distance, used to suggest the intended key for a typo
+ */
+function editDistance(a, b) {
+  const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    let prev = row[0];
+    row[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const tmp = row[j];
+      row[j] = Math.min(row[j] + 1, row[j - 1] + 1, prev + (a[i - 1] === b[j - 1] ? 0 : 1));
+      prev = tmp;
+    }
+  }
+  return row[b.length];
+}
+
+/**
+ * Closest known key, if any is close enough to be a typo
+ */
+function suggestKey(key) {
+  let best = null;
+  let bestDistance = Infinity;
+  for (const known of Object.keys(CONFIG_SCHEMA)) {
+    const distance = editDistance(key, known);
+    if (distance < bestDistance) {
+      best = known;
+      bestDistance = distance;
+    }
+  }
+  return bestDistance <= Math.max(2, Math.floor(key.length / 4)) ? best : null;
+}
+
+/**
+ * Check one value against its schema entry
+ * @returns {string|null} Problem description, or null if valid
+ */
+function checkValue(key, value, spec) {
+  switch (spec.type) {
+    case 'integer':
+    case 'number':
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        return `${key}: expected a number, got ${JSON.stringify(value)}`;
+      }
+      if (spec.type === 'integer' && !Number.isInteger(value)) {
+        return `${key}: expected an integer, got ${value}`;
+      }
+      if (spec.min !== undefined && value < spec.min) {
+        return `${key}: must be >= ${spec.min}, got ${value}`;
+      }
+      if (spec.max !== undefined && value > spec.max) {
+        return `${key}: must be <= ${spec.max}, got ${value}`;
+      }
+      return null;
+    case 'boolean':
+      return typeof value === 'boolean' ? null : `${key}: expected true or false, got ${JSON.stringify(value)}`;
+    case 'string':
+      return typeof value === 'string' && value !== '' ? null : `${key}: expected a non-empty string, got ${JSON.stringify(value)}`;
+    case 'url':
+      return typeof value === 'string' && /^https?:\/\/[^\s]+$/.test(value) ? null : `${key}: expected an http(s) URL, got ${JSON.stringify(value)}`;
+    case 'enum':
+      return spec.values.includes(value) ? null : `${key}: expected one of ${spec.values.join(', ')}, got ${JSON.stringify(value)}`;
+    case 'array':
+      if (!Array.isArray(value)) {
+        return `${key}: expected an array, got ${JSON.stringify(value)}`;
+      }
+      if (spec.items === 'sink') {
+        const bad = value.findIndex(s => !s || typeof s !== 'object' || !SINK_TYPES.includes(s.type));
+        if (bad !== -1) {
+          return `${key}[${bad}]: type must be one of ${SINK_TYPES.join(', ')}`;
+        }
+      }
+      if (spec.items === 'watchlist') {
+        const isId = id => typeof id === 'string' && LIST_ID_PATTERN.test(id);
+        const bad = value.findIndex(w => !w || typeof w !== 'object' || !isId(w.id) ||
+          (w.name !== undefined && typeof w.name !== 'string') ||
+          (w.include !== undefined && !(Array.isArray(w.include) && w.include.every(isId))));
+        if (bad !== -1) {
+          return `${key}[${bad}]: expected { id, name, include } with lowercase ids (a-z, 0-9, - and _)`;
+        }
+      }
+      return null;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Validate a resolved config object
+ * @param {object} config - Config to check
+ * @throws {ConfigError} Listing every problem found
+ */
+export function validateConfig(config) {
+  const problems = [];
+
+  for (const key of Object.keys(config)) {
+    if (!CONFIG_SCHEMA[key]) {
+      const suggestion = suggestKey(key);
+      problems.push(`unknown key "${key}"${suggestion ? ` (did you mean "${suggestion}"?)` : ''}`);
+    }
+  }
+
+  for (const [key, spec] of Object.entries(CONFIG_SCHEMA)) {
+    const problem = checkValue(key, config[key], spec);
+    if (problem) problems.push(problem);
+  }
+
+  if (problems.length > 0) {
+    throw new ConfigError(problems);
+  }
+  return config;
+}
+
+/**
+ * Parse a string override (env var or CLI flag) into the key's type
+ */
+export function parseOverride(key, raw) {
+  const spec = CONFIG_SCHEMA[key];
+  if (!spec) return raw;
+
+  switch (spec.type) {
+    case 'integer':
+    case 'number': {
+      const value = Number(raw);
+      return raw.trim() !== '' && Number.isFinite(value) ? value : raw;
+    }
+    case 'boolean':
+      if (/^(true|1|yes|on)$/i.test(raw)) return true;
+      if (/^(false|0|no|off)$/i.test(raw)) return false;
+      return raw;
+    case 'array':
+      try {
+        return JSON.parse(raw);
+      } catch {
+        return raw;
+      }
+    default:
+      return raw;
+  }
+}
+
+/**
+ * Collect T1W_* environment overrides; an empty variable counts as unset
+ * (CI passes unset repository variables through as empty strings)
+ * @returns {object} key -> raw string
+ */
+function envOverrides(env) {
+  const overrides = {};
+  for (const [name, value] of Object.entries(env)) {
+    if (!name.startsWith(ENV_PREFIX) || value === undefined || value === '') continue;
+    overrides[name.slice(ENV_PREFIX.length).toLowerCase()] = value;
+  }
+  return overrides;
+}
+
+/**
+ * Collect --key value / --key=value / --[no-]flag overrides for known keys.
+ * Flags that are not config keys are left for the calling script.
+ * @returns {object} key -> raw string
+ */
+function cliOverrides(argv) {
+  const overrides = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) continue;
+
+    let [name, value] = arg.slice(2).split(/=(.*)/s);
+    name = name.replace(/-/g, '_');
+
+    let negated = false;
+    if (!CONFIG_SCHEMA[name] && name.startsWith('no_') && CONFIG_SCHEMA[name.slice(3)]?.type === 'boolean') {
+      name = name.slice(3);
+      negated = true;
+    }
+    const spec = CONFIG_SCHEMA[name];
+    if (!spec) continue;
+
+    if (negated) {
+      overrides[name] = 'false';
+    } else if (value !== undefined) {
+      overrides[name] = value;
+    } else if (spec.type === 'boolean' && (argv[i + 1] === undefined || argv[i + 1].startsWith('--'))) {
+      overrides[name] = 'true';
+    } else {
+      overrides[name] = argv[i + 1] ?? '';
+      i++;
+    }
+  }
+  return overrides;
+}
+
+/**
+ * Load, merge and validate the configuration
+ * @param {object} options - { path, env, argv } (default: config.json, process.env, process.argv)
+ * @returns {object} Validated config
+ * @throws {ConfigError} If config.json is unreadable or any value is invalid
+ */
+export function loadConfig({ path: configPath = CONFIG_PATH, env = process.env, argv = process.argv.slice(2) } = {}) {
+  return resolveConfig({ path: configPath, env, argv }).config;
+}
+
+/**
+ * Resolve the configuration and record the source of every value
+ * @returns {{config: object, sources: object}} sources maps key -> default | file | env | cli
+ */
+export function resolveConfig({ path: configPath = CONFIG_PATH, env = process.env, argv = process.argv.slice(2) } = {}) {
+  const config = getDefaults();
+  const sources = Object.fromEntries(Object.keys(config).map(key => [key, 'default']));
+
+  if (configPath && fs.existsSync(configPath)) {
+    let fileConfig;
+    try {
+      fileConfig = JSON.parse(fs.readFileSync(configPath, 'utf-8'));
+    } catch (e) {
+      throw new ConfigError([`${path.basename(configPath)} is not valid JSON: ${e.message}`]);
+    }
+    if (!fileConfig || typeof fileConfig !== 'object' || Array.isArray(fileConfig)) {
+      throw new ConfigError([`${path.basename(configPath)} must contain a JSON object`]);
+    }
+    for (const [key, value] of Object.entries(fileConfig)) {
+      config[key] = value;
+      sources[key] = 'file';
+    }
+  }
+
+  for (const [source, overrides] of [['env', envOverrides(env)], ['cli', cliOverrides(argv)]]) {
+    for (const [key, raw] of Object.entries(overrides)) {
+      config[key] = parseOverride(key, raw);
+      sources[key] = source;
+    }
+  }
+
+  for (const [key, reason] of Object.entries(DEPRECATED_KEYS)) {
+    if (!(key in config)) continue;
+    console.warn(`Config key "${key}" (${sources[key]}) is deprecated and ignored: ${reason}`);
+    delete config[key];
+    delete sources[key];
+  }
+
+  validateConfig(config);
+  return { config, sources };
+}
+
+/**
+ * Main function
+ */
+function main() {
+  try {
+    const { config, sources } = resolveConfig();
+    for (const [key, value] of Object.entries(config)) {
+      console.log(`${key} = ${JSON.stringify(value)}${sources[key] !== 'file' ? `  (${sources[key]})` : ''}`);
+    }
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === __filename) {
+  main();
+}
+
+export default {
+  CONFIG_SCHEMA,
+  DEPRECATED_KEYS,
+  ConfigError,
+  getDefaults,
+  validateConfig,
+  parseOverride,
+  loadConfig,
+  resolveConfig
+};
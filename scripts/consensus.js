@@ -0,0 +1,151 @@
+/**
+ * Consensus signal per outcome
+ *
+ * Scores how strongly the tracked traders agree on each outcome of a market.
+ * For every outcome, each trader holding the market votes with the direction
+ * of their net exposure to it (exposure on the outcome minus exposure on the
+ * market's other outcomes), weighted by:
+ *   - conviction: that net exposure as a share of their own bankroll (totalValue + usdcBalance)
+ *   - recency: how recently they bought into the market (half-life decay)
+ *   - track record: their all-time PnL (log scaled)
+ *
+ * agreement = sum(weight * direction) / sum(weight)                 in [-1, 1]
+ * breadth   = 1 - exp(-traders / consensus_breadth_traders)          in [0, 1)
+ * score     = round(100 * agreement * breadth)                       in [-100, 100]
+ *
+ * A positive score favours the outcome. In a binary market the two outcomes
+ * get opposite scores; in a multi-outcome market a trader backing one outcome
+ * votes against each of the others.
+ */
+
+import { resolveOutcomeIndex, indexKey } from './outcomes.js';
+
+/**
+ * Exposure of a single position in USD
+ */
+function positionExposure(pos) {
+  if (pos.currentValue !== undefined && pos.currentValue !== null) {
+    return Math.abs(parseFloat(pos.currentValue) || 0);
+  }
+  return Math.abs((parseFloat(pos.size) || 0) * (parseFloat(pos.curPrice) || 0));
+}
+
+/**
+ * Weight from all-time PnL: >1 for profitable traders, <1 for losing ones
+ */
+export function pnlWeight(pnl, scale = 10000) {
+  const magnitude = Math.log10(1 + Math.abs(pnl || 0) / scale);
+  return pnl >= 0 ? 1 + magnitude : 1 / (1 + magnitude);
+}
+
+/**
+ * Weight from entry recency: 1 for a fresh entry decaying towards 0.5
+ */
+export function recencyWeight(lastBuyTs, now, halfLifeHours = 72) {
+  if (!lastBuyTs) return 0.5;
+  const ageHours = Math.max(0, now - lastBuyTs) / 3600;
+  return 0.5 + 0.5 * Math.pow(2, -ageHours / halfLifeHours);
+}
+
+/**
+ * Latest BUY timestamp per trader and market from activity
+ */
+function buildLastBuyMap(activity) {
+  const lastBuy = new Map();
+  for (const a of activity) {
+    if (a.type && a.type !== 'TRADE') continue;
+    if (a.side !== 'BUY') continue;
+    const key = `${a.traderAddress || a.proxyWallet}-${a.conditionId}`;
+    lastBuy.set(key, Math.max(lastBuy.get(key) || 0, a.timestamp || 0));
+  }
+  return lastBuy;
+}
+
+/**
+ * Compute consensus scores for every outcome held by the traders
+ * @param {object} traderPortfolios - Map of address -> portfolio
+ * @param {Array} activity - Recent activity (for entry recency)
+ * @param {object} config - Config object
+ * @param {number} now - Unix timestamp in seconds
+ * @returns {Map<string, object>} conditionId-outcomeIndex (indexKey()) -> consensus details
+ */
+export function computeConsensusScores(traderPortfolios, activity = [], config = {}, now = Math.floor(Date.now() / 1000)) {
+  const halfLifeHours = config.consensus_recency_half_life_hours ?? 72;
+  const pnlScale = config.consensus_pnl_scale ?? 10000;
+  const breadthTraders = config.consensus_breadth_traders ?? 3;
+  const lastBuy = buildLastBuyMap(activity);
+
+  // conditionId -> { exposure: Map outcomeIndex -> USD, holders: [{ byOutcome, total, weight }] }
+  const markets = new Map();
+
+  for (const [address, portfolio] of Object.entries(traderPortfolios)) {
+    if (!portfolio.positions || !portfolio.fetchSuccess) continue;
+
+    // Exposure per market and outcome for this trader
+    const byMarket = new Map();
+    let heldExposure = 0;
+    for (const pos of portfolio.positions) {
+      const exposure = positionExposure(pos);
+      heldExposure += exposure;
+      const outcomeIndex = resolveOutcomeIndex(pos);
+      if (!byMarket.has(pos.conditionId)) byMarket.set(pos.conditionId, new Map());
+      const byOutcome = byMarket.get(pos.conditionId);
+      byOutcome.set(outcomeIndex, (byOutcome.get(outcomeIndex) || 0) + exposure);
+    }
+
+    const bankroll = (portfolio.totalValue || 0) + (portfolio.usdcBalance || 0) || heldExposure;
+    const traderPnlWeight = pnlWeight(portfolio.totalPnL || 0, pnlScale);
+
+    for (const [conditionId, byOutcome] of byMarket) {
+      if (!markets.has(conditionId)) markets.set(conditionId, { exposure: new Map(), holders: [] });
+      const market = markets.get(conditionId);
+      let total = 0;
+      for (const [outcomeIndex, exposure] of byOutcome) {
+        market.exposure.set(outcomeIndex, (market.exposure.get(outcomeIndex) || 0) + exposure);
+        total += exposure;
+      }
+      const recency = recencyWeight(lastBuy.get(`${address}-${conditionId}`), now, halfLifeHours);
+      market.holders.push({ byOutcome, total, bankroll, weight: recency * traderPnlWeight });
+    }
+  }
+
+  const scores = new Map();
+  for (const [conditionId, { exposure, holders }] of markets) {
+    const marketExposure = [...exposure.values()].reduce((sum, v) => sum + v, 0);
+
+    for (const [outcomeIndex, outcomeExposure] of exposure) {
+      const votes = [];
+      for (const holder of holders) {
+        const onOutcome = holder.byOutcome.get(outcomeIndex) || 0;
+        const net = onOutcome - (holder.total - onOutcome);
+        if (net === 0) continue;
+        const conviction = holder.bankroll > 0 ? Math.min(1, Math.abs(net) / holder.bankroll) : 0;
+        votes.push({ direction: Math.sign(net), weight: conviction * holder.weight });
+      }
+
+      const totalWeight = votes.reduce((sum, v) => sum + v.weight, 0);
+      const agreement = totalWeight > 0
+        ? votes.reduce((sum, v) => sum + v.weight * v.direction, 0) / totalWeight
+        : 0;
+      const breadth = 1 - Math.exp(-votes.length / breadthTraders);
+
+      scores.set(indexKey({ conditionId, outcomeIndex }), {
+        score: Math.round(100 * agreement * breadth),
+        agreement: Math.round(agreement * 100) / 100,
+        breadth: Math.round(breadth * 100) / 100,
+        traders: votes.length,
+        tradersFor: votes.filter(v => v.direction > 0).length,
+        tradersAgainst: votes.filter(v => v.direction < 0).length,
+        netExposure: Math.round((2 * outcomeExposure - marketExposure) * 100) / 100
+      });
+    }
+  }
+
+  return scores;
+}
+
+export default {
+  pnlWeight,
+  recencyWeight,
+  computeConsensusScores
+};
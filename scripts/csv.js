@@ -0,0 +1,128 @@
+/**
+ * RFC 4180 CSV parsing and serialization
+ *
+ * Handles quoted fields, escaped quotes ("") and commas or line breaks
+ * inside quotes. Accepts CRLF or LF line endings and a leading BOM.
+ */
+
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// The trader roster read by the pipeline and edited by scripts/traders.js
+export const TRADERS_CSV_PATH = path.join(__dirname, '..', 'data', 'tier1_traders.csv');
+
+/**
+ * Parse CSV text into records (arrays of strings)
+ * @param {string} content - CSV text
+ * @returns {Array<Array<string>>} Records, including the header record
+ */
+export function parseCSVRecords(content) {
+  const text = content.charCodeAt(0) === 0xfeff ? content.slice(1) : content;
+  const records = [];
+  let record = [];
+  let field = '';
+  let inQuotes = false;
+  let i = 0;
+
+  while (i < text.length) {
+    const ch = text[i];
+
+    if (inQuotes) {
+      if (ch === '"') {
+        if (text[i + 1] === '"') {
+          field += '"';
+          i += 2;
+          continue;
+        }
+        inQuotes = false;
+      } else {
+        field += ch;
+      }
+      i++;
+      continue;
+    }
+
+    if (ch === '"' && field === '') {
+      inQuotes = true;
+    } else if (ch === ',') {
+      record.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+    } else {
+      field += ch;
+    }
+    i++;
+  }
+
+  if (inQuotes) {
+    throw new Error('Unterminated quoted field in CSV');
+  }
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  // Drop blank lines
+  return records.filter(r => r.length > 1 || r[0].trim() !== '');
+}
+
+/**
+ * Parse CSV text into row objects keyed by the header record
+ * @param {string} content - CSV text
+ * @returns {{headers: Array<string>, rows: Array<object>}}
+ */
+export function parseCSV(content) {
+  const records = parseCSVRecords(content);
+  if (records.length === 0) {
+    return { headers: [], rows: [] };
+  }
+
+  const headers = records[0].map(h => h.trim());
+  const rows = records.slice(1).map(values => {
+    const row = {};
+    headers.forEach((h, idx) => {
+      row[h] = (values[idx] || '').trim();
+    });
+    return row;
+  });
+
+  return { headers, rows };
+}
+
+/**
+ * Quote a field when it contains a delimiter, quote or line break
+ */
+function escapeField(value) {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\r\n]/.test(text) || text !== text.trim()
+    ? `"${text.replace(/"/g, '""')}"`
+    : text;
+}
+
+/**
+ * Serialize row objects to CSV text
+ * @param {Array<string>} headers - Column order
+ * @param {Array<object>} rows - Row objects
+ * @returns {string} CSV text ending with a newline
+ */
+export function stringifyCSV(headers, rows) {
+  const lines = [headers.map(escapeField).join(',')];
+  for (const row of rows) {
+    lines.push(headers.map(h => escapeField(row[h])).join(','));
+  }
+  return lines.join('\n') + '\n';
+}
+
+export default {
+  TRADERS_CSV_PATH,
+  parseCSVRecords,
+  parseCSV,
+  stringifyCSV
+};
@@ -0,0 +1,188 @@
+/**
+ * Event-level aggregation across sibling markets
+ *
+ * An event (eventSlug) groups several markets: every candidate of a
+ * nomination, every bracket of a Fed decision. Tier1 money is summed per
+ * event and broken down per market. For neg-risk events, where exactly one
+ * sibling resolves Yes, two probability distributions over the candidates
+ * are published:
+ *
+ *   implied  the market price of each candidate's Yes (1 - No price if Tier1
+ *            only holds No), normalised over the candidates Tier1 holds
+ *   tier1    each candidate's share of Tier1 money: Yes exposure counts for
+ *            the candidate, No exposure (which pays if anyone else wins) is
+ *            spread over the other candidates in proportion to their implied
+ *            probability
+ *
+ * impliedOther is the probability the market leaves for candidates no
+ * Tier1 trader holds.
+ */
+
+import { resolveOutcomeIndex } from './outcomes.js';
+
+/**
+ * Round a probability to 4 decimals
+ */
+function roundProb(value) {
+  return Math.round(value * 10000) / 10000;
+}
+
+/**
+ * Round to cents
+ */
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Market price of a candidate's Yes outcome
+ * @param {object} candidate - Candidate with yesPrice / noPrice
+ * @returns {number|null}
+ */
+function impliedYesPrice(candidate) {
+  if (candidate.yesPrice > 0) return candidate.yesPrice;
+  if (candidate.noPrice > 0) return 1 - candidate.noPrice;
+  return null;
+}
+
+/**
+ * Fill in implied and Tier1 distributions for the candidates of a neg-risk event
+ * @param {Array<object>} candidates - One per market, with yes/no exposure and prices
+ * @returns {number} Implied probability left for candidates Tier1 does not hold
+ */
+function computeDistributions(candidates) {
+  const implied = candidates.map(impliedYesPrice);
+  const impliedSum = implied.reduce((sum, p) => sum + (p || 0), 0);
+
+  const weights = candidates.map(c => c.yesExposure);
+  candidates.forEach((c, j) => {
+    if (c.noExposure <= 0) return;
+    const others = candidates.map((_, i) => i).filter(i => i !== j);
+    if (others.length === 0) return;
+    const otherSum = others.reduce((sum, i) => sum + (implied[i] || 0), 0);
+    for (const i of others) {
+      const share = otherSum > 0 ? (implied[i] || 0) / otherSum : 1 / others.length;
+      weights[i] += c.noExposure * share;
+    }
+  });
+  const weightSum = weights.reduce((sum, w) => sum + w, 0);
+
+  candidates.forEach((c, i) => {
+    c.impliedPrice = implied[i] === null ? null : roundProb(implied[i]);
+    c.impliedProb = impliedSum > 0 && implied[i] !== null ? roundProb(implied[i] / impliedSum) : null;
+    c.tier1Prob = weightSum > 0 ? roundProb(weights[i] / weightSum) : null;
+  });
+
+  return roundProb(Math.max(0, 1 - impliedSum));
+}
+
+/**
+ * Aggregate positions into events spanning more than one market
+ * @param {Array<object>} positions - Aggregated positions from aggregatePortfolios() (before filtering)
+ * @returns {Array<object>} Events sorted by total exposure, largest first
+ */
+export function aggregateEvents(positions) {
+  const events = new Map();
+
+  for (const pos of positions) {
+    if (!pos.eventSlug) continue;
+
+    if (!events.has(pos.eventSlug)) {
+      events.set(pos.eventSlug, {
+        eventSlug: pos.eventSlug,
+        negRisk: false,
+        endDate: null,
+        traders: new Set(),
+        totalExposure: 0,
+        change24h: 0,
+        markets: new Map()
+      });
+    }
+    const event = events.get(pos.eventSlug);
+    event.negRisk = event.negRisk || Boolean(pos.negRisk);
+    if (pos.endDate && (!event.endDate || pos.endDate > event.endDate)) {
+      event.endDate = pos.endDate;
+    }
+    event.totalExposure += pos.totalExposure || 0;
+    event.change24h += pos.change24h || 0;
+
+    if (!event.markets.has(pos.conditionId)) {
+      event.markets.set(pos.conditionId, {
+        conditionId: pos.conditionId,
+        title: pos.title,
+        slug: pos.slug,
+        outcomes: [],
+        traders: new Set(),
+        totalExposure: 0,
+        yesExposure: 0,
+        noExposure: 0,
+        yesPrice: 0,
+        noPrice: 0
+      });
+    }
+    const market = event.markets.get(pos.conditionId);
+    const outcomeIndex = resolveOutcomeIndex(pos);
+    market.outcomes.push({
+      asset: pos.asset || null,
+      outcome: pos.outcome,
+      outcomeIndex,
+      totalExposure: round(pos.totalExposure || 0),
+      traderCount: pos.traderCount || 0,
+      curPrice: pos.curPrice || 0
+    });
+    market.totalExposure += pos.totalExposure || 0;
+    // Outcome 0 is Yes on the binary sibling markets of a neg-risk event
+    if (outcomeIndex === 0) {
+      market.yesExposure += pos.totalExposure || 0;
+      market.yesPrice = pos.curPrice || 0;
+    } else {
+      market.noExposure += pos.totalExposure || 0;
+      market.noPrice = pos.curPrice || 0;
+    }
+    for (const t of pos.traders || []) {
+      market.traders.add(t.address);
+      event.traders.add(t.address);
+    }
+  }
+
+  const result = [];
+  for (const event of events.values()) {
+    if (event.markets.size < 2) continue;
+
+    const markets = [...event.markets.values()].sort((a, b) => b.totalExposure - a.totalExposure);
+    const impliedOther = event.negRisk ? computeDistributions(markets) : null;
+
+    result.push({
+      eventSlug: event.eventSlug,
+      negRisk: event.negRisk,
+      endDate: event.endDate,
+      marketCount: markets.length,
+      traderCount: event.traders.size,
+      totalExposure: round(event.totalExposure),
+      change24h: round(event.change24h),
+      impliedOther,
+      markets: markets.map(m => ({
+        conditionId: m.conditionId,
+        title: m.title,
+        slug: m.slug,
+        traderCount: m.traders.size,
+        totalExposure: round(m.totalExposure),
+        ...(event.negRisk ? {
+          yesExposure: round(m.yesExposure),
+          noExposure: round(m.noExposure),
+          impliedPrice: m.impliedPrice,
+          impliedProb: m.impliedProb,
+          tier1Prob: m.tier1Prob
+        } : {}),
+        outcomes: m.outcomes.sort((a, b) => a.outcomeIndex - b.outcomeIndex)
+      }))
+    });
+  }
+
+  result.sort((a, b) => b.totalExposure - a.totalExposure);
+  return result;
+}
+
+export default {
+  aggregateEvents
+};
@@ -3,13 +3,22 @@
  * Main entry point for fetching Polymarket data and generating JSON files
  *
  * Usage:
- *   node scripts/fetch_data.js
+ *   node scripts/fetch_data.js [--watch] [--<config-key> <value> ...]
+ *
+ * --watch keeps the process running and refreshes every
+ * poll_interval_seconds (see scripts/watch.js).
+ *
+ * Any config.json key can be overridden with a flag or a T1W_* environment
+ * variable (see scripts/config.js).
  */
 
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { computeAll } from './compute_aggregates.js';
+import { loadConfig, ConfigError } from './config.js';
+import { configureTransport } from './transport.js';
+import { watch } from './watch.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -34,49 +43,123 @@ function writeJSON(filepath, data) {
 }
 
 /**
- * Main function
+ * Compute all data and write the output files
+ * @param {object} options - Passed to computeAll() (config, transport, traders, now,
+ *   outputDir: where the JSON files go, default docs/data)
+ * @returns {Promise<object>} Run metadata
  */
-async function main() {
+export async function runOnce(options = {}) {
+  const dataDir = options.outputDir || DATA_DIR;
   console.log('═══════════════════════════════════════════════════════');
   console.log('  Tier1 Traders Watch - Data Refresh');
   console.log('═══════════════════════════════════════════════════════');
   console.log(`Started at: ${new Date().toISOString()}\n`);
 
+  // Ensure output directory exists
+  ensureDir(dataDir);
+
+  // Compute all data
+  const {
+    metadata,
+    aggregatedPortfolio,
+    traderPortfolios,
+    recentChanges,
+    positionChanges,
+    resolvedMarkets,
+    scorecards,
+    watchlists,
+    historySeries,
+    traderPnL
+  } = await computeAll(options);
+
+  // Write output files; metadata.json goes last, so a reader that sees a new
+  // last_updated (scripts/server.js) finds the other files already in place
+  writeJSON(path.join(dataDir, 'aggregated_portfolio.json'), aggregatedPortfolio);
+  writeJSON(path.join(dataDir, 'trader_portfolios.json'), traderPortfolios);
+  writeJSON(path.join(dataDir, 'recent_changes.json'), recentChanges);
+  writeJSON(path.join(dataDir, 'position_changes.json'), positionChanges);
+  writeJSON(path.join(dataDir, 'resolved_markets.json'), resolvedMarkets);
+  writeJSON(path.join(dataDir, 'trader_pnl.json'), traderPnL);
+  if (scorecards) {
+    writeJSON(path.join(dataDir, 'scorecards.json'), scorecards);
+  }
+  if (historySeries) {
+    writeJSON(path.join(dataDir, 'history_series.json'), historySeries);
+  }
+
+  // One directory per watchlist, laid out like the combined files above
+  for (const list of watchlists) {
+    const listDir = path.join(dataDir, 'watchlists', list.id);
+    ensureDir(listDir);
+    writeJSON(path.join(listDir, 'aggregated_portfolio.json'), list.aggregatedPortfolio);
+    writeJSON(path.join(listDir, 'recent_changes.json'), list.recentChanges);
+  }
+  writeJSON(path.join(dataDir, 'metadata.json'), metadata);
+
+  console.log('\n═══════════════════════════════════════════════════════');
+  console.log('  Summary');
+  console.log('═══════════════════════════════════════════════════════');
+  console.log(`  Traders tracked: ${metadata.trader_count}`);
+  console.log(`  Traders fetched: ${metadata.traders_fetched}`);
+  console.log(`  Watchlists: ${metadata.watchlists.map(w => `${w.id} (${w.trader_count})`).join(', ')}`);
+  console.log(`  Markets held: ${metadata.market_count}`);
+  console.log(`  Total exposure: $${metadata.total_exposure.toLocaleString()}`);
+  console.log(`  Recent activities: ${metadata.activity_count}`);
+  console.log(`  Position changes: ${metadata.position_event_count}`);
+  console.log(`  Resolved markets: ${metadata.resolved_market_count}`);
+  console.log(`  Last updated: ${metadata.last_updated}`);
+  console.log('═══════════════════════════════════════════════════════\n');
+
+  console.log('Data refresh completed successfully!');
+  return metadata;
+}
+
+/**
+ * Watch mode: one transport for the whole process, config re-read every run
+ * so edits to config.json apply from the next run
+ */
+async function runWatch() {
+  const config = loadConfig();
+  const transport = configureTransport(config);
+  console.log(`Watch mode: a run every ${config.poll_interval_seconds}s (SIGTERM or Ctrl+C to stop)\n`);
+
+  // The schedule follows the last config that loaded
+  let current = config;
+  const { runs } = await watch(async () => {
+    current = loadConfig();
+    const metadata = await runOnce({ config: current, transport });
+    // Nobody could be fetched: the upstream is down, back off
+    return metadata.trader_count === 0 || metadata.traders_fetched > 0;
+  }, () => current);
+
+  console.log(`Watch mode stopped after ${runs} run(s)`);
+}
+
+/**
+ * Main function
+ */
+async function main() {
   try {
-    // Ensure output directory exists
-    ensureDir(DATA_DIR);
-
-    // Compute all data
-    const {
-      metadata,
-      aggregatedPortfolio,
-      traderPortfolios,
-      recentChanges
-    } = await computeAll();
-
-    // Write output files
-    writeJSON(path.join(DATA_DIR, 'metadata.json'), metadata);
-    writeJSON(path.join(DATA_DIR, 'aggregated_portfolio.json'), aggregatedPortfolio);
-    writeJSON(path.join(DATA_DIR, 'trader_portfolios.json'), traderPortfolios);
-    writeJSON(path.join(DATA_DIR, 'recent_changes.json'), recentChanges);
-
-    console.log('\n═══════════════════════════════════════════════════════');
-    console.log('  Summary');
-    console.log('═══════════════════════════════════════════════════════');
-    console.log(`  Traders tracked: ${metadata.trader_count}`);
-    console.log(`  Traders fetched: ${metadata.traders_fetched}`);
-    console.log(`  Markets held: ${metadata.market_count}`);
-    console.log(`  Total exposure: $${metadata.total_exposure.toLocaleString()}`);
-    console.log(`  Recent activities: ${metadata.activity_count}`);
-    console.log(`  Last updated: ${metadata.last_updated}`);
-    console.log('═══════════════════════════════════════════════════════\n');
-
-    console.log('Data refresh completed successfully!');
+    if (process.argv.includes('--watch')) {
+      await runWatch();
+    } else {
+      await runOnce();
+    }
     process.exit(0);
   } catch (error) {
-    console.error('\nFailed to refresh data:', error);
+    if (error instanceof ConfigError) {
+      console.error(`\n${error.message}`);
+    } else {
+      console.error('\nFailed to refresh data:', error);
+    }
     process.exit(1);
   }
 }
 
-main();
+if (process.argv[1] && path.resolve(process.argv[1]) === __filename) {
+  main();
+}
+
+export default {
+  runOnce
+};
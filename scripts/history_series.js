@@ -0,0 +1,136 @@
+/**
+ * Chart series for the dashboard, built from the history store
+ *
+ * The store (data/history) is not published, so each run condenses the last
+ * history_chart_days of snapshots into docs/data/history_series.json: one
+ * shared timeline of at most history_chart_points timestamps and, aligned
+ * with it, the aggregate summary, the net flow per window, each trader's
+ * portfolio value and, for the history_chart_markets largest outcomes, Tier1
+ * exposure and market price. Missing values are null.
+ */
+
+import { readSnapshots, snapshotExposure } from './history_store.js';
+import { createOutcomeKeyResolver } from './outcomes.js';
+
+const FLOW_WINDOWS = ['1h', '6h', '24h', '7d', '30d'];
+
+/**
+ * Round a number to a fixed number of decimals
+ */
+function round(value, decimals = 2) {
+  const factor = Math.pow(10, decimals);
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Number or null
+ */
+function valueOrNull(value, decimals = 2) {
+  return typeof value === 'number' && Number.isFinite(value) ? round(value, decimals) : null;
+}
+
+/**
+ * Keep the latest snapshot of each time bucket so at most maxPoints remain
+ * @param {Array<object>} snapshots - Sorted oldest first
+ * @param {number} maxPoints - Upper bound on the result length
+ * @returns {Array<object>}
+ */
+export function downsampleSnapshots(snapshots, maxPoints) {
+  if (snapshots.length <= maxPoints) return snapshots;
+  const from = snapshots[0].ts;
+  const span = snapshots[snapshots.length - 1].ts - from;
+  const bucketSeconds = Math.max(1, Math.ceil((span + 1) / maxPoints));
+
+  const byBucket = new Map();
+  for (const snapshot of snapshots) {
+    byBucket.set(Math.floor((snapshot.ts - from) / bucketSeconds), snapshot);
+  }
+  return [...byBucket.values()];
+}
+
+/**
+ * Build the chart series from expanded snapshots
+ * @param {Array<object>} snapshots - Expanded snapshots, oldest first (readSnapshots())
+ * @param {object} aggregatedPortfolio - Current aggregate; its largest outcomes get market series
+ * @param {object} config - Config object (history_chart_points, history_chart_markets)
+ * @returns {object} { timestamps, summary, flows, traders, markets }
+ */
+export function buildHistorySeries(snapshots, aggregatedPortfolio, config = {}) {
+  const sampled = downsampleSnapshots(snapshots, config.history_chart_points || 120);
+  const timestamps = sampled.map(s => s.ts);
+
+  const summary = {
+    totalExposure: sampled.map(s => valueOrNull(s.summary?.totalExposure)),
+    relativeExposure: sampled.map(s => valueOrNull(s.summary?.relativeExposure)),
+    totalCapital: sampled.map(s => valueOrNull(s.summary?.totalCapital))
+  };
+
+  const flows = Object.fromEntries(FLOW_WINDOWS.map(w => [
+    w, sampled.map(s => valueOrNull(s.flows?.[w]))
+  ]));
+
+  // Traders seen anywhere in the period; null where a run did not fetch them
+  const traders = {};
+  sampled.forEach((snapshot, i) => {
+    for (const [address, trader] of Object.entries(snapshot.traders || {})) {
+      if (!traders[address]) {
+        traders[address] = { label: trader.label, value: new Array(sampled.length).fill(null) };
+      }
+      traders[address].label = trader.label || traders[address].label;
+      if (trader.fetchSuccess !== false) {
+        traders[address].value[i] = valueOrNull(trader.totalValue);
+      }
+    }
+  });
+
+  // Market series for the outcomes that matter now (see snapshotExposure())
+  const current = [...(aggregatedPortfolio?.positions || [])]
+    .sort((a, b) => b.totalExposure - a.totalExposure)
+    .slice(0, config.history_chart_markets ?? 100);
+  const keyOf = createOutcomeKeyResolver(current);
+  const markets = {};
+  for (const pos of current) {
+    markets[keyOf(pos)] = {
+      conditionId: pos.conditionId,
+      outcomeIndex: pos.outcomeIndex,
+      outcome: pos.outcome,
+      title: pos.title,
+      exposure: new Array(sampled.length).fill(null),
+      price: new Array(sampled.length).fill(null)
+    };
+  }
+  // Exposure counts the traders a run fetched; null where it fetched nobody
+  const series = current.map(pos => markets[keyOf(pos)]);
+  sampled.forEach((snapshot, i) => {
+    const totals = snapshotExposure(snapshot, current);
+    if (!totals) return;
+    totals.forEach((total, j) => {
+      series[j].exposure[i] = total.exposure;
+      if (total.curPrice > 0) series[j].price[i] = round(total.curPrice, 4);
+    });
+  });
+
+  return { timestamps, summary, flows, traders, markets };
+}
+
+/**
+ * Read the chart period from the history store and build its series
+ * @param {object} aggregatedPortfolio - Current aggregate
+ * @param {object} config - Config object
+ * @param {number} now - Unix timestamp in seconds
+ * @returns {object} Series plus generatedAt
+ */
+export function loadHistorySeries(aggregatedPortfolio, config = {}, now = Math.floor(Date.now() / 1000)) {
+  const from = now - (config.history_chart_days || 30) * 86400;
+  const snapshots = readSnapshots({ from, to: now }, config);
+  return {
+    generatedAt: new Date(now * 1000).toISOString(),
+    ...buildHistorySeries(snapshots, aggregatedPortfolio, config)
+  };
+}
+
+export default {
+  downsampleSnapshots,
+  buildHistorySeries,
+  loadHistorySeries
+};
@@ -0,0 +1,414 @@
+/**
+ * On-disk history of pipeline snapshots with retention and compaction
+ *
+ * Each run appends one compact snapshot to a gzipped JSON-lines file per UTC
+ * day (data/history/YYYY-MM-DD.jsonl.gz). Gzip members can be concatenated,
+ * so appending never rewrites the file. Older days are thinned out by
+ * compactHistory() according to the retention settings in config.json.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import zlib from 'zlib';
+import { fileURLToPath } from 'url';
+import { createOutcomeKeyResolver } from './outcomes.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const ROOT_DIR = path.join(__dirname, '..');
+
+const SNAPSHOT_VERSION = 1;
+const FILE_SUFFIX = '.jsonl.gz';
+
+// Field order of the position tuples stored per trader
+export const POSITION_FIELDS = [
+  'conditionId',
+  'outcomeIndex',
+  'outcome',
+  'size',
+  'avgPrice',
+  'curPrice',
+  'currentValue',
+  'cashPnl',
+  'redeemable',
+  'asset'
+];
+
+/**
+ * Round a number to a fixed number of decimals
+ */
+function round(value, decimals = 2) {
+  const factor = Math.pow(10, decimals);
+  return Math.round((parseFloat(value) || 0) * factor) / factor;
+}
+
+/**
+ * Resolve the history directory from config
+ */
+export function getHistoryDir(config = {}) {
+  const dir = config.history_dir || 'data/history';
+  return path.isAbsolute(dir) ? dir : path.join(ROOT_DIR, dir);
+}
+
+/**
+ * UTC day key (YYYY-MM-DD) for a unix timestamp in seconds
+ */
+function dayKey(ts) {
+  return new Date(ts * 1000).toISOString().slice(0, 10);
+}
+
+/**
+ * Whether a position is large enough to be tracked in history and diffs
+ * @param {object} position - Position object from the data API
+ * @param {object} config - Config object
+ * @returns {boolean}
+ */
+export function isTrackedPosition(position, config = {}) {
+  const minValue = config.history_min_position_value ?? 1;
+  if (parseFloat(position.size || 0) <= 0) return false;
+  return parseFloat(position.currentValue || 0) >= minValue;
+}
+
+/**
+ * Positions kept in snapshots and diffs: those large enough to be tracked,
+ * plus open positions the previous snapshot tracked that are still held, so a
+ * position dipping under history_min_position_value is not read as closed
+ * and then opened again
+ * @param {Array} positions - Current positions of a trader
+ * @param {Array|null} previousPositions - The trader's positions in the previous snapshot
+ * @param {object} config - Config object
+ * @returns {Array} Tracked positions
+ */
+export function trackedPositions(positions = [], previousPositions = null, config = {}) {
+  const keyOf = createOutcomeKeyResolver([...(previousPositions || []), ...positions]);
+  const previousKeys = new Set((previousPositions || []).map(keyOf));
+  return positions.filter(pos => isTrackedPosition(pos, config) ||
+    (parseFloat(pos.size || 0) > 0 && !pos.redeemable && previousKeys.has(keyOf(pos))));
+}
+
+/**
+ * Build a compact snapshot from the computed pipeline output
+ * @param {object} traderPortfolios - Map of address -> portfolio
+ * @param {object} aggregatedPortfolio - Output of aggregatePortfolios()
+ * @param {object} windowSummaries - Net flow per window from processRecentChanges()
+ * @param {object} config - Config object
+ * @param {number} now - Unix timestamp in seconds
+ * @param {object|null} previousTraders - Traders of the previous snapshot (see trackedPositions())
+ * @returns {object} Snapshot
+ */
+export function buildSnapshot(traderPortfolios, aggregatedPortfolio, windowSummaries = {}, config = {}, now = Math.floor(Date.now() / 1000), previousTraders = null) {
+  const traders = {};
+  const markets = {};
+
+  for (const [address, portfolio] of Object.entries(traderPortfolios)) {
+    const positions = [];
+
+    for (const pos of trackedPositions(portfolio.positions, previousTraders?.[address]?.positions, config)) {
+      positions.push([
+        pos.conditionId,
+        pos.outcomeIndex,
+        pos.outcome || '',
+        round(pos.size),
+        round(pos.avgPrice, 4),
+        round(pos.curPrice, 4),
+        round(pos.currentValue),
+        round(pos.cashPnl),
+        pos.redeemable ? 1 : 0,
+        pos.asset ? String(pos.asset) : null
+      ]);
+
+      if (!markets[pos.conditionId]) {
+        markets[pos.conditionId] = {
+          title: pos.title || '',
+          slug: pos.slug || '',
+          eventSlug: pos.eventSlug || '',
+          endDate: pos.endDate || null
+        };
+      }
+    }
+
+    traders[address] = {
+      label: portfolio.label,
+      fetchSuccess: !!portfolio.fetchSuccess,
+      totalValue: round(portfolio.totalValue),
+      usdcBalance: round(portfolio.usdcBalance),
+      totalPnL: round(portfolio.totalPnL),
+      realizedPnL: round(portfolio.realizedPnL),
+      unrealizedPnL: round(portfolio.unrealizedPnL),
+      positions
+    };
+  }
+
+  return {
+    v: SNAPSHOT_VERSION,
+    ts: now,
+    timestamp: new Date(now * 1000).toISOString(),
+    summary: aggregatedPortfolio?.summary || {},
+    flows: windowSummaries,
+    positionFields: POSITION_FIELDS,
+    traders,
+    markets
+  };
+}
+
+/**
+ * Read the raw snapshot lines of one day file
+ */
+function readDayFile(filepath) {
+  try {
+    const content = zlib.gunzipSync(fs.readFileSync(filepath)).toString('utf-8');
+    return content
+      .split('\n')
+      .filter(line => line.trim())
+      .map(line => JSON.parse(line));
+  } catch (e) {
+    console.warn(`Could not read history file ${filepath}: ${e.message}`);
+    return [];
+  }
+}
+
+/**
+ * Rewrite a day file with the given snapshots
+ */
+function writeDayFile(filepath, snapshots) {
+  const content = snapshots.map(s => JSON.stringify(s)).join('\n') + '\n';
+  fs.writeFileSync(filepath, zlib.gzipSync(content));
+}
+
+/**
+ * Append a snapshot to the store
+ * @param {object} snapshot - Output of buildSnapshot()
+ * @param {object} config - Config object
+ * @returns {string} Path of the day file written to
+ */
+export function appendSnapshot(snapshot, config = {}) {
+  const dir = getHistoryDir(config);
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+
+  const filepath = path.join(dir, dayKey(snapshot.ts) + FILE_SUFFIX);
+  fs.appendFileSync(filepath, zlib.gzipSync(JSON.stringify(snapshot) + '\n'));
+  return filepath;
+}
+
+/**
+ * List day files in the store, oldest first
+ */
+function listDayFiles(dir) {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir)
+    .filter(f => f.endsWith(FILE_SUFFIX))
+    .sort()
+    .map(f => ({ day: f.slice(0, -FILE_SUFFIX.length), filepath: path.join(dir, f) }));
+}
+
+/**
+ * Keep only the first snapshot per time bucket
+ */
+function thinSnapshots(snapshots, bucketSeconds) {
+  const seen = new Set();
+  return snapshots
+    .sort((a, b) => a.ts - b.ts)
+    .filter(s => {
+      const bucket = Math.floor(s.ts / bucketSeconds);
+      if (seen.has(bucket)) return false;
+      seen.add(bucket);
+      return true;
+    });
+}
+
+/**
+ * Apply retention rules to the store:
+ * - snapshots newer than history_full_resolution_hours are kept as-is
+ * - older days within history_hourly_retention_days keep one snapshot per hour
+ * - older days within history_retention_days keep one snapshot per day
+ * - anything older is deleted
+ * @param {object} config - Config object
+ * @param {number} now - Unix timestamp in seconds
+ * @returns {{removed: number, compacted: number}} Number of files removed/rewritten
+ */
+export function compactHistory(config = {}, now = Math.floor(Date.now() / 1000)) {
+  const dir = getHistoryDir(config);
+  const fullResolutionCutoff = now - (config.history_full_resolution_hours ?? 48) * 3600;
+  const hourlyCutoff = now - (config.history_hourly_retention_days ?? 14) * 86400;
+  const retentionCutoff = now - (config.history_retention_days ?? 365) * 86400;
+
+  let removed = 0;
+  let compacted = 0;
+
+  for (const { day, filepath } of listDayFiles(dir)) {
+    const dayStart = Date.parse(day + 'T00:00:00Z') / 1000;
+    const dayEnd = dayStart + 86400;
+
+    if (dayEnd <= retentionCutoff) {
+      fs.unlinkSync(filepath);
+      removed++;
+      continue;
+    }
+    // Days that still overlap the full resolution window are left alone
+    if (dayEnd > fullResolutionCutoff) continue;
+
+    const snapshots = readDayFile(filepath);
+    const bucketSeconds = dayEnd <= hourlyCutoff ? 86400 : 3600;
+    const thinned = thinSnapshots(snapshots, bucketSeconds);
+
+    if (thinned.length < snapshots.length) {
+      writeDayFile(filepath, thinned);
+      compacted++;
+    }
+  }
+
+  return { removed, compacted };
+}
+
+/**
+ * Expand a stored snapshot's position tuples into objects
+ */
+function expandSnapshot(snapshot) {
+  const fields = snapshot.positionFields || POSITION_FIELDS;
+  const traders = {};
+
+  for (const [address, trader] of Object.entries(snapshot.traders || {})) {
+    traders[address] = {
+      ...trader,
+      positions: (trader.positions || []).map(tuple => {
+        const pos = {};
+        fields.forEach((field, idx) => {
+          pos[field] = tuple[idx];
+        });
+        const market = snapshot.markets?.[pos.conditionId];
+        if (market) {
+          Object.assign(pos, market);
+        }
+        return pos;
+      })
+    };
+  }
+
+  return { ...snapshot, traders };
+}
+
+/**
+ * Read snapshots within a time range, oldest first
+ * @param {object} options - { from, to } unix timestamps in seconds (inclusive)
+ * @param {object} config - Config object
+ * @returns {Array<object>} Expanded snapshots
+ */
+export function readSnapshots({ from = 0, to = Infinity } = {}, config = {}) {
+  const dir = getHistoryDir(config);
+  const fromDay = from > 0 ? dayKey(from) : '';
+  const toDay = Number.isFinite(to) ? dayKey(to) : '9999-12-31';
+
+  const snapshots = [];
+  for (const { day, filepath } of listDayFiles(dir)) {
+    if (day < fromDay || day > toDay) continue;
+    for (const snapshot of readDayFile(filepath)) {
+      if (snapshot.ts >= from && snapshot.ts <= to) {
+        snapshots.push(snapshot);
+      }
+    }
+  }
+
+  return snapshots
+    .sort((a, b) => a.ts - b.ts)
+    .map(expandSnapshot);
+}
+
+/**
+ * Get the snapshot describing the book at time T (latest snapshot at or before T)
+ * @param {number} ts - Unix timestamp in seconds
+ * @param {object} config - Config object
+ * @returns {object|null} Expanded snapshot
+ */
+export function getSnapshotAt(ts, config = {}) {
+  const dir = getHistoryDir(config);
+  const targetDay = Number.isFinite(ts) ? dayKey(ts) : '9999-12-31';
+  const files = listDayFiles(dir).filter(f => f.day <= targetDay).reverse();
+
+  for (const { filepath } of files) {
+    const candidates = readDayFile(filepath)
+      .filter(s => s.ts <= ts)
+      .sort((a, b) => b.ts - a.ts);
+    if (candidates.length > 0) {
+      return expandSnapshot(candidates[0]);
+    }
+  }
+  return null;
+}
+
+/**
+ * Get the most recent snapshot in the store
+ * @param {object} config - Config object
+ * @returns {object|null} Expanded snapshot
+ */
+export function getLatestSnapshot(config = {}) {
+  return getSnapshotAt(Infinity, config);
+}
+
+/**
+ * Tier1 exposure to a set of outcomes in one expanded snapshot, over the
+ * traders the run fetched. Positions are matched on their token id; rows of
+ * snapshots stored before token ids were kept fall back to conditionId and
+ * outcome index.
+ * @param {object} snapshot - Expanded snapshot
+ * @param {Array<object>} outcomes - { asset, conditionId, outcomeIndex } per outcome
+ * @returns {Array<{exposure: number, traderCount: number, curPrice: number}>|null} Totals in the
+ *   order of outcomes, or null when the run fetched nobody
+ */
+export function snapshotExposure(snapshot, outcomes) {
+  const fetched = Object.values(snapshot.traders || {}).filter(t => t.fetchSuccess !== false);
+  if (fetched.length === 0) return null;
+
+  const byAsset = new Map();
+  const byIndex = new Map();
+  const totals = outcomes.map((outcome, i) => {
+    if (outcome.asset) byAsset.set(String(outcome.asset), i);
+    byIndex.set(`${outcome.conditionId}-${outcome.outcomeIndex}`, i);
+    return { exposure: 0, traderCount: 0, curPrice: 0 };
+  });
+
+  for (const trader of fetched) {
+    for (const pos of trader.positions || []) {
+      const i = pos.asset
+        ? byAsset.get(String(pos.asset))
+        : byIndex.get(`${pos.conditionId}-${pos.outcomeIndex}`);
+      if (i === undefined) continue;
+      totals[i].exposure += pos.currentValue || 0;
+      totals[i].traderCount++;
+      if (pos.curPrice > 0) totals[i].curPrice = pos.curPrice;
+    }
+  }
+
+  return totals.map(t => ({ ...t, exposure: round(t.exposure) }));
+}
+
+/**
+ * Build the Tier1 exposure series for one outcome
+ * @param {object} outcome - { asset, conditionId, outcomeIndex } (see snapshotExposure())
+ * @param {object} options - { from, to } unix timestamps in seconds
+ * @param {object} config - Config object
+ * @returns {Array<{ts: number, exposure: number|null, traderCount: number, curPrice: number}>}
+ *   exposure is null where a run fetched nobody
+ */
+export function getExposureSeries(outcome, options = {}, config = {}) {
+  return readSnapshots(options, config).map(snapshot => {
+    const [totals] = snapshotExposure(snapshot, [outcome]) || [{ exposure: null, traderCount: 0, curPrice: 0 }];
+    return { ts: snapshot.ts, ...totals };
+  });
+}
+
+export default {
+  POSITION_FIELDS,
+  isTrackedPosition,
+  trackedPositions,
+  getHistoryDir,
+  buildSnapshot,
+  appendSnapshot,
+  compactHistory,
+  readSnapshots,
+  getSnapshotAt,
+  getLatestSnapshot,
+  snapshotExposure,
+  getExposureSeries
+};
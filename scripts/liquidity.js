@@ -0,0 +1,178 @@
+/**
+ * Order book liquidity of aggregated outcomes
+ *
+ * Every run fetches the CLOB order book (/book) of each outcome in the
+ * aggregated portfolio that can still be traded, and summarises it as the
+ * spread, the USD depth within 1c and 5c of the midpoint on each side, and the
+ * slippage of buying and selling liquidity_trade_usd against the book. An
+ * outcome whose buy slippage exceeds liquidity_thin_slippage_cents, or whose
+ * book cannot fill the trade at all, is rated thin.
+ */
+
+import { fetchOrderBook, batchFetch } from './polymarket_api.js';
+
+// Distances from the midpoint that depth is reported for
+export const DEPTH_BANDS = { '1c': 0.01, '5c': 0.05 };
+
+// Float tolerance when comparing prices on the cent grid
+const EPSILON = 1e-9;
+
+/**
+ * Round a price to 4 decimals
+ */
+function round4(value) {
+  return Math.round(value * 10000) / 10000;
+}
+
+/**
+ * Round a USD amount to cents
+ */
+function roundUsd(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * USD resting within a distance of the midpoint on one side of the book
+ * @param {Array<{price: number, size: number}>} levels - Bids or asks, best first
+ * @param {number} mid - Midpoint price
+ * @param {number} distance - Max distance from the midpoint
+ */
+export function depthWithin(levels, mid, distance) {
+  return levels
+    .filter(level => Math.abs(level.price - mid) <= distance + EPSILON)
+    .reduce((sum, level) => sum + level.price * level.size, 0);
+}
+
+/**
+ * Walk one side of the book until a USD amount has traded
+ * @param {Array<{price: number, size: number}>} levels - Asks to buy or bids to sell, best first
+ * @param {number} usd - Amount to trade (USD spent when buying, received when selling)
+ * @returns {object} { avgPrice, filledUsd, filled } - avgPrice is null when nothing traded
+ */
+export function simulateFill(levels, usd) {
+  let filledUsd = 0;
+  let shares = 0;
+  for (const level of levels) {
+    if (filledUsd >= usd) break;
+    const take = Math.min(level.price * level.size, usd - filledUsd);
+    filledUsd += take;
+    shares += take / level.price;
+  }
+  return {
+    avgPrice: shares > 0 ? filledUsd / shares : null,
+    filledUsd,
+    filled: filledUsd >= usd - EPSILON
+  };
+}
+
+/**
+ * Liquidity summary of an order book
+ * @param {{bids: Array, asks: Array}} book - Levels of { price, size }, best first (fetchOrderBook())
+ * @param {object} config - Config object (liquidity_trade_usd, liquidity_thin_slippage_cents)
+ * @returns {object} { bestBid, bestAsk, midPrice, spread, depth1c, depth5c ({ bid, ask } in USD),
+ *   tradeUsd, buySlippage, sellSlippage (vs the midpoint, 0.01 = 1c), buyFilled, sellFilled,
+ *   rating ('ok', 'thin' or 'none' for an empty book) }
+ */
+export function summarizeBook(book, config = {}) {
+  const tradeUsd = config.liquidity_trade_usd || 10000;
+  const thinSlippage = (config.liquidity_thin_slippage_cents ?? 2) / 100;
+  const bids = book?.bids || [];
+  const asks = book?.asks || [];
+
+  const bestBid = bids[0]?.price ?? null;
+  const bestAsk = asks[0]?.price ?? null;
+  const twoSided = bestBid !== null && bestAsk !== null;
+  const mid = twoSided ? (bestBid + bestAsk) / 2 : null;
+
+  const depth = distance => ({
+    bid: twoSided ? roundUsd(depthWithin(bids, mid, distance)) : 0,
+    ask: twoSided ? roundUsd(depthWithin(asks, mid, distance)) : 0
+  });
+  const buy = simulateFill(asks, tradeUsd);
+  const sell = simulateFill(bids, tradeUsd);
+  const buySlippage = twoSided && buy.avgPrice !== null ? round4(buy.avgPrice - mid) : null;
+  const sellSlippage = twoSided && sell.avgPrice !== null ? round4(mid - sell.avgPrice) : null;
+
+  let rating = 'ok';
+  if (bids.length === 0 && asks.length === 0) {
+    rating = 'none';
+  } else if (!twoSided || !buy.filled || buySlippage > thinSlippage + EPSILON) {
+    rating = 'thin';
+  }
+
+  return {
+    bestBid,
+    bestAsk,
+    midPrice: twoSided ? round4(mid) : null,
+    spread: twoSided ? round4(bestAsk - bestBid) : null,
+    depth1c: depth(DEPTH_BANDS['1c']),
+    depth5c: depth(DEPTH_BANDS['5c']),
+    tradeUsd,
+    buySlippage,
+    sellSlippage,
+    buyFilled: buy.filled,
+    sellFilled: sell.filled,
+    rating
+  };
+}
+
+/**
+ * Outcome tokens of aggregated positions that can still be traded
+ * @param {...Array<object>} positionLists - Aggregated positions of one or more portfolios
+ * @returns {Array<string>} Token ids
+ */
+export function liquidityTokens(...positionLists) {
+  const tokens = new Set();
+  for (const positions of positionLists) {
+    for (const pos of positions || []) {
+      if (pos.asset && pos.status !== 'resolved') tokens.add(String(pos.asset));
+    }
+  }
+  return [...tokens];
+}
+
+/**
+ * Fetch and summarise the order book of each token
+ * @param {Array<string>} tokenIds - Tokens to check (liquidityTokens())
+ * @param {object} config - Config object
+ * @returns {Promise<Map<string, object>>} Token id -> summarizeBook() result; a token without a
+ *   book is rated none, a failed fetch is left out
+ */
+export async function fetchLiquidity(tokenIds, config = {}) {
+  const results = await batchFetch(tokenIds, fetchOrderBook, config.concurrency_limit || 5, config);
+  const liquidity = new Map();
+  for (const tokenId of tokenIds) {
+    const result = results.get(tokenId);
+    if (result?.success) liquidity.set(tokenId, summarizeBook(result.data, config));
+  }
+  const empty = [...liquidity.values()].filter(l => l.rating === 'none').length;
+  console.log(`Order books: ${liquidity.size} of ${tokenIds.length} fetched (${empty} empty), ${tokenIds.length - liquidity.size} failed`);
+  return liquidity;
+}
+
+/**
+ * Attach liquidity to each position of an aggregated portfolio and count the
+ * ratings of unresolved positions in summary.liquidityCounts (unknown: the book
+ * could not be fetched)
+ * @param {object} aggregatedPortfolio - aggregatePortfolios() result, changed in place
+ * @param {Map<string, object>} liquidity - fetchLiquidity() result
+ */
+export function applyLiquidity(aggregatedPortfolio, liquidity) {
+  const counts = { ok: 0, thin: 0, none: 0, unknown: 0 };
+  for (const pos of aggregatedPortfolio.positions) {
+    pos.liquidity = (pos.asset && liquidity.get(String(pos.asset))) || null;
+    if (pos.status !== 'resolved') counts[pos.liquidity?.rating || 'unknown']++;
+  }
+  aggregatedPortfolio.summary.liquidityCounts = counts;
+  return aggregatedPortfolio;
+}
+
+export default {
+  DEPTH_BANDS,
+  depthWithin,
+  simulateFill,
+  summarizeBook,
+  liquidityTokens,
+  fetchLiquidity,
+  applyLiquidity
+};
@@ -0,0 +1,136 @@
+/**
+ * Market metadata cache and manual category overrides
+ *
+ * Categories and tags of a market do not change, so each market's Gamma API
+ * metadata is fetched once and kept in market_metadata_file (default
+ * data/market_metadata.json). Markets the API does not know are cached
+ * without a category and fall back to the keyword rules. Entries are kept
+ * after a market is no longer held or traded, so scorecards of older trades
+ * and markets re-entered later are not fetched again.
+ *
+ * category_overrides_file (default data/category_overrides.json) is an
+ * optional hand-edited map from a market's conditionId, slug or eventSlug to
+ * its category, e.g. { "fed-decision-in-december": "economics" }.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { fetchMarketMetadata, batchFetch } from './polymarket_api.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const ROOT_DIR = path.join(__dirname, '..');
+
+// Markets per Gamma API request
+const METADATA_BATCH_SIZE = 50;
+
+/**
+ * Resolve a data file path from config, relative to the repo root
+ */
+function resolvePath(target) {
+  return path.isAbsolute(target) ? target : path.join(ROOT_DIR, target);
+}
+
+/**
+ * Resolve the market metadata cache file from config
+ */
+export function getMarketMetadataPath(config = {}) {
+  return resolvePath(config.market_metadata_file || 'data/market_metadata.json');
+}
+
+/**
+ * Load the cached market metadata
+ * @returns {object} { updatedAt, markets: { conditionId: { category, tags } } }
+ */
+export function loadMarketMetadata(config = {}) {
+  const cachePath = getMarketMetadataPath(config);
+  try {
+    if (fs.existsSync(cachePath)) {
+      return JSON.parse(fs.readFileSync(cachePath, 'utf-8'));
+    }
+  } catch (e) {
+    console.warn('Could not load market metadata:', e.message);
+  }
+  return { markets: {} };
+}
+
+/**
+ * Load the manual category overrides (keys and categories lowercased)
+ * @returns {object} Map of conditionId, slug or eventSlug -> category
+ */
+export function loadCategoryOverrides(config = {}) {
+  const overridesPath = resolvePath(config.category_overrides_file || 'data/category_overrides.json');
+  if (!fs.existsSync(overridesPath)) return {};
+  try {
+    const raw = JSON.parse(fs.readFileSync(overridesPath, 'utf-8'));
+    return Object.fromEntries(Object.entries(raw)
+      .filter(([, category]) => typeof category === 'string' && category.trim())
+      .map(([key, category]) => [key.trim().toLowerCase(), category.trim().toLowerCase()]));
+  } catch (e) {
+    console.warn(`Could not load category overrides from ${overridesPath}:`, e.message);
+    return {};
+  }
+}
+
+/**
+ * Fetch metadata of the markets missing from the cache and update it
+ * @param {Array<string>} conditionIds - Markets held or traded this run
+ * @param {object} config - Config object
+ * @param {number} now - Unix timestamp in seconds
+ * @returns {Promise<object>} Map of lowercased conditionId -> { category, tags }, every cached market
+ */
+export async function updateMarketMetadata(conditionIds, config = {}, now = Math.floor(Date.now() / 1000)) {
+  const cache = loadMarketMetadata(config);
+  const ids = [...new Set(conditionIds.filter(Boolean).map(id => id.toLowerCase()))];
+  const missing = ids.filter(id => !cache.markets?.[id]);
+
+  const batches = [];
+  for (let i = 0; i < missing.length; i += METADATA_BATCH_SIZE) {
+    batches.push(missing.slice(i, i + METADATA_BATCH_SIZE));
+  }
+  const results = await batchFetch(batches, fetchMarketMetadata, config.concurrency_limit || 5, config);
+
+  const fetched = {};
+  let failed = 0;
+  for (const batch of batches) {
+    const result = results.get(batch);
+    if (!result?.success) {
+      failed += batch.length;
+      continue;
+    }
+    // Unknown to the API: cached without a category so it is not asked for again
+    for (const id of batch) fetched[id] = result.data[id] || { category: null, tags: [] };
+  }
+
+  const markets = { ...cache.markets, ...fetched };
+
+  const cachePath = getMarketMetadataPath(config);
+  fs.mkdirSync(path.dirname(cachePath), { recursive: true });
+  fs.writeFileSync(cachePath, JSON.stringify({ updatedAt: new Date(now * 1000).toISOString(), markets }, null, 2), 'utf-8');
+  console.log(`Market metadata: ${missing.length - failed} of ${missing.length} new markets fetched, ${Object.keys(markets).length} cached`);
+  return markets;
+}
+
+/**
+ * Category context for resolveCategory(): cached (and, if enabled, newly
+ * fetched) market metadata plus the manual overrides
+ * @param {Array<string>} conditionIds - Markets held or traded this run
+ * @param {object} config - Config object
+ * @param {number} now - Unix timestamp in seconds
+ * @returns {Promise<object>} { metadata, overrides }
+ */
+export async function loadCategoryContext(conditionIds, config = {}, now = Math.floor(Date.now() / 1000)) {
+  const metadata = config.market_metadata_enabled !== false
+    ? await updateMarketMetadata(conditionIds, config, now)
+    : loadMarketMetadata(config).markets || {};
+  return { metadata, overrides: loadCategoryOverrides(config) };
+}
+
+export default {
+  getMarketMetadataPath,
+  loadMarketMetadata,
+  loadCategoryOverrides,
+  updateMarketMetadata,
+  loadCategoryContext
+};
@@ -0,0 +1,97 @@
+/**
+ * Model portfolio weighting schemes
+ *
+ * The model portfolio gives each aggregated outcome a share of the model.
+ * Summing raw dollars lets one whale dominate it, so each trader's
+ * contribution to an outcome can be weighted in one of several ways:
+ *
+ *   raw       exposure in USD
+ *   equal     exposure / the trader's total position exposure (every trader counts once)
+ *   bankroll  exposure / the trader's bankroll (totalValue + usdcBalance)
+ *   pnl       bankroll share x pnlWeight(totalPnL)
+ *   tier      bankroll share x tier_weight_decay^(tier - 1)
+ *
+ * Contributions are summed per outcome and normalised so the shares of all
+ * outcomes add up to 1. Every scheme is published so the dashboard can
+ * switch between them; model_weighting picks the default.
+ */
+
+import { pnlWeight } from './consensus.js';
+
+export const WEIGHTING_SCHEMES = ['raw', 'equal', 'bankroll', 'pnl', 'tier'];
+
+/**
+ * Tier of a trader as a number (1 is the top tier)
+ */
+function traderTier(portfolio) {
+  const tier = parseInt(portfolio?.tier);
+  return Number.isInteger(tier) && tier >= 1 ? tier : 1;
+}
+
+/**
+ * Multiplier applied to a trader's contribution under each scheme
+ * @param {object} portfolio - Trader portfolio
+ * @param {number} positionExposure - The trader's summed exposure over the aggregated positions
+ * @param {object} config - Config object
+ * @returns {object} scheme -> multiplier
+ */
+function traderMultipliers(portfolio, positionExposure, config) {
+  const bankroll = (portfolio?.totalValue || 0) + (portfolio?.usdcBalance || 0);
+  // Without a reported bankroll the positions are the best estimate of it
+  const bankrollBase = bankroll > 0 ? bankroll : positionExposure;
+  const perBankroll = bankrollBase > 0 ? 1 / bankrollBase : 0;
+  const decay = config.tier_weight_decay ?? 0.5;
+
+  return {
+    raw: 1,
+    equal: positionExposure > 0 ? 1 / positionExposure : 0,
+    bankroll: perBankroll,
+    pnl: perBankroll * pnlWeight(portfolio?.totalPnL || 0, config.consensus_pnl_scale || 10000),
+    tier: perBankroll * Math.pow(decay, traderTier(portfolio) - 1)
+  };
+}
+
+/**
+ * Compute the model share of every aggregated position under each scheme
+ * @param {Array<object>} positions - Aggregated positions (with traders[].address / exposure)
+ * @param {object} traderPortfolios - Map of address -> portfolio
+ * @param {object} config - Config object
+ * @returns {Array<object>} One { scheme: share } object per position, in input order
+ */
+export function computeModelWeights(positions, traderPortfolios, config = {}) {
+  const traderExposure = new Map();
+  for (const pos of positions) {
+    for (const t of pos.traders || []) {
+      traderExposure.set(t.address, (traderExposure.get(t.address) || 0) + (t.exposure || 0));
+    }
+  }
+
+  const multipliers = new Map();
+  for (const [address, exposure] of traderExposure) {
+    multipliers.set(address, traderMultipliers(traderPortfolios[address], exposure, config));
+  }
+
+  const raw = positions.map(pos => {
+    const weights = Object.fromEntries(WEIGHTING_SCHEMES.map(s => [s, 0]));
+    for (const t of pos.traders || []) {
+      const m = multipliers.get(t.address);
+      for (const scheme of WEIGHTING_SCHEMES) {
+        weights[scheme] += (t.exposure || 0) * m[scheme];
+      }
+    }
+    return weights;
+  });
+
+  const totals = Object.fromEntries(WEIGHTING_SCHEMES.map(s => [
+    s, raw.reduce((sum, w) => sum + w[s], 0)
+  ]));
+
+  return raw.map(weights => Object.fromEntries(WEIGHTING_SCHEMES.map(s => [
+    s, totals[s] > 0 ? Math.round((weights[s] / totals[s]) * 1e6) / 1e6 : 0
+  ])));
+}
+
+export default {
+  WEIGHTING_SCHEMES,
+  computeModelWeights
+};
@@ -0,0 +1,98 @@
+/**
+ * Outcome identity for positions, activity rows and snapshots
+ *
+ * Every outcome of a market is a CLOB token; its `asset` id is the stable
+ * identity across positions, activity and published data. Markets are not
+ * all Yes/No: sports markets name the teams, others use Up/Down or
+ * Over/Under, and neg-risk events split one question into several sibling
+ * binary markets. Labels are kept only for display.
+ *
+ * Rows without an asset id (older snapshots, hand-written data) fall back to
+ * conditionId + outcome index, and a resolver built over a batch of rows maps
+ * those fallback keys onto the asset id seen elsewhere in the same batch.
+ */
+
+// Non-trade activity (redeems, merges, rewards) reports this outcome index
+export const NON_TRADE_OUTCOME_INDEX = 999;
+
+/**
+ * Outcome index of a position or activity row.
+ * The API reports outcomeIndex directly; when it is missing, binary markets
+ * list Yes as outcome 0 and No as outcome 1.
+ * @param {object} item - Position or activity row
+ * @returns {number} Outcome index (0 when it cannot be determined)
+ */
+export function resolveOutcomeIndex(item) {
+  if (hasOutcomeIndex(item)) {
+    return parseInt(item.outcomeIndex);
+  }
+  if (item.outcome === 'No') return 1;
+  return 0;
+}
+
+/**
+ * Whether a row reports a usable outcome index itself
+ */
+export function hasOutcomeIndex(item) {
+  const idx = parseInt(item.outcomeIndex);
+  return Number.isInteger(idx) && idx >= 0 && idx !== NON_TRADE_OUTCOME_INDEX;
+}
+
+/**
+ * Outcome label of a position or activity row, falling back to Yes/No by index
+ */
+export function resolveOutcomeLabel(item, outcomeIndex = resolveOutcomeIndex(item)) {
+  if (item.outcome) return item.outcome;
+  return outcomeIndex === 0 ? 'Yes' : 'No';
+}
+
+/**
+ * Fallback key of an outcome: conditionId-outcomeIndex
+ */
+export function indexKey(item) {
+  return `${item.conditionId}-${resolveOutcomeIndex(item)}`;
+}
+
+/**
+ * Key identifying one outcome: the CLOB token id, else conditionId-outcomeIndex
+ */
+export function outcomeKey(item) {
+  return item.asset ? String(item.asset) : indexKey(item);
+}
+
+/**
+ * Build an outcomeKey() that also resolves rows without an asset id to the
+ * asset id another row of the same outcome carries
+ * @param {Array<object>} items - Positions and/or activity rows
+ * @returns {function(object): string}
+ */
+export function createOutcomeKeyResolver(items = []) {
+  const assetByIndex = new Map();
+  for (const item of items) {
+    // Only rows that report their index say which token sits at it
+    if (item.asset && hasOutcomeIndex(item)) assetByIndex.set(indexKey(item), String(item.asset));
+  }
+  return item => {
+    if (item.asset) return String(item.asset);
+    const key = indexKey(item);
+    return assetByIndex.get(key) || key;
+  };
+}
+
+/**
+ * Whether a position belongs to a neg-risk event (sibling binary markets of one question)
+ */
+export function isNegRisk(item) {
+  return Boolean(item.negativeRisk ?? item.negRisk);
+}
+
+export default {
+  NON_TRADE_OUTCOME_INDEX,
+  resolveOutcomeIndex,
+  hasOutcomeIndex,
+  resolveOutcomeLabel,
+  indexKey,
+  outcomeKey,
+  createOutcomeKeyResolver,
+  isNegRisk
+};
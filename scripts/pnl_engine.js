@@ -0,0 +1,300 @@
+/**
+ * Realized/unrealized PnL engine built from a wallet's activity history
+ *
+ * Walks activity oldest-first and keeps a cost-basis book per outcome
+ * (conditionId + outcomeIndex), either as FIFO lots or as a running average.
+ *
+ *   TRADE BUY   adds shares at the trade price
+ *   TRADE SELL  removes shares, realizing proceeds - cost basis
+ *   REDEEM      closes every outcome of the market, realizing payout - cost basis
+ *   MERGE       removes `size` shares of each outcome, realizing usdcSize - cost basis
+ *   SPLIT       adds `size` shares of each outcome, usdcSize split evenly as cost
+ *   CONVERSION  removes `size` outcome-1 (No) shares, realizing usdcSize - cost basis
+ *   YIELD/REWARD  income, counted as realized but not tied to a market
+ *
+ * When history is incomplete (shares sold or redeemed that were never seen
+ * being bought) the missing cost basis is assumed equal to the proceeds, so
+ * truncated history never invents profit.
+ */
+
+const REWARD_TYPES = new Set(['YIELD', 'REWARD']);
+
+/**
+ * Round to cents
+ */
+function round(value) {
+  return Math.round((value || 0) * 100) / 100;
+}
+
+/**
+ * UTC date key (YYYY-MM-DD) for a unix timestamp in seconds
+ */
+function dateKey(ts) {
+  return new Date(ts * 1000).toISOString().slice(0, 10);
+}
+
+/**
+ * Create an empty cost-basis book
+ */
+function createBook() {
+  return { lots: [], shares: 0, cost: 0 };
+}
+
+/**
+ * Add shares to a book at a per-share price
+ */
+function addShares(book, shares, price, method) {
+  if (!(shares > 0)) return;
+  if (method === 'average' && book.lots.length > 0) {
+    book.lots[0].shares += shares;
+    book.lots[0].cost += shares * price;
+  } else {
+    book.lots.push({ shares, cost: shares * price });
+  }
+  book.shares += shares;
+  book.cost += shares * price;
+}
+
+/**
+ * Remove shares from a book
+ * @returns {{cost: number, matched: number}} Cost basis of the removed shares and how many were held
+ */
+function removeShares(book, shares, method) {
+  let remaining = shares;
+  let cost = 0;
+
+  while (remaining > 1e-9 && book.lots.length > 0) {
+    // FIFO takes from the oldest lot; average mode only ever has one lot
+    const lot = book.lots[0];
+    const take = Math.min(remaining, lot.shares);
+    const lotCost = lot.shares > 0 ? (lot.cost / lot.shares) * take : 0;
+
+    lot.shares -= take;
+    lot.cost -= lotCost;
+    cost += lotCost;
+    remaining -= take;
+
+    if (lot.shares <= 1e-9) {
+      book.lots.shift();
+    }
+  }
+
+  const matched = shares - Math.max(0, remaining);
+  book.shares = Math.max(0, book.shares - matched);
+  book.cost = Math.max(0, book.cost - cost);
+  if (method === 'average' && book.lots.length === 0) {
+    book.shares = 0;
+    book.cost = 0;
+  }
+  return { cost, matched };
+}
+
+/**
+ * Sort activity oldest first, keeping the API order for equal timestamps
+ */
+function sortActivity(activity) {
+  return activity
+    .map((a, idx) => ({ a, idx }))
+    .sort((x, y) => ((x.a.timestamp || 0) - (y.a.timestamp || 0)) || (y.idx - x.idx))
+    .map(({ a }) => a);
+}
+
+/**
+ * Compute PnL from a wallet's activity history and its current positions
+ * @param {Array} activity - Activity rows from the data API (any order)
+ * @param {Array} positions - Current open positions (provide size and curPrice)
+ * @param {object} options - { method: 'fifo' | 'average' }
+ * @returns {object} PnL breakdown with per-market results and a daily series
+ */
+export function computePnL(activity = [], positions = [], options = {}) {
+  const method = options.method === 'average' ? 'average' : 'fifo';
+  const books = new Map();
+  const markets = new Map();
+  const dailyRealized = new Map();
+  let rewards = 0;
+  let unmatchedShares = 0;
+
+  const bookFor = (conditionId, outcomeIndex) => {
+    const key = `${conditionId}-${outcomeIndex}`;
+    if (!books.has(key)) books.set(key, createBook());
+    return books.get(key);
+  };
+
+  const marketFor = a => {
+    if (!markets.has(a.conditionId)) {
+      markets.set(a.conditionId, {
+        conditionId: a.conditionId,
+        title: a.title || '',
+        slug: a.slug || '',
+        eventSlug: a.eventSlug || '',
+        realizedPnL: 0,
+        unrealizedPnL: 0,
+        bought: 0,
+        boughtShares: 0,
+        sold: 0,
+        redeemed: 0,
+        merged: 0,
+        firstTradeAt: a.timestamp || 0,
+        lastTradeAt: a.timestamp || 0,
+        open: false
+      });
+    }
+    const market = markets.get(a.conditionId);
+    market.lastTradeAt = Math.max(market.lastTradeAt, a.timestamp || 0);
+    if (!market.title && a.title) market.title = a.title;
+    return market;
+  };
+
+  const realize = (market, amount, ts) => {
+    if (market) market.realizedPnL += amount;
+    const day = dateKey(ts || 0);
+    dailyRealized.set(day, (dailyRealized.get(day) || 0) + amount);
+  };
+
+  // Outcome indexes seen per market, so REDEEM/MERGE know which books to close
+  const outcomesFor = conditionId => [...books.keys()]
+    .filter(key => key.startsWith(conditionId + '-'))
+    .map(key => parseInt(key.slice(conditionId.length + 1)));
+
+  for (const a of sortActivity(activity)) {
+    const type = a.type || 'TRADE';
+    const size = parseFloat(a.size || 0);
+    const usdc = parseFloat(a.usdcSize || 0);
+    const ts = a.timestamp || 0;
+
+    if (REWARD_TYPES.has(type)) {
+      rewards += usdc;
+      realize(null, usdc, ts);
+      continue;
+    }
+    if (!a.conditionId) continue;
+
+    const market = marketFor(a);
+
+    if (type === 'TRADE') {
+      const price = size > 0 ? usdc / size : parseFloat(a.price || 0);
+      const book = bookFor(a.conditionId, a.outcomeIndex ?? 0);
+
+      if (a.side === 'BUY') {
+        addShares(book, size, price, method);
+        market.bought += usdc;
+        market.boughtShares += size;
+      } else if (a.side === 'SELL') {
+        const { cost, matched } = removeShares(book, size, method);
+        const unmatched = size - matched;
+        unmatchedShares += unmatched;
+        // Unknown cost basis for unmatched shares: assume break-even
+        realize(market, usdc - cost - unmatched * price, ts);
+        market.sold += usdc;
+      }
+    } else if (type === 'REDEEM') {
+      let cost = 0;
+      let matched = 0;
+      for (const outcomeIndex of outcomesFor(a.conditionId)) {
+        const book = bookFor(a.conditionId, outcomeIndex);
+        const removed = removeShares(book, book.shares, method);
+        cost += removed.cost;
+        matched += removed.matched;
+      }
+      if (matched === 0 && usdc > 0) {
+        unmatchedShares += size;
+      } else {
+        realize(market, usdc - cost, ts);
+      }
+      market.redeemed += usdc;
+    } else if (type === 'MERGE') {
+      let cost = 0;
+      let unmatched = 0;
+      for (const outcomeIndex of [0, 1]) {
+        const removed = removeShares(bookFor(a.conditionId, outcomeIndex), size, method);
+        cost += removed.cost;
+        unmatched += size - removed.matched;
+      }
+      unmatchedShares += unmatched;
+      // A full set is worth 1, so each unmatched share is assumed to have cost 0.5
+      realize(market, usdc - cost - unmatched * 0.5, ts);
+      market.merged += usdc;
+    } else if (type === 'SPLIT') {
+      const price = size > 0 ? usdc / size / 2 : 0.5;
+      for (const outcomeIndex of [0, 1]) {
+        addShares(bookFor(a.conditionId, outcomeIndex), size, price, method);
+      }
+      market.bought += usdc;
+      market.boughtShares += size * 2;
+    } else if (type === 'CONVERSION') {
+      const { cost, matched } = removeShares(bookFor(a.conditionId, 1), size, method);
+      const unmatched = size - matched;
+      unmatchedShares += unmatched;
+      const pricePerShare = size > 0 ? usdc / size : 0;
+      realize(market, usdc - cost - unmatched * pricePerShare, ts);
+    }
+  }
+
+  // Mark open positions to market
+  const openPositions = [];
+  let unrealizedPnL = 0;
+  for (const pos of positions) {
+    const size = parseFloat(pos.size || 0);
+    if (!(size > 0)) continue;
+
+    const book = books.get(`${pos.conditionId}-${pos.outcomeIndex}`);
+    const curPrice = parseFloat(pos.curPrice || 0);
+    // Trust the engine's cost basis only when it accounts for (almost) the whole position
+    const avgCost = book && book.shares >= size * 0.99 && book.shares > 0
+      ? book.cost / book.shares
+      : parseFloat(pos.avgPrice || 0);
+    const unrealized = (curPrice - avgCost) * size;
+
+    unrealizedPnL += unrealized;
+    openPositions.push({
+      conditionId: pos.conditionId,
+      outcomeIndex: pos.outcomeIndex,
+      outcome: pos.outcome || '',
+      size: round(size),
+      avgCost: Math.round(avgCost * 10000) / 10000,
+      curPrice,
+      unrealizedPnL: round(unrealized)
+    });
+
+    const market = markets.get(pos.conditionId) || marketFor({ ...pos, timestamp: 0 });
+    market.unrealizedPnL += unrealized;
+    market.open = true;
+  }
+
+  // Daily realized series with running total
+  let cumulative = 0;
+  const daily = [...dailyRealized.entries()]
+    .sort((a, b) => a[0].localeCompare(b[0]))
+    .map(([date, realized]) => {
+      cumulative += realized;
+      return { date, realized: round(realized), cumulativeRealized: round(cumulative) };
+    });
+
+  const realizedPnL = [...markets.values()].reduce((sum, m) => sum + m.realizedPnL, 0) + rewards;
+
+  return {
+    method,
+    realizedPnL: round(realizedPnL),
+    unrealizedPnL: round(unrealizedPnL),
+    totalPnL: round(realizedPnL + unrealizedPnL),
+    rewards: round(rewards),
+    unmatchedShares: round(unmatchedShares),
+    markets: [...markets.values()].map(m => ({
+      ...m,
+      realizedPnL: round(m.realizedPnL),
+      unrealizedPnL: round(m.unrealizedPnL),
+      bought: round(m.bought),
+      boughtShares: round(m.boughtShares),
+      sold: round(m.sold),
+      redeemed: round(m.redeemed),
+      merged: round(m.merged),
+      avgEntry: m.boughtShares > 0 ? Math.round((m.bought / m.boughtShares) * 10000) / 10000 : 0
+    })),
+    openPositions,
+    daily
+  };
+}
+
+export default {
+  computePnL
+};
@@ -1,14 +1,30 @@
 /**
  * Polymarket API wrapper with retry logic and rate limiting
+ *
+ * Requests go through the pluggable transport (scripts/transport.js);
+ * base URLs come from config (data_api_base, lb_api_base, clob_api_base,
+ * gamma_api_base, polygon_rpc_url).
  */
 
+import { transportFetch } from './transport.js';
+
 const DATA_API_BASE = 'https://data-api.polymarket.com';
+const LB_API_BASE = 'https://lb-api.polymarket.com';
+const CLOB_API_BASE = 'https://clob.polymarket.com';
+const GAMMA_API_BASE = 'https://gamma-api.polymarket.com';
 const POLYGON_RPC = 'https://polygon-rpc.com';
 
 // USDC contracts on Polygon
 const USDC_NATIVE = '0x3c499c542cEF5E3811e1192ce70d8cC03d5c3359'; // Native USDC
 const USDC_BRIDGED = '0x2791Bca1f2de4661ED88A30C99A7a9449Aa84174'; // USDC.e
 
+/**
+ * Data API base URL from config
+ */
+function dataApiBase(config = {}) {
+  return (config.data_api_base || DATA_API_BASE).replace(/\/+$/, '');
+}
+
 /**
  * Sleep helper
  */
@@ -18,21 +34,32 @@ function sleep(ms) {
 
 /**
  * Fetch with retry and exponential backoff
+ * With options.allowNotFound a 404 resolves to null at once instead of being retried
  */
 async function fetchWithRetry(url, options = {}, config = {}) {
   const maxRetries = config.retry_attempts || 3;
-  const baseDelay = config.retry_base_delay_ms || 1000;
+  const baseDelay = config.retry_base_delay_ms ?? 1000;
+  const { allowNotFound = false, ...fetchOptions } = options;
 
   for (let attempt = 0; attempt < maxRetries; attempt++) {
     try {
-      const response = await fetch(url, {
-        ...options,
+      const response = await transportFetch(url, {
+        ...fetchOptions,
         headers: {
           'Accept': 'application/json',
-          ...options.headers
+          ...fetchOptions.headers
         }
       });
 
+      if (response.status === 404 && allowNotFound) {
+        return null;
+      }
+
+      if ((response.status === 429 || response.status >= 500) && attempt === maxRetries - 1) {
+        // Out of retries: fail instead of falling out of the loop with no data
+        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+      }
+
       if (response.status === 429) {
         // Rate limited - wait and retry
         const delay = baseDelay * Math.pow(2, attempt);
@@ -73,7 +100,7 @@ async function fetchWithRetry(url, options = {}, config = {}) {
  * @returns {Promise<Array>} Array of position objects
  */
 export async function fetchWalletPositions(address, limit = 1000, config = {}) {
-  const url = `${DATA_API_BASE}/positions?user=${address.toLowerCase()}&limit=${limit}`;
+  const url = `${dataApiBase(config)}/positions?user=${address.toLowerCase()}&limit=${limit}`;
   const data = await fetchWithRetry(url, {}, config);
   return data || [];
 }
@@ -87,7 +114,7 @@ export async function fetchWalletPositions(address, limit = 1000, config = {}) {
  * @returns {Promise<Array>} Array of activity objects
  */
 export async function fetchWalletActivity(address, since = null, limit = 100, config = {}) {
-  let url = `${DATA_API_BASE}/activity?user=${address.toLowerCase()}&limit=${limit}`;
+  let url = `${dataApiBase(config)}/activity?user=${address.toLowerCase()}&limit=${limit}`;
   if (since) {
     url += `&start=${since}`;
   }
@@ -102,7 +129,7 @@ export async function fetchWalletActivity(address, since = null, limit = 100, co
  * @returns {Promise<number>} Total value in USD
  */
 export async function fetchWalletValue(address, config = {}) {
-  const url = `${DATA_API_BASE}/value?user=${address.toLowerCase()}`;
+  const url = `${dataApiBase(config)}/value?user=${address.toLowerCase()}`;
   const data = await fetchWithRetry(url, {}, config);
   if (!data || data.length === 0) {
     return 0;
@@ -122,11 +149,73 @@ export async function fetchWalletValue(address, config = {}) {
  * @returns {Promise<Array>} Array of trade objects
  */
 export async function fetchWalletTrades(address, limit = 500, config = {}) {
-  const url = `${DATA_API_BASE}/trades?user=${address.toLowerCase()}&limit=${limit}`;
+  const url = `${dataApiBase(config)}/trades?user=${address.toLowerCase()}&limit=${limit}`;
   const data = await fetchWithRetry(url, {}, config);
   return data || [];
 }
 
+/**
+ * Fetch the price history of an outcome token from the CLOB
+ * @param {string} tokenId - Outcome token id (position asset)
+ * @param {object} range - { startTs, endTs } in unix seconds, fidelity: minutes between points
+ * @param {object} config - Config object
+ * @returns {Promise<Array<{t: number, p: number}>>} Points, oldest first
+ */
+export async function fetchPriceHistory(tokenId, { startTs, endTs, fidelity = 60 }, config = {}) {
+  const base = (config.clob_api_base || CLOB_API_BASE).replace(/\/+$/, '');
+  const url = `${base}/prices-history?market=${tokenId}&startTs=${startTs}&endTs=${endTs}&fidelity=${fidelity}`;
+  const data = await fetchWithRetry(url, {}, config);
+  return (data?.history || [])
+    .map(point => ({ t: Number(point.t), p: parseFloat(point.p) }))
+    .filter(point => Number.isFinite(point.t) && Number.isFinite(point.p))
+    .sort((a, b) => a.t - b.t);
+}
+
+/**
+ * Fetch the order book of an outcome token from the CLOB
+ * @param {string} tokenId - Outcome token id (position asset)
+ * @param {object} config - Config object
+ * @returns {Promise<{bids: Array, asks: Array}>} Levels of { price, size }, best first; both
+ *   empty when the CLOB has no book for the token (404)
+ */
+export async function fetchOrderBook(tokenId, config = {}) {
+  const base = (config.clob_api_base || CLOB_API_BASE).replace(/\/+$/, '');
+  const data = await fetchWithRetry(`${base}/book?token_id=${tokenId}`, { allowNotFound: true }, config);
+  const levels = rows => (rows || [])
+    .map(level => ({ price: parseFloat(level.price), size: parseFloat(level.size) }))
+    .filter(level => Number.isFinite(level.price) && level.size > 0);
+  return {
+    bids: levels(data?.bids).sort((a, b) => b.price - a.price),
+    asks: levels(data?.asks).sort((a, b) => a.price - b.price)
+  };
+}
+
+/**
+ * Fetch category and tags of markets from the Gamma API
+ * @param {Array<string>} conditionIds - Market condition ids (one request for all of them)
+ * @param {object} config - Config object
+ * @returns {Promise<object>} Map of lowercased conditionId -> { category, tags }; markets the
+ *   API does not know are left out. Tags fall back to those of the market's event.
+ */
+export async function fetchMarketMetadata(conditionIds, config = {}) {
+  const base = (config.gamma_api_base || GAMMA_API_BASE).replace(/\/+$/, '');
+  const query = conditionIds.map(id => `condition_ids=${id}`).join('&');
+  const data = await fetchWithRetry(`${base}/markets?${query}&limit=${conditionIds.length}&include_tag=true`, {}, config);
+
+  const tagLabels = tags => (tags || []).map(tag => tag.slug || tag.label).filter(Boolean);
+  const metadata = {};
+  for (const market of Array.isArray(data) ? data : []) {
+    if (!market.conditionId) continue;
+    const event = market.events?.[0] || {};
+    const tags = tagLabels(market.tags);
+    metadata[market.conditionId.toLowerCase()] = {
+      category: market.category || event.category || null,
+      tags: tags.length > 0 ? tags : tagLabels(event.tags)
+    };
+  }
+  return metadata;
+}
+
 /**
  * Fetch USDC balance from Polygon blockchain
  * @param {string} address - Wallet address
@@ -140,7 +229,7 @@ export async function fetchUsdcBalance(address, config = {}) {
 
   async function getBalance(tokenContract) {
     try {
-      const response = await fetch(POLYGON_RPC, {
+      const response = await transportFetch(config.polygon_rpc_url || POLYGON_RPC, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
@@ -215,93 +304,81 @@ export async function batchFetch(addresses, fetchFn, concurrency = 5, config = {
 }
 
 /**
- * Fetch all activity history for a wallet with pagination
+ * Fetch activity within a time range, paginating backwards from `end`
  * @param {string} address - Wallet address
+ * @param {object} range - { start, end, maxPages, pageSize } (timestamps in unix seconds)
  * @param {object} config - Config object
- * @returns {Promise<Array>} All activity objects
+ * @returns {Promise<{activity: Array, complete: boolean}>} Activity (may contain duplicates at page
+ *   boundaries) and whether the range was fully covered before maxPages ran out
  */
-export async function fetchAllActivity(address, config = {}) {
-  const allActivity = [];
-  let endTimestamp = Math.floor(Date.now() / 1000);
-  const maxIterations = config.activity_max_pages || 30;
-
-  for (let i = 0; i < maxIterations; i++) {
-    const url = `${DATA_API_BASE}/activity?user=${address.toLowerCase()}&limit=1000&end=${endTimestamp}`;
-
-    try {
-      const data = await fetchWithRetry(url, {}, config);
-      if (!data || data.length === 0) break;
-
-      allActivity.push(...data);
+export async function fetchActivityRange(address, { start = null, end = null, maxPages = 30, pageSize = 1000 } = {}, config = {}) {
+  const activity = [];
+  let endTimestamp = end ?? Math.floor(Date.now() / 1000);
+  let offset = 0;
+  let complete = false;
+
+  for (let i = 0; i < maxPages; i++) {
+    let url = `${dataApiBase(config)}/activity?user=${address.toLowerCase()}&limit=${pageSize}&end=${endTimestamp}`;
+    if (start) {
+      url += `&start=${start}`;
+    }
+    if (offset) {
+      url += `&offset=${offset}`;
+    }
 
-      // Get oldest timestamp for next page
-      const timestamps = data.map(a => a.timestamp).filter(t => t && t > 0);
-      if (timestamps.length === 0) break;
+    const data = await fetchWithRetry(url, {}, config);
+    if (!data || data.length === 0) {
+      complete = true;
+      break;
+    }
 
-      const oldest = Math.min(...timestamps);
-      if (oldest >= endTimestamp) break;
+    activity.push(...data);
+    if (data.length < pageSize) {
+      complete = true;
+      break;
+    }
 
-      endTimestamp = oldest - 1;
+    const timestamps = data.map(a => a.timestamp).filter(t => t && t > 0);
+    if (timestamps.length === 0) {
+      complete = true;
+      break;
+    }
 
-      if (data.length < 1000) break; // Last page
-    } catch (error) {
-      console.warn(`Failed to fetch activity page ${i + 1}: ${error.message}`);
+    // The end bound is inclusive, so rows at the oldest timestamp are fetched again
+    // (callers de-duplicate); if a whole page shares one timestamp, page through
+    // that second by offset instead
+    const oldest = Math.min(...timestamps);
+    if (oldest < endTimestamp) {
+      endTimestamp = oldest;
+      offset = 0;
+    } else {
+      offset += data.length;
+    }
+    if (start && endTimestamp < start) {
+      complete = true;
       break;
     }
   }
 
-  return allActivity;
+  return { activity, complete };
 }
 
 /**
- * Calculate PnL from activity history and current positions
- * @param {Array} activity - All activity events
- * @param {Array} positions - Current open positions
- * @returns {object} PnL breakdown
+ * Fetch all activity history for a wallet with pagination
+ * @param {string} address - Wallet address
+ * @param {object} config - Config object
+ * @returns {Promise<Array>} All activity objects
  */
-export function calculatePnLFromActivity(activity, positions) {
-  let totalBuys = 0;
-  let totalSells = 0;
-  let totalRedemptions = 0;
-  let totalYieldsRewards = 0;
-
-  activity.forEach(a => {
-    const type = a.type || 'TRADE';
-    const usdc = parseFloat(a.usdcSize || a.size || 0);
-
-    if (type === 'TRADE') {
-      if (a.side === 'BUY') totalBuys += usdc;
-      else if (a.side === 'SELL') totalSells += usdc;
-    } else if (type === 'REDEEM') {
-      totalRedemptions += usdc;
-    } else if (type === 'YIELD' || type === 'REWARD') {
-      totalYieldsRewards += usdc;
-    }
-  });
-
-  // Current position value
-  let currentValue = 0;
-  let unrealizedPnL = 0;
-  positions.forEach(p => {
-    currentValue += parseFloat(p.currentValue || 0);
-    unrealizedPnL += parseFloat(p.cashPnl || 0);
-  });
-
-  // Total PnL = Money Out - Money In
-  const moneyOut = totalSells + totalRedemptions + totalYieldsRewards + currentValue;
-  const moneyIn = totalBuys;
-  const totalPnL = moneyOut - moneyIn;
-
-  return {
-    totalPnL: Math.round(totalPnL * 100) / 100,
-    unrealizedPnL: Math.round(unrealizedPnL * 100) / 100,
-    realizedPnL: Math.round((totalPnL - unrealizedPnL) * 100) / 100,
-    totalBuys,
-    totalSells,
-    totalRedemptions,
-    totalYieldsRewards,
-    currentValue
-  };
+export async function fetchAllActivity(address, config = {}) {
+  try {
+    const { activity } = await fetchActivityRange(address, {
+      maxPages: config.activity_max_pages || 30
+    }, config);
+    return activity;
+  } catch (error) {
+    console.warn(`Failed to fetch activity for ${address}: ${error.message}`);
+    return [];
+  }
 }
 
 /**
@@ -311,9 +388,9 @@ export function calculatePnLFromActivity(activity, positions) {
  * @returns {Promise<Map>} Map of address -> profit amount
  */
 export async function fetchProfitLeaderboard(limit = 5000, config = {}) {
-  const url = `https://lb-api.polymarket.com/profit?window=all&limit=${limit}`;
+  const url = `${(config.lb_api_base || LB_API_BASE).replace(/\/+$/, '')}/profit?window=all&limit=${limit}`;
   try {
-    const response = await fetch(url, {
+    const response = await transportFetch(url, {
       headers: { 'Accept': 'application/json' }
     });
     if (!response.ok) {
@@ -337,9 +414,12 @@ export default {
   fetchWalletActivity,
   fetchWalletValue,
   fetchWalletTrades,
+  fetchPriceHistory,
+  fetchOrderBook,
+  fetchMarketMetadata,
   fetchUsdcBalance,
+  fetchActivityRange,
   fetchAllActivity,
-  calculatePnLFromActivity,
   fetchProfitLeaderboard,
   batchFetch
 };
@@ -0,0 +1,263 @@
+/**
+ * Position-level diffing between pipeline runs
+ *
+ * Compares the previous snapshot from the history store with the freshly
+ * fetched trader portfolios and emits typed events describing what actually
+ * changed in each trader's holdings.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { trackedPositions } from './history_store.js';
+import { resolveOutcomeIndex, createOutcomeKeyResolver } from './outcomes.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const ROOT_DIR = path.join(__dirname, '..');
+
+export const EVENT_TYPES = ['opened', 'closed', 'flipped', 'added', 'trimmed', 'resolved', 'redeemed'];
+
+/**
+ * Round to cents
+ */
+function round(value) {
+  return Math.round((parseFloat(value) || 0) * 100) / 100;
+}
+
+/**
+ * Group a trader's positions by conditionId, then by outcome key
+ */
+function indexPositions(positions, keyOf) {
+  const byMarket = new Map();
+  for (const pos of positions) {
+    if (!byMarket.has(pos.conditionId)) {
+      byMarket.set(pos.conditionId, new Map());
+    }
+    byMarket.get(pos.conditionId).set(keyOf(pos), pos);
+  }
+  return byMarket;
+}
+
+/**
+ * Build an event object in the same shape as recent changes rows
+ */
+function buildEvent(type, address, label, pos, fields, now, keyOf) {
+  return {
+    id: `${type}:${address}:${keyOf(pos)}:${now}`,
+    type,
+    timestamp: now,
+    trader: label || address.slice(0, 10),
+    traderAddress: address,
+    market: pos.title || 'Unknown Market',
+    marketSlug: pos.slug || '',
+    eventSlug: pos.eventSlug || '',
+    conditionId: pos.conditionId,
+    asset: pos.asset ? String(pos.asset) : null,
+    outcome: pos.outcome || '',
+    outcomeIndex: resolveOutcomeIndex(pos),
+    ...fields
+  };
+}
+
+/**
+ * Diff one market (conditionId) of one trader
+ */
+function diffMarket(prevMarket, curMarket, rawMarket, ctx) {
+  const { address, label, now, minUsd, minPct, keyOf } = ctx;
+  const events = [];
+  const prevKeys = [...prevMarket.keys()];
+  const curKeys = [...curMarket.keys()];
+
+  // Single outcome held before and a different single outcome held now
+  if (prevKeys.length === 1 && curKeys.length === 1 && prevKeys[0] !== curKeys[0]) {
+    const prev = prevMarket.get(prevKeys[0]);
+    const cur = curMarket.get(curKeys[0]);
+    events.push(buildEvent('flipped', address, label, cur, {
+      fromOutcome: prev.outcome || '',
+      fromOutcomeIndex: resolveOutcomeIndex(prev),
+      fromAsset: prev.asset ? String(prev.asset) : null,
+      prevSize: round(prev.size),
+      size: round(cur.size),
+      sizeDelta: round(parseFloat(cur.size || 0) - parseFloat(prev.size || 0)),
+      valueDelta: round(parseFloat(cur.currentValue || 0) - parseFloat(prev.currentValue || 0)),
+      price: parseFloat(cur.curPrice || 0)
+    }, now, keyOf));
+    return events;
+  }
+
+  for (const key of new Set([...prevKeys, ...curKeys])) {
+    const prev = prevMarket.get(key);
+    const cur = curMarket.get(key);
+    const raw = rawMarket.get(key);
+
+    if (!prev && cur) {
+      events.push(buildEvent('opened', address, label, cur, {
+        prevSize: 0,
+        size: round(cur.size),
+        sizeDelta: round(cur.size),
+        valueDelta: round(cur.currentValue),
+        price: parseFloat(cur.curPrice || 0)
+      }, now, keyOf));
+      continue;
+    }
+
+    if (prev && !cur) {
+      // Still held but no longer tracked: a resolved outcome now worth (almost) nothing
+      if (raw?.redeemable) {
+        const price = parseFloat(raw.curPrice || 0);
+        events.push(buildEvent('resolved', address, label, prev, {
+          prevSize: round(prev.size),
+          size: round(raw.size),
+          sizeDelta: 0,
+          valueDelta: round(parseFloat(raw.currentValue || 0) - parseFloat(prev.currentValue || 0)),
+          price,
+          result: price >= 0.5 ? 'won' : 'lost'
+        }, now, keyOf));
+        continue;
+      }
+
+      // Gone from the wallet (positions still held stay tracked, see trackedPositions())
+      const type = prev.redeemable ? 'redeemed' : 'closed';
+      const price = parseFloat(prev.curPrice || 0);
+      events.push(buildEvent(type, address, label, prev, {
+        prevSize: round(prev.size),
+        size: 0,
+        sizeDelta: round(-prev.size),
+        valueDelta: round(-(prev.currentValue || 0)),
+        price,
+        ...(type === 'redeemed' ? { result: price >= 0.5 ? 'won' : 'lost' } : {})
+      }, now, keyOf));
+      continue;
+    }
+
+    if (cur.redeemable && !prev.redeemable) {
+      const price = parseFloat(cur.curPrice || 0);
+      events.push(buildEvent('resolved', address, label, cur, {
+        prevSize: round(prev.size),
+        size: round(cur.size),
+        sizeDelta: 0,
+        valueDelta: round(parseFloat(cur.currentValue || 0) - parseFloat(prev.currentValue || 0)),
+        price,
+        result: price >= 0.5 ? 'won' : 'lost'
+      }, now, keyOf));
+      continue;
+    }
+
+    const prevSize = parseFloat(prev.size || 0);
+    const curSize = parseFloat(cur.size || 0);
+    const sizeDelta = curSize - prevSize;
+    const price = parseFloat(cur.curPrice || prev.curPrice || 0);
+    const usdDelta = sizeDelta * price;
+
+    if (Math.abs(usdDelta) < minUsd) continue;
+    if (prevSize > 0 && Math.abs(sizeDelta) / prevSize < minPct) continue;
+
+    events.push(buildEvent(sizeDelta > 0 ? 'added' : 'trimmed', address, label, cur, {
+      prevSize: round(prevSize),
+      size: round(curSize),
+      sizeDelta: round(sizeDelta),
+      valueDelta: round(usdDelta),
+      price
+    }, now, keyOf));
+  }
+
+  return events;
+}
+
+/**
+ * Compare previous and current trader portfolios and emit position events
+ * @param {object} previousTraders - Traders of the previous snapshot (address -> {label, positions})
+ * @param {object} traderPortfolios - Current trader portfolios from fetchAllPortfolios()
+ * @param {object} config - Config object
+ * @param {number} now - Unix timestamp in seconds
+ * @returns {Array<object>} Events sorted by absolute value change, largest first
+ */
+export function diffPortfolios(previousTraders, traderPortfolios, config = {}, now = Math.floor(Date.now() / 1000)) {
+  const minUsd = config.position_diff_min_usd ?? 10;
+  const minPct = (config.position_diff_min_pct ?? 1) / 100;
+  const events = [];
+
+  for (const [address, portfolio] of Object.entries(traderPortfolios)) {
+    const previous = previousTraders?.[address];
+    // A failed fetch on either side would look like every position was closed or opened
+    if (!previous || !previous.fetchSuccess || !portfolio.fetchSuccess) continue;
+
+    // Snapshots written before asset ids were stored match on conditionId-outcomeIndex
+    const keyOf = createOutcomeKeyResolver([...(previous.positions || []), ...(portfolio.positions || [])]);
+    const prevIndex = indexPositions(previous.positions || [], keyOf);
+    const curIndex = indexPositions(trackedPositions(portfolio.positions, previous.positions, config), keyOf);
+    const rawIndex = indexPositions(portfolio.positions || [], keyOf);
+
+    const ctx = { address, label: portfolio.label, now, minUsd, minPct, keyOf };
+    for (const conditionId of new Set([...prevIndex.keys(), ...curIndex.keys()])) {
+      events.push(...diffMarket(
+        prevIndex.get(conditionId) || new Map(),
+        curIndex.get(conditionId) || new Map(),
+        rawIndex.get(conditionId) || new Map(),
+        ctx
+      ));
+    }
+  }
+
+  events.sort((a, b) => Math.abs(b.valueDelta) - Math.abs(a.valueDelta));
+  return events;
+}
+
+/**
+ * Load previously published position events
+ * @param {string} prevPath - Previously published position_changes.json
+ */
+export function loadPreviousPositionEvents(prevPath = path.join(ROOT_DIR, 'docs', 'data', 'position_changes.json')) {
+  try {
+    if (fs.existsSync(prevPath)) {
+      const data = JSON.parse(fs.readFileSync(prevPath, 'utf-8'));
+      return data.events || [];
+    }
+  } catch (e) {
+    console.warn('Could not load previous position changes:', e.message);
+  }
+  return [];
+}
+
+/**
+ * Merge this run's events into the rolling feed
+ * @param {Array<object>} newEvents - Events from diffPortfolios()
+ * @param {Array<object>} previousEvents - Events published by earlier runs
+ * @param {object} config - Config object
+ * @param {number} now - Unix timestamp in seconds
+ * @returns {Array<object>} Events, newest first
+ */
+export function mergePositionEvents(newEvents, previousEvents, config = {}, now = Math.floor(Date.now() / 1000)) {
+  const maxEvents = config.max_position_events || 2000;
+  const cutoff = now - (config.position_events_retention_days ?? 30) * 86400;
+
+  const seen = new Set();
+  return [...newEvents, ...previousEvents]
+    .filter(e => {
+      if ((e.timestamp || 0) < cutoff || seen.has(e.id)) return false;
+      seen.add(e.id);
+      return true;
+    })
+    .sort((a, b) => (b.timestamp || 0) - (a.timestamp || 0))
+    .slice(0, maxEvents);
+}
+
+/**
+ * Count events per type
+ */
+export function countEventTypes(events) {
+  const counts = Object.fromEntries(EVENT_TYPES.map(t => [t, 0]));
+  for (const e of events) {
+    counts[e.type] = (counts[e.type] || 0) + 1;
+  }
+  return counts;
+}
+
+export default {
+  EVENT_TYPES,
+  diffPortfolios,
+  loadPreviousPositionEvents,
+  mergePositionEvents,
+  countEventTypes
+};
@@ -0,0 +1,206 @@
+/**
+ * Price history and mark prices per outcome token
+ *
+ * Every run fetches the CLOB price history (/prices-history) of each held
+ * token and keeps it in price_history_file (default data/price_history.json),
+ * so later runs only ask for points after the newest cached one. Points older
+ * than a week and a day are dropped, as are tokens nobody holds any more.
+ *
+ * The mark price of an outcome is its latest history point while that is
+ * fresh (no older than two price_history_fidelity_minutes steps), else the
+ * median curPrice of its holders' position rows. The 1h/1d/1w changes
+ * compare the mark with the last history point at or before that long ago,
+ * and are null while the history does not reach back that far.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { fetchPriceHistory, batchFetch } from './polymarket_api.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const ROOT_DIR = path.join(__dirname, '..');
+
+export const PRICE_CHANGE_WINDOWS = { '1h': 3600, '1d': 86400, '1w': 7 * 86400 };
+
+// History kept per token: the longest window plus a day of margin
+const KEEP_SECONDS = PRICE_CHANGE_WINDOWS['1w'] + 86400;
+
+/**
+ * Round a price to 4 decimals
+ */
+function round4(value) {
+  return Math.round(value * 10000) / 10000;
+}
+
+/**
+ * Median of a list, or null when empty
+ */
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * Resolve the price history cache file from config
+ */
+export function getPriceHistoryPath(config = {}) {
+  const target = config.price_history_file || 'data/price_history.json';
+  return path.isAbsolute(target) ? target : path.join(ROOT_DIR, target);
+}
+
+/**
+ * Load the cached price history
+ * @returns {object} { updatedAt, fidelity, tokens: { tokenId: { points: [[t, p], ...] } } }
+ */
+export function loadPriceHistory(config = {}) {
+  const cachePath = getPriceHistoryPath(config);
+  try {
+    if (fs.existsSync(cachePath)) {
+      return JSON.parse(fs.readFileSync(cachePath, 'utf-8'));
+    }
+  } catch (e) {
+    console.warn('Could not load price history:', e.message);
+  }
+  return { tokens: {} };
+}
+
+/**
+ * Persist the price history cache (compact: it holds thousands of points)
+ */
+function savePriceHistory(cache, config = {}) {
+  const cachePath = getPriceHistoryPath(config);
+  fs.mkdirSync(path.dirname(cachePath), { recursive: true });
+  fs.writeFileSync(cachePath, JSON.stringify(cache), 'utf-8');
+}
+
+/**
+ * Outcome tokens held in open (not yet resolved) positions
+ * @param {object} traderPortfolios - Map of address -> portfolio
+ * @returns {Array<string>} Token ids
+ */
+export function heldTokenIds(traderPortfolios) {
+  const tokens = new Set();
+  for (const portfolio of Object.values(traderPortfolios)) {
+    if (!portfolio.fetchSuccess) continue;
+    for (const pos of portfolio.positions || []) {
+      if (pos.asset && !pos.redeemable && parseFloat(pos.size) > 0) tokens.add(String(pos.asset));
+    }
+  }
+  return [...tokens];
+}
+
+/**
+ * Merge fetched points into cached ones: one point per timestamp (the
+ * fetched one wins), oldest first, nothing before `oldest`
+ * @param {Array<[number, number]>} cached - Cached [t, p] points
+ * @param {Array<[number, number]>} fetched - Newly fetched [t, p] points
+ * @param {number} oldest - Unix timestamp of the oldest point kept
+ */
+export function mergePoints(cached, fetched, oldest) {
+  const byTime = new Map(cached.map(point => [point[0], point]));
+  for (const point of fetched) byTime.set(point[0], point);
+  return [...byTime.values()]
+    .filter(point => point[0] >= oldest)
+    .sort((a, b) => a[0] - b[0]);
+}
+
+/**
+ * Price of the last point at or before a time
+ * @param {Array<[number, number]>} points - [t, p] points, oldest first
+ * @param {number} ts - Unix timestamp in seconds
+ * @returns {number|null} Null when the history starts later
+ */
+export function priceAt(points, ts) {
+  let lo = 0;
+  let hi = points.length - 1;
+  let found = null;
+  while (lo <= hi) {
+    const mid = (lo + hi) >> 1;
+    if (points[mid][0] <= ts) {
+      found = points[mid][1];
+      lo = mid + 1;
+    } else {
+      hi = mid - 1;
+    }
+  }
+  return found;
+}
+
+/**
+ * Mark price and price changes of an outcome
+ * @param {Array<[number, number]>} points - Cached history of the outcome's token (may be empty)
+ * @param {Array<number>} holderPrices - curPrice of each holder's position row
+ * @param {number} now - Unix timestamp in seconds
+ * @param {object} config - Config object (price_history_fidelity_minutes)
+ * @returns {object} { markPrice, markSource ('history', 'positions' or null),
+ *   priceChange1h, priceChange1d, priceChange1w } with changes in price units (0.01 = 1c)
+ */
+export function priceMarks(points = [], holderPrices = [], now = Math.floor(Date.now() / 1000), config = {}) {
+  const maxAge = 2 * (config.price_history_fidelity_minutes || 60) * 60;
+  const last = points[points.length - 1];
+  const fromHistory = !!last && now - last[0] <= maxAge;
+  const fallback = median(holderPrices.filter(p => p > 0));
+  const markPrice = fromHistory ? last[1] : fallback;
+
+  const change = seconds => {
+    const then = priceAt(points, now - seconds);
+    return then === null || markPrice === null ? null : round4(markPrice - then);
+  };
+
+  return {
+    markPrice: markPrice === null ? 0 : round4(markPrice),
+    markSource: fromHistory ? 'history' : (markPrice === null ? null : 'positions'),
+    priceChange1h: change(PRICE_CHANGE_WINDOWS['1h']),
+    priceChange1d: change(PRICE_CHANGE_WINDOWS['1d']),
+    priceChange1w: change(PRICE_CHANGE_WINDOWS['1w'])
+  };
+}
+
+/**
+ * Fetch new history points for the held tokens and update the cache
+ * @param {Array<string>} tokenIds - Tokens to track (heldTokenIds())
+ * @param {object} config - Config object
+ * @param {number} now - Unix timestamp in seconds
+ * @returns {Promise<object>} The updated cache
+ */
+export async function updatePriceHistory(tokenIds, config = {}, now = Math.floor(Date.now() / 1000)) {
+  const cache = loadPriceHistory(config);
+  const fidelity = config.price_history_fidelity_minutes || 60;
+  const oldest = now - KEEP_SECONDS;
+  const cachedPoints = tokenId => cache.tokens?.[tokenId]?.points || [];
+
+  const results = await batchFetch(tokenIds, (tokenId, cfg) => {
+    const points = cachedPoints(tokenId);
+    const startTs = points.length > 0 ? Math.max(points[points.length - 1][0] + 1, oldest) : oldest;
+    return fetchPriceHistory(tokenId, { startTs, endTs: now, fidelity }, cfg);
+  }, config.concurrency_limit || 5, config);
+
+  const tokens = {};
+  let failed = 0;
+  for (const tokenId of tokenIds) {
+    const result = results.get(tokenId);
+    if (!result?.success) failed++;
+    const fetched = result?.success ? result.data.map(point => [point.t, round4(point.p)]) : [];
+    tokens[tokenId] = { points: mergePoints(cachedPoints(tokenId), fetched, oldest) };
+  }
+
+  const updated = { updatedAt: new Date(now * 1000).toISOString(), fidelity, tokens };
+  savePriceHistory(updated, config);
+  console.log(`Price history: ${tokenIds.length - failed} of ${tokenIds.length} tokens updated`);
+  return updated;
+}
+
+export default {
+  PRICE_CHANGE_WINDOWS,
+  getPriceHistoryPath,
+  loadPriceHistory,
+  heldTokenIds,
+  mergePoints,
+  priceAt,
+  priceMarks,
+  updatePriceHistory
+};
@@ -0,0 +1,300 @@
+/**
+ * Market resolution tracking
+ *
+ * A position is live until its market's endDate, then awaits resolution
+ * until the API flags it redeemable; from then on its price is final (1 for
+ * the winning outcome, 0 for the other) and the position is resolved.
+ *
+ * Resolved positions disappear from the positions endpoint once they are
+ * redeemed, so every run folds what it learns into a ledger of resolved
+ * markets (docs/data/resolved_markets.json) kept across runs:
+ *
+ *   redeemable positions  winning outcome, cost and payout of each holder
+ *   REDEEM activity       redemption time and payout; when the position was
+ *                         already gone, the previous snapshot supplies the
+ *                         outcome and cost
+ *
+ * The ledger summary gives the group's hit rate: the share of resolved
+ * trader positions that won, and the share of markets where the outcome
+ * holding most Tier1 money won.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { resolveOutcomeIndex, hasOutcomeIndex } from './outcomes.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const ROOT_DIR = path.join(__dirname, '..');
+
+export const POSITION_STATUSES = ['live', 'awaiting', 'resolved'];
+
+/**
+ * Round to cents
+ */
+function round(value) {
+  return Math.round((parseFloat(value) || 0) * 100) / 100;
+}
+
+/**
+ * End of trading of a market as a unix timestamp in seconds
+ * @param {string} endDate - ISO date or date-time; a bare date covers the whole (UTC) day
+ * @returns {number|null} Null when missing or unparseable
+ */
+export function endTimestamp(endDate) {
+  if (!endDate) return null;
+  const ms = Date.parse(endDate);
+  if (Number.isNaN(ms)) return null;
+  return Math.floor(ms / 1000) + (/^\d{4}-\d{2}-\d{2}$/.test(String(endDate)) ? 86400 : 0);
+}
+
+/**
+ * Lifecycle status of a position
+ * @param {object} pos - Position (redeemable, endDate)
+ * @param {number} now - Unix timestamp in seconds
+ * @returns {string} 'live', 'awaiting' (past endDate, not resolved yet) or 'resolved'
+ */
+export function positionStatus(pos, now = Math.floor(Date.now() / 1000)) {
+  if (pos.redeemable === true || pos.redeemable === 1) return 'resolved';
+  const end = endTimestamp(pos.endDate);
+  return end !== null && now >= end ? 'awaiting' : 'live';
+}
+
+/**
+ * Result of a resolved position from its final price
+ */
+export function positionResult(curPrice) {
+  return parseFloat(curPrice || 0) >= 0.5 ? 'won' : 'lost';
+}
+
+/**
+ * Load the previously published ledger
+ * @param {string} prevPath - Previously published resolved_markets.json
+ * @returns {Array<object>} Markets, newest first
+ */
+export function loadPreviousResolvedMarkets(prevPath = path.join(ROOT_DIR, 'docs', 'data', 'resolved_markets.json')) {
+  try {
+    if (fs.existsSync(prevPath)) {
+      const data = JSON.parse(fs.readFileSync(prevPath, 'utf-8'));
+      return data.markets || [];
+    }
+  } catch (e) {
+    console.warn('Could not load previous resolved markets:', e.message);
+  }
+  return [];
+}
+
+/**
+ * Ledger position from a position row; payout follows the final price when
+ * known, else the redeemed amount
+ */
+function ledgerPosition(address, label, pos, result, payout = null) {
+  const size = parseFloat(pos.size || 0);
+  const cost = parseFloat(pos.initialValue) || size * parseFloat(pos.avgPrice || 0);
+  const finalPayout = payout ?? (result === 'won' ? size : 0);
+  return {
+    traderAddress: address,
+    trader: label || address.slice(0, 10),
+    outcomeIndex: resolveOutcomeIndex(pos),
+    outcome: pos.outcome || '',
+    size: round(size),
+    avgPrice: Math.round(parseFloat(pos.avgPrice || 0) * 10000) / 10000,
+    cost: round(cost),
+    payout: round(finalPayout),
+    realizedPnL: round(finalPayout - cost),
+    result,
+    redeemedAt: null
+  };
+}
+
+/**
+ * Key of a ledger position; payout-only rows (outcome unknown) get their own
+ */
+function positionKey(p) {
+  return `${p.traderAddress}:${p.outcomeIndex ?? 'redeem'}`;
+}
+
+/**
+ * Market-level totals of a ledger entry
+ */
+function summarizeMarket(market) {
+  const positions = market.positions;
+  const known = positions.filter(p => p.realizedPnL !== null);
+
+  // The outcome holding the most Tier1 money is the group's call on the market
+  const costByOutcome = new Map();
+  for (const p of positions) {
+    if (p.outcomeIndex === null) continue;
+    costByOutcome.set(p.outcomeIndex, (costByOutcome.get(p.outcomeIndex) || 0) + (p.cost || 0));
+  }
+  const [consensusIndex] = [...costByOutcome.entries()].sort((a, b) => b[1] - a[1])[0] || [null];
+  const consensusResult = consensusIndex === null
+    ? null
+    : positions.find(p => p.outcomeIndex === consensusIndex).result;
+
+  return {
+    traders: new Set(positions.map(p => p.traderAddress)).size,
+    won: positions.filter(p => p.result === 'won').length,
+    lost: positions.filter(p => p.result === 'lost').length,
+    cost: round(known.reduce((sum, p) => sum + p.cost, 0)),
+    payout: round(positions.reduce((sum, p) => sum + (p.payout || 0), 0)),
+    realizedPnL: round(known.reduce((sum, p) => sum + p.realizedPnL, 0)),
+    consensusResult
+  };
+}
+
+/**
+ * Ledger totals and hit rates
+ * @param {Array<object>} markets - Ledger markets
+ * @returns {object} { marketCount, positionCount, won, lost, hitRate, consensusHitRate, realizedPnL }
+ */
+export function summarizeResolvedMarkets(markets) {
+  const positions = markets.flatMap(m => m.positions);
+  const won = positions.filter(p => p.result === 'won').length;
+  const lost = positions.filter(p => p.result === 'lost').length;
+  const called = markets.filter(m => m.summary?.consensusResult);
+  const calledRight = called.filter(m => m.summary.consensusResult === 'won').length;
+
+  return {
+    marketCount: markets.length,
+    positionCount: positions.length,
+    won,
+    lost,
+    hitRate: won + lost > 0 ? Math.round((won / (won + lost)) * 10000) / 10000 : null,
+    consensusHitRate: called.length > 0 ? Math.round((calledRight / called.length) * 10000) / 10000 : null,
+    realizedPnL: round(positions.reduce((sum, p) => sum + (p.realizedPnL || 0), 0))
+  };
+}
+
+/**
+ * Fold this run's resolutions and redemptions into the ledger
+ * @param {Array<object>} previousMarkets - Ledger published by earlier runs
+ * @param {object} traderPortfolios - Map of address -> portfolio
+ * @param {Array} activity - Recent activity (collectRecentActivity())
+ * @param {object|null} previousTraders - Traders of the previous snapshot (history store)
+ * @param {object} config - Config object (resolved_markets_max)
+ * @param {number} now - Unix timestamp in seconds
+ * @returns {object} { generatedAt, summary, markets } with markets newest first
+ */
+export function updateResolvedMarkets(previousMarkets, traderPortfolios, activity = [], previousTraders = null, config = {}, now = Math.floor(Date.now() / 1000)) {
+  const markets = new Map(previousMarkets.map(m => [m.conditionId, {
+    ...m,
+    positions: new Map(m.positions.map(p => [positionKey(p), { ...p }]))
+  }]));
+
+  const marketFor = (row, resolvedAt) => {
+    if (!markets.has(row.conditionId)) {
+      markets.set(row.conditionId, {
+        conditionId: row.conditionId,
+        title: row.title || 'Unknown Market',
+        slug: row.slug || '',
+        eventSlug: row.eventSlug || '',
+        endDate: row.endDate || null,
+        resolvedAt,
+        winningOutcomeIndex: null,
+        winningOutcome: null,
+        positions: new Map()
+      });
+    }
+    const market = markets.get(row.conditionId);
+    market.resolvedAt = Math.min(market.resolvedAt, resolvedAt);
+    if (market.title === 'Unknown Market' && row.title) market.title = row.title;
+    return market;
+  };
+
+  // Markets are binary: a losing holder tells us the other outcome won
+  const recordWinner = (market, pos, result) => {
+    if (!hasOutcomeIndex(pos)) return;
+    const index = resolveOutcomeIndex(pos);
+    if (result === 'won') {
+      market.winningOutcomeIndex = index;
+      market.winningOutcome = pos.outcome || market.winningOutcome;
+    } else if (market.winningOutcomeIndex === null && index <= 1) {
+      market.winningOutcomeIndex = 1 - index;
+      market.winningOutcome = pos.oppositeOutcome || null;
+    }
+  };
+
+  // Positions the API reports as redeemable carry the final price
+  for (const [address, portfolio] of Object.entries(traderPortfolios)) {
+    if (!portfolio.fetchSuccess) continue;
+    for (const pos of portfolio.positions || []) {
+      if (!pos.redeemable || !(parseFloat(pos.size) > 0)) continue;
+      const market = marketFor(pos, now);
+      const result = positionResult(pos.curPrice);
+      const entry = ledgerPosition(address, portfolio.label, pos, result);
+      entry.redeemedAt = market.positions.get(positionKey(entry))?.redeemedAt ?? null;
+      market.positions.set(positionKey(entry), entry);
+      recordWinner(market, pos, result);
+    }
+  }
+
+  // Redemptions, oldest first so the earliest one dates the resolution
+  const redeems = activity
+    .filter(a => a.type === 'REDEEM' && a.conditionId)
+    .sort((a, b) => (a.timestamp || 0) - (b.timestamp || 0));
+  for (const row of redeems) {
+    const address = (row.traderAddress || row.proxyWallet || '').toLowerCase();
+    const ts = row.timestamp || now;
+    const payout = parseFloat(row.usdcSize || 0);
+    const market = marketFor(row, ts);
+    const held = [...market.positions.values()].filter(p => p.traderAddress === address);
+
+    if (held.length > 0) {
+      for (const p of held) p.redeemedAt = p.redeemedAt ?? ts;
+      continue;
+    }
+
+    // Redeemed between two runs: the previous snapshot still has the position
+    const label = row.traderLabel || previousTraders?.[address]?.label;
+    const previous = (previousTraders?.[address]?.positions || [])
+      .filter(p => p.conditionId === row.conditionId && parseFloat(p.size) > 0);
+    if (previous.length === 1) {
+      const result = payout > 0 ? 'won' : 'lost';
+      const entry = ledgerPosition(address, label, previous[0], result, payout);
+      entry.redeemedAt = ts;
+      market.positions.set(positionKey(entry), entry);
+      recordWinner(market, previous[0], result);
+    } else {
+      market.positions.set(`${address}:redeem`, {
+        traderAddress: address,
+        trader: label || address.slice(0, 10),
+        outcomeIndex: null,
+        outcome: '',
+        size: round(row.size),
+        avgPrice: null,
+        cost: null,
+        payout: round(payout),
+        realizedPnL: null,
+        result: payout > 0 ? 'won' : 'lost',
+        redeemedAt: ts
+      });
+    }
+  }
+
+  const result = [...markets.values()]
+    .map(m => {
+      const market = { ...m, positions: [...m.positions.values()].sort((a, b) => (b.cost || 0) - (a.cost || 0)) };
+      market.summary = summarizeMarket(market);
+      return market;
+    })
+    .sort((a, b) => (b.resolvedAt || 0) - (a.resolvedAt || 0))
+    .slice(0, config.resolved_markets_max || 1000);
+
+  return {
+    generatedAt: new Date(now * 1000).toISOString(),
+    summary: summarizeResolvedMarkets(result),
+    markets: result
+  };
+}
+
+export default {
+  POSITION_STATUSES,
+  endTimestamp,
+  positionStatus,
+  positionResult,
+  loadPreviousResolvedMarkets,
+  summarizeResolvedMarkets,
+  updateResolvedMarkets
+};
@@ -0,0 +1,280 @@
+/**
+ * Trader performance scorecards
+ *
+ * The roster is picked on reputation; scorecards check it against the
+ * record. Each trader's activity log is replayed per outcome (conditionId +
+ * outcomeIndex) and joined with the resolved markets ledger:
+ *
+ *   winRate       share of resolved outcomes bought that won
+ *   roi           total PnL (pnl_engine) / USD spent buying
+ *   entryEdge     mean of result (1 won, 0 lost) - avg entry price over resolved outcomes
+ *   brierScore    mean of (avg entry price - result)^2, reading the entry price
+ *                 as the forecast the trader acted on (0 is perfect, 0.25 a coin flip)
+ *   avgHoldHours  first buy to full exit (sell, merge or redeem) of closed outcomes
+ *   maxDrawdown   deepest fall of cumulative realized PnL below its running peak
+ *   categoryMix   share of USD bought per market category
+ *
+ * An outcome counts as resolved when the ledger names its market's winner,
+ * or when the trader redeemed a market in which they bought a single
+ * outcome (a payout means it won). Rates over fewer than
+ * scorecard_min_resolved resolved outcomes are flagged as a small sample.
+ * All-time profit and rank come from the Polymarket profit leaderboard.
+ */
+
+import { fetchProfitLeaderboard } from './polymarket_api.js';
+import { computePnL } from './pnl_engine.js';
+import { resolveCategory } from './categories.js';
+import { resolveOutcomeIndex } from './outcomes.js';
+import { cached } from './cache.js';
+
+/**
+ * Round to a fixed number of decimals
+ */
+function round(value, decimals = 2) {
+  const factor = Math.pow(10, decimals);
+  return Math.round((value || 0) * factor) / factor;
+}
+
+/**
+ * Mean of a list, or null when empty
+ */
+function mean(values, decimals = 4) {
+  return values.length > 0 ? round(values.reduce((sum, v) => sum + v, 0) / values.length, decimals) : null;
+}
+
+/**
+ * Replay activity per outcome
+ * @param {Array} activity - Activity rows (any order)
+ * @returns {{outcomes: Map, redeems: Map}} outcome key -> { conditionId, outcomeIndex, market,
+ *   bought, boughtShares, shares, firstBuyAt, closedAt }, and conditionId -> { payout, timestamp }
+ */
+export function replayOutcomes(activity) {
+  const outcomes = new Map();
+  const redeems = new Map();
+  const ofMarket = conditionId => [...outcomes.values()].filter(o => o.conditionId === conditionId);
+
+  // Fully exited once at most 1% of the shares bought is left
+  const reduce = (outcome, size, ts) => {
+    outcome.shares = Math.max(0, outcome.shares - size);
+    if (outcome.shares <= outcome.boughtShares * 0.01) outcome.closedAt = ts;
+  };
+
+  const sorted = [...activity].sort((a, b) => (a.timestamp || 0) - (b.timestamp || 0));
+  for (const a of sorted) {
+    if (!a.conditionId) continue;
+    const type = a.type || 'TRADE';
+    const size = parseFloat(a.size || 0);
+    const ts = a.timestamp || 0;
+
+    if (type === 'TRADE') {
+      const outcomeIndex = resolveOutcomeIndex(a);
+      const key = `${a.conditionId}-${outcomeIndex}`;
+      if (!outcomes.has(key)) {
+        outcomes.set(key, {
+          conditionId: a.conditionId,
+          outcomeIndex,
+          market: { title: a.title || '', slug: a.slug || '', eventSlug: a.eventSlug || '' },
+          bought: 0,
+          boughtShares: 0,
+          shares: 0,
+          firstBuyAt: null,
+          closedAt: null
+        });
+      }
+      const outcome = outcomes.get(key);
+      if (a.side === 'BUY') {
+        outcome.bought += parseFloat(a.usdcSize || 0);
+        outcome.boughtShares += size;
+        outcome.shares += size;
+        outcome.firstBuyAt = outcome.firstBuyAt ?? ts;
+        outcome.closedAt = null;
+      } else if (a.side === 'SELL' && outcome.boughtShares > 0) {
+        reduce(outcome, size, ts);
+      }
+    } else if (type === 'REDEEM') {
+      for (const outcome of ofMarket(a.conditionId)) {
+        outcome.shares = 0;
+        outcome.closedAt = ts;
+      }
+      const previous = redeems.get(a.conditionId);
+      redeems.set(a.conditionId, {
+        payout: (previous?.payout || 0) + parseFloat(a.usdcSize || 0),
+        timestamp: ts
+      });
+    } else if (type === 'MERGE') {
+      for (const outcome of ofMarket(a.conditionId)) {
+        if (outcome.boughtShares > 0) reduce(outcome, size, ts);
+      }
+    }
+  }
+
+  return { outcomes, redeems };
+}
+
+/**
+ * Resolved outcomes a trader bought, with their entry price and result
+ * @param {string} address - Trader address
+ * @param {Map} outcomes - replayOutcomes().outcomes
+ * @param {Map} redeems - replayOutcomes().redeems
+ * @param {Array<object>} ledgerMarkets - Resolved markets ledger (resolutions.js)
+ * @returns {Array<{conditionId, outcomeIndex, avgEntry, won}>}
+ */
+export function resolvedOutcomes(address, outcomes, redeems, ledgerMarkets = []) {
+  const ledger = new Map(ledgerMarkets.map(m => [m.conditionId, m]));
+  const bought = [...outcomes.values()].filter(o => o.boughtShares > 0);
+  const byMarket = new Map();
+  for (const outcome of bought) {
+    if (!byMarket.has(outcome.conditionId)) byMarket.set(outcome.conditionId, []);
+    byMarket.get(outcome.conditionId).push(outcome);
+  }
+
+  const resolved = [];
+  for (const [conditionId, marketOutcomes] of byMarket) {
+    const winner = ledger.get(conditionId)?.winningOutcomeIndex;
+    const redeem = redeems.get(conditionId);
+    for (const o of marketOutcomes) {
+      let won = null;
+      if (winner !== null && winner !== undefined) {
+        won = o.outcomeIndex === winner;
+      } else if (redeem && marketOutcomes.length === 1) {
+        won = redeem.payout > 0;
+      }
+      if (won === null) continue;
+      resolved.push({ conditionId, outcomeIndex: o.outcomeIndex, avgEntry: o.bought / o.boughtShares, won });
+    }
+  }
+
+  // Ledger positions from before the activity log starts
+  for (const market of ledgerMarkets) {
+    if (byMarket.has(market.conditionId)) continue;
+    for (const p of market.positions) {
+      if (p.traderAddress !== address || p.outcomeIndex === null || !(p.avgPrice > 0)) continue;
+      resolved.push({ conditionId: market.conditionId, outcomeIndex: p.outcomeIndex, avgEntry: p.avgPrice, won: p.result === 'won' });
+    }
+  }
+
+  return resolved;
+}
+
+/**
+ * Deepest fall of cumulative realized PnL below its running peak (USD, >= 0)
+ * @param {Array<{cumulativeRealized: number}>} daily - pnl_engine daily series
+ */
+export function maxDrawdown(daily = []) {
+  let peak = 0;
+  let drawdown = 0;
+  for (const day of daily) {
+    peak = Math.max(peak, day.cumulativeRealized);
+    drawdown = Math.max(drawdown, peak - day.cumulativeRealized);
+  }
+  return round(drawdown);
+}
+
+/**
+ * Scorecard of one trader
+ * @param {object} input - { address, portfolio, activity, pnl, ledgerMarkets, leaderboard, categoryContext }
+ *   pnl is a computePnL() result; leaderboard is { profit, rank } or null; categoryContext as
+ *   for resolveCategory()
+ * @param {object} config - Config object (scorecard_min_resolved)
+ * @returns {object} Scorecard
+ */
+export function buildScorecard({ address, portfolio = {}, activity = [], pnl, ledgerMarkets = [], leaderboard = null, categoryContext = {} }, config = {}) {
+  const { outcomes, redeems } = replayOutcomes(activity);
+  const resolved = resolvedOutcomes(address, outcomes, redeems, ledgerMarkets);
+  const wins = resolved.filter(r => r.won).length;
+
+  const totalBought = [...outcomes.values()].reduce((sum, o) => sum + o.bought, 0);
+  const holdHours = [...outcomes.values()]
+    .filter(o => o.firstBuyAt !== null && o.closedAt !== null)
+    .map(o => (o.closedAt - o.firstBuyAt) / 3600);
+
+  const boughtByCategory = new Map();
+  for (const o of outcomes.values()) {
+    if (!(o.bought > 0)) continue;
+    const { category } = resolveCategory({ conditionId: o.conditionId, ...o.market }, categoryContext);
+    boughtByCategory.set(category, (boughtByCategory.get(category) || 0) + o.bought);
+  }
+  const categoryMix = Object.fromEntries([...boughtByCategory.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .map(([category, usd]) => [category, round(usd / totalBought, 4)]));
+
+  const timestamps = activity.map(a => a.timestamp || 0).filter(ts => ts > 0);
+
+  return {
+    address,
+    label: portfolio.label || address.slice(0, 10),
+    tier: portfolio.tier || '1',
+    activityCount: activity.length,
+    marketsTraded: new Set([...outcomes.values()].filter(o => o.bought > 0).map(o => o.conditionId)).size,
+    firstActivityAt: timestamps.length > 0 ? Math.min(...timestamps) : null,
+    totalBought: round(totalBought),
+    totalPnL: round(pnl?.totalPnL),
+    roi: totalBought > 0 ? round((pnl?.totalPnL || 0) / totalBought, 4) : null,
+    resolvedCount: resolved.length,
+    wins,
+    winRate: resolved.length > 0 ? round(wins / resolved.length, 4) : null,
+    entryEdge: mean(resolved.map(r => (r.won ? 1 : 0) - r.avgEntry)),
+    brierScore: mean(resolved.map(r => Math.pow(r.avgEntry - (r.won ? 1 : 0), 2))),
+    avgHoldHours: mean(holdHours, 1),
+    maxDrawdown: maxDrawdown(pnl?.daily),
+    categoryMix,
+    topCategory: Object.keys(categoryMix)[0] || null,
+    leaderboardProfit: leaderboard ? round(leaderboard.profit) : null,
+    leaderboardRank: leaderboard?.rank ?? null,
+    sufficientSample: resolved.length >= (config.scorecard_min_resolved ?? 5)
+  };
+}
+
+/**
+ * Scorecards for the whole roster
+ * @param {Array} traders - Traders from the CSV
+ * @param {object} traderPortfolios - Map of address -> portfolio
+ * @param {Map} activityLogs - Output of syncActivity()
+ * @param {object} pnlByTrader - Output of computeTraderPnL() (computed here when missing)
+ * @param {object} resolvedMarkets - Resolved markets ledger (updateResolvedMarkets())
+ * @param {object} categoryContext - Category context (loadCategoryContext())
+ * @param {object} config - Config object
+ * @param {number} now - Unix timestamp in seconds
+ * @returns {Promise<object>} { generatedAt, minResolved, traders } with traders by ROI, best first
+ */
+export async function computeScorecards(traders, traderPortfolios, activityLogs, pnlByTrader, resolvedMarkets, categoryContext = {}, config = {}, now = Math.floor(Date.now() / 1000)) {
+  // Leaderboard rows come sorted by profit, so the position is the rank.
+  // An empty result means the fetch failed and is not cached.
+  const limit = config.scorecard_leaderboard_limit || 5000;
+  const profits = await cached(`profit-leaderboard:${limit}`, config.cache_ttl_seconds ?? 3600,
+    () => fetchProfitLeaderboard(limit, config), { keep: board => board.size > 0 });
+  const ranks = new Map([...profits.keys()].map((address, i) => [address, i + 1]));
+
+  const scorecards = traders.map(trader => {
+    const address = trader.address.toLowerCase();
+    const portfolio = traderPortfolios[address] || { label: trader.label, tier: trader.tier };
+    const activity = activityLogs.get(address)?.activity || [];
+    const pnl = pnlByTrader[address] || computePnL(activity, portfolio.positions || [], { method: config.pnl_method || 'fifo' });
+
+    return buildScorecard({
+      address,
+      portfolio,
+      activity,
+      pnl,
+      ledgerMarkets: resolvedMarkets?.markets || [],
+      leaderboard: profits.has(address) ? { profit: profits.get(address), rank: ranks.get(address) } : null,
+      categoryContext
+    }, config);
+  });
+
+  scorecards.sort((a, b) => (b.roi ?? -Infinity) - (a.roi ?? -Infinity));
+
+  return {
+    generatedAt: new Date(now * 1000).toISOString(),
+    minResolved: config.scorecard_min_resolved ?? 5,
+    traders: scorecards
+  };
+}
+
+export default {
+  replayOutcomes,
+  resolvedOutcomes,
+  maxDrawdown,
+  buildScorecard,
+  computeScorecards
+};
@@ -2,41 +2,59 @@
  * Scrape Polymarket profile page to get accurate PnL data
  */
 
+import { transportFetch } from './transport.js';
+
+const POLYMARKET_WEB_BASE = 'https://polymarket.com';
+
 /**
- * Fetch profile page and extract PnL data
+ * Fetch a profile page and parse its __NEXT_DATA__ payload
  * @param {string} addressOrUsername - Wallet address or username
- * @returns {Promise<{amount: number, pnl: number}|null>}
+ * @param {object} config - Config object (polymarket_web_base)
+ * @returns {Promise<object|null>} Parsed Next.js data, or null if unavailable
  */
-export async function scrapeProfilePnL(addressOrUsername) {
+async function fetchProfileNextData(addressOrUsername, config = {}) {
   // Try username first (if it looks like a username), otherwise use address
+  const base = (config.polymarket_web_base || POLYMARKET_WEB_BASE).replace(/\/+$/, '');
   const isAddress = addressOrUsername.startsWith('0x');
   const url = isAddress
-    ? `https://polymarket.com/profile/${addressOrUsername}`
-    : `https://polymarket.com/@${addressOrUsername}`;
-
-  try {
-    const response = await fetch(url, {
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
-        'Accept': 'text/html,application/xhtml+xml'
-      }
-    });
+    ? `${base}/profile/${addressOrUsername}`
+    : `${base}/@${addressOrUsername.replace(/^@/, '')}`;
 
-    if (!response.ok) {
-      console.warn(`Failed to fetch profile: ${response.status}`);
-      return null;
+  const response = await transportFetch(url, {
+    headers: {
+      'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
+      'Accept': 'text/html,application/xhtml+xml'
     }
+  });
+
+  if (!response.ok) {
+    console.warn(`Failed to fetch profile: ${response.status}`);
+    return null;
+  }
 
-    const html = await response.text();
+  const html = await response.text();
 
-    // Extract __NEXT_DATA__ JSON
-    const match = html.match(/__NEXT_DATA__[^>]*>({.*?})<\/script>/);
-    if (!match) {
-      console.warn('Could not find __NEXT_DATA__ in page');
-      return null;
-    }
+  // Extract __NEXT_DATA__ JSON
+  const match = html.match(/__NEXT_DATA__[^>]*>({.*?})<\/script>/);
+  if (!match) {
+    console.warn('Could not find __NEXT_DATA__ in page');
+    return null;
+  }
+
+  return JSON.parse(match[1]);
+}
+
+/**
+ * Fetch profile page and extract PnL data
+ * @param {string} addressOrUsername - Wallet address or username
+ * @param {object} config - Config object
+ * @returns {Promise<{amount: number, pnl: number}|null>}
+ */
+export async function scrapeProfilePnL(addressOrUsername, config = {}) {
+  try {
+    const data = await fetchProfileNextData(addressOrUsername, config);
+    if (!data) return null;
 
-    const data = JSON.parse(match[1]);
     const queries = data.props?.pageProps?.dehydratedState?.queries || [];
 
     // Find the volume query which contains PnL
@@ -60,6 +78,46 @@ export async function scrapeProfilePnL(addressOrUsername) {
   }
 }
 
+/**
+ * Find the proxyWallet of the user object whose username matches, anywhere in
+ * a parsed payload (profile pages also embed other users: holders, comments...)
+ */
+function findProxyWallet(value, username, depth = 0) {
+  if (!value || typeof value !== 'object' || depth > 12) return null;
+  const name = value.username ?? value.name;
+  if (typeof name === 'string' && name.toLowerCase() === username.toLowerCase()
+    && typeof value.proxyWallet === 'string' && /^0x[0-9a-fA-F]{40}$/.test(value.proxyWallet)) {
+    return value.proxyWallet;
+  }
+  for (const child of Object.values(value)) {
+    const found = findProxyWallet(child, username, depth + 1);
+    if (found) return found;
+  }
+  return null;
+}
+
+/**
+ * Resolve a Polymarket username to its proxy wallet address
+ * @param {string} username - Username, with or without a leading @
+ * @param {object} config - Config object
+ * @returns {Promise<string|null>} Lowercase proxy wallet address, or null if not found
+ */
+export async function resolveProxyWallet(username, config = {}) {
+  try {
+    const name = username.replace(/^@/, '');
+    const data = await fetchProfileNextData(`@${name}`, config);
+    const wallet = findProxyWallet(data?.props?.pageProps, name);
+    if (!wallet) {
+      if (data) console.warn(`No wallet for user ${name} on the profile page`);
+      return null;
+    }
+    return wallet.toLowerCase();
+  } catch (error) {
+    console.warn(`Error resolving ${username}: ${error.message}`);
+    return null;
+  }
+}
+
 /**
  * Batch scrape multiple profiles with rate limiting
  * @param {Array<{address: string, label: string}>} traders
@@ -97,5 +155,6 @@ export async function batchScrapeProfiles(traders, delayMs = 1000) {
 
 export default {
   scrapeProfilePnL,
+  resolveProxyWallet,
   batchScrapeProfiles
 };
@@ -0,0 +1,396 @@
+#!/usr/bin/env node
+/**
+ * Local API server for the dashboard
+ *
+ * Serves docs/ like GitHub Pages does, plus a small API over the published
+ * data in docs/data/:
+ *
+ *   GET /api/status                            { live, lastUpdated, refreshing, clients }
+ *   GET /api/traders[?watchlist=]              Trader summaries
+ *   GET /api/traders/<address>                 One trader's portfolio with positions
+ *   GET /api/markets/<conditionId>/positions   Aggregated outcomes and every holder of a market
+ *   GET /api/changes[?trader=&market=&watchlist=&since=&until=&limit=]
+ *                                              Recent changes, newest first (since/until in unix seconds)
+ *   GET /api/events                            Server-sent events:
+ *     changes    { changes }                   rows new since the previous data
+ *     aggregate  { metadata, summary }         after every data update
+ *
+ * The data is re-read whenever metadata.json changes (fetch_data.js writes it
+ * last), so a cron job or `fetch_data.js --watch` can keep it current. With
+ * --refresh the server runs the pipeline itself every poll_interval_seconds.
+ * The dashboard detects the server through /api/status and switches to live
+ * updates; served statically it keeps loading the JSON files.
+ *
+ * Usage:
+ *   node scripts/server.js [--refresh] [--<config-key> <value> ...]
+ */
+
+import fs from 'fs';
+import http from 'http';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { loadConfig, ConfigError } from './config.js';
+import { configureTransport } from './transport.js';
+import { runOnce } from './fetch_data.js';
+import { watch } from './watch.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const ROOT_DIR = path.join(__dirname, '..');
+const DOCS_DIR = path.join(ROOT_DIR, 'docs');
+const DATA_DIR = path.join(DOCS_DIR, 'data');
+
+const DATA_FILES = {
+  metadata: 'metadata.json',
+  traderPortfolios: 'trader_portfolios.json',
+  aggregatedPortfolio: 'aggregated_portfolio.json',
+  recentChanges: 'recent_changes.json'
+};
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.ico': 'image/x-icon'
+};
+
+const DATA_CHECK_INTERVAL_MS = 2000;
+const HEARTBEAT_INTERVAL_MS = 25000;
+
+/**
+ * Read the published data files (a missing file reads as null)
+ * @param {string} dataDir - Published data directory
+ * @returns {object} { metadata, traderPortfolios, aggregatedPortfolio, recentChanges }
+ */
+export function readData(dataDir = DATA_DIR) {
+  const data = {};
+  for (const [key, file] of Object.entries(DATA_FILES)) {
+    try {
+      data[key] = JSON.parse(fs.readFileSync(path.join(dataDir, file), 'utf-8'));
+    } catch {
+      data[key] = null;
+    }
+  }
+  return data;
+}
+
+/**
+ * Identity of a recent change row: its transaction hash and fill, or its
+ * timestamp for rows without a hash
+ */
+export function changeKey(c) {
+  const id = c.transactionHash || c.timestamp;
+  return [id, c.traderAddress, c.conditionId, c.outcomeIndex, c.action, c.delta].join(':');
+}
+
+/**
+ * Change rows of the next data that the previous data did not have
+ * @returns {Array} New rows, newest first
+ */
+export function newChanges(previous, next) {
+  const known = new Set((previous?.recentChanges?.changes || []).map(changeKey));
+  return (next?.recentChanges?.changes || []).filter(c => !known.has(changeKey(c)));
+}
+
+/**
+ * Addresses of a watchlist, or null for all traders (unknown ids match nobody)
+ */
+function watchlistAddresses(data, watchlist) {
+  if (!watchlist) return null;
+  const list = (data.metadata?.watchlists || []).find(w => w.id === watchlist);
+  return new Set(list?.addresses || []);
+}
+
+/**
+ * Trader summaries, biggest portfolio first
+ * @param {object} data - readData() result
+ * @param {object} query - { watchlist }
+ */
+export function listTraders(data, { watchlist = null } = {}) {
+  const members = watchlistAddresses(data, watchlist);
+  return Object.values(data.traderPortfolios || {})
+    .filter(t => !members || members.has(t.address))
+    .map(({ positions = [], ...trader }) => ({ ...trader, positionCount: positions.length }))
+    .sort((a, b) => (b.totalValue || 0) - (a.totalValue || 0));
+}
+
+/**
+ * Aggregated outcomes of a market and each trader's position in it
+ * @param {object} data - readData() result
+ * @param {string} conditionId - Market condition id
+ * @returns {{conditionId, outcomes: Array, holders: Array}}
+ */
+export function marketPositions(data, conditionId) {
+  const outcomes = (data.aggregatedPortfolio?.positions || []).filter(p => p.conditionId === conditionId);
+  const holders = [];
+  for (const trader of Object.values(data.traderPortfolios || {})) {
+    for (const pos of trader.positions || []) {
+      if (pos.conditionId !== conditionId) continue;
+      holders.push({
+        traderAddress: trader.address,
+        trader: trader.label,
+        outcome: pos.outcome,
+        outcomeIndex: pos.outcomeIndex,
+        size: pos.size,
+        avgPrice: pos.avgPrice,
+        curPrice: pos.curPrice,
+        currentValue: pos.currentValue
+      });
+    }
+  }
+  holders.sort((a, b) => (b.currentValue || 0) - (a.currentValue || 0));
+  return { conditionId, outcomes, holders };
+}
+
+/**
+ * Recent changes matching a query, newest first
+ * @param {object} data - readData() result
+ * @param {object} query - { trader (address or label), market (conditionId or slug),
+ *   watchlist, since, until (unix seconds), limit }
+ * @returns {{total: number, changes: Array}} total counts matches before the limit
+ */
+export function filterChanges(data, { trader = null, market = null, watchlist = null, since = null, until = null, limit = null } = {}) {
+  const members = watchlistAddresses(data, watchlist);
+  const traderKey = trader?.toLowerCase();
+  const matches = (data.recentChanges?.changes || []).filter(c =>
+    (!traderKey || c.traderAddress?.toLowerCase() === traderKey || c.trader?.toLowerCase() === traderKey) &&
+    (!market || c.conditionId === market || c.marketSlug === market) &&
+    (!members || members.has(c.traderAddress)) &&
+    (since === null || c.timestamp >= since) &&
+    (until === null || c.timestamp <= until)
+  );
+  return { total: matches.length, changes: limit ? matches.slice(0, limit) : matches };
+}
+
+/**
+ * Number query parameter, or null when absent or not a number
+ */
+function numberParam(params, name) {
+  const value = params.get(name);
+  return value !== null && value !== '' && Number.isFinite(Number(value)) ? Number(value) : null;
+}
+
+/**
+ * Create the dashboard server
+ * @param {object} options - { dataDir, docsDir, log }
+ * @returns {object} { server, reload(), broadcast(event, data), setRefreshing(bool), close() }
+ */
+export function createDashboardServer({ dataDir = DATA_DIR, docsDir = DOCS_DIR, log = console } = {}) {
+  const clients = new Set();
+  let data = readData(dataDir);
+  let dataVersion = null;
+  let refreshing = false;
+
+  const metadataVersion = () => {
+    try {
+      const { mtimeMs, size } = fs.statSync(path.join(dataDir, DATA_FILES.metadata));
+      return `${mtimeMs}:${size}`;
+    } catch {
+      return null;
+    }
+  };
+  dataVersion = metadataVersion();
+
+  const broadcast = (event, payload) => {
+    const message = `event: ${event}\ndata: ${JSON.stringify(payload)}\n\n`;
+    for (const res of clients) res.write(message);
+  };
+
+  /**
+   * Re-read the data if metadata.json changed and push the update
+   * @returns {Array|null} New change rows, or null when nothing changed
+   */
+  const reload = () => {
+    const version = metadataVersion();
+    if (version === dataVersion) return null;
+    dataVersion = version;
+
+    const next = readData(dataDir);
+    const added = newChanges(data, next);
+    data = next;
+    if (added.length > 0) broadcast('changes', { changes: added });
+    broadcast('aggregate', { metadata: data.metadata, summary: data.aggregatedPortfolio?.summary || null });
+    log.log(`Data updated (${data.metadata?.last_updated}): ${added.length} new change(s), ${clients.size} client(s)`);
+    return added;
+  };
+
+  const sendJSON = (res, status, body) => {
+    res.writeHead(status, { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' });
+    res.end(JSON.stringify(body));
+  };
+
+  const openEvents = (req, res) => {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-store',
+      'Connection': 'keep-alive'
+    });
+    res.write(`retry: 5000\nevent: hello\ndata: ${JSON.stringify({ lastUpdated: data.metadata?.last_updated || null })}\n\n`);
+    clients.add(res);
+    req.on('close', () => clients.delete(res));
+  };
+
+  const handleApi = (req, res, url) => {
+    const params = url.searchParams;
+    const parts = url.pathname.split('/').filter(Boolean).slice(1).map(decodeURIComponent);
+
+    if (parts[0] === 'status' && parts.length === 1) {
+      return sendJSON(res, 200, { live: true, lastUpdated: data.metadata?.last_updated || null, refreshing, clients: clients.size });
+    }
+    if (parts[0] === 'events' && parts.length === 1) {
+      return openEvents(req, res);
+    }
+    if (parts[0] === 'traders' && parts.length === 1) {
+      return sendJSON(res, 200, { traders: listTraders(data, { watchlist: params.get('watchlist') }) });
+    }
+    if (parts[0] === 'traders' && parts.length === 2) {
+      const trader = data.traderPortfolios?.[parts[1].toLowerCase()];
+      return trader ? sendJSON(res, 200, trader) : sendJSON(res, 404, { error: `Unknown trader ${parts[1]}` });
+    }
+    if (parts[0] === 'markets' && parts[2] === 'positions' && parts.length === 3) {
+      return sendJSON(res, 200, marketPositions(data, parts[1]));
+    }
+    if (parts[0] === 'changes' && parts.length === 1) {
+      return sendJSON(res, 200, filterChanges(data, {
+        trader: params.get('trader'),
+        market: params.get('market'),
+        watchlist: params.get('watchlist'),
+        since: numberParam(params, 'since'),
+        until: numberParam(params, 'until'),
+        limit: numberParam(params, 'limit')
+      }));
+    }
+    return sendJSON(res, 404, { error: `Unknown endpoint ${url.pathname}` });
+  };
+
+  const serveStatic = (res, url) => {
+    const relative = decodeURIComponent(url.pathname).replace(/^\/+/, '') || 'index.html';
+    const filepath = path.resolve(docsDir, relative.endsWith('/') ? `${relative}index.html` : relative);
+    if (filepath !== docsDir && !filepath.startsWith(docsDir + path.sep)) {
+      res.writeHead(403);
+      return res.end('Forbidden');
+    }
+    fs.readFile(filepath, (error, content) => {
+      if (error) {
+        res.writeHead(404, { 'Content-Type': 'text/plain' });
+        return res.end('Not found');
+      }
+      res.writeHead(200, {
+        'Content-Type': CONTENT_TYPES[path.extname(filepath)] || 'application/octet-stream',
+        'Cache-Control': 'no-cache'
+      });
+      res.end(content);
+    });
+  };
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      res.writeHead(405);
+      return res.end();
+    }
+    try {
+      if (url.pathname === '/api' || url.pathname.startsWith('/api/')) {
+        return handleApi(req, res, url);
+      }
+      return serveStatic(res, url);
+    } catch (error) {
+      // Malformed percent-encoding in the path
+      if (!(error instanceof URIError)) throw error;
+      res.writeHead(400, { 'Content-Type': 'text/plain' });
+      return res.end('Bad request');
+    }
+  });
+
+  const heartbeat = setInterval(() => {
+    for (const res of clients) res.write(': ping\n\n');
+  }, HEARTBEAT_INTERVAL_MS);
+  heartbeat.unref();
+
+  return {
+    server,
+    reload,
+    broadcast,
+    setRefreshing: value => { refreshing = value; },
+    close: () => new Promise(resolve => {
+      clearInterval(heartbeat);
+      for (const res of clients) res.end();
+      clients.clear();
+      server.close(() => resolve());
+    })
+  };
+}
+
+/**
+ * Main function
+ */
+async function main() {
+  const config = loadConfig();
+  const refresh = process.argv.includes('--refresh');
+  const app = createDashboardServer();
+
+  await new Promise((resolve, reject) => {
+    app.server.once('error', reject);
+    app.server.listen(config.server_port, config.server_host, resolve);
+  });
+  console.log(`Dashboard: http://${config.server_host}:${config.server_port}/`);
+
+  // Follow docs/data whoever writes it
+  const check = setInterval(app.reload, DATA_CHECK_INTERVAL_MS);
+
+  const controller = new AbortController();
+  let stopping = false;
+  const stop = async signal => {
+    if (stopping) {
+      console.warn(`${signal} again, exiting now`);
+      process.exit(1);
+    }
+    stopping = true;
+    console.log(`${signal} received, shutting down...`);
+    clearInterval(check);
+    controller.abort();
+    await app.close();
+    if (!refresh) process.exit(0);
+  };
+  process.on('SIGTERM', stop);
+  process.on('SIGINT', stop);
+
+  if (refresh) {
+    const transport = configureTransport(config);
+    console.log(`Refreshing every ${config.poll_interval_seconds}s`);
+    // The schedule follows the last config that loaded
+    let current = config;
+    await watch(async () => {
+      app.setRefreshing(true);
+      try {
+        current = loadConfig();
+        const metadata = await runOnce({ config: current, transport });
+        app.reload();
+        return metadata.trader_count === 0 || metadata.traders_fetched > 0;
+      } finally {
+        app.setRefreshing(false);
+      }
+    }, () => current, { signal: controller.signal, signals: [] });
+    process.exit(0);
+  }
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === __filename) {
+  main().catch(error => {
+    console.error(error instanceof ConfigError ? error.message : error);
+    process.exit(1);
+  });
+}
+
+export default {
+  readData,
+  changeKey,
+  newChanges,
+  listTraders,
+  marketPositions,
+  filterChanges,
+  createDashboardServer
+};
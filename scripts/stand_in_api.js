@@ -0,0 +1,216 @@
+#!/usr/bin/env node
+/**
+ * Local stand-in for the Polymarket APIs
+ *
+ * Answers every request the pipeline makes from an in-memory state, so
+ * fetch_data.js and the local server (scripts/server.js --refresh) run end to
+ * end without network access:
+ *
+ *   GET  /positions?user=                 state.positions[user]
+ *   GET  /activity?user=&limit=&offset=&start=&end=  state.activity[user], newest first, timestamps within [start, end]
+ *   GET  /value?user=                     sum of the user's position currentValue
+ *   GET  /profit                          state.leaderboard ([{ proxyWallet, amount }])
+ *   GET  /prices-history?market=&startTs=&endTs=  state.prices[market] ([{ t, p }]) within [startTs, endTs]
+ *   GET  /book?token_id=                  state.books[token_id] ({ bids, asks }), 404 without a book
+ *   GET  /markets?condition_ids=...       state.markets[conditionId] ({ category, tags: [{ slug, label }] })
+ *   POST /  (JSON-RPC eth_call)           USDC balanceOf from state.usdc[user]
+ *   GET  /profile/<address>, /@<name>     404: no profile page, PnL comes from the activity engine
+ *
+ *   POST /_stand-in/state                 { positions: { user: [...] }, activity: { user: [...] },
+ *                                           usdc: { user: n }, leaderboard: [...], prices: { token: [...] },
+ *                                           books: { token: {...} }, markets: { conditionId: {...} } }
+ *                                           replaces positions, USDC, the leaderboard, price histories,
+ *                                           books and market metadata, appends activity
+ *
+ * Point every base URL at it (data_api_base, lb_api_base, polygon_rpc_url,
+ * polymarket_web_base, clob_api_base, gamma_api_base), e.g.:
+ *   node scripts/stand_in_api.js --port 8787 --state state.json
+ *   node scripts/server.js --refresh --data-api-base http://127.0.0.1:8787 --lb-api-base http://127.0.0.1:8787 \
+ *     --polygon-rpc-url http://127.0.0.1:8787 --polymarket-web-base http://127.0.0.1:8787 \
+ *     --clob-api-base http://127.0.0.1:8787 --gamma-api-base http://127.0.0.1:8787
+ */
+
+import fs from 'fs';
+import http from 'http';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+
+// balanceOf(address) call data: selector + the address left-padded to 32 bytes
+const BALANCE_OF = '0x70a08231';
+const USDC_NATIVE = '0x3c499c542cef5e3811e1192ce70d8cc03d5c3359';
+
+/**
+ * Empty state with every section present, lowercasing addresses
+ */
+export function normalizeState(state = {}) {
+  const byUser = section => Object.fromEntries(Object.entries(section || {}).map(([user, v]) => [user.toLowerCase(), v]));
+  return {
+    positions: byUser(state.positions),
+    activity: byUser(state.activity),
+    usdc: byUser(state.usdc),
+    leaderboard: state.leaderboard || [],
+    prices: { ...state.prices },
+    books: { ...state.books },
+    markets: byUser(state.markets)
+  };
+}
+
+/**
+ * Merge an update into the state (see POST /_stand-in/state)
+ */
+export function applyUpdate(state, update) {
+  const next = normalizeState(update);
+  Object.assign(state.positions, next.positions);
+  Object.assign(state.usdc, next.usdc);
+  Object.assign(state.prices, next.prices);
+  Object.assign(state.books, next.books);
+  Object.assign(state.markets, next.markets);
+  for (const [user, rows] of Object.entries(next.activity)) {
+    state.activity[user] = [...(state.activity[user] || []), ...rows];
+  }
+  if (update.leaderboard) state.leaderboard = next.leaderboard;
+}
+
+/**
+ * Activity page for a query: newest first, within [start, end], at most limit rows after offset
+ */
+function activityPage(rows, params) {
+  const start = params.has('start') ? Number(params.get('start')) : -Infinity;
+  const end = params.has('end') ? Number(params.get('end')) : Infinity;
+  const limit = Number(params.get('limit')) || 100;
+  const offset = Number(params.get('offset')) || 0;
+  return rows
+    .filter(a => a.timestamp >= start && a.timestamp <= end)
+    .sort((a, b) => b.timestamp - a.timestamp)
+    .slice(offset, offset + limit);
+}
+
+/**
+ * Price history of a token within [startTs, endTs], oldest first
+ */
+function priceHistory(points, params) {
+  const start = params.has('startTs') ? Number(params.get('startTs')) : -Infinity;
+  const end = params.has('endTs') ? Number(params.get('endTs')) : Infinity;
+  return { history: points.filter(point => point.t >= start && point.t <= end).sort((a, b) => a.t - b.t) };
+}
+
+/**
+ * Answer a JSON-RPC request; only USDC balanceOf returns a balance
+ */
+function rpcResult(state, request) {
+  const call = request.params?.[0] || {};
+  let balance = 0;
+  if (request.method === 'eth_call' && call.to?.toLowerCase() === USDC_NATIVE && call.data?.startsWith(BALANCE_OF)) {
+    const user = '0x' + call.data.slice(-40).toLowerCase();
+    balance = Math.round((state.usdc[user] || 0) * 1e6);
+  }
+  return { jsonrpc: '2.0', id: request.id ?? 1, result: '0x' + balance.toString(16) };
+}
+
+/**
+ * Read a request body as JSON
+ */
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      try {
+        resolve(body ? JSON.parse(body) : {});
+      } catch (error) {
+        reject(error);
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Create the stand-in HTTP server
+ * @param {object} initialState - { positions, activity, usdc, leaderboard, prices, books, markets }
+ * @returns {{server: http.Server, state: object}} state can be changed while the server runs
+ */
+export function createStandInApi(initialState = {}) {
+  const state = normalizeState(initialState);
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://stand-in');
+    const user = (url.searchParams.get('user') || '').toLowerCase();
+    const send = (status, body) => {
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(body));
+    };
+
+    try {
+      if (req.method === 'POST' && url.pathname === '/_stand-in/state') {
+        applyUpdate(state, await readBody(req));
+        return send(200, { ok: true });
+      }
+      if (req.method === 'POST') {
+        return send(200, rpcResult(state, await readBody(req)));
+      }
+
+      switch (url.pathname) {
+        case '/positions':
+          return send(200, state.positions[user] || []);
+        case '/activity':
+          return send(200, activityPage(state.activity[user] || [], url.searchParams));
+        case '/value': {
+          const value = (state.positions[user] || []).reduce((sum, p) => sum + (parseFloat(p.currentValue) || 0), 0);
+          return send(200, [{ user, value }]);
+        }
+        case '/profit':
+          return send(200, state.leaderboard);
+        case '/prices-history':
+          return send(200, priceHistory(state.prices[url.searchParams.get('market')] || [], url.searchParams));
+        case '/markets':
+          return send(200, url.searchParams.getAll('condition_ids')
+            .filter(id => state.markets[id.toLowerCase()])
+            .map(id => ({ conditionId: id, ...state.markets[id.toLowerCase()] })));
+        case '/book': {
+          const book = state.books[url.searchParams.get('token_id')];
+          return book ? send(200, book) : send(404, { error: 'No orderbook exists for the requested token id' });
+        }
+        default:
+          return send(404, { error: 'Not found' });
+      }
+    } catch (error) {
+      send(400, { error: error.message });
+    }
+  });
+
+  return { server, state };
+}
+
+/**
+ * CLI entry point
+ */
+function main() {
+  const args = process.argv.slice(2);
+  const option = name => {
+    const i = args.indexOf(`--${name}`);
+    return i >= 0 ? args[i + 1] : undefined;
+  };
+  const port = Number(option('port') || 8787);
+  const statePath = option('state');
+  const initialState = statePath ? JSON.parse(fs.readFileSync(path.resolve(statePath), 'utf-8')) : {};
+
+  const { server } = createStandInApi(initialState);
+  server.listen(port, '127.0.0.1', () => {
+    console.log(`Polymarket API stand-in listening on http://127.0.0.1:${port}`);
+  });
+  process.on('SIGTERM', () => server.close(() => process.exit(0)));
+  process.on('SIGINT', () => server.close(() => process.exit(0)));
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === __filename) {
+  main();
+}
+
+export default {
+  normalizeState,
+  applyUpdate,
+  createStandInApi
+};
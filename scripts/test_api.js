@@ -0,0 +1,169 @@
+#!/usr/bin/env node
+/**
+ * End-to-end pipeline check against recorded API responses
+ *
+ * Usage:
+ *   node scripts/test_api.js                       Replay the fixtures in fixtures_dir (offline)
+ *   node scripts/test_api.js --record [--limit N]  Run against the live APIs and re-record the fixtures
+ *                                                  for the first N traders of the roster (default 3)
+ *
+ * Pipeline state (activity log, history, alert state) goes to a temporary
+ * directory and nothing is written to docs/data/, so the check never touches
+ * real data. The fixture directory holds a manifest.json with the recording
+ * time and roster, so a replay runs with the same clock and traders.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { computeAll, loadConfig, loadTraders } from './compute_aggregates.js';
+import { getFixturesDir } from './transport.js';
+import { ConfigError } from './config.js';
+
+const __filename = fileURLToPath(import.meta.url);
+
+const MANIFEST_FILE = 'manifest.json';
+
+/**
+ * Read the fixture manifest
+ * @returns {{recordedAt: number, traders: Array<object>}|null}
+ */
+export function readManifest(fixturesDir) {
+  const manifestPath = path.join(fixturesDir, MANIFEST_FILE);
+  if (!fs.existsSync(manifestPath)) return null;
+  return JSON.parse(fs.readFileSync(manifestPath, 'utf-8'));
+}
+
+/**
+ * Config for an isolated run: state in a temp directory, alerts off
+ */
+export function isolatedConfig(config, mode) {
+  const stateDir = fs.mkdtempSync(path.join(os.tmpdir(), 't1w-pipeline-'));
+  return {
+    ...config,
+    transport_mode: mode,
+    activity_dir: path.join(stateDir, 'activity'),
+    history_dir: path.join(stateDir, 'history'),
+    alert_state_file: path.join(stateDir, 'alerts_state.json'),
+    price_history_file: path.join(stateDir, 'price_history.json'),
+    market_metadata_file: path.join(stateDir, 'market_metadata.json'),
+    alerts_enabled: false,
+    ...(mode === 'replay' ? { retry_base_delay_ms: 0, profile_scrape_delay_ms: 0 } : {})
+  };
+}
+
+/**
+ * Sanity checks on a pipeline result
+ * The CLOB, Gamma and leaderboard requests fail softly, so their fields are
+ * checked too: a replay missing their fixtures would otherwise still pass.
+ * @param {object} result - computeAll() result
+ * @param {Array<object>} traders - Roster of the run
+ * @param {object} config - Config of the run (which optional requests were enabled)
+ * @returns {Array<string>} Failed checks
+ */
+export function checkResult(result, traders, config = {}) {
+  const failures = [];
+  const { metadata, aggregatedPortfolio, recentChanges, traderPortfolios, scorecards } = result;
+  const open = aggregatedPortfolio.positions.filter(p => p.status !== 'resolved');
+
+  if (metadata.traders_fetched !== traders.length) {
+    failures.push(`fetched ${metadata.traders_fetched} of ${traders.length} traders`);
+  }
+  if (aggregatedPortfolio.positions.length === 0) {
+    failures.push('no aggregated positions');
+  }
+  if (recentChanges.changes.length === 0) {
+    failures.push('no recent changes');
+  }
+  if (aggregatedPortfolio.positions.some(p => !p.category)) {
+    failures.push('positions without a category');
+  }
+  if (config.price_history_enabled !== false && open.some(p => p.markSource !== 'history')) {
+    failures.push(`${open.filter(p => p.markSource !== 'history').length} open positions without a price history mark`);
+  }
+  if (config.liquidity_enabled !== false && open.some(p => !p.liquidity)) {
+    failures.push(`${open.filter(p => !p.liquidity).length} open positions without an order book`);
+  }
+  if (config.market_metadata_enabled !== false && !aggregatedPortfolio.positions.some(p => p.categorySource === 'metadata')) {
+    failures.push('no position categorised from market metadata');
+  }
+  if (config.scorecards_enabled !== false && !scorecards?.traders.some(t => t.leaderboardRank !== null)) {
+    failures.push('no scorecard with a leaderboard rank');
+  }
+  for (const [address, portfolio] of Object.entries(traderPortfolios)) {
+    if (!Number.isFinite(portfolio.totalPnL)) {
+      failures.push(`PnL for ${address} is not a number`);
+    }
+  }
+  return failures;
+}
+
+/**
+ * Main function
+ */
+async function main() {
+  const args = process.argv.slice(2);
+  const record = args.includes('--record');
+  const limitIdx = args.indexOf('--limit');
+  const limit = limitIdx !== -1 ? parseInt(args[limitIdx + 1]) : 3;
+
+  try {
+    const baseConfig = loadConfig({ argv: [] });
+    const fixturesDir = getFixturesDir(baseConfig);
+    let traders;
+    let now;
+
+    if (record) {
+      traders = loadTraders().slice(0, limit);
+      now = Math.floor(Date.now() / 1000);
+      fs.mkdirSync(fixturesDir, { recursive: true });
+      for (const file of fs.readdirSync(fixturesDir).filter(f => f.endsWith('.json'))) {
+        fs.unlinkSync(path.join(fixturesDir, file));
+      }
+      fs.writeFileSync(
+        path.join(fixturesDir, MANIFEST_FILE),
+        JSON.stringify({ recordedAt: now, traders }, null, 2),
+        'utf-8'
+      );
+    } else {
+      const manifest = readManifest(fixturesDir);
+      if (!manifest) {
+        console.error(`No fixtures in ${fixturesDir}; run with --record first`);
+        process.exit(1);
+      }
+      traders = manifest.traders;
+      now = manifest.recordedAt;
+    }
+
+    const config = isolatedConfig(baseConfig, record ? 'record' : 'replay');
+    // The temp state directory has no previously published JSON to compare against
+    const result = await computeAll({ config, traders, now, outputDir: path.dirname(config.activity_dir) });
+    const failures = checkResult(result, traders, config);
+
+    console.log(`\n${record ? 'Recorded' : 'Replayed'} ${traders.length} traders from ${fixturesDir}`);
+    console.log(`  Positions: ${result.aggregatedPortfolio.positions.length}`);
+    console.log(`  Recent changes: ${result.recentChanges.changes.length}`);
+    console.log(`  Total exposure: $${Math.round(result.metadata.total_exposure).toLocaleString()}`);
+
+    if (failures.length > 0) {
+      console.error(`\nPipeline check failed:\n  - ${failures.join('\n  - ')}`);
+      process.exit(1);
+    }
+    console.log('\nPipeline check passed');
+    process.exit(0);
+  } catch (error) {
+    console.error(error instanceof ConfigError ? error.message : error);
+    process.exit(1);
+  }
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === __filename) {
+  main();
+}
+
+export default {
+  readManifest,
+  isolatedConfig,
+  checkResult
+};
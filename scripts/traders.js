@@ -0,0 +1,381 @@
+#!/usr/bin/env node
+/**
+ * Manage the trader roster (data/tier1_traders.csv)
+ *
+ * Usage:
+ *   node scripts/traders.js list [--tier N] [--list ID] [--json]
+ *   node scripts/traders.js add <address|@username> [--label NAME] [--tier N] [--lists ID;ID] [--notes TEXT]
+ *   node scripts/traders.js remove <address|label>
+ *   node scripts/traders.js set-tier <address|label> <tier>
+ *   node scripts/traders.js set-lists <address|label> <ID;ID>   (empty string: back to tier<N>)
+ *   node scripts/traders.js validate
+ *   node scripts/traders.js import <leaderboard.json|csv> [--limit N] [--min-profit USD] [--tier N] [--dry-run]
+ *
+ * All commands accept --file PATH to work on another roster file.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parseCSV, stringifyCSV, TRADERS_CSV_PATH } from './csv.js';
+import { isAddressFormat, validateAddress } from './address.js';
+import { resolveProxyWallet } from './scrape_profile.js';
+import { LIST_ID_PATTERN, parseListIds, traderListIds } from './watchlists.js';
+
+const __filename = fileURLToPath(import.meta.url);
+
+export const ROSTER_HEADERS = ['address', 'label', 'tier', 'notes', 'source_url', 'lists'];
+
+/**
+ * Read the roster, keeping any extra columns
+ * @param {string} csvPath - Roster file
+ * @returns {{headers: Array<string>, rows: Array<object>}}
+ */
+export function readRoster(csvPath = TRADERS_CSV_PATH) {
+  if (!fs.existsSync(csvPath)) {
+    return { headers: [...ROSTER_HEADERS], rows: [] };
+  }
+  const { headers, rows } = parseCSV(fs.readFileSync(csvPath, 'utf-8'));
+  const merged = [...ROSTER_HEADERS, ...headers.filter(h => !ROSTER_HEADERS.includes(h))];
+  return { headers: merged, rows };
+}
+
+/**
+ * Write the roster atomically so a failed write never leaves a half-written file
+ */
+export function writeRoster(roster, csvPath = TRADERS_CSV_PATH) {
+  const tmpPath = `${csvPath}.tmp`;
+  fs.writeFileSync(tmpPath, stringifyCSV(roster.headers, roster.rows), 'utf-8');
+  fs.renameSync(tmpPath, csvPath);
+}
+
+/**
+ * Validate every row of the roster
+ * @param {{headers: Array<string>, rows: Array<object>}} roster
+ * @returns {{errors: Array<string>, warnings: Array<string>}}
+ */
+export function validateRoster(roster) {
+  const errors = [];
+  const warnings = [];
+  const seenAddresses = new Map();
+  const seenLabels = new Map();
+
+  roster.rows.forEach((row, idx) => {
+    const line = idx + 2;
+    const address = row.address || '';
+
+    const check = validateAddress(address);
+    if (!check.valid) {
+      errors.push(`line ${line}: invalid address "${address}" (${check.error})`);
+    } else {
+      const key = address.toLowerCase();
+      if (seenAddresses.has(key)) {
+        errors.push(`line ${line}: duplicate address ${key} (first on line ${seenAddresses.get(key)})`);
+      } else {
+        seenAddresses.set(key, line);
+      }
+    }
+
+    if (row.tier && !/^[1-9][0-9]*$/.test(row.tier)) {
+      errors.push(`line ${line}: tier must be a positive integer, got "${row.tier}"`);
+    }
+
+    for (const id of parseListIds(row.lists)) {
+      if (!LIST_ID_PATTERN.test(id)) {
+        errors.push(`line ${line}: list id "${id}" may only use a-z, 0-9, - and _`);
+      }
+    }
+
+    if (!row.label) {
+      warnings.push(`line ${line}: no label for ${address}`);
+    } else {
+      const key = row.label.toLowerCase();
+      if (seenLabels.has(key)) {
+        warnings.push(`line ${line}: label "${row.label}" also used on line ${seenLabels.get(key)}`);
+      } else {
+        seenLabels.set(key, line);
+      }
+    }
+  });
+
+  return { errors, warnings };
+}
+
+/**
+ * Find a trader by address or label (case-insensitive)
+ * @returns {number} Row index, or -1
+ */
+export function findTrader(roster, query) {
+  const needle = (query || '').replace(/^@/, '').toLowerCase();
+  // An empty query would match every row without a label
+  if (!needle) return -1;
+  return roster.rows.findIndex(row =>
+    (row.address || '').toLowerCase() === needle || (row.label || '').toLowerCase() === needle
+  );
+}
+
+/**
+ * Add a trader, rejecting invalid or duplicate addresses
+ * @param {object} roster - Roster from readRoster()
+ * @param {object} trader - { address, label, tier, notes, source_url, lists }
+ * @returns {object} The added row
+ */
+export function addTrader(roster, trader) {
+  const check = validateAddress(trader.address);
+  if (!check.valid) {
+    throw new Error(`Invalid address "${trader.address}": ${check.error}`);
+  }
+
+  const address = trader.address.toLowerCase();
+  const existing = findTrader(roster, address);
+  if (existing !== -1) {
+    throw new Error(`${address} is already on the roster as "${roster.rows[existing].label}"`);
+  }
+
+  const row = {
+    address,
+    label: trader.label || `Trader_${address.slice(0, 6)}`,
+    tier: String(trader.tier || '1'),
+    notes: trader.notes || '',
+    source_url: trader.source_url || `https://polymarket.com/profile/${address}`,
+    lists: parseListIds(trader.lists).join(';')
+  };
+  roster.rows.push(row);
+  return row;
+}
+
+/**
+ * Parse a leaderboard dump (lb-api JSON array, wrapped JSON, or CSV)
+ * @param {string} content - File content
+ * @returns {Array<{address: string, label: string, amount: number|null}>} Entries, best first
+ */
+export function parseLeaderboardDump(content) {
+  const text = content.trim();
+  let items;
+  if (text.startsWith('[') || text.startsWith('{')) {
+    const data = JSON.parse(text);
+    items = Array.isArray(data) ? data : (data.data || data.leaderboard || data.users || []);
+  } else {
+    items = parseCSV(text).rows;
+  }
+
+  const entries = items
+    .map(item => {
+      const amount = parseFloat(item.amount ?? item.pnl ?? item.profit);
+      return {
+        address: item.proxyWallet || item.address || item.wallet || '',
+        label: item.name || item.userName || item.username || item.pseudonym || item.label || '',
+        amount: Number.isFinite(amount) ? amount : null
+      };
+    })
+    .filter(e => e.address);
+
+  return entries.sort((a, b) => (b.amount ?? -Infinity) - (a.amount ?? -Infinity));
+}
+
+/**
+ * Import leaderboard entries, skipping invalid and duplicate wallets
+ * @param {object} roster - Roster from readRoster()
+ * @param {Array} entries - Output of parseLeaderboardDump()
+ * @param {object} options - { limit, minProfit, tier }
+ * @returns {{added: Array<object>, skipped: Array<string>}}
+ */
+export function importLeaderboard(roster, entries, { limit = Infinity, minProfit = null, tier = '1' } = {}) {
+  const added = [];
+  const skipped = [];
+
+  for (const entry of entries) {
+    if (added.length >= limit) break;
+    if (minProfit !== null && (entry.amount ?? -Infinity) < minProfit) {
+      skipped.push(`${entry.address}: profit below ${minProfit}`);
+      continue;
+    }
+    try {
+      added.push(addTrader(roster, {
+        address: entry.address,
+        label: entry.label,
+        tier,
+        notes: entry.amount !== null ? `Leaderboard PnL ${Math.round(entry.amount)}` : '',
+        source_url: entry.label && !isAddressFormat(entry.label)
+          ? `https://polymarket.com/@${entry.label}`
+          : ''
+      }));
+    } catch (e) {
+      skipped.push(e.message);
+    }
+  }
+
+  return { added, skipped };
+}
+
+/**
+ * Split argv into positionals and --flags
+ */
+function parseArgs(argv) {
+  const positionals = [];
+  const flags = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg.startsWith('--')) {
+      const name = arg.slice(2);
+      const next = argv[i + 1];
+      if (next === undefined || next.startsWith('--')) {
+        flags[name] = true;
+      } else {
+        flags[name] = next;
+        i++;
+      }
+    } else {
+      positionals.push(arg);
+    }
+  }
+  return { positionals, flags };
+}
+
+/**
+ * Resolve an address or @username to a wallet address
+ */
+async function resolveTraderInput(input) {
+  if (isAddressFormat(input)) {
+    return { address: input, username: null };
+  }
+  const username = input.replace(/^@/, '');
+  console.log(`Resolving @${username} to a proxy wallet...`);
+  const address = await resolveProxyWallet(username);
+  if (!address) {
+    throw new Error(`Could not resolve @${username} to a wallet address`);
+  }
+  return { address, username };
+}
+
+/**
+ * Print validation results; returns false if there are errors
+ */
+function reportValidation({ errors, warnings }, rowCount) {
+  for (const w of warnings) console.warn(`warning: ${w}`);
+  for (const e of errors) console.error(`error: ${e}`);
+  if (errors.length === 0) {
+    console.log(`Roster OK: ${rowCount} traders${warnings.length ? `, ${warnings.length} warning(s)` : ''}`);
+  }
+  return errors.length === 0;
+}
+
+/**
+ * Main function
+ */
+async function main() {
+  const [command, ...rest] = process.argv.slice(2);
+  const { positionals, flags } = parseArgs(rest);
+  const csvPath = flags.file ? path.resolve(flags.file) : TRADERS_CSV_PATH;
+  const roster = readRoster(csvPath);
+
+  switch (command) {
+    case 'list': {
+      const rows = roster.rows
+        .filter(r => !flags.tier || r.tier === String(flags.tier))
+        .filter(r => !flags.list || traderListIds(r).includes(String(flags.list).toLowerCase()));
+      if (flags.json) {
+        console.log(JSON.stringify(rows, null, 2));
+        break;
+      }
+      for (const row of rows) {
+        console.log(`${row.address}  tier ${row.tier || '1'}  [${traderListIds(row).join(', ')}]  ${row.label}${row.notes ? `  (${row.notes})` : ''}`);
+      }
+      console.log(`${rows.length} trader(s)`);
+      break;
+    }
+
+    case 'add': {
+      if (!positionals[0]) throw new Error('Usage: traders.js add <address|@username> [--label NAME] [--tier N] [--lists ID;ID] [--notes TEXT]');
+      const { address, username } = await resolveTraderInput(positionals[0]);
+      const row = addTrader(roster, {
+        address,
+        label: flags.label || username,
+        tier: flags.tier,
+        lists: flags.lists,
+        notes: flags.notes,
+        source_url: username ? `https://polymarket.com/@${username}` : ''
+      });
+      if (!reportValidation(validateRoster(roster), roster.rows.length)) process.exit(1);
+      writeRoster(roster, csvPath);
+      console.log(`Added ${row.label} (${row.address})`);
+      break;
+    }
+
+    case 'remove': {
+      if (!positionals[0]) throw new Error('Usage: traders.js remove <address|label>');
+      const idx = findTrader(roster, positionals[0]);
+      if (idx === -1) throw new Error(`No trader matching "${positionals[0]}"`);
+      const [removed] = roster.rows.splice(idx, 1);
+      writeRoster(roster, csvPath);
+      console.log(`Removed ${removed.label} (${removed.address})`);
+      break;
+    }
+
+    case 'set-tier': {
+      const [query, tier] = positionals;
+      if (!/^[1-9][0-9]*$/.test(tier || '')) throw new Error('Usage: traders.js set-tier <address|label> <tier>');
+      const idx = findTrader(roster, query);
+      if (idx === -1) throw new Error(`No trader matching "${query}"`);
+      roster.rows[idx].tier = tier;
+      writeRoster(roster, csvPath);
+      console.log(`Set ${roster.rows[idx].label} to tier ${tier}`);
+      break;
+    }
+
+    case 'set-lists': {
+      const [query, lists] = positionals;
+      if (query === undefined || lists === undefined) throw new Error('Usage: traders.js set-lists <address|label> <ID;ID>');
+      const idx = findTrader(roster, query);
+      if (idx === -1) throw new Error(`No trader matching "${query}"`);
+      roster.rows[idx].lists = parseListIds(lists).join(';');
+      if (!reportValidation(validateRoster(roster), roster.rows.length)) process.exit(1);
+      writeRoster(roster, csvPath);
+      console.log(`${roster.rows[idx].label} is on ${traderListIds(roster.rows[idx]).join(', ')}`);
+      break;
+    }
+
+    case 'validate': {
+      if (!reportValidation(validateRoster(roster), roster.rows.length)) process.exit(1);
+      break;
+    }
+
+    case 'import': {
+      if (!positionals[0]) throw new Error('Usage: traders.js import <leaderboard.json|csv> [--limit N] [--min-profit USD] [--tier N] [--dry-run]');
+      const entries = parseLeaderboardDump(fs.readFileSync(positionals[0], 'utf-8'));
+      const { added, skipped } = importLeaderboard(roster, entries, {
+        limit: flags.limit ? parseInt(flags.limit) : Infinity,
+        minProfit: flags['min-profit'] !== undefined ? parseFloat(flags['min-profit']) : null,
+        tier: flags.tier || '1'
+      });
+      for (const reason of skipped) console.log(`skipped: ${reason}`);
+      for (const row of added) console.log(`${flags['dry-run'] ? 'would add' : 'added'}: ${row.label} (${row.address})`);
+      if (!flags['dry-run'] && added.length > 0) {
+        writeRoster(roster, csvPath);
+      }
+      console.log(`${added.length} added, ${skipped.length} skipped`);
+      break;
+    }
+
+    default:
+      console.log('Usage: node scripts/traders.js <list|add|remove|set-tier|set-lists|validate|import> [options]');
+      process.exit(command ? 1 : 0);
+  }
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === __filename) {
+  main().catch(error => {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  });
+}
+
+export default {
+  readRoster,
+  writeRoster,
+  validateRoster,
+  findTrader,
+  addTrader,
+  parseLeaderboardDump,
+  importLeaderboard
+};
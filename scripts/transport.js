@@ -0,0 +1,161 @@
+/**
+ * Pluggable HTTP transport for every outbound request
+ *
+ * Modes (config.transport_mode):
+ *   live    requests go to the network via fetch
+ *   record  like live, and every response is saved as a fixture file
+ *   replay  responses are served from fixture files; nothing touches the network
+ *
+ * A fixture is one JSON file per request in config.fixtures_dir, named after
+ * the host, path and a hash of method + URL + body:
+ *   { request: { method, url, body }, response: { status, statusText, contentType, body } }
+ *
+ * API modules call transportFetch() instead of fetch(); the active transport
+ * is chosen once per run with configureTransport() or injected with setTransport().
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const ROOT_DIR = path.join(__dirname, '..');
+
+export const TRANSPORT_MODES = ['live', 'record', 'replay'];
+
+/**
+ * Resolve the fixtures directory from config
+ */
+export function getFixturesDir(config = {}) {
+  const dir = config.fixtures_dir || 'test/fixtures/api';
+  return path.isAbsolute(dir) ? dir : path.join(ROOT_DIR, dir);
+}
+
+/**
+ * Fixture file name for a request
+ * @param {string} url - Request URL
+ * @param {object} options - fetch options (method, body)
+ * @returns {string} File name
+ */
+export function fixtureName(url, options = {}) {
+  const method = (options.method || 'GET').toUpperCase();
+  const body = typeof options.body === 'string' ? options.body : '';
+  const hash = crypto.createHash('sha256').update(`${method} ${url}\n${body}`).digest('hex').slice(0, 16);
+  const { host, pathname } = new URL(url);
+  const slug = `${host}${pathname}`.replace(/[^a-zA-Z0-9]+/g, '_').replace(/^_+|_+$/g, '').slice(0, 80);
+  return `${slug}-${hash}.json`;
+}
+
+/**
+ * Build a fetch Response from a saved fixture
+ */
+function fixtureResponse(fixture) {
+  const { status = 200, statusText = 'OK', contentType = 'application/json', body = '' } = fixture.response || {};
+  return new Response(status === 204 ? null : body, { status, statusText, headers: { 'Content-Type': contentType } });
+}
+
+/**
+ * Create a transport
+ * @param {object} options - { mode, fixturesDir, fetchImpl }
+ * @returns {{mode: string, fetch: function(string, object): Promise<Response>}}
+ */
+export function createTransport({ mode = 'live', fixturesDir = getFixturesDir(), fetchImpl = globalThis.fetch } = {}) {
+  if (!TRANSPORT_MODES.includes(mode)) {
+    throw new Error(`Unknown transport mode "${mode}" (expected ${TRANSPORT_MODES.join(', ')})`);
+  }
+
+  if (mode === 'live') {
+    return { mode, fetch: (url, options = {}) => fetchImpl(url, options) };
+  }
+
+  if (mode === 'replay') {
+    return {
+      mode,
+      async fetch(url, options = {}) {
+        const file = path.join(fixturesDir, fixtureName(url, options));
+        if (!fs.existsSync(file)) {
+          throw new Error(`No recorded fixture for ${(options.method || 'GET').toUpperCase()} ${url}`);
+        }
+        return fixtureResponse(JSON.parse(fs.readFileSync(file, 'utf-8')));
+      }
+    };
+  }
+
+  fs.mkdirSync(fixturesDir, { recursive: true });
+  return {
+    mode,
+    async fetch(url, options = {}) {
+      const response = await fetchImpl(url, options);
+      const body = await response.text();
+      const fixture = {
+        request: {
+          method: (options.method || 'GET').toUpperCase(),
+          url,
+          body: typeof options.body === 'string' ? options.body : null
+        },
+        response: {
+          status: response.status,
+          statusText: response.statusText,
+          contentType: response.headers.get('content-type') || 'application/json',
+          body
+        }
+      };
+      fs.writeFileSync(path.join(fixturesDir, fixtureName(url, options)), JSON.stringify(fixture, null, 2), 'utf-8');
+      return fixtureResponse(fixture);
+    }
+  };
+}
+
+let activeTransport = null;
+
+/**
+ * Use a specific transport for all subsequent requests
+ */
+export function setTransport(transport) {
+  activeTransport = transport;
+}
+
+/**
+ * Create and activate the transport described by config
+ * @returns {object} The active transport
+ */
+export function configureTransport(config = {}) {
+  activeTransport = createTransport({
+    mode: config.transport_mode || 'live',
+    fixturesDir: getFixturesDir(config)
+  });
+  return activeTransport;
+}
+
+/**
+ * The active transport (live if none was configured)
+ */
+export function getTransport() {
+  if (!activeTransport) {
+    activeTransport = createTransport();
+  }
+  return activeTransport;
+}
+
+/**
+ * fetch() through the active transport
+ * @param {string} url - Request URL
+ * @param {object} options - fetch options
+ * @returns {Promise<Response>}
+ */
+export function transportFetch(url, options = {}) {
+  return getTransport().fetch(url, options);
+}
+
+export default {
+  TRANSPORT_MODES,
+  getFixturesDir,
+  fixtureName,
+  createTransport,
+  setTransport,
+  configureTransport,
+  getTransport,
+  transportFetch
+};
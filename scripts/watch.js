@@ -0,0 +1,116 @@
+/**
+ * Watch mode: run the pipeline every poll_interval_seconds
+ *
+ * Runs start on a fixed schedule. A run that overruns its slot skips the
+ * ticks it missed rather than starting the next run straight away, so runs
+ * never overlap or pile up. While the upstream is failing (a run throws or
+ * reports failure) the delay doubles with every failed run, up to
+ * watch_max_backoff_seconds, and returns to the schedule after the next
+ * good run. SIGTERM and SIGINT stop the schedule and let the current run
+ * finish; a second signal exits at once.
+ */
+
+/**
+ * Delay before the next run
+ * @param {object} config - Config object (poll_interval_seconds, watch_max_backoff_seconds)
+ * @param {object} run - { startedAt, finishedAt } in ms, and failures: consecutive failed runs
+ * @returns {{delayMs: number, skipped: number}} skipped = scheduled runs missed by an overrun
+ */
+export function nextRunDelay(config, { startedAt, finishedAt, failures = 0 }) {
+  const intervalMs = (config.poll_interval_seconds || 300) * 1000;
+
+  if (failures > 0) {
+    const maxMs = (config.watch_max_backoff_seconds || 3600) * 1000;
+    return { delayMs: Math.min(intervalMs * Math.pow(2, failures), Math.max(maxMs, intervalMs)), skipped: 0 };
+  }
+
+  const elapsed = Math.max(0, finishedAt - startedAt);
+  return {
+    delayMs: intervalMs - (elapsed % intervalMs),
+    skipped: Math.floor(elapsed / intervalMs)
+  };
+}
+
+/**
+ * Wait, returning early when the signal aborts
+ */
+function sleep(ms, signal) {
+  return new Promise(resolve => {
+    if (signal.aborted) return resolve();
+    const timer = setTimeout(resolve, ms);
+    signal.addEventListener('abort', () => {
+      clearTimeout(timer);
+      resolve();
+    }, { once: true });
+  });
+}
+
+/**
+ * Run a cycle function on the poll schedule until stopped
+ * @param {function(number): Promise<boolean|void>} runCycle - One pipeline run; receives the
+ *   run number and returns false (or throws) when the upstream is failing
+ * @param {object|function(): object} config - Config object, or a function returning the current
+ *   one (the schedule then follows a config reloaded by the runs)
+ * @param {object} options - { signal: AbortSignal that stops the watcher, signals: process
+ *   signals to stop on (default SIGTERM, SIGINT), now, sleep, log } for tests
+ * @returns {Promise<{runs: number, failures: number}>} Resolves once stopped
+ */
+export async function watch(runCycle, config, options = {}) {
+  const {
+    signals = ['SIGTERM', 'SIGINT'],
+    now = () => Date.now(),
+    log = console
+  } = options;
+  const wait = options.sleep || sleep;
+  const currentConfig = typeof config === 'function' ? config : () => config;
+
+  const controller = new AbortController();
+  options.signal?.addEventListener('abort', () => controller.abort(), { once: true });
+
+  const onSignal = signal => {
+    if (controller.signal.aborted) {
+      log.warn(`${signal} again, exiting now`);
+      process.exit(1);
+    }
+    log.log(`${signal} received, stopping after the current run...`);
+    controller.abort();
+  };
+  for (const signal of signals) process.on(signal, onSignal);
+
+  let runs = 0;
+  let failures = 0;
+  try {
+    while (!controller.signal.aborted) {
+      const startedAt = now();
+      let ok;
+      try {
+        ok = (await runCycle(runs)) !== false;
+      } catch (error) {
+        log.error('Run failed:', error.message || error);
+        ok = false;
+      }
+      runs++;
+      failures = ok ? 0 : failures + 1;
+      if (controller.signal.aborted) break;
+
+      const { delayMs, skipped } = nextRunDelay(currentConfig(), { startedAt, finishedAt: now(), failures });
+      if (skipped > 0) {
+        log.warn(`Run took longer than poll_interval_seconds; skipping ${skipped} overlapping run(s)`);
+      }
+      if (failures > 0) {
+        log.warn(`Upstream failing (${failures} run(s) in a row), backing off`);
+      }
+      log.log(`Next run in ${Math.round(delayMs / 1000)}s`);
+      await wait(delayMs, controller.signal);
+    }
+  } finally {
+    for (const signal of signals) process.off(signal, onSignal);
+  }
+
+  return { runs, failures };
+}
+
+export default {
+  nextRunDelay,
+  watch
+};
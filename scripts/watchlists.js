@@ -0,0 +1,91 @@
+/**
+ * Watchlists: named cohorts of traders from the roster
+ *
+ * Every trader belongs to the lists named in the roster's `lists` column
+ * (separated by `;`), or to `tier<N>` when the column is empty, so an
+ * existing roster yields one list per tier. The `watchlists` config key
+ * names lists for display and defines combined lists as the union of others:
+ *
+ *   "watchlists": [
+ *     { "id": "sports", "name": "Sports specialists" },
+ *     { "id": "core", "name": "Tier 1 + Sports", "include": ["tier1", "sports"] }
+ *   ]
+ *
+ * All traders are fetched once per run; each list is then aggregated on its
+ * own from the shared portfolios and activity.
+ */
+
+// Lists are published under docs/data/watchlists/<id>/, so ids are path-safe
+export const LIST_ID_PATTERN = /^[a-z0-9][a-z0-9_-]*$/;
+
+/**
+ * Split a roster `lists` cell into list ids
+ * @param {string} value - e.g. "tier1; Sports"
+ * @returns {Array<string>} Lowercased ids, without blanks
+ */
+export function parseListIds(value) {
+  return String(value || '')
+    .split(';')
+    .map(id => id.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+/**
+ * Lists a roster row belongs to
+ */
+export function traderListIds(trader) {
+  const ids = parseListIds(trader.lists);
+  return ids.length > 0 ? ids : [`tier${trader.tier || '1'}`];
+}
+
+/**
+ * Resolve the watchlists of a roster
+ * @param {Array<object>} traders - Roster rows
+ * @param {object} config - Config object (watchlists)
+ * @returns {Array<object>} { id, name, include, addresses } in config order, then by id;
+ *   include is null for lists defined by the roster itself
+ */
+export function resolveWatchlists(traders, config = {}) {
+  const lists = new Map();
+  const listFor = id => {
+    if (!lists.has(id)) lists.set(id, { id, name: id, include: null, addresses: new Set() });
+    return lists.get(id);
+  };
+
+  for (const trader of traders) {
+    for (const id of traderListIds(trader)) {
+      listFor(id).addresses.add(trader.address.toLowerCase());
+    }
+  }
+
+  const configured = config.watchlists || [];
+  const rosterLists = new Map(lists);
+  for (const entry of configured) {
+    const list = listFor(entry.id);
+    list.name = entry.name || entry.id;
+    if (entry.include) {
+      // Combined lists draw on the roster's lists only, so definitions cannot loop
+      list.include = [...entry.include];
+      for (const id of entry.include) {
+        for (const address of rosterLists.get(id)?.addresses || []) list.addresses.add(address);
+      }
+    }
+  }
+
+  const order = configured.map(entry => entry.id);
+  return [...lists.values()]
+    .sort((a, b) => {
+      const ai = order.indexOf(a.id);
+      const bi = order.indexOf(b.id);
+      if (ai !== -1 || bi !== -1) return (ai === -1 ? Infinity : ai) - (bi === -1 ? Infinity : bi);
+      return a.id.localeCompare(b.id);
+    })
+    .map(list => ({ ...list, addresses: [...list.addresses].sort() }));
+}
+
+export default {
+  LIST_ID_PATTERN,
+  parseListIds,
+  traderListIds,
+  resolveWatchlists
+};
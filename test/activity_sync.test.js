@@ -0,0 +1,134 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { activityKey, loadCursors, readActivityLog, syncActivity, syncTraderActivity } from '../scripts/activity_sync.js';
+import { fetchActivityRange } from '../scripts/polymarket_api.js';
+import { setTransport } from '../scripts/transport.js';
+
+const NOW = 1792396800;
+const WALLET = '0x00000000000000000000000000000000000000a1';
+
+function trade(timestamp, hash, extra = {}) {
+  return { proxyWallet: WALLET, type: 'TRADE', side: 'BUY', conditionId: '0xfed', asset: '7001', size: 10, usdcSize: 5, timestamp, transactionHash: hash, ...extra };
+}
+
+/**
+ * Answer /activity from a list of rows the way the Data API does: newest
+ * first, within [start, end], limit rows after offset
+ */
+function activityApi(rows) {
+  const requests = [];
+  setTransport({
+    mode: 'test',
+    fetch: async url => {
+      const params = new URL(url).searchParams;
+      requests.push(Object.fromEntries(params));
+      const start = Number(params.get('start') || -Infinity);
+      const end = Number(params.get('end') || Infinity);
+      const offset = Number(params.get('offset') || 0);
+      const page = rows
+        .filter(a => a.timestamp >= start && a.timestamp <= end)
+        .sort((a, b) => b.timestamp - a.timestamp)
+        .slice(offset, offset + Number(params.get('limit')));
+      return new Response(JSON.stringify(page), { status: 200 });
+    }
+  });
+  return requests;
+}
+
+function tmpConfig(extra = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 't1w-activity-'));
+  return { activity_dir: path.join(dir, 'activity'), retry_attempts: 1, ...extra };
+}
+
+test('rows are keyed by transaction, type, token and side', () => {
+  assert.notEqual(activityKey(trade(NOW, '0x01')), activityKey(trade(NOW, '0x01', { asset: '7002' })));
+  assert.notEqual(activityKey(trade(NOW, '0x01')), activityKey(trade(NOW, '0x01', { type: 'REDEEM', side: '' })));
+  assert.equal(activityKey(trade(NOW, '0x01')), activityKey({ ...trade(NOW, '0x01'), price: 0.5 }));
+  assert.equal(activityKey(trade(NOW, '')), `${NOW}:10:5:TRADE:7001:BUY`);
+});
+
+test('later syncs resume from the cursor and skip rows already in the log', async () => {
+  const config = tmpConfig();
+  const rows = [trade(NOW - 300, '0x01'), trade(NOW - 200, '0x02'), trade(NOW - 200, '0x02', { asset: '7002' })];
+  const requests = activityApi(rows);
+  try {
+    await syncActivity([{ address: WALLET.toUpperCase() }], config, NOW);
+    const cursor = loadCursors(config)[WALLET];
+    assert.deepEqual([cursor.lastTimestamp, cursor.lastTransactionHash, cursor.complete, cursor.count], [NOW - 200, '0x02', true, 3]);
+    assert.equal(requests[0].start, undefined);
+    assert.equal(readActivityLog(WALLET, config)[0].proxyWallet, undefined);
+
+    rows.push(trade(NOW + 60, '0x03'));
+    requests.length = 0;
+    const logs = await syncActivity([{ address: WALLET }], config, NOW + 600);
+    assert.deepEqual(requests.map(r => Number(r.start)), [NOW - 200]);
+    assert.deepEqual([logs.get(WALLET).added, logs.get(WALLET).activity.length], [1, 4]);
+    assert.equal(readActivityLog(WALLET, config).length, 4);
+    assert.equal(loadCursors(config)[WALLET].lastTimestamp, NOW + 60);
+  } finally {
+    setTransport(null);
+  }
+});
+
+test('an incomplete first sync backfills older pages on later runs', async () => {
+  const config = tmpConfig({ activity_max_pages: 1, activity_backfill_pages: 1 });
+  const rows = Array.from({ length: 1500 }, (_, i) => trade(NOW - 1500 + i, `0x${i}`));
+  activityApi(rows);
+  try {
+    const first = await syncTraderActivity(WALLET, undefined, config, NOW);
+    assert.deepEqual([first.added, first.cursor.complete, first.cursor.oldestTimestamp], [1000, false, NOW - 1000]);
+
+    const second = await syncTraderActivity(WALLET, first.cursor, config, NOW);
+    assert.deepEqual([second.added, second.cursor.complete, second.cursor.oldestTimestamp], [500, true, NOW - 1500]);
+    assert.equal(readActivityLog(WALLET, config).length, 1500);
+  } finally {
+    setTransport(null);
+  }
+});
+
+test('a flood of new activity leaves a gap that later runs fill', async () => {
+  const config = tmpConfig({ activity_max_pages: 1, activity_backfill_pages: 1 });
+  const rows = [trade(NOW - 5000, '0xold')];
+  activityApi(rows);
+  try {
+    const first = await syncTraderActivity(WALLET, undefined, config, NOW - 4000);
+    assert.deepEqual(first.cursor.gaps, []);
+
+    // 2,500 new rows: the first 1,000 fit in this run, the rest are left as a gap
+    for (let i = 0; i < 2500; i++) rows.push(trade(NOW - 2500 + i, `0xnew${i}`));
+    const second = await syncTraderActivity(WALLET, first.cursor, config, NOW);
+    assert.equal(second.added, 1000);
+    assert.equal(second.cursor.lastTimestamp, NOW - 1);
+    assert.deepEqual(second.cursor.gaps, [{ start: NOW - 5000, end: NOW - 1000 }]);
+
+    const third = await syncTraderActivity(WALLET, second.cursor, config, NOW);
+    assert.equal(third.added, 999);
+    assert.deepEqual(third.cursor.gaps, [{ start: NOW - 5000, end: NOW - 1999 }]);
+
+    const fourth = await syncTraderActivity(WALLET, third.cursor, config, NOW);
+    assert.deepEqual(fourth.cursor.gaps, []);
+    assert.equal(fourth.cursor.count, 2501);
+    assert.equal(readActivityLog(WALLET, config).length, 2501);
+  } finally {
+    setTransport(null);
+  }
+});
+
+test('pages inside one busy second continue by offset', async () => {
+  const rows = [
+    ...Array.from({ length: 2500 }, (_, i) => trade(NOW, `0xsame${i}`)),
+    trade(NOW - 10, '0xbefore')
+  ];
+  const requests = activityApi(rows);
+  try {
+    const { activity, complete } = await fetchActivityRange(WALLET, { end: NOW, maxPages: 10 }, { retry_attempts: 1 });
+    assert.equal(complete, true);
+    assert.equal(new Set(activity.map(activityKey)).size, 2501);
+    assert.deepEqual(requests.map(r => [Number(r.end), Number(r.offset || 0)]), [[NOW, 0], [NOW, 1000], [NOW, 2000]]);
+  } finally {
+    setTransport(null);
+  }
+});
@@ -0,0 +1,219 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import {
+  aggregatePortfolios,
+  build24hChangeMap,
+  computeExposure,
+  loadPreviousPortfolio,
+  loadTraders,
+  processRecentChanges,
+  resolveOutcomeIndex
+} from '../scripts/compute_aggregates.js';
+import { getDefaults } from '../scripts/config.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const fixture = JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', 'aggregation.json'), 'utf-8'));
+const { now, traderPortfolios, activity } = fixture;
+
+const FED = '0xaaaa000000000000000000000000000000000000000000000000000000000001';
+const BTC = '0xbbbb000000000000000000000000000000000000000000000000000000000002';
+const NBA = '0xcccc000000000000000000000000000000000000000000000000000000000003';
+const ALIENS = '0xeeee000000000000000000000000000000000000000000000000000000000005';
+
+function tempDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 't1w-aggregation-'));
+}
+
+function aggregate(config = {}, outputDir = tempDir()) {
+  return aggregatePortfolios(traderPortfolios, { ...getDefaults(), ...config }, activity, now, outputDir);
+}
+
+function findPosition(positions, conditionId, outcomeIndex) {
+  return positions.find(p => p.conditionId === conditionId && p.outcomeIndex === outcomeIndex);
+}
+
+test('exposure prefers currentValue, then size x price, then size', () => {
+  assert.equal(computeExposure({ currentValue: 5500, size: 10000, curPrice: 0.9 }), 5500);
+  assert.equal(computeExposure({ currentValue: '-12.5' }), 12.5);
+  assert.equal(computeExposure({ currentValue: null, size: '1000', curPrice: '0.3' }), 300);
+  assert.equal(computeExposure({ size: 40 }), 40);
+  assert.equal(computeExposure({}), 0);
+  assert.equal(computeExposure({ currentValue: 'n/a', size: 'n/a' }), 0);
+});
+
+test('outcome index comes from the API, else from the Yes/No label', () => {
+  assert.equal(resolveOutcomeIndex({ outcomeIndex: 1, outcome: 'Celtics' }), 1);
+  assert.equal(resolveOutcomeIndex({ outcomeIndex: '2', outcome: 'Draw' }), 2);
+  assert.equal(resolveOutcomeIndex({ outcome: 'Yes' }), 0);
+  assert.equal(resolveOutcomeIndex({ outcome: 'No' }), 1);
+  assert.equal(resolveOutcomeIndex({ outcomeIndex: 999, outcome: 'No' }), 1);
+  assert.equal(resolveOutcomeIndex({ outcomeIndex: 999, outcome: '' }), 0);
+});
+
+test('24h change map nets buys and sells and includes the boundary second', () => {
+  const changes = build24hChangeMap(activity, now);
+
+  // +1000 an hour ago, -400 exactly 24h ago; the buy one second earlier is out
+  assert.equal(changes.get(`${FED}-0`), 600);
+  // No outcomeIndex on the row: the "No" label maps it to outcome 1
+  assert.equal(changes.get(`${ALIENS}-1`), 300);
+  // Redemptions are not trades
+  assert.equal(changes.has(`${BTC}-0`), false);
+  assert.equal(changes.has(`${BTC}-999`), false);
+});
+
+test('positions are merged per outcome across traders that were fetched', () => {
+  const { positions } = aggregate();
+  const fed = findPosition(positions, FED, 0);
+
+  // The failed fetch holds the same outcome but must not count
+  assert.equal(fed.traderCount, 2);
+  assert.equal(fed.totalExposure, 7700);
+  assert.equal(fed.avgEntry, 0.43);
+  assert.equal(fed.curPrice, 0.55);
+  assert.equal(fed.change24h, 600);
+  assert.deepEqual(fed.traders.map(t => t.label), ['Whale', 'Sharp']);
+});
+
+test('named outcomes of one market stay separate rows', () => {
+  const { positions } = aggregate({ min_usd_filter: 0 });
+
+  assert.equal(findPosition(positions, NBA, 1).outcome, 'Celtics');
+  assert.equal(findPosition(positions, NBA, 0).outcome, 'Lakers');
+});
+
+test('missing fields fall back to string values and the outcome label', () => {
+  const aliens = findPosition(aggregate().positions, ALIENS, 1);
+
+  assert.equal(aliens.outcome, 'No');
+  assert.equal(aliens.totalExposure, 300);
+  assert.equal(aliens.avgEntry, 0.25);
+  assert.equal(aliens.change24h, 300);
+});
+
+test('zero-size leftovers are dropped before aggregation', () => {
+  const { positions, summary } = aggregate({ min_usd_filter: 0 });
+
+  assert.equal(positions.some(p => p.conditionId === BTC), false);
+  assert.equal(summary.distinctMarkets, 4);
+});
+
+test('min_usd_filter hides small rows but the summary still counts them', () => {
+  const { positions, summary } = aggregate({ min_usd_filter: 50 });
+
+  assert.equal(findPosition(positions, NBA, 0), undefined);
+  assert.ok(findPosition(positions, NBA, 1));
+  assert.equal(summary.totalExposure, 9814);
+  assert.equal(summary.totalCapital, 9814 + 58000);
+  assert.deepEqual(
+    positions.map(p => p.totalExposure),
+    [7700, 1040, 750, 300]
+  );
+
+  assert.equal(aggregate({ min_usd_filter: 1000 }).positions.length, 2);
+});
+
+test('trader count change compares against the previous snapshot in outputDir', () => {
+  const outputDir = tempDir();
+  fs.writeFileSync(path.join(outputDir, 'aggregated_portfolio.json'), JSON.stringify({
+    positions: [
+      { conditionId: FED, outcomeIndex: 0, traderCount: 1 },
+      { conditionId: NBA, outcomeIndex: 1, traderCount: 3 }
+    ]
+  }));
+
+  assert.equal(loadPreviousPortfolio(path.join(outputDir, 'aggregated_portfolio.json')).get(`${FED}-0`), 1);
+
+  const { positions } = aggregate({}, outputDir);
+  assert.equal(findPosition(positions, FED, 0).traderCountChange, 1);
+  assert.equal(findPosition(positions, NBA, 1).traderCountChange, -2);
+  // Outcomes that are new since the last snapshot report no change
+  assert.equal(findPosition(positions, ALIENS, 1).traderCountChange, 0);
+});
+
+test('a missing or corrupt previous snapshot is treated as empty', () => {
+  const outputDir = tempDir();
+  assert.equal(loadPreviousPortfolio(path.join(outputDir, 'aggregated_portfolio.json')).size, 0);
+
+  fs.writeFileSync(path.join(outputDir, 'aggregated_portfolio.json'), '{ "positions": [');
+  const warn = console.warn;
+  console.warn = () => {};
+  try {
+    assert.equal(loadPreviousPortfolio(path.join(outputDir, 'aggregated_portfolio.json')).size, 0);
+  } finally {
+    console.warn = warn;
+  }
+});
+
+test('window summaries include trades exactly on each boundary', () => {
+  const { windowSummaries } = processRecentChanges(activity, traderPortfolios, {}, now);
+
+  assert.deepEqual(windowSummaries, {
+    '1h': 1000,
+    '6h': 1300,
+    '24h': 900,
+    '7d': 1100,
+    // The Lakers buy has no usdcSize, so its share count stands in
+    '30d': 1200
+  });
+});
+
+test('recent changes skip non-trades and resolve outcomes', () => {
+  const { changes } = processRecentChanges(activity, traderPortfolios, {}, now);
+
+  assert.equal(changes.length, 6);
+  assert.equal(changes.some(c => c.transactionHash === '0x03'), false);
+
+  const aliens = changes.find(c => c.transactionHash === '0x02');
+  assert.equal(aliens.outcomeIndex, 1);
+  assert.equal(aliens.outcome, 'No');
+  assert.equal(aliens.action, 'increased');
+
+  const sell = changes.find(c => c.transactionHash === '0x04');
+  assert.equal(sell.action, 'decreased');
+  assert.equal(sell.delta, -400);
+});
+
+test('redemptions are listed apart from trades', () => {
+  const { redemptions } = processRecentChanges(activity, traderPortfolios, {}, now);
+
+  assert.equal(redemptions.length, 1);
+  assert.equal(redemptions[0].transactionHash, '0x03');
+  assert.equal(redemptions[0].action, 'redeemed');
+  assert.equal(redemptions[0].payout, 500);
+});
+
+test('max_recent_events caps the list but not the summaries', () => {
+  const { changes, windowSummaries } = processRecentChanges(activity, traderPortfolios, { max_recent_events: 2 }, now);
+
+  assert.deepEqual(changes.map(c => c.transactionHash), ['0x01', '0x02']);
+  assert.equal(windowSummaries['30d'], 1200);
+});
+
+test('the clock is injectable', () => {
+  const later = now + 2 * 3600;
+
+  assert.equal(processRecentChanges(activity, traderPortfolios, {}, later).windowSummaries['1h'], 0);
+  assert.equal(build24hChangeMap(activity, later).get(`${FED}-0`), 1000);
+});
+
+test('roster rows are parsed with quoted fields and rows without an address dropped', () => {
+  const csvPath = path.join(tempDir(), 'traders.csv');
+  fs.writeFileSync(csvPath, [
+    'address,label,tier,notes',
+    '0x00000000000000000000000000000000000000a1,"Whale, The",1,"said ""buy"""',
+    ',Orphan,2,',
+    '0x00000000000000000000000000000000000000b2,Sharp,1,'
+  ].join('\n') + '\n');
+
+  const traders = loadTraders(csvPath);
+
+  assert.equal(traders.length, 2);
+  assert.equal(traders[0].label, 'Whale, The');
+  assert.equal(traders[0].notes, 'said "buy"');
+  assert.equal(traders[1].address, '0x00000000000000000000000000000000000000b2');
+});
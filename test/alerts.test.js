@@ -0,0 +1,142 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { evaluateAlerts, loadAlertState, runAlerts, sinkKey } from '../scripts/alerts.js';
+
+const NOW = 1792396800;
+const MARKET = '0xfed0000000000000000000000000000000000000000000000000000000000001';
+
+function change(traderAddress, delta, timestamp, extra = {}) {
+  return {
+    timestamp, trader: traderAddress.slice(0, 6), traderAddress, market: 'Fed cut in December?', eventSlug: 'fed-december',
+    conditionId: MARKET, asset: '7001', outcome: 'Yes', outcomeIndex: 0, delta, price: 0.4, transactionHash: `0x${traderAddress}${timestamp}`, ...extra
+  };
+}
+
+test('large trades fire within the lookback window', () => {
+  const alerts = evaluateAlerts({
+    changes: [change('0xa1', 60000, NOW - 60), change('0xb2', -300000, NOW - 120), change('0xc3', 60000, NOW - 8 * 3600), change('0xd4', 1000, NOW)]
+  }, {}, NOW);
+  assert.deepEqual(alerts.map(a => [a.rule, a.severity, a.data.traderAddress]), [
+    ['large_trade', 'medium', '0xa1'],
+    ['large_trade', 'high', '0xb2']
+  ]);
+  assert.equal(alerts[1].title, '0xb2 sold $300,000 of Yes');
+  assert.equal(alerts[0].url, 'https://polymarket.com/event/fed-december');
+});
+
+test('clusters fire when enough traders buy one outcome, again as they grow', () => {
+  const changes = ['0xa1', '0xb2', '0xc3'].map(address => change(address, 1000, NOW - 600));
+  const [cluster] = evaluateAlerts({ changes }, {}, NOW);
+  assert.deepEqual([cluster.rule, cluster.id, cluster.data.totalBought], ['cluster_entry', `cluster_entry:${MARKET}-0:3`, 3000]);
+
+  const grown = evaluateAlerts({ changes: [...changes, change('0xd4', 500, NOW - 60)] }, {}, NOW);
+  assert.equal(grown[0].id, `cluster_entry:${MARKET}-0:4`);
+  assert.deepEqual(evaluateAlerts({ changes: changes.slice(0, 2) }, {}, NOW), []);
+  assert.deepEqual(evaluateAlerts({ changes: [...changes.slice(0, 2), change('0xc3', -1000, NOW)] }, {}, NOW), []);
+});
+
+test('exits and flips of the previous run\'s top positions fire', () => {
+  const previousSnapshot = {
+    traders: {
+      '0xa1': { positions: [{ conditionId: MARKET, outcomeIndex: 0, asset: '7001', currentValue: 5000 }] },
+      '0xb2': { positions: [{ conditionId: '0x02', outcomeIndex: 0, asset: '8001', currentValue: 10 }] }
+    }
+  };
+  const positionEvents = [
+    { id: 'closed:0xa1:7001', type: 'closed', trader: 'A', traderAddress: '0xa1', conditionId: MARKET, outcomeIndex: 0, asset: '7001', outcome: 'Yes', valueDelta: -5000 },
+    { id: 'flipped:0xb2:8002', type: 'flipped', trader: 'B', traderAddress: '0xb2', conditionId: '0x02', outcomeIndex: 1, asset: '8002', outcome: 'No', fromOutcomeIndex: 0, fromAsset: '8001', fromOutcome: 'Yes', valueDelta: 0 },
+    { id: 'trimmed:0xa1:7001', type: 'trimmed', conditionId: MARKET, outcomeIndex: 0, asset: '7001' }
+  ];
+
+  const alerts = evaluateAlerts({ positionEvents, previousSnapshot }, {}, NOW);
+  assert.deepEqual(alerts.map(a => a.id), ['top_exit:closed:0xa1:7001', 'top_exit:flipped:0xb2:8002']);
+  assert.equal(evaluateAlerts({ positionEvents, previousSnapshot }, { alert_top_exit_rank: 1 }, NOW).length, 1);
+});
+
+test('alerts are delivered once per sink and retried only for the sinks that failed', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 't1w-alerts-'));
+  const good = { type: 'file', path: path.join(dir, 'good.log') };
+  // A file where the sink expects a directory: appending fails until it is removed
+  fs.writeFileSync(path.join(dir, 'blocked'), '');
+  const flaky = { type: 'file', path: path.join(dir, 'blocked', 'flaky.log') };
+  const config = { alerts_enabled: true, alert_state_file: path.join(dir, 'state.json'), alert_sinks: [good, flaky] };
+  const inputs = { changes: [change('0xa1', 60000, NOW - 60)] };
+  const lines = file => fs.existsSync(file) ? fs.readFileSync(file, 'utf-8').trim().split('\n').length : 0;
+
+  const warn = console.warn;
+  const log = console.log;
+  console.warn = () => {};
+  console.log = () => {};
+  try {
+    assert.equal((await runAlerts(inputs, config, NOW)).length, 1);
+    let state = loadAlertState(config);
+    assert.deepEqual(state.fired, {});
+    assert.deepEqual(Object.values(state.pending)[0].sinks, [sinkKey(good)]);
+
+    // Still failing: the good sink is not sent the alert again
+    assert.equal((await runAlerts(inputs, config, NOW + 600)).length, 0);
+    assert.equal(lines(good.path), 1);
+
+    fs.rmSync(path.join(dir, 'blocked'));
+    assert.equal((await runAlerts(inputs, config, NOW + 1200)).length, 1);
+    assert.deepEqual([lines(good.path), lines(flaky.path)], [1, 1]);
+    state = loadAlertState(config);
+    assert.deepEqual(Object.values(state.fired), [NOW + 1200]);
+    assert.deepEqual(state.pending, {});
+
+    assert.equal((await runAlerts(inputs, config, NOW + 1800)).length, 0);
+    assert.equal(lines(flaky.path), 1);
+
+    // Past alert_dedup_hours a partly delivered alert is given up on
+    const stale = { ...config, alert_state_file: path.join(dir, 'stale.json'), alert_sinks: [good, { type: 'nowhere' }] };
+    await runAlerts(inputs, stale, NOW);
+    assert.equal(Object.keys(loadAlertState(stale).pending).length, 1);
+    await runAlerts({}, stale, NOW + 73 * 3600);
+    assert.deepEqual(loadAlertState(stale), { fired: {}, pending: {} });
+  } finally {
+    console.warn = warn;
+    console.log = log;
+  }
+});
+
+test('sink ids do not depend on their order or expose their settings', () => {
+  const sink = { type: 'webhook', url: 'https://example.test/hook?token=secret' };
+  assert.equal(sinkKey(sink), sinkKey({ ...sink }));
+  assert.notEqual(sinkKey(sink), sinkKey({ type: 'webhook', url: 'https://example.test/other' }));
+  assert.match(sinkKey(sink), /^webhook-[0-9a-f]{12}$/);
+});
+
+test('a sink that does not answer in time counts as failed and is retried', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 't1w-alerts-'));
+  let requests = 0;
+  // Accepts the request and never answers
+  const server = http.createServer(() => { requests++; });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const hook = { type: 'webhook', url: `http://127.0.0.1:${server.address().port}/hook` };
+  const file = { type: 'file', path: path.join(dir, 'alerts.log') };
+  const config = { alerts_enabled: true, alert_state_file: path.join(dir, 'state.json'), alert_sinks: [file, hook], request_timeout_ms: 100 };
+  const inputs = { changes: [change('0xa1', 60000, NOW - 60)] };
+
+  const warn = console.warn;
+  const log = console.log;
+  const warnings = [];
+  console.warn = (...args) => warnings.push(args.join(' '));
+  console.log = () => {};
+  try {
+    assert.equal((await runAlerts(inputs, config, NOW)).length, 1);
+    assert.deepEqual(Object.values(loadAlertState(config).pending)[0].sinks, [sinkKey(file)]);
+    assert.match(warnings.join('\n'), /webhook failed: no response within 100ms/);
+
+    await runAlerts(inputs, config, NOW + 600);
+    assert.equal(requests, 2);
+  } finally {
+    console.warn = warn;
+    console.log = log;
+    server.closeAllConnections();
+    server.close();
+  }
+});
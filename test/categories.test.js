@@ -0,0 +1,130 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { aggregateCategories, applyCategories, categoryFromMetadata, categoryOf, resolveCategory } from '../scripts/categories.js';
+import { loadCategoryContext, loadCategoryOverrides } from '../scripts/market_metadata.js';
+import { setTransport } from '../scripts/transport.js';
+
+const NOW = 1792396800;
+const FED = { conditionId: '0xFED', title: 'Fed rate cut in December 2026?', slug: 'fed-rate-cut-in-december-2026', eventSlug: 'fed-december' };
+const GAME = { conditionId: '0xgame', title: 'Lakers vs. Celtics', slug: 'nba-lal-bos-2026-10-20', eventSlug: 'nba-lal-bos' };
+const ODD = { conditionId: '0xodd', title: 'Will it snow in Miami?', slug: 'snow-in-miami', eventSlug: 'snow-in-miami' };
+
+test('keyword rules do not read every contest or game as sports', () => {
+  assert.equal(categoryOf({ title: 'Trump vs Harris', slug: 'trump-vs-harris' }), 'politics');
+  assert.equal(categoryOf({ title: 'GTA VI game release in 2026?', slug: 'gta-vi-game-release-in-2026' }), 'other');
+  assert.equal(categoryOf({ title: "Will Ohtani match Bonds's record?", slug: 'will-ohtani-match-bonds-record' }), 'other');
+  assert.equal(categoryOf({ title: 'Will the Fed cut rates before the World Cup?' }), 'economics');
+  assert.equal(categoryOf(GAME), 'sports');
+  assert.equal(categoryOf({ title: 'Champions League winner?', slug: 'champions-league-winner' }), 'sports');
+});
+
+test('metadata categories and tags map onto the built-in categories', () => {
+  assert.equal(categoryFromMetadata({ category: 'Sports', tags: [] }), 'sports');
+  assert.equal(categoryFromMetadata({ category: 'US-current-affairs' }), 'politics');
+  assert.equal(categoryFromMetadata({ category: null, tags: ['weather', 'Pop Culture'] }), 'culture');
+  assert.equal(categoryFromMetadata({ category: null, tags: ['weather'] }), null);
+});
+
+test('overrides win over metadata, which wins over keyword rules', () => {
+  const context = {
+    metadata: { '0xfed': { category: null, tags: ['politics'] }, '0xodd': { category: null, tags: ['weather'] } },
+    overrides: { 'nba-lal-bos': 'basketball' }
+  };
+  assert.deepEqual(resolveCategory(FED, context), { category: 'politics', tags: ['politics'], categorySource: 'metadata' });
+  assert.deepEqual(resolveCategory(GAME, context), { category: 'basketball', tags: [], categorySource: 'override' });
+  assert.deepEqual(resolveCategory(ODD, context), { category: 'other', tags: ['weather'], categorySource: 'keywords' });
+  assert.equal(resolveCategory(FED).category, 'economics');
+  assert.equal(resolveCategory(FED, { overrides: { '0xfed': 'rates' } }).category, 'rates');
+  // Keys are matched case-insensitively, like the file loader stores them
+  assert.equal(resolveCategory({ ...GAME, slug: 'NBA-LAL-BOS-2026-10-20', eventSlug: 'NBA-LAL-BOS' }, context).category, 'basketball');
+  assert.equal(resolveCategory({ ...ODD, slug: 'Snow-In-Miami' }, { overrides: { 'snow-in-miami': 'weather' } }).category, 'weather');
+});
+
+function trade(market, side, usdcSize, timestamp, traderAddress = '0xa') {
+  return { ...market, type: 'TRADE', side, usdcSize, timestamp, traderAddress };
+}
+
+test('exposure, holders and flow are aggregated per category', () => {
+  const positions = [
+    { ...FED, category: 'economics', totalExposure: 600, traders: [{ address: '0xa' }, { address: '0xb' }] },
+    { ...FED, outcomeIndex: 1, category: 'economics', totalExposure: 150, traders: [{ address: '0xa' }] },
+    { ...GAME, category: 'sports', totalExposure: 250, traders: [{ address: '0xc' }] }
+  ];
+  const activity = [
+    trade(FED, 'BUY', 100, NOW - 3600),
+    trade(FED, 'SELL', 40, NOW - 3 * 86400),
+    trade(GAME, 'BUY', 70, NOW - 20 * 86400),
+    trade(ODD, 'BUY', 25, NOW - 60),
+    { ...FED, type: 'REDEEM', usdcSize: 500, timestamp: NOW - 60 },
+    // No USD size: a share count is not flow
+    { ...FED, type: 'TRADE', side: 'BUY', size: 5000, timestamp: NOW - 60 }
+  ];
+
+  assert.deepEqual(aggregateCategories(positions, activity, {}, NOW), [
+    { category: 'economics', exposure: 750, share: 0.75, positionCount: 2, traderCount: 2, flow24h: 100, flow7d: 60 },
+    { category: 'sports', exposure: 250, share: 0.25, positionCount: 1, traderCount: 1, flow24h: 0, flow7d: 0 },
+    { category: 'other', exposure: 0, share: 0, positionCount: 0, traderCount: 0, flow24h: 25, flow7d: 25 }
+  ]);
+});
+
+test('positions and change rows are tagged with their category', () => {
+  const portfolio = { positions: [{ ...FED, totalExposure: 100, traders: [] }], summary: {} };
+  const changes = {
+    changes: [{ conditionId: GAME.conditionId, market: GAME.title, marketSlug: GAME.slug, eventSlug: GAME.eventSlug }],
+    redemptions: [{ conditionId: ODD.conditionId, market: ODD.title, marketSlug: ODD.slug, eventSlug: ODD.eventSlug }]
+  };
+  applyCategories(portfolio, changes, [], { overrides: { 'snow-in-miami': 'weather' } }, NOW);
+
+  assert.deepEqual([portfolio.positions[0].category, portfolio.positions[0].categorySource], ['economics', 'keywords']);
+  assert.equal(changes.changes[0].category, 'sports');
+  assert.equal(changes.redemptions[0].category, 'weather');
+  assert.deepEqual(portfolio.categories.map(c => c.category), ['economics']);
+});
+
+test('market metadata is fetched once per market and overrides are read from their file', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 't1w-categories-'));
+  const overridesFile = path.join(dir, 'overrides.json');
+  fs.writeFileSync(overridesFile, JSON.stringify({ '0xODD': ' Weather ', 'NBA-LAL-BOS ': 'Basketball', 'snow-in-miami': '', skipped: 3 }));
+  const config = {
+    market_metadata_file: path.join(dir, 'market_metadata.json'),
+    category_overrides_file: overridesFile,
+    gamma_api_base: 'http://gamma.test',
+    retry_attempts: 1
+  };
+  assert.deepEqual(loadCategoryOverrides(config), { '0xodd': 'weather', 'nba-lal-bos': 'basketball' });
+
+  const requested = [];
+  setTransport({
+    mode: 'test',
+    fetch: async url => {
+      const ids = new URL(url).searchParams.getAll('condition_ids');
+      requested.push(...ids);
+      const known = { '0xfed': { conditionId: '0xFED', category: null, tags: [], events: [{ tags: [{ slug: 'economy', label: 'Economy' }] }] } };
+      return new Response(JSON.stringify(ids.filter(id => known[id]).map(id => known[id])), { status: 200 });
+    }
+  });
+  try {
+    const first = await loadCategoryContext(['0xFED', '0xgame', '0xfed'], config, NOW);
+    assert.deepEqual(requested.sort(), ['0xfed', '0xgame']);
+    assert.deepEqual(first.metadata, { '0xfed': { category: null, tags: ['economy'] }, '0xgame': { category: null, tags: [] } });
+    assert.equal(resolveCategory(FED, first).categorySource, 'metadata');
+
+    requested.length = 0;
+    const second = await loadCategoryContext(['0xfed', '0xodd'], config, NOW);
+    assert.deepEqual(requested, ['0xodd']);
+    // Markets no longer held or traded stay cached
+    assert.deepEqual(Object.keys(second.metadata), ['0xfed', '0xgame', '0xodd']);
+    assert.equal(resolveCategory(ODD, second).category, 'weather');
+    assert.equal(resolveCategory(GAME, second).category, 'basketball');
+
+    requested.length = 0;
+    const offline = await loadCategoryContext(['0xnew'], { ...config, market_metadata_enabled: false }, NOW);
+    assert.deepEqual(requested, []);
+    assert.deepEqual(Object.keys(offline.metadata), ['0xfed', '0xgame', '0xodd']);
+  } finally {
+    setTransport(null);
+  }
+});
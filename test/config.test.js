@@ -0,0 +1,79 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { loadConfig, resolveConfig, getDefaults, ConfigError } from '../scripts/config.js';
+
+function writeConfig(data) {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 't1w-config-')), 'config.json');
+  fs.writeFileSync(file, typeof data === 'string' ? data : JSON.stringify(data));
+  return file;
+}
+
+test('missing keys fall back to schema defaults', () => {
+  const config = loadConfig({ path: writeConfig({ concurrency_limit: 2 }), env: {}, argv: [] });
+
+  assert.equal(config.concurrency_limit, 2);
+  assert.equal(config.retry_attempts, getDefaults().retry_attempts);
+  assert.equal(config.positions_limit_per_trader, 1000);
+});
+
+test('environment overrides the file and CLI flags override the environment', () => {
+  const { config, sources } = resolveConfig({
+    path: writeConfig({ concurrency_limit: 2, history_enabled: true }),
+    env: { T1W_CONCURRENCY_LIMIT: '4', T1W_HISTORY_ENABLED: 'false', T1W_ALERTS_ENABLED: '', T1W_ALERT_SINKS: '' },
+    argv: ['--concurrency-limit', '8', '--pnl_method=average']
+  });
+
+  assert.equal(config.concurrency_limit, 8);
+  assert.equal(config.history_enabled, false);
+  assert.equal(config.pnl_method, 'average');
+  assert.equal(sources.concurrency_limit, 'cli');
+  assert.equal(sources.history_enabled, 'env');
+  // Empty variables are unset
+  assert.deepEqual([config.alerts_enabled, sources.alerts_enabled, sources.alert_sinks], [false, 'default', 'default']);
+});
+
+test('boolean flags can be set or negated without a value', () => {
+  const config = loadConfig({ path: null, env: {}, argv: ['--alerts-enabled', '--no-history-enabled', '--unrelated'] });
+
+  assert.equal(config.alerts_enabled, true);
+  assert.equal(config.history_enabled, false);
+});
+
+test('every problem is reported in one ConfigError', () => {
+  const file = writeConfig({ concurency_limit: 3, retry_attempts: 0, pnl_method: 'lifo', alert_sinks: [{ type: 'sms' }] });
+
+  assert.throws(() => loadConfig({ path: file, env: { T1W_MIN_USD_FILTER: 'abc' }, argv: [] }), error => {
+    assert.ok(error instanceof ConfigError);
+    assert.equal(error.problems.length, 5);
+    assert.match(error.message, /did you mean "concurrency_limit"/);
+    assert.match(error.message, /retry_attempts: must be >= 1/);
+    assert.match(error.message, /min_usd_filter: expected a number, got "abc"/);
+    return true;
+  });
+});
+
+test('deprecated keys are ignored with a warning instead of failing', () => {
+  const warn = console.warn;
+  const warnings = [];
+  console.warn = message => warnings.push(message);
+  try {
+    const { config, sources } = resolveConfig({ path: writeConfig({ activity_limit_per_trader: 500 }), env: {}, argv: [] });
+    assert.equal('activity_limit_per_trader' in config, false);
+    assert.equal('activity_limit_per_trader' in sources, false);
+    assert.equal(config.activity_max_pages, getDefaults().activity_max_pages);
+    assert.match(warnings.join('\n'), /"activity_limit_per_trader" \(file\) is deprecated and ignored/);
+  } finally {
+    console.warn = warn;
+  }
+});
+
+test('malformed JSON is a ConfigError', () => {
+  assert.throws(() => loadConfig({ path: writeConfig('{ "a": '), env: {}, argv: [] }), ConfigError);
+});
+
+test('the repository config.json is valid', () => {
+  assert.doesNotThrow(() => loadConfig({ env: {}, argv: [] }));
+});
@@ -0,0 +1,75 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { computeConsensusScores, pnlWeight, recencyWeight } from '../scripts/consensus.js';
+
+const NOW = 1792396800;
+const BINARY = '0xfed';
+const RACE = '0xrace';
+
+function portfolio(positions, extra = {}) {
+  return { fetchSuccess: true, totalValue: 10000, usdcBalance: 0, totalPnL: 0, positions, ...extra };
+}
+
+function position(conditionId, outcomeIndex, currentValue) {
+  return { conditionId, outcomeIndex, currentValue };
+}
+
+test('track record and recency weights', () => {
+  assert.equal(pnlWeight(0), 1);
+  assert.equal(pnlWeight(90000), 2);
+  assert.equal(pnlWeight(-90000), 0.5);
+  assert.equal(recencyWeight(NOW, NOW), 1);
+  assert.equal(recencyWeight(NOW - 72 * 3600, NOW), 0.75);
+  assert.equal(recencyWeight(null, NOW), 0.5);
+});
+
+test('the two outcomes of a binary market get opposite scores', () => {
+  const scores = computeConsensusScores({
+    '0xa1': portfolio([position(BINARY, 0, 5000)]),
+    '0xb2': portfolio([position(BINARY, 0, 3000)]),
+    '0xc3': portfolio([position(BINARY, 1, 1000)])
+  }, [], {}, NOW);
+
+  const yes = scores.get(`${BINARY}-0`);
+  const no = scores.get(`${BINARY}-1`);
+  assert.deepEqual(
+    [yes.agreement, yes.breadth, yes.traders, yes.tradersFor, yes.tradersAgainst, yes.netExposure],
+    [0.78, 0.63, 3, 2, 1, 7000]
+  );
+  assert.equal(yes.score, 49);
+  assert.deepEqual([no.score, no.agreement, no.tradersFor, no.tradersAgainst, no.netExposure], [-49, -0.78, 1, 2, -7000]);
+});
+
+test('in a multi-outcome market backing one outcome votes against the others', () => {
+  const scores = computeConsensusScores({
+    '0xa1': portfolio([position(RACE, 0, 4000)]),
+    '0xb2': portfolio([position(RACE, 2, 4000)]),
+    '0xc3': portfolio([position(RACE, 2, 2000), position(RACE, 1, 500)])
+  }, [], {}, NOW);
+
+  const scored = [0, 1, 2].map(i => scores.get(`${RACE}-${i}`));
+  assert.deepEqual(scored.map(s => [s.tradersFor, s.tradersAgainst]), [[1, 2], [0, 3], [2, 1]]);
+  assert.ok(scored[2].score > 0);
+  assert.ok(scored[0].score < 0 && scored[1].score < 0);
+  // Outcome 1 is backed by nobody, so it is not the favourite's mirror image
+  assert.notEqual(scored[1].score, -scored[2].score);
+});
+
+test('failed fetches and hedged traders do not vote', () => {
+  const scores = computeConsensusScores({
+    '0xa1': portfolio([position(BINARY, 0, 1000), position(BINARY, 1, 1000)]),
+    '0xb2': portfolio([position(BINARY, 1, 5000)], { fetchSuccess: false })
+  }, [], {}, NOW);
+
+  assert.deepEqual([scores.get(`${BINARY}-0`).traders, scores.get(`${BINARY}-0`).score], [0, 0]);
+});
+
+test('a recent buyer with a profitable record weighs more', () => {
+  const portfolios = {
+    '0xa1': portfolio([position(BINARY, 0, 2000)], { totalPnL: 90000 }),
+    '0xb2': portfolio([position(BINARY, 1, 2000)])
+  };
+  const activity = [{ type: 'TRADE', side: 'BUY', traderAddress: '0xa1', conditionId: BINARY, timestamp: NOW - 60 }];
+
+  assert.ok(computeConsensusScores(portfolios, activity, {}, NOW).get(`${BINARY}-0`).score > 0);
+});
@@ -0,0 +1,81 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { aggregateEvents } from '../scripts/events.js';
+
+// Aggregated positions of a neg-risk nomination event plus one standalone market
+function position(conditionId, outcomeIndex, totalExposure, curPrice, traders, extra = {}) {
+  return {
+    conditionId,
+    asset: `${conditionId}-token-${outcomeIndex}`,
+    title: `Will ${conditionId} win the nomination?`,
+    eventSlug: 'democratic-nominee-2028',
+    negRisk: true,
+    endDate: '2028-08-20',
+    outcome: outcomeIndex === 0 ? 'Yes' : 'No',
+    outcomeIndex,
+    totalExposure,
+    change24h: 0,
+    curPrice,
+    traderCount: traders.length,
+    traders: traders.map(address => ({ address })),
+    ...extra
+  };
+}
+
+const positions = [
+  position('newsom', 0, 6000, 0.4, ['0xa', '0xb']),
+  position('shapiro', 0, 1000, 0.2, ['0xc']),
+  position('buttigieg', 1, 3000, 0.9, ['0xa'], { change24h: -250 }),
+  {
+    ...position('fed', 0, 9000, 0.55, ['0xd']),
+    eventSlug: 'fed-decision-in-december',
+    negRisk: false
+  }
+];
+
+test('events need more than one market', () => {
+  const events = aggregateEvents(positions);
+
+  assert.deepEqual(events.map(e => e.eventSlug), ['democratic-nominee-2028']);
+});
+
+test('event totals count exposure and distinct traders', () => {
+  const [event] = aggregateEvents(positions);
+
+  assert.equal(event.marketCount, 3);
+  assert.equal(event.traderCount, 3);
+  assert.equal(event.totalExposure, 10000);
+  assert.equal(event.change24h, -250);
+  assert.deepEqual(event.markets.map(m => m.conditionId), ['newsom', 'buttigieg', 'shapiro']);
+});
+
+test('implied distribution normalises Yes prices over the held candidates', () => {
+  const [event] = aggregateEvents(positions);
+  const byId = Object.fromEntries(event.markets.map(m => [m.conditionId, m]));
+
+  // Buttigieg is only held on No at 0.90, so his Yes trades at 0.10
+  assert.equal(byId.buttigieg.impliedPrice, 0.1);
+  assert.equal(byId.newsom.impliedProb, 0.5714);
+  assert.equal(byId.shapiro.impliedProb, 0.2857);
+  assert.equal(event.impliedOther, 0.3);
+});
+
+test('Tier1 distribution spreads No money over the other candidates', () => {
+  const [event] = aggregateEvents(positions);
+  const byId = Object.fromEntries(event.markets.map(m => [m.conditionId, m]));
+
+  // 3000 on "not Buttigieg" splits 2:1 between Newsom (0.4) and Shapiro (0.2)
+  assert.equal(byId.newsom.tier1Prob, 0.8);
+  assert.equal(byId.shapiro.tier1Prob, 0.2);
+  assert.equal(byId.buttigieg.tier1Prob, 0);
+});
+
+test('events without neg risk carry no distribution', () => {
+  const events = aggregateEvents([
+    { ...positions[3], conditionId: 'cut-25' },
+    { ...positions[3], conditionId: 'no-change', totalExposure: 100 }
+  ]);
+
+  assert.equal(events[0].impliedOther, null);
+  assert.equal(events[0].markets[0].tier1Prob, undefined);
+});
@@ -0,0 +1,103 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { buildSnapshot, appendSnapshot } from '../scripts/history_store.js';
+import { buildHistorySeries, downsampleSnapshots, loadHistorySeries } from '../scripts/history_series.js';
+
+const NOW = 1792396800;
+const MARKET = '0x9c1a000000000000000000000000000000000000000000000000000000000001';
+const YES = '11002233445566778899';
+
+function portfolio(label, totalValue, positions, fetchSuccess = true) {
+  return { label, fetchSuccess, totalValue, usdcBalance: 0, totalPnL: 0, positions };
+}
+
+function position(currentValue, curPrice, extra = {}) {
+  return { conditionId: MARKET, outcomeIndex: 0, outcome: 'Yes', title: 'Rate cut?', size: 100, curPrice, currentValue, ...extra };
+}
+
+test('downsampling keeps the latest snapshot per bucket', () => {
+  const snapshots = Array.from({ length: 10 }, (_, i) => ({ ts: NOW + i * 60 }));
+
+  assert.equal(downsampleSnapshots(snapshots, 20).length, 10);
+  const sampled = downsampleSnapshots(snapshots, 5);
+  assert.equal(sampled.length, 5);
+  assert.equal(sampled[sampled.length - 1].ts, NOW + 9 * 60);
+});
+
+test('series align with one timeline and leave gaps as null', () => {
+  const snapshots = [
+    { ts: NOW, summary: { totalExposure: 100, relativeExposure: 50 }, flows: { '24h': 10 }, traders: {
+      '0xa1': { label: 'A', fetchSuccess: true, totalValue: 100, positions: [position(60, 0.6)] }
+    } },
+    { ts: NOW + 3600, summary: { totalExposure: 150 }, flows: { '24h': -5 }, traders: {
+      '0xa1': { label: 'A', fetchSuccess: false, totalValue: 0, positions: [] },
+      '0xb2': { label: 'B', fetchSuccess: true, totalValue: 50, positions: [position(40, 0.65, { asset: YES })] }
+    } },
+    { ts: NOW + 7200, summary: {}, flows: {}, traders: {
+      '0xb2': { label: 'B', fetchSuccess: false, totalValue: 0, positions: [] }
+    } },
+    { ts: NOW + 10800, summary: {}, flows: {}, traders: {
+      '0xb2': { label: 'B', fetchSuccess: true, totalValue: 0, positions: [] }
+    } }
+  ];
+  const current = { positions: [{ ...position(40, 0.65), asset: YES, totalExposure: 40 }] };
+
+  const series = buildHistorySeries(snapshots, current, {});
+
+  assert.deepEqual(series.timestamps, [NOW, NOW + 3600, NOW + 7200, NOW + 10800]);
+  assert.deepEqual(series.summary.totalExposure, [100, 150, null, null]);
+  assert.deepEqual(series.summary.relativeExposure, [50, null, null, null]);
+  assert.deepEqual(series.flows['24h'], [10, -5, null, null]);
+  assert.deepEqual(series.traders['0xa1'].value, [100, null, null, null]);
+  assert.deepEqual(series.traders['0xb2'].value, [null, 50, null, 0]);
+  // The older row has no token id and joins the current outcome through its index;
+  // a run that fetched nobody is a gap, one that fetched holders of nothing is 0
+  assert.deepEqual(series.markets[YES].exposure, [60, 40, null, 0]);
+  assert.deepEqual(series.markets[YES].price, [0.6, 0.65, null, null]);
+});
+
+test('market rows are matched on the token id before the outcome index', () => {
+  const snapshots = [{ ts: NOW, summary: {}, flows: {}, traders: {
+    '0xa1': { label: 'A', fetchSuccess: true, totalValue: 100, positions: [
+      position(30, 0.3, { asset: '7001', outcomeIndex: 1 }),
+      position(70, 0.7, { asset: '7002', outcomeIndex: 0 })
+    ] }
+  } }];
+  const current = { positions: [
+    { ...position(70, 0.7), asset: '7002', outcomeIndex: 1, totalExposure: 70 },
+    { ...position(30, 0.3), asset: '7001', outcomeIndex: 0, totalExposure: 30 }
+  ] };
+
+  const series = buildHistorySeries(snapshots, current, {});
+
+  assert.deepEqual([series.markets['7001'].exposure, series.markets['7002'].exposure], [[30], [70]]);
+  assert.deepEqual([series.markets['7001'].price, series.markets['7002'].price], [[0.3], [0.7]]);
+});
+
+test('only the largest current outcomes get market series', () => {
+  const current = { positions: [
+    { conditionId: '0x01', outcomeIndex: 0, totalExposure: 10 },
+    { conditionId: '0x02', outcomeIndex: 1, totalExposure: 30 }
+  ] };
+
+  const series = buildHistorySeries([], current, { history_chart_markets: 1 });
+
+  assert.deepEqual(Object.keys(series.markets), ['0x02-1']);
+});
+
+test('series are read back from the history store', () => {
+  const config = { history_dir: fs.mkdtempSync(path.join(os.tmpdir(), 't1w-series-')), history_min_position_value: 1 };
+  for (const [i, value] of [[0, 100], [1, 120], [2, 90]]) {
+    const traders = { '0xa1': portfolio('A', value, [position(value, 0.5, { asset: YES })]) };
+    appendSnapshot(buildSnapshot(traders, { summary: { totalExposure: value } }, { '24h': i }, config, NOW + i * 3600), config);
+  }
+
+  const series = loadHistorySeries({ positions: [] }, { ...config, history_chart_days: 1 }, NOW + 2 * 3600);
+
+  assert.equal(series.generatedAt, new Date((NOW + 2 * 3600) * 1000).toISOString());
+  assert.deepEqual(series.summary.totalExposure, [100, 120, 90]);
+  assert.deepEqual(series.traders['0xa1'].value, [100, 120, 90]);
+});
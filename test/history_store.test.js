@@ -0,0 +1,108 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import zlib from 'zlib';
+import {
+  appendSnapshot,
+  buildSnapshot,
+  compactHistory,
+  getExposureSeries,
+  getLatestSnapshot,
+  getSnapshotAt,
+  readSnapshots
+} from '../scripts/history_store.js';
+
+const NOW = 1792396800; // 2026-10-19T08:00:00Z
+const HOUR = 3600;
+const DAY = 86400;
+const MARKET = '0xfed0000000000000000000000000000000000000000000000000000000000001';
+
+function portfolios(value) {
+  return {
+    '0xa1': {
+      label: 'Whale', fetchSuccess: true, totalValue: value, usdcBalance: 10, totalPnL: 5,
+      positions: [
+        { conditionId: MARKET, asset: '7001', outcomeIndex: 0, outcome: 'Yes', title: 'Fed cut?', slug: 'fed-cut', size: value * 2, avgPrice: 0.4, curPrice: 0.5, currentValue: value },
+        { conditionId: '0xdust', asset: '9001', outcomeIndex: 0, outcome: 'Yes', size: 1, curPrice: 0.1, currentValue: 0.1 }
+      ]
+    }
+  };
+}
+
+function tmpConfig(extra = {}) {
+  return { history_dir: fs.mkdtempSync(path.join(os.tmpdir(), 't1w-history-')), ...extra };
+}
+
+test('snapshots store tracked positions as tuples and read back as objects', () => {
+  const snapshot = buildSnapshot(portfolios(100), { summary: { totalExposure: 100 } }, { '24h': 5 }, {}, NOW);
+  assert.equal(snapshot.traders['0xa1'].positions.length, 1);
+  assert.deepEqual(snapshot.traders['0xa1'].positions[0], [MARKET, 0, 'Yes', 200, 0.4, 0.5, 100, 0, 0, '7001']);
+  assert.deepEqual(snapshot.markets[MARKET], { title: 'Fed cut?', slug: 'fed-cut', eventSlug: '', endDate: null });
+
+  const config = tmpConfig();
+  appendSnapshot(snapshot, config);
+  const [read] = readSnapshots({}, config);
+  assert.deepEqual(read.flows, { '24h': 5 });
+  assert.equal(read.traders['0xa1'].positions[0].currentValue, 100);
+  assert.equal(read.traders['0xa1'].positions[0].title, 'Fed cut?');
+});
+
+test('appends add gzip members to the day file without rewriting it', () => {
+  const config = tmpConfig();
+  const file = appendSnapshot(buildSnapshot(portfolios(100), null, {}, config, NOW), config);
+  const firstBytes = fs.readFileSync(file);
+  assert.equal(appendSnapshot(buildSnapshot(portfolios(120), null, {}, config, NOW + HOUR), config), file);
+  assert.equal(path.basename(file), '2026-10-19.jsonl.gz');
+
+  const bytes = fs.readFileSync(file);
+  assert.deepEqual(bytes.subarray(0, firstBytes.length), firstBytes);
+  assert.equal(zlib.gunzipSync(bytes).toString('utf-8').trim().split('\n').length, 2);
+
+  appendSnapshot(buildSnapshot(portfolios(90), null, {}, config, NOW + DAY), config);
+  assert.deepEqual(readSnapshots({ from: NOW + 1 }, config).map(s => s.ts), [NOW + HOUR, NOW + DAY]);
+  assert.equal(getSnapshotAt(NOW + 2 * HOUR, config).ts, NOW + HOUR);
+  assert.equal(getSnapshotAt(NOW - 1, config), null);
+  assert.equal(getLatestSnapshot(config).ts, NOW + DAY);
+  assert.deepEqual(getExposureSeries({ asset: '7001', conditionId: MARKET, outcomeIndex: 0 }, {}, config).map(p => p.exposure), [100, 120, 90]);
+  assert.deepEqual(getExposureSeries({ asset: '7002', conditionId: MARKET, outcomeIndex: 0 }, {}, config).map(p => p.exposure), [0, 0, 0]);
+});
+
+test('unreadable day files are skipped', () => {
+  const config = tmpConfig();
+  appendSnapshot(buildSnapshot(portfolios(100), null, {}, config, NOW - DAY), config);
+  fs.writeFileSync(path.join(config.history_dir, '2026-10-19.jsonl.gz'), 'not gzip');
+  const warn = console.warn;
+  console.warn = () => {};
+  try {
+    assert.equal(getLatestSnapshot(config).ts, NOW - DAY);
+  } finally {
+    console.warn = warn;
+  }
+});
+
+test('compaction thins older days to hourly, then daily, and drops expired days', () => {
+  const config = tmpConfig({ history_full_resolution_hours: 48, history_hourly_retention_days: 14, history_retention_days: 30 });
+  const append = ts => appendSnapshot(buildSnapshot(portfolios(100), null, {}, config, ts), config);
+  const dayStart = NOW - 8 * HOUR;
+
+  // Today: every snapshot kept
+  append(dayStart + 60);
+  append(dayStart + 120);
+  // Five days ago: two per hour for two hours
+  for (const offset of [0, 1800, HOUR, HOUR + 1800]) append(dayStart - 5 * DAY + offset);
+  // Twenty days ago: three in one day
+  for (const offset of [0, HOUR, 2 * HOUR]) append(dayStart - 20 * DAY + offset);
+  // Expired
+  append(dayStart - 40 * DAY);
+
+  assert.deepEqual(compactHistory(config, NOW), { removed: 1, compacted: 2 });
+  const counts = {};
+  for (const snapshot of readSnapshots({}, config)) {
+    const day = snapshot.timestamp.slice(0, 10);
+    counts[day] = (counts[day] || 0) + 1;
+  }
+  assert.deepEqual(counts, { '2026-09-29': 1, '2026-10-14': 2, '2026-10-19': 2 });
+  assert.deepEqual(compactHistory(config, NOW), { removed: 0, compacted: 0 });
+});
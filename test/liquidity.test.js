@@ -0,0 +1,99 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { applyLiquidity, depthWithin, fetchLiquidity, liquidityTokens, simulateFill, summarizeBook } from '../scripts/liquidity.js';
+import { setTransport } from '../scripts/transport.js';
+
+// Mid 0.50, spread 2c; $1,000 on each side at the touch, more further out
+const BOOK = {
+  bids: [{ price: 0.49, size: 2000 }, { price: 0.47, size: 4000 }, { price: 0.4, size: 100000 }],
+  asks: [{ price: 0.51, size: 2000 }, { price: 0.53, size: 4000 }, { price: 0.6, size: 100000 }]
+};
+
+test('depth counts the USD resting within a distance of the midpoint', () => {
+  assert.equal(Math.round(depthWithin(BOOK.asks, 0.5, 0.01)), 1020);
+  assert.equal(Math.round(depthWithin(BOOK.asks, 0.5, 0.05)), 1020 + 2120);
+  assert.equal(Math.round(depthWithin(BOOK.bids, 0.5, 0.05)), 980 + 1880);
+});
+
+test('fills walk the book level by level', () => {
+  const small = simulateFill(BOOK.asks, 510);
+  assert.equal(small.avgPrice, 0.51);
+  assert.equal(small.filled, true);
+
+  const large = simulateFill(BOOK.asks, 2080);
+  assert.equal(Math.round(large.avgPrice * 10000) / 10000, 0.52);
+
+  const short = simulateFill(BOOK.asks.slice(0, 1), 5000);
+  assert.equal(short.filled, false);
+  assert.equal(short.filledUsd, 1020);
+  assert.equal(simulateFill([], 100).avgPrice, null);
+});
+
+test('books are rated thin when the trade size moves the price too far', () => {
+  const deep = summarizeBook(BOOK, { liquidity_trade_usd: 500 });
+  assert.deepEqual(
+    [deep.bestBid, deep.bestAsk, deep.midPrice, deep.spread, deep.buySlippage, deep.sellSlippage, deep.rating],
+    [0.49, 0.51, 0.5, 0.02, 0.01, 0.01, 'ok']
+  );
+  assert.deepEqual(deep.depth1c, { bid: 980, ask: 1020 });
+
+  const thin = summarizeBook(BOOK, { liquidity_trade_usd: 10000 });
+  assert.ok(thin.buySlippage > 0.02);
+  assert.equal(thin.rating, 'thin');
+  assert.equal(summarizeBook(BOOK, { liquidity_trade_usd: 10000, liquidity_thin_slippage_cents: 10 }).rating, 'ok');
+
+  const unfilled = summarizeBook({ bids: BOOK.bids, asks: BOOK.asks.slice(0, 1) }, { liquidity_trade_usd: 5000, liquidity_thin_slippage_cents: 50 });
+  assert.equal(unfilled.buyFilled, false);
+  assert.equal(unfilled.rating, 'thin');
+
+  const oneSided = summarizeBook({ bids: BOOK.bids, asks: [] });
+  assert.deepEqual([oneSided.midPrice, oneSided.buySlippage, oneSided.rating], [null, null, 'thin']);
+  assert.equal(summarizeBook({ bids: [], asks: [] }).rating, 'none');
+});
+
+test('order books are fetched per tradable outcome and attached to every portfolio', async () => {
+  const positions = [
+    { asset: '1', status: 'live' },
+    { asset: '2', status: 'awaiting' },
+    { asset: '3', status: 'resolved' },
+    { asset: '4', status: 'live' },
+    { asset: '5', status: 'live' }
+  ];
+  assert.deepEqual(liquidityTokens(positions, [{ asset: 1, status: 'live' }, { asset: '6' }]), ['1', '2', '4', '5', '6']);
+
+  // The CLOB lists bids and asks worst first, prices and sizes as strings
+  const wire = side => [...side].reverse().map(level => ({ price: String(level.price), size: String(level.size) }));
+  const requested = [];
+  setTransport({
+    mode: 'test',
+    fetch: async url => {
+      const tokenId = new URL(url).searchParams.get('token_id');
+      requested.push(tokenId);
+      if (tokenId === '4') return new Response(JSON.stringify({ error: 'No orderbook exists for the requested token id' }), { status: 404 });
+      if (tokenId === '5') return new Response('upstream error', { status: 502 });
+      return new Response(JSON.stringify({ asset_id: tokenId, bids: wire(BOOK.bids), asks: wire(BOOK.asks) }), { status: 200 });
+    }
+  });
+  const warn = console.warn;
+  const error = console.error;
+  console.warn = () => {};
+  console.error = () => {};
+  try {
+    const liquidity = await fetchLiquidity(liquidityTokens(positions), { retry_attempts: 2, retry_base_delay_ms: 0, liquidity_trade_usd: 500 });
+    // A missing book is not retried, a server error is
+    assert.deepEqual(requested.sort(), ['1', '2', '4', '5', '5']);
+    assert.deepEqual([...liquidity.keys()].sort(), ['1', '2', '4']);
+    assert.equal(liquidity.get('1').bestBid, 0.49);
+    assert.equal(liquidity.get('4').rating, 'none');
+
+    const portfolio = applyLiquidity({ positions, summary: {} }, liquidity);
+    assert.equal(portfolio.positions[0].liquidity.rating, 'ok');
+    assert.equal(portfolio.positions[2].liquidity, null);
+    assert.equal(portfolio.positions[4].liquidity, null);
+    assert.deepEqual(portfolio.summary.liquidityCounts, { ok: 2, thin: 0, none: 1, unknown: 1 });
+  } finally {
+    console.warn = warn;
+    console.error = error;
+    setTransport(null);
+  }
+});
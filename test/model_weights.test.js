@@ -0,0 +1,87 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { computeModelWeights, WEIGHTING_SCHEMES } from '../scripts/model_weights.js';
+import { aggregatePortfolios } from '../scripts/compute_aggregates.js';
+
+// A whale with a $1M bankroll and a small trader with a $10k bankroll
+const traderPortfolios = {
+  '0xwhale': { label: 'Whale', tier: '1', totalValue: 900000, usdcBalance: 100000, totalPnL: 0 },
+  '0xsmall': { label: 'Small', tier: '2', totalValue: 8000, usdcBalance: 2000, totalPnL: 0 }
+};
+
+const positions = [
+  { conditionId: 'a', traders: [{ address: '0xwhale', exposure: 90000 }] },
+  { conditionId: 'b', traders: [{ address: '0xwhale', exposure: 10000 }, { address: '0xsmall', exposure: 2000 }] },
+  { conditionId: 'c', traders: [{ address: '0xsmall', exposure: 6000 }] }
+];
+
+function shares(scheme, portfolios = traderPortfolios, config = {}) {
+  return computeModelWeights(positions, portfolios, config).map(w => w[scheme]);
+}
+
+test('every scheme sums to 1 over the model', () => {
+  const weights = computeModelWeights(positions, traderPortfolios);
+
+  for (const scheme of WEIGHTING_SCHEMES) {
+    const sum = weights.reduce((s, w) => s + w[scheme], 0);
+    assert.ok(Math.abs(sum - 1) < 1e-5, `${scheme} sums to ${sum}`);
+  }
+});
+
+test('raw weighting follows dollars', () => {
+  assert.deepEqual(shares('raw'), [0.833333, 0.111111, 0.055556]);
+});
+
+test('equal weighting counts every trader once', () => {
+  // Whale: 0.9 / 0.1, small trader: 0.25 / 0.75, each summing to 1 of 2
+  assert.deepEqual(shares('equal'), [0.45, 0.175, 0.375]);
+});
+
+test('bankroll weighting uses totalValue + usdcBalance', () => {
+  // Whale 9% + 1%, small trader 20% + 60% of their bankrolls
+  assert.deepEqual(shares('bankroll'), [0.1, 0.233333, 0.666667]);
+});
+
+test('pnl weighting favours profitable traders', () => {
+  const profitable = {
+    ...traderPortfolios,
+    '0xwhale': { ...traderPortfolios['0xwhale'], totalPnL: 90000 }
+  };
+  const [a] = shares('pnl', profitable, { consensus_pnl_scale: 10000 });
+
+  // pnlWeight(90000) = 2, doubling the whale's 0.09 + 0.01 against the small trader's 0.8
+  assert.equal(a, 0.18);
+  assert.deepEqual(shares('pnl', traderPortfolios), shares('bankroll'));
+});
+
+test('tier weighting decays per tier below 1', () => {
+  // Small trader is tier 2: 0.2 + 0.6 halves to 0.1 + 0.3
+  assert.deepEqual(shares('tier', traderPortfolios, { tier_weight_decay: 0.5 }), [0.18, 0.22, 0.6]);
+  assert.deepEqual(shares('tier', traderPortfolios, { tier_weight_decay: 1 }), shares('bankroll'));
+});
+
+test('traders without a bankroll fall back to their position exposure', () => {
+  const noBankroll = { '0xwhale': { label: 'Whale' }, '0xsmall': { label: 'Small' } };
+
+  assert.deepEqual(shares('bankroll', noBankroll), shares('equal', noBankroll));
+});
+
+test('aggregated positions carry every scheme and the configured one', () => {
+  const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 't1w-weights-'));
+  const portfolio = (label, bankroll, pos) => ({
+    label, fetchSuccess: true, totalValue: bankroll, usdcBalance: 0, totalPnL: 0, positions: pos
+  });
+  const result = aggregatePortfolios({
+    '0xwhale': portfolio('Whale', 100000, [{ asset: '1', conditionId: 'a', outcomeIndex: 0, size: 1000, currentValue: 50000 }]),
+    '0xsmall': portfolio('Small', 1000, [{ asset: '2', conditionId: 'b', outcomeIndex: 0, size: 1000, currentValue: 500 }])
+  }, { min_usd_filter: 0, model_weighting: 'bankroll' }, [], 1792396800, outputDir);
+
+  assert.equal(result.summary.modelWeighting, 'bankroll');
+  const [whale, small] = result.positions;
+  assert.equal(whale.modelWeights.raw, 0.990099);
+  assert.equal(whale.modelWeight, 0.5);
+  assert.equal(small.modelWeight, 0.5);
+});
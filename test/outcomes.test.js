@@ -0,0 +1,88 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { outcomeKey, createOutcomeKeyResolver, resolveOutcomeLabel } from '../scripts/outcomes.js';
+import { aggregatePortfolios, build24hChangeMap } from '../scripts/compute_aggregates.js';
+import { diffPortfolios } from '../scripts/position_diff.js';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const NOW = 1792396800;
+const MARKET = '0x9c1a000000000000000000000000000000000000000000000000000000000001';
+const UP = '11002233445566778899';
+const DOWN = '99887766554433221100';
+
+function portfolio(label, positions) {
+  return { label, fetchSuccess: true, usdcBalance: 0, totalValue: 0, totalPnL: 0, positions };
+}
+
+function aggregate(traderPortfolios, activity = []) {
+  const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 't1w-outcomes-'));
+  return aggregatePortfolios(traderPortfolios, { min_usd_filter: 0 }, activity, NOW, outputDir);
+}
+
+test('the asset id is the outcome key, with conditionId-outcomeIndex as fallback', () => {
+  assert.equal(outcomeKey({ asset: UP, conditionId: MARKET, outcomeIndex: 0 }), UP);
+  assert.equal(outcomeKey({ conditionId: MARKET, outcome: 'No' }), `${MARKET}-1`);
+  assert.equal(resolveOutcomeLabel({ outcomeIndex: 1 }), 'No');
+  assert.equal(resolveOutcomeLabel({ outcome: 'Down', outcomeIndex: 1 }), 'Down');
+});
+
+test('rows without an asset id borrow it from a row of the same outcome', () => {
+  const keyOf = createOutcomeKeyResolver([{ asset: DOWN, conditionId: MARKET, outcomeIndex: 1 }]);
+
+  assert.equal(keyOf({ conditionId: MARKET, outcomeIndex: 1 }), DOWN);
+  assert.equal(keyOf({ conditionId: MARKET, outcomeIndex: 0 }), `${MARKET}-0`);
+});
+
+test('Up/Down outcomes aggregate by token, not by a Yes/No guess', () => {
+  const { positions } = aggregate({
+    '0xa1': portfolio('A', [{ asset: UP, conditionId: MARKET, outcome: 'Up', outcomeIndex: 0, size: 100, currentValue: 60 }]),
+    // Index missing: a label-based guess would file "Down" under outcome 0 and merge it with Up
+    '0xb2': portfolio('B', [{ asset: DOWN, conditionId: MARKET, outcome: 'Down', size: 100, currentValue: 40 }]),
+    '0xc3': portfolio('C', [{ conditionId: MARKET, outcome: 'Down', outcomeIndex: 1, size: 50, currentValue: 20 }])
+  }, [
+    { asset: DOWN, conditionId: MARKET, outcomeIndex: 1, type: 'TRADE', side: 'BUY', usdcSize: 15, timestamp: NOW - 60 }
+  ]);
+
+  assert.equal(positions.length, 2);
+  const up = positions.find(p => p.asset === UP);
+  const down = positions.find(p => p.asset === DOWN);
+  assert.equal(up.traderCount, 1);
+  assert.equal(up.outcome, 'Up');
+  // The row without an asset id joins the Down token through the trade that reports both
+  assert.equal(down.traderCount, 2);
+  assert.equal(down.outcomeIndex, 1);
+  assert.equal(down.totalExposure, 60);
+  assert.equal(down.change24h, 15);
+});
+
+test('neg-risk siblings keep their event and flag', () => {
+  const { positions } = aggregate({
+    '0xa1': portfolio('A', [
+      { asset: '1', conditionId: '0x01', eventSlug: 'ballon-dor', negativeRisk: true, outcome: 'Yes', outcomeIndex: 0, size: 10, currentValue: 5 },
+      { asset: '2', conditionId: '0x02', eventSlug: 'ballon-dor', negativeRisk: true, outcome: 'Yes', outcomeIndex: 0, size: 10, currentValue: 3 }
+    ])
+  });
+
+  assert.deepEqual(positions.map(p => [p.eventSlug, p.negRisk]), [['ballon-dor', true], ['ballon-dor', true]]);
+});
+
+test('24h changes are keyed like the aggregate', () => {
+  const changes = build24hChangeMap([
+    { asset: UP, conditionId: MARKET, outcomeIndex: 0, type: 'TRADE', side: 'SELL', usdcSize: 5, timestamp: NOW }
+  ], NOW);
+
+  assert.equal(changes.get(UP), -5);
+});
+
+test('snapshots without asset ids do not look like flipped positions', () => {
+  const previous = {
+    '0xa1': { label: 'A', fetchSuccess: true, positions: [{ conditionId: MARKET, outcomeIndex: 1, outcome: 'Down', size: 100, currentValue: 40, curPrice: 0.4 }] }
+  };
+  const current = {
+    '0xa1': portfolio('A', [{ asset: DOWN, conditionId: MARKET, outcomeIndex: 1, outcome: 'Down', size: 100, currentValue: 41, curPrice: 0.41 }])
+  };
+
+  assert.deepEqual(diffPortfolios(previous, current, {}, NOW), []);
+});
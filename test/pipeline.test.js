@@ -0,0 +1,90 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { computeAll, loadConfig } from '../scripts/compute_aggregates.js';
+import { createTransport, fixtureName, getFixturesDir } from '../scripts/transport.js';
+import { readManifest, isolatedConfig, checkResult } from '../scripts/test_api.js';
+import { clearCache } from '../scripts/cache.js';
+
+const fixturesDir = getFixturesDir();
+
+test('record mode saves responses that replay mode serves back', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 't1w-fixtures-'));
+  const url = 'https://data-api.polymarket.com/value?user=0xabc';
+  const recorder = createTransport({
+    mode: 'record',
+    fixturesDir: dir,
+    fetchImpl: async () => new Response('[{"value":12.5}]', { status: 200, headers: { 'Content-Type': 'application/json' } })
+  });
+
+  assert.deepEqual(await (await recorder.fetch(url)).json(), [{ value: 12.5 }]);
+  assert.ok(fs.existsSync(path.join(dir, fixtureName(url))));
+
+  const replayer = createTransport({ mode: 'replay', fixturesDir: dir });
+  assert.deepEqual(await (await replayer.fetch(url)).json(), [{ value: 12.5 }]);
+  await assert.rejects(replayer.fetch(url + '&limit=1'), /No recorded fixture/);
+});
+
+test('fixture names depend on the request body', () => {
+  const url = 'https://polygon-rpc.com';
+  assert.notEqual(
+    fixtureName(url, { method: 'POST', body: '{"a":1}' }),
+    fixtureName(url, { method: 'POST', body: '{"a":2}' })
+  );
+});
+
+test('computeAll runs end-to-end against the recorded fixtures', async () => {
+  const { recordedAt, traders } = readManifest(fixturesDir);
+  const config = isolatedConfig(loadConfig({ env: {}, argv: [] }), 'replay');
+
+  const result = await computeAll({ config, traders, now: recordedAt, outputDir: path.dirname(config.activity_dir) });
+
+  assert.deepEqual(checkResult(result, traders, config), []);
+  assert.equal(result.metadata.market_count, 3);
+  assert.equal(result.aggregatedPortfolio.positions[0].traderCount, 2);
+  assert.equal(result.traderPortfolios[traders[0].address].pnlSource, 'activity');
+  assert.ok(result.traderPortfolios[traders[0].address].usdcBalance > 0);
+
+  // CLOB price history and order books, Gamma metadata and the profit leaderboard
+  const byAsset = Object.fromEntries(result.aggregatedPortfolio.positions.map(p => [p.asset, p]));
+  const fed = byAsset['5285635100'];
+  assert.deepEqual([fed.markSource, fed.priceChange1h, fed.priceChange1d, fed.priceChange1w], ['history', 0.01, 0.03, 0.08]);
+  assert.deepEqual([fed.category, fed.categorySource, fed.tags], ['economics', 'metadata', ['economy', 'fed-rates']]);
+  assert.deepEqual([fed.liquidity.rating, fed.liquidity.spread], ['ok', 0.02]);
+  assert.equal(byAsset['5814198611'].liquidity.rating, 'thin');
+  // The CLOB has no book for the NBA market (404)
+  assert.equal(byAsset['6342762120'].liquidity.rating, 'none');
+  assert.deepEqual(result.aggregatedPortfolio.summary.liquidityCounts, { ok: 1, thin: 1, none: 1, unknown: 0 });
+  assert.deepEqual(result.scorecards.traders.map(t => [t.address, t.leaderboardRank]), [[traders[0].address, 2], [traders[1].address, 3]]);
+});
+
+test('the replay check fails when the CLOB, Gamma or leaderboard fixtures are missing', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 't1w-fixtures-'));
+  for (const file of fs.readdirSync(fixturesDir)) {
+    if (!/^(clob|gamma_api|lb_api)_/.test(file)) fs.copyFileSync(path.join(fixturesDir, file), path.join(dir, file));
+  }
+  const { recordedAt, traders } = readManifest(dir);
+  const config = isolatedConfig({ ...loadConfig({ env: {}, argv: [] }), fixtures_dir: dir }, 'replay');
+  // The leaderboard is cached in-process by the run above
+  clearCache();
+
+  const log = console.log;
+  const warn = console.warn;
+  const error = console.error;
+  console.log = console.warn = console.error = () => {};
+  try {
+    const result = await computeAll({ config, traders, now: recordedAt, outputDir: path.dirname(config.activity_dir) });
+    assert.deepEqual(checkResult(result, traders, config), [
+      '3 open positions without a price history mark',
+      '3 open positions without an order book',
+      'no position categorised from market metadata',
+      'no scorecard with a leaderboard rank'
+    ]);
+  } finally {
+    console.log = log;
+    console.warn = warn;
+    console.error = error;
+  }
+});
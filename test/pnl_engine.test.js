@@ -0,0 +1,138 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { computePnL } from '../scripts/pnl_engine.js';
+import { computeTraderPnL } from '../scripts/compute_aggregates.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+function loadFixture(name) {
+  return JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf-8'));
+}
+
+function marketPnL(result, title) {
+  return result.markets.find(m => m.title === title);
+}
+
+const wallet = loadFixture('pnl_wallet.json');
+const SEGURO = 'Will António José Seguro win the second round by 0–10%?';
+const IRAN = 'US forces enter Iran by March 31?';
+const VANCE = 'Will J.D. Vance win the 2028 Republican presidential nomination?';
+
+test('FIFO sells consume the oldest lots first', () => {
+  const result = computePnL(wallet.activity, wallet.positions, { method: 'fifo' });
+
+  // Sold 150 @ 0.70 against 100 @ 0.40 and 50 @ 0.60
+  assert.equal(marketPnL(result, SEGURO).realizedPnL, 35);
+  // Remaining 50 shares cost 0.60, marked at 0.80
+  const open = result.openPositions.find(p => p.outcomeIndex === 0 && p.size === 50);
+  assert.equal(open.avgCost, 0.6);
+  assert.equal(open.unrealizedPnL, 10);
+});
+
+test('average cost sells use the blended entry price', () => {
+  const result = computePnL(wallet.activity, wallet.positions, { method: 'average' });
+
+  // Sold 150 @ 0.70 against an average cost of 0.50
+  assert.equal(marketPnL(result, SEGURO).realizedPnL, 30);
+  assert.equal(marketPnL(result, SEGURO).unrealizedPnL, 15);
+});
+
+test('both methods agree on total PnL', () => {
+  const fifo = computePnL(wallet.activity, wallet.positions, { method: 'fifo' });
+  const average = computePnL(wallet.activity, wallet.positions, { method: 'average' });
+
+  assert.equal(fifo.realizedPnL, 178);
+  assert.equal(fifo.unrealizedPnL, 13);
+  assert.equal(average.realizedPnL, 173);
+  assert.equal(average.unrealizedPnL, 18);
+  assert.equal(fifo.totalPnL, 191);
+  assert.equal(average.totalPnL, fifo.totalPnL);
+});
+
+test('redeeming a winning outcome realizes payout minus cost', () => {
+  const result = computePnL(wallet.activity, wallet.positions);
+  const iran = marketPnL(result, IRAN);
+
+  assert.equal(iran.realizedPnL, 150);
+  assert.equal(iran.redeemed, 200);
+  assert.equal(iran.open, false);
+});
+
+test('split and merge are cost neutral at 0.50 per share', () => {
+  const result = computePnL(wallet.activity, wallet.positions);
+  const vance = marketPnL(result, VANCE);
+
+  // Merge of 40 sets is break-even; selling 60 No @ 0.30 loses 12
+  assert.equal(vance.realizedPnL, -12);
+  assert.equal(vance.unrealizedPnL, 3);
+  assert.equal(vance.open, true);
+});
+
+test('rewards count as realized PnL without a market', () => {
+  const result = computePnL(wallet.activity, wallet.positions);
+
+  assert.equal(result.rewards, 5);
+  assert.equal(result.markets.some(m => m.conditionId === ''), false);
+});
+
+test('daily series accumulates realized PnL per UTC day', () => {
+  const result = computePnL(wallet.activity, wallet.positions);
+
+  assert.deepEqual(result.daily.map(d => d.date), [
+    '2026-01-03',
+    '2026-01-04',
+    '2026-01-05',
+    '2026-01-06'
+  ]);
+  assert.deepEqual(result.daily.map(d => d.realized), [35, 150, 0, -7]);
+  assert.equal(result.daily.at(-1).cumulativeRealized, result.realizedPnL);
+});
+
+test('activity order from the API does not matter', () => {
+  const shuffled = [...wallet.activity].reverse();
+  assert.equal(
+    computePnL(shuffled, wallet.positions).totalPnL,
+    computePnL(wallet.activity, wallet.positions).totalPnL
+  );
+});
+
+test('truncated history never invents profit', () => {
+  const truncated = loadFixture('pnl_truncated.json');
+  const result = computePnL(truncated.activity, truncated.positions);
+
+  assert.equal(result.realizedPnL, 0);
+  assert.equal(result.unmatchedShares, 150);
+});
+
+test('open positions without history fall back to the API average price', () => {
+  const result = computePnL([], [
+    { conditionId: '0xabc', outcomeIndex: 1, outcome: 'No', size: 100, avgPrice: 0.2, curPrice: 0.35 }
+  ]);
+
+  assert.equal(result.unrealizedPnL, 15);
+  assert.equal(result.realizedPnL, 0);
+});
+
+test('the scraped PnL stays primary until the activity log is complete', () => {
+  const address = '0x00000000000000000000000000000000000000a1';
+  const engine = computePnL(wallet.activity, wallet.positions).totalPnL;
+  const run = cursor => {
+    const portfolio = { fetchSuccess: true, positions: wallet.positions, totalPnL: 1234, scrapedPnL: 1234, pnlSource: 'scraped' };
+    const pnlByTrader = computeTraderPnL([{ address }], { [address]: portfolio }, {}, new Map([[address, { activity: wallet.activity, cursor }]]));
+    return [portfolio.pnlSource, portfolio.totalPnL, pnlByTrader[address].historyComplete];
+  };
+
+  const warn = console.warn;
+  console.warn = () => {};
+  try {
+    assert.deepEqual(run({ complete: false, gaps: [] }), ['scraped', 1234, false]);
+    assert.deepEqual(run({ complete: true, gaps: [{ start: 1, end: 2 }] }), ['scraped', 1234, false]);
+    assert.deepEqual(run(null), ['scraped', 1234, false]);
+    assert.deepEqual(run({ complete: true, gaps: [] }), ['activity', engine, true]);
+  } finally {
+    console.warn = warn;
+  }
+});
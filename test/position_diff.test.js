@@ -0,0 +1,115 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { countEventTypes, diffPortfolios, mergePositionEvents } from '../scripts/position_diff.js';
+import { appendSnapshot, buildSnapshot, getLatestSnapshot } from '../scripts/history_store.js';
+
+const NOW = 1792396800;
+const MARKET = '0xfed0000000000000000000000000000000000000000000000000000000000001';
+const YES = '7001';
+const NO = '7002';
+
+function position(asset, size, curPrice, extra = {}) {
+  const outcomeIndex = asset === YES ? 0 : 1;
+  return {
+    conditionId: MARKET, asset, outcomeIndex, outcome: outcomeIndex === 0 ? 'Yes' : 'No',
+    title: 'Fed cut in December?', slug: 'fed-cut', size, curPrice, currentValue: size * curPrice, ...extra
+  };
+}
+
+function portfolio(positions, extra = {}) {
+  return { label: 'Whale', fetchSuccess: true, positions, ...extra };
+}
+
+function diff(previous, current, config = {}) {
+  return diffPortfolios({ '0xa1': previous }, { '0xa1': current }, config, NOW);
+}
+
+test('opened, added, trimmed and closed positions are told apart', () => {
+  const previous = portfolio([position(YES, 1000, 0.5), position('8001', 200, 0.5, { conditionId: '0x02' })]);
+  const current = portfolio([position(YES, 1500, 0.5), position('9001', 100, 0.3, { conditionId: '0x03' })]);
+
+  const events = diff(previous, current);
+  assert.deepEqual(events.map(e => [e.type, e.asset, e.sizeDelta, e.valueDelta]), [
+    ['added', YES, 500, 250],
+    ['closed', '8001', -200, -100],
+    ['opened', '9001', 100, 30]
+  ]);
+  assert.deepEqual(countEventTypes(events), { opened: 1, closed: 1, flipped: 0, added: 1, trimmed: 0, resolved: 0, redeemed: 0 });
+});
+
+test('small changes stay under the diff thresholds', () => {
+  const previous = portfolio([position(YES, 1000, 0.5)]);
+  assert.deepEqual(diff(previous, portfolio([position(YES, 1010, 0.5)])), []);
+  assert.equal(diff(previous, portfolio([position(YES, 1010, 0.5)]), { position_diff_min_usd: 1, position_diff_min_pct: 0 })[0].type, 'added');
+  assert.equal(diff(previous, portfolio([position(YES, 990, 0.5)]), { position_diff_min_usd: 1, position_diff_min_pct: 0 })[0].type, 'trimmed');
+});
+
+test('a flip reports the size change between the two outcomes', () => {
+  const events = diff(portfolio([position(YES, 1000, 0.5)]), portfolio([position(NO, 600, 0.5)]));
+  assert.equal(events.length, 1);
+  assert.deepEqual(
+    [events[0].type, events[0].fromAsset, events[0].asset, events[0].prevSize, events[0].size, events[0].sizeDelta],
+    ['flipped', YES, NO, 1000, 600, -400]
+  );
+});
+
+test('resolved outcomes are reported once, then redeemed', () => {
+  const previous = portfolio([position(YES, 1000, 0.5)]);
+  const won = diff(previous, portfolio([position(YES, 1000, 1, { redeemable: true })]));
+  assert.deepEqual(won.map(e => [e.type, e.result]), [['resolved', 'won']]);
+
+  // A lost outcome drops under the tracking threshold but is still in the wallet
+  const lost = diff(previous, portfolio([position(YES, 1000, 0, { redeemable: true })]));
+  assert.deepEqual(lost.map(e => [e.type, e.result, e.valueDelta]), [['resolved', 'lost', -500]]);
+
+  const redeemed = diff(portfolio([position(YES, 1000, 1, { redeemable: true })]), portfolio([]));
+  assert.deepEqual(redeemed.map(e => [e.type, e.result]), [['redeemed', 'won']]);
+});
+
+test('a position dipping under the tracking threshold is neither closed nor opened again', () => {
+  const config = { history_min_position_value: 50, history_dir: fs.mkdtempSync(path.join(os.tmpdir(), 't1w-diff-')) };
+  const snapshot = (portfolios, previous) => {
+    appendSnapshot(buildSnapshot(portfolios, null, {}, config, NOW, previous?.traders), config);
+    return getLatestSnapshot(config);
+  };
+
+  const first = snapshot({ '0xa1': portfolio([position(YES, 1000, 0.1)]) });
+  const dipped = { '0xa1': portfolio([position(YES, 1000, 0.04)]) };
+  assert.deepEqual(diffPortfolios(first.traders, dipped, config, NOW), []);
+
+  const second = snapshot(dipped, first);
+  assert.equal(second.traders['0xa1'].positions.length, 1);
+  const recovered = { '0xa1': portfolio([position(YES, 1000, 0.2)]) };
+  assert.deepEqual(diffPortfolios(second.traders, recovered, config, NOW), []);
+
+  // Sold down to dust still counts as a trim; fully sold is a close
+  const dust = diffPortfolios(second.traders, { '0xa1': portfolio([position(YES, 100, 0.04)]) }, config, NOW);
+  assert.deepEqual(dust.map(e => [e.type, e.sizeDelta]), [['trimmed', -900]]);
+  const sold = diffPortfolios(second.traders, { '0xa1': portfolio([position(YES, 0, 0.04)]) }, config, NOW);
+  assert.deepEqual(sold.map(e => e.type), ['closed']);
+
+  // Never tracked and still under the threshold: not stored
+  assert.equal(buildSnapshot({ '0xa1': portfolio([position(YES, 100, 0.1)]) }, null, {}, config, NOW).traders['0xa1'].positions.length, 0);
+});
+
+test('traders with a failed fetch on either side are skipped', () => {
+  const held = portfolio([position(YES, 1000, 0.5)]);
+  assert.deepEqual(diff(held, portfolio([], { fetchSuccess: false })), []);
+  assert.deepEqual(diff({ ...held, fetchSuccess: false }, portfolio([])), []);
+  assert.deepEqual(diffPortfolios({}, { '0xa1': held }, {}, NOW), []);
+});
+
+test('the feed keeps each event once, newest first, within retention', () => {
+  const event = (id, timestamp) => ({ id, timestamp });
+  const merged = mergePositionEvents(
+    [event('a', NOW), event('b', NOW)],
+    [event('a', NOW), event('c', NOW - 86400), event('old', NOW - 31 * 86400)],
+    { max_position_events: 3 },
+    NOW
+  );
+  assert.deepEqual(merged.map(e => e.id), ['a', 'b', 'c']);
+  assert.equal(mergePositionEvents([event('a', NOW), event('b', NOW)], [], { max_position_events: 1 }, NOW).length, 1);
+});
@@ -0,0 +1,95 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { heldTokenIds, mergePoints, priceAt, priceMarks, updatePriceHistory } from '../scripts/price_history.js';
+import { setTransport } from '../scripts/transport.js';
+
+const NOW = 1792396800;
+const HOUR = 3600;
+const DAY = 86400;
+
+// Hourly points over the last week: 0.40 a week ago rising by a cent a day
+const WEEK = Array.from({ length: 7 * 24 + 1 }, (_, i) => {
+  const t = NOW - 7 * DAY + i * HOUR;
+  return [t, Math.round((0.4 + Math.floor(i / 24) * 0.01) * 10000) / 10000];
+});
+
+test('held tokens skip failed fetches, redeemable and empty positions', () => {
+  const portfolios = {
+    a: { fetchSuccess: true, positions: [{ asset: '1', size: 10 }, { asset: '2', size: 5, redeemable: true }, { asset: '3', size: 0 }] },
+    b: { fetchSuccess: true, positions: [{ asset: '1', size: 3 }, { asset: 4, size: '2' }] },
+    c: { fetchSuccess: false, positions: [{ asset: '5', size: 10 }] }
+  };
+  assert.deepEqual(heldTokenIds(portfolios), ['1', '4']);
+});
+
+test('merged points are unique per timestamp, sorted and trimmed', () => {
+  const merged = mergePoints([[100, 0.1], [200, 0.2], [300, 0.3]], [[300, 0.35], [400, 0.4]], 200);
+  assert.deepEqual(merged, [[200, 0.2], [300, 0.35], [400, 0.4]]);
+});
+
+test('price at a time is the last point at or before it', () => {
+  const points = [[100, 0.1], [200, 0.2], [300, 0.3]];
+  assert.equal(priceAt(points, 99), null);
+  assert.equal(priceAt(points, 200), 0.2);
+  assert.equal(priceAt(points, 299), 0.2);
+  assert.equal(priceAt(points, 1000), 0.3);
+  assert.equal(priceAt([], 1000), null);
+});
+
+test('marks come from fresh history, else from the holders\' median price', () => {
+  assert.deepEqual(priceMarks(WEEK, [0.9], NOW), {
+    markPrice: 0.47, markSource: 'history', priceChange1h: 0.01, priceChange1d: 0.01, priceChange1w: 0.07
+  });
+
+  // Last point three hours old: stale at hourly fidelity, fine at 2h
+  const stale = WEEK.slice(0, -3);
+  const fallback = priceMarks(stale, [0.5, 0, 0.6, 0.55], NOW);
+  assert.equal(fallback.markPrice, 0.55);
+  assert.equal(fallback.markSource, 'positions');
+  assert.equal(fallback.priceChange1d, 0.09);
+  assert.equal(priceMarks(stale, [0.5], NOW, { price_history_fidelity_minutes: 120 }).markSource, 'history');
+
+  // Short history: only the windows it covers get a change
+  const short = priceMarks(WEEK.slice(-10), [], NOW);
+  assert.equal(short.priceChange1h, 0.01);
+  assert.equal(short.priceChange1d, null);
+  assert.equal(short.priceChange1w, null);
+
+  assert.deepEqual(priceMarks([], [], NOW), {
+    markPrice: 0, markSource: null, priceChange1h: null, priceChange1d: null, priceChange1w: null
+  });
+});
+
+test('updates fetch only points after the cached ones and drop tokens no longer held', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 't1w-prices-'));
+  const config = { price_history_file: path.join(dir, 'price_history.json'), retry_attempts: 1, clob_api_base: 'http://clob.test' };
+  const requests = [];
+  setTransport({
+    mode: 'test',
+    fetch: async url => {
+      const params = new URL(url).searchParams;
+      requests.push([params.get('market'), Number(params.get('startTs'))]);
+      if (params.get('market') === 'bad') return new Response('{}', { status: 500 });
+      const start = Number(params.get('startTs'));
+      const history = WEEK.filter(([t]) => t >= start && t <= Number(params.get('endTs'))).map(([t, p]) => ({ t, p }));
+      return new Response(JSON.stringify({ history }), { status: 200 });
+    }
+  });
+  try {
+    const first = await updatePriceHistory(['7001', 'gone'], config, NOW - DAY);
+    assert.equal(first.tokens['7001'].points.at(-1)[0], NOW - DAY);
+
+    requests.length = 0;
+    const second = await updatePriceHistory(['7001', 'bad'], config, NOW);
+    assert.deepEqual(requests.find(([token]) => token === '7001'), ['7001', NOW - DAY + 1]);
+    assert.equal(second.tokens['7001'].points.length, WEEK.length);
+    assert.deepEqual(second.tokens.bad.points, []);
+    assert.equal(second.tokens.gone, undefined);
+    assert.deepEqual(Object.keys(JSON.parse(fs.readFileSync(config.price_history_file, 'utf-8')).tokens), ['7001', 'bad']);
+  } finally {
+    setTransport(null);
+  }
+});
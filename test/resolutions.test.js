@@ -0,0 +1,126 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { endTimestamp, positionStatus, updateResolvedMarkets } from '../scripts/resolutions.js';
+import { aggregatePortfolios } from '../scripts/compute_aggregates.js';
+
+const NOW = 1792396800; // 2026-10-19T08:00:00Z
+const MARKET = '0x7e57000000000000000000000000000000000000000000000000000000000001';
+
+function position(outcomeIndex, curPrice, extra = {}) {
+  return {
+    conditionId: MARKET,
+    asset: `7000${outcomeIndex}`,
+    title: 'Lakers vs. Celtics',
+    slug: 'nba-lal-bos',
+    outcome: outcomeIndex === 0 ? 'Lakers' : 'Celtics',
+    oppositeOutcome: outcomeIndex === 0 ? 'Celtics' : 'Lakers',
+    outcomeIndex,
+    size: 1000,
+    avgPrice: 0.4,
+    curPrice,
+    currentValue: 1000 * curPrice,
+    endDate: '2026-10-18',
+    redeemable: true,
+    ...extra
+  };
+}
+
+function portfolio(label, positions) {
+  return { label, fetchSuccess: true, totalValue: 1000, usdcBalance: 0, positions };
+}
+
+test('positions are live until endDate, then await resolution until redeemable', () => {
+  assert.equal(endTimestamp('2026-10-19'), NOW - 8 * 3600 + 86400);
+  assert.equal(endTimestamp('soon'), null);
+
+  assert.equal(positionStatus({ endDate: '2026-10-19' }, NOW), 'live');
+  assert.equal(positionStatus({ endDate: '2026-10-19T06:00:00Z' }, NOW), 'awaiting');
+  assert.equal(positionStatus({ endDate: '2026-10-18', redeemable: true }, NOW), 'resolved');
+  assert.equal(positionStatus({}, NOW), 'live');
+});
+
+test('redeemable positions record the winner and each holder result', () => {
+  const ledger = updateResolvedMarkets([], {
+    '0xa1': portfolio('Whale', [position(0, 1)]),
+    '0xb2': portfolio('Sharp', [position(1, 0, { size: 500 })])
+  }, [], null, {}, NOW);
+
+  const [market] = ledger.markets;
+  assert.equal(market.winningOutcomeIndex, 0);
+  assert.equal(market.winningOutcome, 'Lakers');
+  assert.equal(market.resolvedAt, NOW);
+
+  const whale = market.positions.find(p => p.traderAddress === '0xa1');
+  assert.deepEqual([whale.result, whale.cost, whale.payout, whale.realizedPnL], ['won', 400, 1000, 600]);
+  const sharp = market.positions.find(p => p.traderAddress === '0xb2');
+  assert.deepEqual([sharp.result, sharp.payout, sharp.realizedPnL], ['lost', 0, -200]);
+
+  // The side holding most Tier1 money won
+  assert.equal(market.summary.consensusResult, 'won');
+  assert.equal(ledger.summary.hitRate, 0.5);
+  assert.equal(ledger.summary.consensusHitRate, 1);
+  assert.equal(ledger.summary.realizedPnL, 400);
+});
+
+test('a losing holder alone still names the winner of a binary market', () => {
+  const ledger = updateResolvedMarkets([], {
+    '0xb2': portfolio('Sharp', [position(1, 0)])
+  }, [], null, {}, NOW);
+
+  assert.equal(ledger.markets[0].winningOutcomeIndex, 0);
+  assert.equal(ledger.markets[0].winningOutcome, 'Lakers');
+});
+
+test('redemptions update the ledger after the position is gone', () => {
+  const first = updateResolvedMarkets([], {
+    '0xa1': portfolio('Whale', [position(0, 1)])
+  }, [], null, {}, NOW);
+
+  const redeems = [
+    { type: 'REDEEM', traderAddress: '0xa1', conditionId: MARKET, timestamp: NOW + 600, size: 1000, usdcSize: 1000, outcomeIndex: 999 },
+    // Redeemed before any run saw the position as resolved: the snapshot supplies outcome and cost
+    { type: 'REDEEM', traderAddress: '0xc3', traderLabel: 'Late', conditionId: MARKET, timestamp: NOW + 900, size: 200, usdcSize: 200, outcomeIndex: 999 },
+    // Nothing known about this one but the payout
+    { type: 'REDEEM', traderAddress: '0xd4', conditionId: MARKET, title: 'Lakers vs. Celtics', timestamp: NOW + 1200, size: 50, usdcSize: 0, outcomeIndex: 999 }
+  ];
+  const previousTraders = {
+    '0xc3': { label: 'Late', positions: [{ ...position(0, 0.97), size: 200, avgPrice: 0.5, redeemable: 0 }] }
+  };
+  const ledger = updateResolvedMarkets(first.markets, {
+    '0xa1': portfolio('Whale', [])
+  }, redeems, previousTraders, {}, NOW + 3600);
+
+  const [market] = ledger.markets;
+  assert.equal(market.resolvedAt, NOW);
+  const byTrader = Object.fromEntries(market.positions.map(p => [p.traderAddress, p]));
+  assert.equal(byTrader['0xa1'].redeemedAt, NOW + 600);
+  assert.equal(byTrader['0xa1'].realizedPnL, 600);
+  assert.deepEqual([byTrader['0xc3'].outcome, byTrader['0xc3'].cost, byTrader['0xc3'].realizedPnL], ['Lakers', 100, 100]);
+  assert.deepEqual([byTrader['0xd4'].outcomeIndex, byTrader['0xd4'].result, byTrader['0xd4'].realizedPnL], [null, 'lost', null]);
+  assert.equal(ledger.summary.positionCount, 3);
+  assert.equal(ledger.summary.realizedPnL, 700);
+
+  // Seeing the same redemptions again changes nothing
+  const again = updateResolvedMarkets(ledger.markets, {}, redeems, null, {}, NOW + 7200);
+  assert.deepEqual(again.markets, ledger.markets);
+});
+
+test('aggregates mark position status and keep resolved outcomes out of the model', () => {
+  const live = { ...position(0, 0.6), conditionId: '0x11', asset: '1100', endDate: '2026-12-31', redeemable: false };
+  const ended = { ...position(0, 0.7), conditionId: '0x22', asset: '2200', endDate: '2026-10-01', redeemable: false };
+  const resolved = position(1, 0);
+  const won = position(0, 1);
+
+  const { positions, summary } = aggregatePortfolios({
+    '0xa1': portfolio('Whale', [live, ended, resolved, won])
+  }, { min_usd_filter: 0 }, [], NOW, '/nonexistent');
+
+  const byAsset = Object.fromEntries(positions.map(p => [p.asset, p]));
+  assert.equal(byAsset['1100'].status, 'live');
+  assert.equal(byAsset['2200'].status, 'awaiting');
+  assert.deepEqual([byAsset['70000'].status, byAsset['70000'].result], ['resolved', 'won']);
+  assert.deepEqual([byAsset['70001'].status, byAsset['70001'].result], ['resolved', 'lost']);
+  assert.equal(byAsset['70000'].modelWeight, 0);
+  assert.equal(byAsset['1100'].modelWeights.raw + byAsset['2200'].modelWeights.raw, 1);
+  assert.deepEqual(summary.statusCounts, { live: 1, awaiting: 1, resolved: 2 });
+});
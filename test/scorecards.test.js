@@ -0,0 +1,93 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { replayOutcomes, buildScorecard, computeScorecards, maxDrawdown } from '../scripts/scorecards.js';
+import { categoryOf } from '../scripts/categories.js';
+import { setTransport } from '../scripts/transport.js';
+
+const T0 = 1792396800;
+const ADDRESS = '0x00000000000000000000000000000000000000a1';
+const FED = { conditionId: '0xfed', title: 'Fed rate cut in December 2026?', slug: 'fed-rate-cut-in-december-2026' };
+const NBA = { conditionId: '0xnba', title: 'Lakers vs. Celtics', slug: 'nba-lal-bos-2026-10-20' };
+const BTC = { conditionId: '0xbtc', title: 'Bitcoin above $150k on December 31?', slug: 'bitcoin-above-150k-on-december-31' };
+
+function trade(market, side, outcomeIndex, size, price, timestamp) {
+  return { ...market, type: 'TRADE', side, outcomeIndex, size, usdcSize: size * price, price, timestamp };
+}
+
+const activity = [
+  trade(FED, 'BUY', 0, 100, 0.4, T0),
+  trade(NBA, 'BUY', 1, 200, 0.3, T0 + 3600),
+  { ...NBA, type: 'REDEEM', outcomeIndex: 999, size: 200, usdcSize: 0, timestamp: T0 + 7200 },
+  trade(BTC, 'BUY', 0, 60, 0.5, T0),
+  trade(BTC, 'BUY', 0, 40, 0.5, T0 + 3600),
+  trade(BTC, 'SELL', 0, 99.5, 0.6, T0 + 36000)
+];
+const ledgerMarkets = [{ conditionId: '0xfed', winningOutcomeIndex: 0, positions: [] }];
+const pnl = { totalPnL: 30, daily: [{ cumulativeRealized: 10 }, { cumulativeRealized: -20 }, { cumulativeRealized: 5 }] };
+
+test('markets are categorised from their title and slugs', () => {
+  assert.equal(categoryOf(FED), 'economics');
+  assert.equal(categoryOf(NBA), 'sports');
+  assert.equal(categoryOf(BTC), 'crypto');
+  assert.equal(categoryOf({ title: 'Will the Democrats win the Senate?' }), 'politics');
+  assert.equal(categoryOf({ title: 'Aliens confirmed?' }), 'other');
+});
+
+test('outcomes close on a full sell or a redeem', () => {
+  const { outcomes, redeems } = replayOutcomes(activity);
+
+  assert.equal(outcomes.get('0xbtc-0').closedAt, T0 + 36000);
+  assert.equal(outcomes.get('0xbtc-0').firstBuyAt, T0);
+  assert.equal(outcomes.get('0xnba-1').closedAt, T0 + 7200);
+  assert.equal(outcomes.get('0xfed-0').closedAt, null);
+  assert.deepEqual(redeems.get('0xnba'), { payout: 0, timestamp: T0 + 7200 });
+});
+
+test('drawdown is measured from the running peak', () => {
+  assert.equal(maxDrawdown(pnl.daily), 30);
+  assert.equal(maxDrawdown([{ cumulativeRealized: 5 }, { cumulativeRealized: 8 }]), 0);
+  assert.equal(maxDrawdown(), 0);
+});
+
+test('scorecards join activity with resolutions', () => {
+  const card = buildScorecard({ address: ADDRESS, portfolio: { label: 'Whale', tier: '1' }, activity, pnl, ledgerMarkets }, { scorecard_min_resolved: 2 });
+
+  // Fed won per the ledger; the single-sided NBA position redeemed for nothing lost
+  assert.equal(card.resolvedCount, 2);
+  assert.equal(card.winRate, 0.5);
+  assert.equal(card.entryEdge, 0.15);
+  assert.equal(card.brierScore, 0.225);
+  assert.equal(card.avgHoldHours, 5.5);
+  assert.equal(card.totalBought, 150);
+  assert.equal(card.roi, 0.2);
+  assert.equal(card.maxDrawdown, 30);
+  assert.deepEqual(card.categoryMix, { sports: 0.4, crypto: 0.3333, economics: 0.2667 });
+  assert.equal(card.topCategory, 'sports');
+  assert.equal(card.sufficientSample, true);
+  assert.equal(card.leaderboardRank, null);
+
+  // Market metadata wins over the keywords, as for positions
+  const tagged = buildScorecard({ address: ADDRESS, activity, pnl, ledgerMarkets, categoryContext: { metadata: { '0xbtc': { category: 'Sports', tags: [] } } } });
+  assert.deepEqual(tagged.categoryMix, { sports: 0.7333, economics: 0.2667 });
+});
+
+test('roster scorecards carry the profit leaderboard rank', async () => {
+  const leaderboard = [
+    { proxyWallet: '0x00000000000000000000000000000000000000ff', amount: 900000 },
+    { proxyWallet: ADDRESS.toUpperCase().replace('0X', '0x'), amount: 120000 }
+  ];
+  setTransport({ mode: 'test', fetch: async () => new Response(JSON.stringify(leaderboard), { status: 200 }) });
+  try {
+    const traders = [{ address: ADDRESS, label: 'Whale' }, { address: '0x00000000000000000000000000000000000000b2', label: 'Idle' }];
+    const logs = new Map([[ADDRESS, { activity }]]);
+    const result = await computeScorecards(traders, {}, logs, { [ADDRESS]: pnl }, { markets: ledgerMarkets }, {}, {}, T0);
+
+    assert.deepEqual(result.traders.map(t => t.label), ['Whale', 'Idle']);
+    assert.equal(result.traders[0].leaderboardRank, 2);
+    assert.equal(result.traders[0].leaderboardProfit, 120000);
+    assert.equal(result.traders[1].roi, null);
+    assert.equal(result.traders[0].sufficientSample, false);
+  } finally {
+    setTransport(null);
+  }
+});
@@ -0,0 +1,193 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { filterChanges, listTraders, marketPositions, newChanges, createDashboardServer } from '../scripts/server.js';
+import { createStandInApi } from '../scripts/stand_in_api.js';
+import { runOnce } from '../scripts/fetch_data.js';
+import { loadConfig } from '../scripts/config.js';
+
+const NOW = 1792396800; // 2026-10-19T08:00:00Z
+const WHALE = '0x00000000000000000000000000000000000000a1';
+const SHARP = '0x00000000000000000000000000000000000000b2';
+const MARKET = '0x5e7e000000000000000000000000000000000000000000000000000000000001';
+const QUIET = { log() {} };
+
+function change(traderAddress, trader, timestamp, extra = {}) {
+  return { timestamp, trader, traderAddress, conditionId: MARKET, marketSlug: 'fed-cut', outcomeIndex: 0, action: 'increased', delta: 100, ...extra };
+}
+
+const DATA = {
+  metadata: { last_updated: '2026-10-19T08:00:00Z', watchlists: [{ id: 'whales', addresses: [WHALE] }] },
+  traderPortfolios: {
+    [WHALE]: { address: WHALE, label: 'Whale', totalValue: 900, positions: [{ conditionId: MARKET, outcome: 'Yes', outcomeIndex: 0, size: 1000, currentValue: 500 }] },
+    [SHARP]: { address: SHARP, label: 'Sharp', totalValue: 100, positions: [{ conditionId: MARKET, outcome: 'No', outcomeIndex: 1, size: 200, currentValue: 100 }] }
+  },
+  aggregatedPortfolio: { positions: [{ conditionId: MARKET, outcomeIndex: 0 }, { conditionId: '0xother', outcomeIndex: 0 }], summary: {} },
+  recentChanges: {
+    changes: [
+      change(SHARP, 'Sharp', NOW - 60),
+      change(WHALE, 'Whale', NOW - 3600),
+      change(WHALE, 'Whale', NOW - 7200, { conditionId: '0xother', marketSlug: 'other' })
+    ]
+  }
+};
+
+test('changes can be queried by trader, market, watchlist and time', () => {
+  assert.equal(filterChanges(DATA).total, 3);
+  assert.equal(filterChanges(DATA, { trader: 'whale' }).total, 2);
+  assert.equal(filterChanges(DATA, { trader: WHALE.toUpperCase(), market: 'fed-cut' }).total, 1);
+  assert.equal(filterChanges(DATA, { market: MARKET, since: NOW - 3600 }).total, 2);
+  assert.equal(filterChanges(DATA, { until: NOW - 3600 }).total, 2);
+  assert.equal(filterChanges(DATA, { watchlist: 'whales', limit: 1 }).changes[0].traderAddress, WHALE);
+  assert.equal(filterChanges(DATA, { watchlist: 'nobody' }).total, 0);
+});
+
+test('traders and market holders come from the published portfolios', () => {
+  const traders = listTraders(DATA);
+  assert.deepEqual(traders.map(t => [t.label, t.positionCount]), [['Whale', 1], ['Sharp', 1]]);
+  assert.equal(traders[0].positions, undefined);
+  assert.deepEqual(listTraders(DATA, { watchlist: 'whales' }).map(t => t.label), ['Whale']);
+
+  const market = marketPositions(DATA, MARKET);
+  assert.equal(market.outcomes.length, 1);
+  assert.deepEqual(market.holders.map(h => [h.trader, h.outcome]), [['Whale', 'Yes'], ['Sharp', 'No']]);
+});
+
+test('only rows missing from the previous data count as new changes', () => {
+  const next = { recentChanges: { changes: [change(WHALE, 'Whale', NOW), ...DATA.recentChanges.changes] } };
+  assert.deepEqual(newChanges(DATA, next), [change(WHALE, 'Whale', NOW)]);
+  assert.equal(newChanges(null, next).length, 4);
+
+  // Identical fills in the same second are told apart by their transaction
+  const fill = change(WHALE, 'Whale', NOW, { transactionHash: '0x01' });
+  const twin = { ...fill, transactionHash: '0x02' };
+  assert.deepEqual(newChanges({ recentChanges: { changes: [fill] } }, { recentChanges: { changes: [twin, fill] } }), [twin]);
+});
+
+/**
+ * Read server-sent events from a fetch response
+ */
+function eventReader(response) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  return {
+    async next(name) {
+      for (;;) {
+        let end;
+        while ((end = buffer.indexOf('\n\n')) >= 0) {
+          const block = buffer.slice(0, end);
+          buffer = buffer.slice(end + 2);
+          const event = block.match(/^event: (.*)$/m)?.[1];
+          const data = block.match(/^data: (.*)$/m)?.[1];
+          if (event === name) return JSON.parse(data);
+        }
+        const { value, done } = await reader.read();
+        if (done) throw new Error(`Stream ended before a ${name} event`);
+        buffer += decoder.decode(value, { stream: true });
+      }
+    },
+    cancel: () => reader.cancel()
+  };
+}
+
+function trade(side, size, price, timestamp, hash) {
+  return {
+    type: 'TRADE', side, conditionId: MARKET, asset: '7001', outcome: 'Yes', outcomeIndex: 0,
+    title: 'Fed cut in December?', slug: 'fed-cut', eventSlug: 'fed-december',
+    size, usdcSize: size * price, price, timestamp, transactionHash: hash
+  };
+}
+
+test('server pushes new changes and aggregates from a pipeline run against the stand-in API', async () => {
+  const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 't1w-server-'));
+  const dataDir = path.join(tmp, 'data');
+  const position = {
+    conditionId: MARKET, asset: '7001', title: 'Fed cut in December?', slug: 'fed-cut', eventSlug: 'fed-december',
+    outcome: 'Yes', outcomeIndex: 0, size: 1000, avgPrice: 0.4, curPrice: 0.5, currentValue: 500,
+    initialValue: 400, cashPnl: 100, endDate: '2026-12-10'
+  };
+  const standIn = createStandInApi({
+    positions: { [WHALE]: [position] },
+    activity: { [WHALE]: [trade('BUY', 1000, 0.4, NOW - 3600, '0x01')] },
+    usdc: { [WHALE]: 250 },
+    prices: { 7001: [{ t: NOW - 86400, p: 0.45 }, { t: NOW - 3600, p: 0.5 }, { t: NOW - 300, p: 0.52 }] },
+    markets: { [MARKET]: { category: null, tags: [{ slug: 'economy', label: 'Economy' }, { slug: 'fed-rates', label: 'Fed Rates' }] } },
+    books: { 7001: { bids: [{ price: '0.51', size: '5000' }], asks: [{ price: '0.53', size: '500' }, { price: '0.6', size: '50000' }] } }
+  });
+  await new Promise(resolve => standIn.server.listen(0, '127.0.0.1', resolve));
+  const apiBase = `http://127.0.0.1:${standIn.server.address().port}`;
+
+  const config = {
+    ...loadConfig({ env: {}, argv: [] }),
+    data_api_base: apiBase,
+    lb_api_base: apiBase,
+    polygon_rpc_url: apiBase,
+    polymarket_web_base: apiBase,
+    clob_api_base: apiBase,
+    gamma_api_base: apiBase,
+    transport_mode: 'live',
+    activity_dir: path.join(tmp, 'activity'),
+    history_dir: path.join(tmp, 'history'),
+    alert_state_file: path.join(tmp, 'alerts_state.json'),
+    price_history_file: path.join(tmp, 'price_history.json'),
+    market_metadata_file: path.join(tmp, 'market_metadata.json'),
+    category_overrides_file: path.join(tmp, 'category_overrides.json'),
+    alerts_enabled: false,
+    retry_attempts: 1,
+    profile_scrape_delay_ms: 0,
+    cache_ttl_seconds: 0
+  };
+  const traders = [{ address: WHALE, label: 'Whale', tier: '1' }];
+
+  const app = createDashboardServer({ dataDir, log: QUIET });
+  await new Promise(resolve => app.server.listen(0, '127.0.0.1', resolve));
+  const base = `http://127.0.0.1:${app.server.address().port}`;
+  const events = eventReader(await fetch(`${base}/api/events`));
+
+  try {
+    assert.deepEqual(await events.next('hello'), { lastUpdated: null });
+
+    const first = await runOnce({ config, traders, now: NOW, outputDir: dataDir });
+    assert.equal(first.traders_fetched, 1);
+    assert.equal(app.reload().length, 1);
+    assert.equal((await events.next('changes')).changes[0].action, 'increased');
+    assert.equal((await events.next('aggregate')).metadata.last_updated, first.last_updated);
+    const [held] = JSON.parse(fs.readFileSync(path.join(dataDir, 'aggregated_portfolio.json'), 'utf-8')).positions;
+    assert.deepEqual([held.markPrice, held.markSource, held.priceChange1h, held.priceChange1d], [0.52, 'history', 0.02, 0.07]);
+    assert.deepEqual([held.liquidity.spread, held.liquidity.rating], [0.02, 'thin']);
+    assert.deepEqual([held.category, held.categorySource, held.tags], ['economics', 'metadata', ['economy', 'fed-rates']]);
+
+    standIn.state.activity[WHALE].push(trade('SELL', 400, 0.55, NOW + 60, '0x02'));
+    standIn.state.positions[WHALE] = [{ ...position, size: 600, currentValue: 300 }];
+    await runOnce({ config, traders, now: NOW + 600, outputDir: dataDir });
+    app.reload();
+    const pushed = await events.next('changes');
+    assert.deepEqual(pushed.changes.map(c => [c.action, c.timestamp]), [['decreased', NOW + 60]]);
+    assert.equal(app.reload(), null);
+
+    const status = await (await fetch(`${base}/api/status`)).json();
+    assert.equal(status.live, true);
+    assert.equal(status.clients, 1);
+
+    const changes = await (await fetch(`${base}/api/changes?trader=whale&since=${NOW}`)).json();
+    assert.equal(changes.total, 1);
+    const holders = await (await fetch(`${base}/api/markets/${MARKET}/positions`)).json();
+    assert.equal(holders.holders[0].size, 600);
+    const trader = await (await fetch(`${base}/api/traders/${WHALE}`)).json();
+    assert.equal(trader.usdcBalance, 250);
+    assert.equal((await fetch(`${base}/api/traders/0xnobody`)).status, 404);
+
+    assert.equal((await fetch(`${base}/`)).headers.get('content-type'), 'text/html; charset=utf-8');
+    assert.equal((await fetch(`${base}/..%2fconfig.json`)).status, 403);
+    assert.equal((await fetch(`${base}/api/traders/%E0%A4%A`)).status, 400);
+    assert.equal((await fetch(`${base}/%E0%A4%A`)).status, 400);
+    assert.equal((await fetch(`${base}/api/status`)).status, 200);
+  } finally {
+    await events.cancel();
+    await app.close();
+    await new Promise(resolve => standIn.server.close(resolve));
+  }
+});
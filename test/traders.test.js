@@ -0,0 +1,117 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCSV, stringifyCSV } from '../scripts/csv.js';
+import { keccak256, toChecksumAddress, validateAddress } from '../scripts/address.js';
+import { validateRoster, addTrader, findTrader, parseLeaderboardDump, importLeaderboard, ROSTER_HEADERS } from '../scripts/traders.js';
+import { resolveProxyWallet } from '../scripts/scrape_profile.js';
+import { setTransport } from '../scripts/transport.js';
+
+const ADDRESS = '0x5aaeb6053f3e94c9b9a09f33669435e7ef1beaed';
+
+function roster(rows) {
+  return { headers: [...ROSTER_HEADERS], rows };
+}
+
+test('CSV fields may contain commas, quotes and line breaks', () => {
+  const { rows } = parseCSV('address,label,notes\r\n0x1,"Foo, Bar","said ""hi""\nthen left"\r\n');
+
+  assert.deepEqual(rows, [{ address: '0x1', label: 'Foo, Bar', notes: 'said "hi"\nthen left' }]);
+});
+
+test('CSV serialization round-trips', () => {
+  const headers = ['address', 'label', 'notes'];
+  const rows = [{ address: '0x1', label: 'Foo, Bar', notes: 'a "quote"' }, { address: '0x2', label: 'plain', notes: '' }];
+
+  assert.deepEqual(parseCSV(stringifyCSV(headers, rows)).rows, rows);
+});
+
+test('keccak256 matches the reference digest', () => {
+  assert.equal(keccak256(''), 'c5d2460186f7233c927e7db2dcc703c0e500b653ca82273b7bfad8045d85a470');
+});
+
+test('EIP-55 checksums are computed and enforced on mixed case', () => {
+  assert.equal(toChecksumAddress(ADDRESS), '0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed');
+  assert.equal(validateAddress(ADDRESS).valid, true);
+  assert.equal(validateAddress('0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed').valid, true);
+  assert.equal(validateAddress('0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAeD').valid, false);
+  assert.equal(validateAddress('0x5aaeb6053f').valid, false);
+});
+
+test('validation reports bad addresses, duplicates and bad tiers', () => {
+  const { errors } = validateRoster(roster([
+    { address: ADDRESS, label: 'a', tier: '1' },
+    { address: ADDRESS.toUpperCase().replace('0X', '0x'), label: 'b', tier: '1' },
+    { address: '0x123', label: 'c', tier: 'one' }
+  ]));
+
+  assert.equal(errors.length, 3);
+  assert.match(errors[0], /line 3: duplicate address/);
+  assert.match(errors[1], /line 4: invalid address/);
+  assert.match(errors[2], /line 4: tier/);
+});
+
+test('adding a trader normalizes the address and rejects duplicates', () => {
+  const r = roster([]);
+  const row = addTrader(r, { address: '0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed' });
+
+  assert.equal(row.address, ADDRESS);
+  assert.equal(row.label, 'Trader_0x5aae');
+  assert.throws(() => addTrader(r, { address: ADDRESS }), /already on the roster/);
+});
+
+test('traders are found by address or label, never by an empty query', () => {
+  const r = roster([{ address: ADDRESS, label: 'Whale' }, { address: '0xfb6916095ca1df60bb79ce92ce3ea74c37c5d359', label: '' }]);
+
+  assert.equal(findTrader(r, ADDRESS.toUpperCase().replace('0X', '0x')), 0);
+  assert.equal(findTrader(r, '@whale'), 0);
+  assert.equal(findTrader(r, ''), -1);
+  assert.equal(findTrader(r, undefined), -1);
+});
+
+test('usernames resolve to the wallet of that user, not another one on the page', async () => {
+  const OTHER = '0xdbf3d5fd0e2ab2e7d2f3ad3fb5a6bc5dc89d0d54';
+  const page = pageProps => `<script id="__NEXT_DATA__" type="application/json">${JSON.stringify({ props: { pageProps } })}</script>`;
+  const pages = {
+    '/@whale': page({ holders: [{ username: 'someone', proxyWallet: OTHER }], profile: { username: 'Whale', proxyWallet: ADDRESS } }),
+    '/@ghost': page({ holders: [{ username: 'someone', proxyWallet: OTHER }] })
+  };
+  setTransport({
+    mode: 'test',
+    fetch: async url => new Response(pages[new URL(url).pathname] || '', { status: 200 })
+  });
+  const warn = console.warn;
+  console.warn = () => {};
+  try {
+    assert.equal(await resolveProxyWallet('@whale'), ADDRESS);
+    assert.equal(await resolveProxyWallet('ghost'), null);
+  } finally {
+    console.warn = warn;
+    setTransport(null);
+  }
+});
+
+test('list ids in the roster are normalized and checked', () => {
+  const r = roster([]);
+  const row = addTrader(r, { address: ADDRESS, lists: 'Sports; tier1' });
+  r.rows.push({ address: '0xfb6916095ca1df60bb79ce92ce3ea74c37c5d359', label: 'b', tier: '1', lists: 'us politics' });
+
+  assert.equal(row.lists, 'sports;tier1');
+  const { errors } = validateRoster(r);
+  assert.equal(errors.length, 1);
+  assert.match(errors[0], /line 3: list id "us politics"/);
+});
+
+test('leaderboard import takes the best entries and skips known wallets', () => {
+  const entries = parseLeaderboardDump(JSON.stringify([
+    { proxyWallet: ADDRESS, name: 'known', amount: 500 },
+    { proxyWallet: '0xfb6916095ca1df60bb79ce92ce3ea74c37c5d359', name: 'best', amount: 900 },
+    { proxyWallet: '0xdbf3d5fd0e2ab2e7d2f3ad3fb5a6bc5dc89d0d54', name: 'small', amount: 10 }
+  ]));
+  const r = roster([{ address: ADDRESS, label: 'known', tier: '1' }]);
+
+  const { added, skipped } = importLeaderboard(r, entries, { minProfit: 100 });
+
+  assert.deepEqual(added.map(a => a.label), ['best']);
+  assert.equal(skipped.length, 2);
+  assert.equal(r.rows.length, 2);
+});
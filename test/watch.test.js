@@ -0,0 +1,97 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { nextRunDelay, watch } from '../scripts/watch.js';
+import { cached, clearCache } from '../scripts/cache.js';
+
+const CONFIG = { poll_interval_seconds: 60, watch_max_backoff_seconds: 300 };
+const QUIET = { log() {}, warn() {}, error() {} };
+
+test('runs stay on the poll schedule and skip the ticks an overrun missed', () => {
+  assert.deepEqual(nextRunDelay(CONFIG, { startedAt: 0, finishedAt: 15000 }), { delayMs: 45000, skipped: 0 });
+  assert.deepEqual(nextRunDelay(CONFIG, { startedAt: 0, finishedAt: 130000 }), { delayMs: 50000, skipped: 2 });
+});
+
+test('failing runs back off exponentially up to watch_max_backoff_seconds', () => {
+  const delays = [1, 2, 3, 4].map(failures => nextRunDelay(CONFIG, { startedAt: 0, finishedAt: 1000, failures }).delayMs);
+  assert.deepEqual(delays, [120000, 240000, 300000, 300000]);
+});
+
+test('watch backs off while runs fail, recovers, and stops without starting another run', async () => {
+  const controller = new AbortController();
+  const outcomes = [() => { throw new Error('upstream 503'); }, () => false, () => true];
+  const delays = [];
+  let clock = 0;
+
+  const result = await watch(async run => {
+    clock += 10000;
+    return outcomes[run]();
+  }, CONFIG, {
+    signal: controller.signal,
+    signals: [],
+    now: () => clock,
+    log: QUIET,
+    sleep: async ms => {
+      delays.push(ms);
+      clock += ms;
+      if (delays.length === 3) controller.abort();
+    }
+  });
+
+  assert.deepEqual(delays, [120000, 240000, 50000]);
+  assert.deepEqual(result, { runs: 3, failures: 0 });
+});
+
+test('the schedule follows a config reloaded by the runs', async () => {
+  const controller = new AbortController();
+  let current = CONFIG;
+  const delays = [];
+
+  await watch(async run => {
+    if (run === 1) current = { ...CONFIG, poll_interval_seconds: 30 };
+    return true;
+  }, () => current, {
+    signal: controller.signal,
+    signals: [],
+    now: () => 0,
+    log: QUIET,
+    sleep: async ms => {
+      delays.push(ms);
+      if (delays.length === 2) controller.abort();
+    }
+  });
+
+  assert.deepEqual(delays, [60000, 30000]);
+});
+
+test('SIGTERM lets the current run finish, then stops', async () => {
+  let runs = 0;
+  const result = await watch(async () => {
+    runs++;
+    process.emit('SIGTERM', 'SIGTERM');
+    await new Promise(resolve => setImmediate(resolve));
+    return true;
+  }, CONFIG, { log: QUIET });
+
+  assert.equal(runs, 1);
+  assert.deepEqual(result, { runs: 1, failures: 0 });
+  assert.equal(process.listenerCount('SIGTERM'), 0);
+});
+
+test('cached values are reused until their TTL runs out; rejected ones are not kept', async () => {
+  clearCache();
+  let loads = 0;
+  const load = async () => ++loads;
+
+  assert.equal(await cached('a', 60, load, { now: 0 }), 1);
+  assert.equal(await cached('a', 60, load, { now: 59000 }), 1);
+  assert.equal(await cached('a', 60, load, { now: 60000 }), 2);
+
+  const empty = new Map();
+  await cached('b', 60, async () => empty, { keep: board => board.size > 0, now: 0 });
+  let reloaded = false;
+  await cached('b', 60, async () => { reloaded = true; return empty; }, { now: 1000 });
+  assert.equal(reloaded, true);
+
+  assert.equal(await cached('c', 0, load, { now: 0 }), 3);
+  assert.equal(await cached('c', 0, load, { now: 0 }), 4);
+});
@@ -0,0 +1,83 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parseListIds, resolveWatchlists } from '../scripts/watchlists.js';
+import { computeWatchlists } from '../scripts/compute_aggregates.js';
+import { loadConfig, getDefaults, ConfigError } from '../scripts/config.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const fixture = JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', 'aggregation.json'), 'utf-8'));
+const { now, traderPortfolios, activity } = fixture;
+const [WHALE, SHARP, OFFLINE] = Object.keys(traderPortfolios);
+
+const roster = [
+  { address: WHALE.toUpperCase().replace('0X', '0x'), label: 'Whale', tier: '1', lists: '' },
+  { address: SHARP, label: 'Sharp', tier: '2', lists: 'tier2; Sports' },
+  { address: OFFLINE, label: 'Offline', tier: '1', lists: 'sports' }
+];
+
+test('list ids are split on semicolons and lowercased', () => {
+  assert.deepEqual(parseListIds(' tier1;Sports ;; '), ['tier1', 'sports']);
+  assert.deepEqual(parseListIds(undefined), []);
+});
+
+test('traders without a lists column fall into their tier list', () => {
+  const lists = resolveWatchlists(roster);
+
+  assert.deepEqual(lists.map(l => l.id), ['sports', 'tier1', 'tier2']);
+  assert.deepEqual(lists.find(l => l.id === 'tier1').addresses, [WHALE]);
+  assert.deepEqual(lists.find(l => l.id === 'sports').addresses, [OFFLINE, SHARP].sort());
+});
+
+test('config names lists and defines combined lists in its own order', () => {
+  const lists = resolveWatchlists(roster, {
+    watchlists: [
+      { id: 'core', name: 'Tier 1 + Sports', include: ['tier1', 'sports'] },
+      { id: 'sports', name: 'Sports specialists' }
+    ]
+  });
+
+  assert.deepEqual(lists.map(l => [l.id, l.name]), [
+    ['core', 'Tier 1 + Sports'],
+    ['sports', 'Sports specialists'],
+    ['tier1', 'tier1'],
+    ['tier2', 'tier2']
+  ]);
+  assert.deepEqual(lists[0].include, ['tier1', 'sports']);
+  assert.deepEqual(lists[0].addresses, [WHALE, OFFLINE, SHARP].sort());
+});
+
+test('each list is aggregated from its own members only', () => {
+  const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 't1w-watchlists-'));
+  const config = { ...getDefaults(), min_usd_filter: 0 };
+  const lists = computeWatchlists(roster, traderPortfolios, activity, config, now, outputDir);
+  const byId = Object.fromEntries(lists.map(l => [l.id, l]));
+
+  const whaleExposure = byId.tier1.aggregatedPortfolio.summary.totalExposure;
+  const sharpExposure = byId.tier2.aggregatedPortfolio.summary.totalExposure;
+  assert.ok(whaleExposure > 0 && sharpExposure > 0);
+  assert.equal(whaleExposure + sharpExposure, 9814);
+  // The offline trader's failed fetch leaves sports with Sharp's positions alone
+  assert.equal(byId.sports.aggregatedPortfolio.summary.totalExposure, sharpExposure);
+
+  for (const list of lists) {
+    const members = new Set(list.addresses);
+    assert.ok(list.recentChanges.changes.every(c => members.has(c.traderAddress)));
+    assert.ok(list.aggregatedPortfolio.positions.every(p => p.traders.every(t => members.has(t.address))));
+    assert.equal(list.aggregatedPortfolio.summary.netFlow24h, list.recentChanges.windowSummaries['24h']);
+  }
+});
+
+test('watchlist definitions are validated', () => {
+  assert.throws(
+    () => loadConfig({ path: null, env: {}, argv: ['--watchlists', '[{"id":"Sports Guys"}]'] }),
+    error => error instanceof ConfigError && /watchlists\[0\]/.test(error.message)
+  );
+  assert.deepEqual(
+    loadConfig({ path: null, env: {}, argv: ['--watchlists', '[{"id":"core","include":["tier1"]}]'] }).watchlists,
+    [{ id: 'core', include: ['tier1'] }]
+  );
+});